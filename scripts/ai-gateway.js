@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * ai-gateway - run the AI gateway on its own, e.g. next to a static build
+ *
+ * Reads provider keys from the environment and .env files (see
+ * server/aiGateway.js). Serve the app from the same origin, or build it
+ * with VITE_AI_GATEWAY_URL pointing here and set AI_GATEWAY_ORIGIN to the
+ * app's origin to allow cross-origin calls.
+ *
+ * Usage:
+ *   node scripts/ai-gateway.js [port]      (default AI_GATEWAY_PORT or 8787)
+ */
+
+import http from 'node:http';
+import { loadEnv } from 'vite';
+import { createAiGateway } from '../server/aiGateway.js';
+
+const main = async () => {
+    const env = loadEnv(process.env.NODE_ENV || 'production', process.cwd(), '');
+    const port = Number(process.argv[2] || env.AI_GATEWAY_PORT) || 8787;
+    const gateway = createAiGateway({ env });
+    const allowedOrigin = env.AI_GATEWAY_ORIGIN || null;
+
+    const server = http.createServer((req, res) => {
+        if (allowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Astra-User, X-Astra-Project, X-Astra-Campaign, X-Astra-Capability, X-Astra-Run, X-Astra-Run-Feature');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+            res.setHeader('Access-Control-Expose-Headers', 'X-Astra-Budget');
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+        }
+        gateway.handle(req, res).catch((error) => {
+            console.error('AI gateway error:', error);
+            if (!res.headersSent) res.writeHead(500);
+            res.end();
+        });
+    });
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    const providers = Object.entries(gateway.providers()).map(([name, configured]) => `${name}${configured ? ' ✔' : ' ✘'}`);
+    console.log(`AI gateway on http://localhost:${port}/api/ai  (${providers.join(', ')})`);
+    return 0;
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+);
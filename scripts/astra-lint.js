@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * astra-lint - batch compliance checker for saved creatives
+ *
+ * Lints every .json file under the given paths (TemplateManager templates,
+ * template/history dumps or raw canvas JSON) with the deterministic layout
+ * and regex rules, and exits non-zero when any hard_fail rule fires.
+ *
+ * Usage:
+ *   astra-lint <dir|file...> [--format instagram-story] [--reporter text|json|junit]
+ *              [--output report.xml] [--alcohol] [--pack retailer-pack.json]
+ *              [--formats astra-formats.json]
+ *
+ * The compliance modules are loaded through Vite's SSR module loader so they
+ * resolve exactly as they do in the app.
+ */
+
+import { readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: astra-lint <dir|file...> [options]
+
+Options:
+  -f, --format <key>       Format key to lint against (default: each file's own format, else instagram-feed)
+  -r, --reporter <name>    text | json | junit (default: text)
+  -o, --output <file>      Write the report to a file instead of stdout
+      --alcohol            Treat creatives as alcohol products (Drinkaware required)
+      --pack <file>        Extra rule pack JSON to activate (repeatable)
+      --formats <file>     Custom formats exported from the Formats manager
+  -h, --help               Show this help`;
+
+const EXIT_OK = 0;
+const EXIT_HARD_FAIL = 1;
+const EXIT_USAGE = 2;
+
+const collectJsonFiles = async (target) => {
+    const info = await stat(target);
+    if (info.isFile()) return [target];
+
+    const files = [];
+    for (const entry of await readdir(target, { withFileTypes: true })) {
+        const full = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await collectJsonFiles(full));
+        } else if (entry.name.toLowerCase().endsWith('.json')) {
+            files.push(full);
+        }
+    }
+    return files.sort();
+};
+
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f' },
+                reporter: { type: 'string', short: 'r', default: 'text' },
+                output: { type: 'string', short: 'o' },
+                alcohol: { type: 'boolean', default: false },
+                pack: { type: 'string', multiple: true, default: [] },
+                formats: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (positionals.length === 0) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const server = await createServer({
+        root: ROOT,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        optimizeDeps: { noDiscovery: true },
+        server: { middlewareMode: true, hmr: false }
+    });
+
+    try {
+        const batchLint = await server.ssrLoadModule('/src/compliance/batchLint.js');
+        const rulePacks = await server.ssrLoadModule('/src/compliance/rulePacks.js');
+        const { FORMAT_PRESETS, importCustomFormats } = await server.ssrLoadModule('/src/store/formatPresets.js');
+
+        if (values.formats) {
+            try {
+                importCustomFormats(await readFile(values.formats, 'utf8'));
+            } catch (error) {
+                console.error(`Cannot load formats from ${values.formats}: ${error.message}`);
+                return EXIT_USAGE;
+            }
+        }
+
+        const reporter = batchLint.REPORTERS[values.reporter];
+        if (!reporter) {
+            console.error(`Unknown reporter "${values.reporter}". Use one of: ${Object.keys(batchLint.REPORTERS).join(', ')}`);
+            return EXIT_USAGE;
+        }
+        if (values.format && !FORMAT_PRESETS[values.format]) {
+            console.error(`Unknown format "${values.format}". Available: ${Object.keys(FORMAT_PRESETS).join(', ')}`);
+            return EXIT_USAGE;
+        }
+
+        // Extra rule packs are activated for a CLI-only project
+        let projectId;
+        if (values.pack.length > 0) {
+            projectId = 'astra-lint';
+            const packIds = rulePacks.getProjectRulePacks(rulePacks.DEFAULT_PROJECT_ID);
+            for (const file of values.pack) {
+                const pack = rulePacks.registerRulePack(JSON.parse(await readFile(file, 'utf8')));
+                packIds.push(pack.pack_id);
+            }
+            rulePacks.setProjectRulePacks(projectId, packIds);
+        }
+
+        const files = [];
+        for (const target of positionals) {
+            try {
+                files.push(...await collectJsonFiles(target));
+            } catch (error) {
+                console.error(`Cannot read ${target}: ${error.message}`);
+                return EXIT_USAGE;
+            }
+        }
+
+        const entries = [];
+        for (const file of files) {
+            const relative = path.relative(process.cwd(), file);
+            let creatives;
+            try {
+                creatives = batchLint.extractCreatives(JSON.parse(await readFile(file, 'utf8')));
+            } catch (error) {
+                entries.push({ file: relative, error: `Invalid JSON: ${error.message}` });
+                continue;
+            }
+
+            for (const creative of creatives) {
+                const label = creative.name ? `${relative}#${creative.name}` : relative;
+                try {
+                    const report = batchLint.lintCreative(creative.canvasJSON, {
+                        formatKey: values.format || creative.format || 'instagram-feed',
+                        isAlcoholProduct: values.alcohol,
+                        projectId
+                    });
+                    entries.push({ file: label, report });
+                } catch (error) {
+                    entries.push({ file: label, error: error.message });
+                }
+            }
+        }
+
+        const output = reporter(entries);
+        if (values.output) {
+            await writeFile(values.output, `${output}\n`);
+        } else {
+            console.log(output);
+        }
+
+        const failed = entries.some(e => e.error || !e.report.passed);
+        return failed ? EXIT_HARD_FAIL : EXIT_OK;
+    } finally {
+        await server.close();
+    }
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error);
+        process.exitCode = EXIT_USAGE;
+    }
+);
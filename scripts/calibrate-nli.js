@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * calibrate-nli - measure and tune the semantic rules' entailment thresholds
+ *
+ * Scores a labelled CSV of copy lines (columns: text, rule_id, label) with
+ * the same NLI path the app uses, then reports precision/recall/F1 per rule
+ * at its current params.semantic_threshold and the threshold the data
+ * suggests. Apply a suggestion by editing the rule or overriding it in a
+ * project rule pack.
+ *
+ * Usage:
+ *   calibrate-nli <labels.csv> [--min-precision 0.9] [--json] [--pack retailer-pack.json]
+ *                 [--mode local|remote] [--offline] [--model-path public/models/]
+ *
+ * The compliance modules are loaded through Vite's SSR module loader so they
+ * resolve exactly as they do in the app. Remote NLI runs through an AI
+ * gateway started for the run, with HUGGINGFACE_API_KEY from the env.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import http from 'node:http';
+import { createServer, loadEnv } from 'vite';
+import { createAiGateway } from '../server/aiGateway.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: calibrate-nli <labels.csv> [options]
+
+Options:
+      --min-precision <n>  Suggest the highest-recall threshold with at least this precision (0-1)
+                           (default: the threshold with the best F1)
+      --json               Print the report as JSON
+      --pack <file>        Extra rule pack JSON to activate (repeatable)
+      --mode <mode>        NLI mode: local | remote (default: VITE_NLI_MODE, else local)
+      --offline            Never download the model; use the local cache / --model-path only
+      --model-path <dir>   Directory holding bundled models (see fetch:nli-model)
+  -h, --help               Show this help`;
+
+const EXIT_OK = 0;
+const EXIT_NO_SAMPLES = 1;
+const EXIT_USAGE = 2;
+
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                'min-precision': { type: 'string' },
+                json: { type: 'boolean', default: false },
+                pack: { type: 'string', multiple: true, default: [] },
+                mode: { type: 'string' },
+                offline: { type: 'boolean', default: false },
+                'model-path': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (positionals.length !== 1) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    let minPrecision = null;
+    if (values['min-precision'] !== undefined) {
+        minPrecision = Number(values['min-precision']);
+        if (!(minPrecision > 0 && minPrecision <= 1)) {
+            console.error('--min-precision must be a number in (0, 1]');
+            return EXIT_USAGE;
+        }
+    }
+    if (values.mode && !['local', 'remote'].includes(values.mode)) {
+        console.error(`Unknown mode "${values.mode}". Use local or remote.`);
+        return EXIT_USAGE;
+    }
+
+    const server = await createServer({
+        root: ROOT,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        optimizeDeps: { noDiscovery: true },
+        server: { middlewareMode: true, hmr: false }
+    });
+
+    let gatewayServer = null;
+    try {
+        const calibration = await server.ssrLoadModule('/src/compliance/calibration.js');
+        const rulePacks = await server.ssrLoadModule('/src/compliance/rulePacks.js');
+        const { configureNli, NLI_CONFIG } = await server.ssrLoadModule('/src/compliance/detectors/semanticDetector.js');
+        const { configureGateway } = await server.ssrLoadModule('/src/services/aiGatewayClient.js');
+
+        let rows;
+        try {
+            rows = calibration.parseCalibrationCsv(await readFile(positionals[0], 'utf8'));
+        } catch (error) {
+            console.error(`Cannot read ${positionals[0]}: ${error.message}`);
+            return EXIT_USAGE;
+        }
+
+        configureNli({
+            ...(values.mode && { mode: values.mode }),
+            ...(values.offline && { allowRemoteModels: false }),
+            ...(values['model-path'] && { localModelPath: path.resolve(values['model-path']) + path.sep })
+        });
+
+        if (NLI_CONFIG.mode === 'remote' || NLI_CONFIG.remoteFallback) {
+            // Unmetered: a calibration run scores every row against every semantic rule
+            const env = { ...loadEnv('production', ROOT, ''), AI_GATEWAY_QUOTA: 'Infinity' };
+            const gateway = createAiGateway({ env, log: () => {} });
+            gatewayServer = http.createServer((req, res) => gateway.handle(req, res));
+            await new Promise((resolve) => gatewayServer.listen(0, '127.0.0.1', resolve));
+            configureGateway({ url: `http://127.0.0.1:${gatewayServer.address().port}/api/ai` });
+        }
+
+        // Extra rule packs are activated for a CLI-only project
+        let projectId;
+        if (values.pack.length > 0) {
+            projectId = 'calibrate-nli';
+            const packIds = rulePacks.getProjectRulePacks(rulePacks.DEFAULT_PROJECT_ID);
+            for (const file of values.pack) {
+                const pack = rulePacks.registerRulePack(JSON.parse(await readFile(file, 'utf8')));
+                packIds.push(pack.pack_id);
+            }
+            rulePacks.setProjectRulePacks(projectId, packIds);
+        }
+
+        const report = await calibration.calibrateSemanticRules(rows, {
+            projectId,
+            minPrecision,
+            onProgress: values.json ? undefined : (done, total) => {
+                process.stderr.write(`\rScoring ${done}/${total}`);
+                if (done === total) process.stderr.write('\n');
+            }
+        });
+
+        console.log(values.json
+            ? JSON.stringify(report, null, 2)
+            : calibration.formatCalibrationReport(report));
+
+        return report.rules.length > 0 ? EXIT_OK : EXIT_NO_SAMPLES;
+    } finally {
+        gatewayServer?.close();
+        await server.close();
+    }
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error);
+        process.exitCode = EXIT_USAGE;
+    }
+);
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * check-rule-parity - proves the copy generators and the compliance checkers
+ * agree on the rules
+ *
+ * Every prohibited-copy list and copy limit is derived from the rule registry
+ * (src/compliance/ruleRegistry.js). This script checks that the places that
+ * write copy (AI prompts, the compliance filter, fallback/demo copy) and the
+ * regex detector that judges it on the canvas give the same verdicts, and
+ * exits non-zero if any check disagrees. It also checks that code reading
+ * canvas.toJSON() output recognises the class names Fabric 6 serializes
+ * ("IText", "Textbox", "Text") as well as live object types.
+ *
+ * Usage:
+ *   node scripts/check-rule-parity.js
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+import { Circle, FabricText, IText, Rect, Textbox } from 'fabric';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Copy that must pass, and copy that must fail, in both generator and checker
+const CLEAN_COPY = [
+    'Taste The Difference',
+    'Zero Sugar, Full Flavour',
+    'Only at Tesco',
+    'Freshly baked every morning',
+    'Evergreen classics for the weekend'
+];
+const PROHIBITED_COPY = [
+    'Sugar-free and delicious',
+    'Win a trip to Paris',
+    'Eco-friendly packaging',
+    'Money back guarantee',
+    'Now only £2',
+    'Voted best by shoppers',
+    'Loved by 9 out of 10 mums',
+    'Tastes great*'
+];
+
+const textCanvas = (entries) => ({
+    objects: entries.map(({ text, customName }, i) => ({
+        type: 'IText',
+        id: `copy-${i}`,
+        text,
+        customName,
+        left: 100,
+        top: 400 + i * 60,
+        width: 400,
+        height: 40,
+        fontSize: 24
+    }))
+});
+
+// A feed creative as canvas.toJSON() writes it: Fabric 6 class names as types
+const serializedCreative = () => ({
+    version: '6.9.0',
+    objects: [
+        { type: Rect.type, isBackground: true, left: 0, top: 0, width: 1080, height: 1080 },
+        { type: IText.type, text: 'Fresh Summer Deals', left: 140, top: 120, width: 800, height: 90, fontSize: 72 },
+        { type: Textbox.type, text: 'Picked this morning', left: 240, top: 230, width: 600, height: 50, fontSize: 40 },
+        { type: FabricText.type, text: 'Small print', left: 100, top: 1000, width: 200, height: 20, fontSize: 20 },
+        { type: 'Image', isPackshot: true, left: 340, top: 400, width: 400, height: 400 },
+        { type: Circle.type, isValueTile: true, valueTileType: 'clubcard', left: 820, top: 760, width: 180, height: 180 },
+        { type: IText.type, isValueTile: true, valueTileType: 'clubcard', customName: 'Clubcard Price', text: '£1.50', left: 850, top: 820, width: 120, height: 50, fontSize: 44 }
+    ]
+});
+
+// The same objects with the runtime types of live Fabric objects
+const liveTypes = { [IText.type]: 'i-text', [Textbox.type]: 'textbox', [FabricText.type]: 'text', [Rect.type]: 'rect', [Circle.type]: 'circle', Image: 'image' };
+const liveCreative = () => {
+    const json = serializedCreative();
+    return { ...json, objects: json.objects.map(obj => ({ ...obj, type: liveTypes[obj.type] })) };
+};
+
+const main = async () => {
+    const server = await createServer({
+        root: ROOT,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        optimizeDeps: { noDiscovery: true },
+        server: { middlewareMode: true, hmr: false }
+    });
+
+    try {
+        const load = (id) => server.ssrLoadModule(id);
+        const registry = await load('/src/compliance/ruleRegistry.js');
+        const { default: RULE_SCHEMA, getRuleById, getRulesByDetectionMethod } = await load('/src/compliance/ruleSchema.js');
+        const regexDetector = (await load('/src/compliance/detectors/regexDetector.js')).default;
+        const { createSerializedCanvas } = await load('/src/compliance/serializedCanvas.js');
+        const { default: geminiService, validateCompliance } = await load('/src/services/geminiService.js');
+        const complianceFilter = await load('/src/services/creativeComplianceFilter.js');
+        const creativeSpecService = (await load('/src/services/creativeSpecService.js')).default;
+        const store = await load('/src/store/useStore.js');
+        const hook = await load('/src/hooks/useCompliance.js');
+        const layoutEngine = await load('/src/utils/layoutEngine.js');
+        const { FORMAT_PRESETS, getFormatZones } = await load('/src/store/formatPresets.js');
+        const rulePacks = await load('/src/compliance/rulePacks.js');
+        const { extractCreativeCopy } = await load('/src/services/campaignManifest.js');
+        const { buildDefaultTimeline } = await load('/src/utils/animationTimeline.js');
+        const { checkAnimationFrames } = await load('/src/compliance/animationCompliance.js');
+
+        const rules = registry.getComplianceRules();
+
+        // Checker verdict: the regex rules the engine runs on a canvas
+        const canvasViolations = (entries) => {
+            const canvas = createSerializedCanvas(textCanvas(entries));
+            return getRulesByDetectionMethod('regex')
+                .flatMap(rule => regexDetector.runRegexRule(rule, canvas).violations);
+        };
+
+        const checks = [
+            ['store and hook COMPLIANCE_RULES read the registry', () => {
+                const failures = [];
+                for (const key of Object.keys(rules)) {
+                    if (store.COMPLIANCE_RULES[key] !== rules[key]) failures.push(`useStore COMPLIANCE_RULES.${key} is not the registry value`);
+                    if (hook.COMPLIANCE_RULES[key] !== rules[key]) failures.push(`useCompliance COMPLIANCE_RULES.${key} is not the registry value`);
+                }
+                return failures;
+            }],
+
+            ['registry limits match the rule schema', () => {
+                const failures = [];
+                const expect = (label, actual, expected) => {
+                    if (actual !== expected) failures.push(`${label}: registry ${actual}, schema ${expected}`);
+                };
+                const schemaRule = (id) => RULE_SCHEMA.rules.find(r => r.id === id);
+                expect('headline max chars', rules.headlineRules.maxLength, schemaRule('COPY_007').params.max_chars);
+                expect('subhead max words', rules.subheadRules.maxWords, schemaRule('COPY_008').params.max_words);
+                const storyZones = schemaRule('FORMAT_001').params.format_zones['instagram-story'];
+                expect('story safe zone top', rules.safeZones.story.top, storyZones.find(z => z.id === 'story-top').height);
+                expect('story safe zone bottom', rules.safeZones.story.bottom, storyZones.find(z => z.id === 'story-bottom').height);
+                expect('min font size', rules.minFontSize.standard, schemaRule('ACC_001').params.brand_social_min_px);
+                expect('max packshots', rules.packshotRules.maxCount, schemaRule('PACK_001').params.max_packshots);
+                expect('drinkaware min height', rules.drinkawareRules.minHeight, schemaRule('ALC_001').params.min_height_px.default);
+                return failures;
+            }],
+
+            ['every term in the AI prompts is flagged by the canvas checker', () => {
+                const prompt = registry.buildProhibitedTermsPrompt();
+                return rules.prohibitedTerms.flatMap(term => {
+                    const failures = [];
+                    if (!prompt.includes(`"${term}"`)) failures.push(`"${term}" missing from prompt list`);
+                    if (canvasViolations([{ text: `Great ${term} here` }]).length === 0) failures.push(`"${term}" not flagged on canvas`);
+                    return failures;
+                });
+            }],
+
+            ['generator validation and canvas checker agree on sample copy', () => {
+                return [...CLEAN_COPY, ...PROHIBITED_COPY].flatMap(text => {
+                    const generatorOk = validateCompliance(text).isValid;
+                    const filterOk = complianceFilter.quickValidate(text).isCompliant;
+                    const checkerOk = canvasViolations([{ text }]).length === 0;
+                    const expected = CLEAN_COPY.includes(text);
+                    return generatorOk === expected && filterOk === expected && checkerOk === expected
+                        ? []
+                        : [`"${text}": generator ${generatorOk}, filter ${filterOk}, canvas ${checkerOk}, expected ${expected}`];
+                });
+            }],
+
+            ['cleaned copy passes the canvas checker', () => {
+                return Object.keys(complianceFilter.SAFE_REPLACEMENTS).flatMap(term => {
+                    const cleaned = complianceFilter.cleanText(`Try our ${term} range`);
+                    const violations = canvasViolations([{ text: cleaned }]);
+                    return violations.length === 0 ? [] : [`cleanText("${term}") -> "${cleaned}" still fails ${violations[0].ruleId}`];
+                });
+            }],
+
+            ['filtered creative specs pass the copy length rules', () => {
+                const spec = {
+                    variants: [{
+                        headline: 'An extraordinarily long headline that keeps going well past the limit',
+                        subheadline: Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ')
+                    }]
+                };
+                const [variant] = complianceFilter.filterCreativeSpec(spec).variants;
+                return canvasViolations([
+                    { text: variant.headline, customName: 'Headline' },
+                    { text: variant.subheadline, customName: 'Subhead' }
+                ]).map(v => `${v.ruleId}: ${v.explanation}`);
+            }],
+
+            ['fallback and demo copy passes the canvas checker', async () => {
+                const copy = [];
+                for (const priceType of ['new', 'white', 'clubcard']) {
+                    const { campaign } = geminiService.getFallbackCampaign('Coca-Cola Zero Sugar', 'Food & Drink', priceType);
+                    copy.push(campaign);
+                }
+                const fallback = geminiService.getFallbackAutonomousCreative(
+                    geminiService.getFallbackProductAnalysis(),
+                    { solid: ['#ffffff'] }
+                );
+                copy.push(...fallback.variants);
+                const demo = await creativeSpecService.generateCreativeSpec('demo');
+                copy.push(...demo.variants);
+
+                return copy.flatMap(c => canvasViolations([
+                    { text: c.headline, customName: 'Headline' },
+                    { text: c.subheadline || '', customName: 'Subhead' }
+                ]).map(v => `"${v.text}" fails ${v.ruleId} (${v.matchedTerms?.join(', ') || v.explanation})`));
+            }],
+
+            ['layout roles are read from serialized Fabric objects', () => {
+                const failures = [];
+                const serialized = layoutEngine.assignLayoutRoles(serializedCreative().objects);
+                const live = layoutEngine.assignLayoutRoles(liveCreative().objects);
+                if (JSON.stringify(serialized) !== JSON.stringify(live)) {
+                    failures.push(`toJSON roles ${JSON.stringify(serialized)}, live roles ${JSON.stringify(live)}`);
+                }
+                const { layout } = layoutEngine.adaptCanvasJSON(
+                    serializedCreative(), FORMAT_PRESETS['instagram-feed'], FORMAT_PRESETS['display-banner']
+                );
+                const roles = layout.blocks.map(block => block.role);
+                ['headline', 'subheadline', 'packshot']
+                    .filter(role => !roles.includes(role))
+                    .forEach(role => failures.push(`feed -> display-banner layout has no ${role} block`));
+                return failures;
+            }],
+
+            ['manifest copy is read from serialized Fabric objects', () => {
+                const copy = extractCreativeCopy(serializedCreative());
+                const expected = { headline: 'Fresh Summer Deals', subheadline: 'Picked this morning', valueTileType: 'clubcard', price: '£1.50' };
+                return Object.entries(expected)
+                    .filter(([key, value]) => copy[key] !== value)
+                    .map(([key, value]) => `${key}: got "${copy[key]}", expected "${value}"`);
+            }],
+
+            ['animated frames with text are checked on serialized Fabric objects', () => {
+                const json = serializedCreative();
+                const timeline = buildDefaultTimeline(json.objects);
+                const animated = { ...json, objects: json.objects.map((obj, i) => ({ ...obj, animation: timeline[i] })) };
+                if (!timeline[1]) return ['default timeline does not animate the headline'];
+                const { framesChecked } = checkAnimationFrames(animated, {
+                    formatKey: 'instagram-feed', format: FORMAT_PRESETS['instagram-feed'], duration: 2, fps: 10
+                });
+                return framesChecked > 1 ? [] : [`only ${framesChecked} frame checked while the headline slides in`];
+            }],
+
+            ['only Story safe zones apply until a project opts into platform zones', () => {
+                const failures = [];
+                const zoneIds = (formatKey, projectId) => getFormatZones(
+                    { ...FORMAT_PRESETS[formatKey], key: formatKey },
+                    getRuleById('FORMAT_001', projectId)
+                ).map(zone => zone.id);
+
+                const defaults = rulePacks.getProjectRulePacks('parity-default');
+                if (defaults.includes('platform-zones')) failures.push('platform-zones is active by default');
+                if (zoneIds('instagram-story', 'parity-default').length !== 2) failures.push('Story zones missing from the built-in pack');
+                for (const formatKey of ['instagram-feed', 'display-banner', 'pos-portrait']) {
+                    if (zoneIds(formatKey, 'parity-default').length > 0) failures.push(`${formatKey} has zones without opting in`);
+                }
+
+                let notified = 0;
+                const unsubscribe = rulePacks.subscribeRulePacks(() => { notified += 1; });
+                rulePacks.setProjectRulePacks('parity-opt-in', [...defaults, 'platform-zones']);
+                unsubscribe();
+                if (notified === 0) failures.push('changing the active packs notified no listener');
+                if (!zoneIds('instagram-feed', 'parity-opt-in').includes('feed-tag-icon')) failures.push('platform-zones does not add the feed zone');
+                if (zoneIds('instagram-story', 'parity-opt-in').length !== 2) failures.push('platform-zones drops the Story zones');
+                return failures;
+            }],
+
+            ['copy length rules are active', () => {
+                return ['COPY_007', 'COPY_008']
+                    .filter(id => !getRuleById(id))
+                    .map(id => `${id} is not in the active rule packs`);
+            }]
+        ];
+
+        let failed = 0;
+        for (const [name, run] of checks) {
+            const failures = await run();
+            console.log(`${failures.length === 0 ? '✔' : '✖'} ${name}`);
+            for (const failure of failures) console.log(`    ${failure}`);
+            if (failures.length > 0) failed += 1;
+        }
+
+        console.log(`\n${checks.length - failed}/${checks.length} parity checks passed`);
+        return failed > 0 ? 1 : 0;
+    } finally {
+        await server.close();
+    }
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error);
+        process.exitCode = 1;
+    }
+);
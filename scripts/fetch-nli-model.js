@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * fetch-nli-model - download the local NLI model into public/models so it
+ * ships with the build
+ *
+ * For air-gapped review environments: run this once on a connected machine,
+ * build, and set VITE_NLI_MODEL_PATH=/models/ and VITE_NLI_OFFLINE=true.
+ * The semantic checks then load the model from the app itself and never
+ * contact the Hub.
+ *
+ * Usage:
+ *   node scripts/fetch-nli-model.js [model-id]
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_MODEL = 'Xenova/nli-deberta-v3-xsmall';
+
+// What the zero-shot-classification pipeline loads with dtype "q8"
+const MODEL_FILES = [
+    'config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    'onnx/model_quantized.onnx'
+];
+
+const main = async () => {
+    const model = process.argv[2] || DEFAULT_MODEL;
+    const targetDir = path.join(ROOT, 'public', 'models', model);
+
+    for (const file of MODEL_FILES) {
+        const url = `https://huggingface.co/${model}/resolve/main/${file}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}`);
+        }
+
+        const target = path.join(targetDir, file);
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(target, Buffer.from(await response.arrayBuffer()));
+        console.log(`✔ ${path.relative(ROOT, target)}`);
+    }
+
+    console.log(`\nBundled ${model}. Build with VITE_NLI_MODEL_PATH=/models/ VITE_NLI_OFFLINE=true for offline NLI.`);
+    return 0;
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,572 @@
+/**
+ * AI Gateway
+ *
+ * Holds the provider credentials server-side so they never ship in the
+ * browser bundle. The app's services call these endpoints instead of the
+ * vendors:
+ *
+ *   GET  /api/ai/status              - which providers are configured, caller's quota, project budget
+ *   POST /api/ai/text                - { prompt, provider?, model?, temperature?, maxTokens?, json?, reasoning? } -> { text, provider, model, usage }
+ *   POST /api/ai/vision              - { prompt, image, mimeType?, provider?, ... } -> { text, provider, model, usage }
+ *   POST /api/ai/nli                 - { text, labels, multiLabel? } -> { labels, scores }
+ *   POST /api/ai/detect              - { image, model? } -> { detections }
+ *   POST /api/ai/image               - { prompt, model?, width?, height?, steps?, guidanceScale? } -> { image }
+ *   POST /api/ai/background-removal  - { image } -> { image }
+ *
+ *   GET  /api/ai/usage?month=        - usage report for the project (server/usageMeter.js)
+ *   GET  /api/ai/usage.csv?month=    - usage and runs, for finance: every project for an admin,
+ *                                      the caller's project otherwise
+ *   PUT  /api/ai/budget              - { monthlyLimit, warnAt, action } for the project; admin only
+ *   POST /api/ai/runs/finish         - { id, feature, creatives } closes a feature run
+ *   POST /api/ai/usage               - { capability, provider, ok, latencyMs, megapixels } for calls the
+ *                                      browser makes itself (Cloudinary)
+ *
+ * usage is the vendor's token count, { inputTokens, outputTokens }.
+ * Images are data URLs or raw base64. Each caller gets a fixed-window
+ * request quota, keyed on its authenticated identity (options.identify) or
+ * else its remote address. The X-Astra-User header is only a label for the
+ * log, since any client can change it. Every request is logged as one JSON
+ * line - never with prompts, images or keys.
+ *
+ * Every vendor call is metered (tokens, megapixels, latency, estimated cost)
+ * against the caller's project, with the campaign
+ * (X-Astra-Campaign, URI-encoded), capability (X-Astra-Capability) and
+ * feature run (X-Astra-Run, X-Astra-Run-Feature) it was made for. Once the
+ * project's 'stop' budget is used up, calls are refused with 402
+ * budget_exceeded. Responses carry the project's budget status in
+ * X-Astra-Budget (JSON).
+ *
+ * The project is resolved on the server: options.projectOf (e.g. from the
+ * caller's session), else AI_GATEWAY_PROJECT for a gateway that serves one
+ * workspace. Only when neither is set does X-Astra-Project pick it, and
+ * then a client can step around a 'stop' budget by naming another project.
+ * Budgets are set by an admin - options.isAdmin, or a request carrying
+ * "Authorization: Bearer <AI_GATEWAY_ADMIN_TOKEN>" - never by the app's
+ * own callers.
+ *
+ * Text and vision go to one of the LLM adapters (server/llmAdapters.js:
+ * gemini - the default, openrouter, openai, local). Keys come from plain
+ * (non-VITE_) env vars: those listed there, plus HUGGINGFACE_API_KEY and
+ * WITHOUTBG_API_KEY.
+ * Limits: AI_GATEWAY_QUOTA (requests per window, default 300),
+ *   AI_GATEWAY_QUOTA_WINDOW_MINUTES (default 1440), AI_GATEWAY_LOG (file to append the log to)
+ * Usage: AI_PRICING (JSON price overrides), AI_GATEWAY_USAGE_FILE (JSON file to keep usage
+ *   and budgets in; in memory when unset), AI_GATEWAY_BUDGETS (JSON, projectId -> locked budget),
+ *   AI_GATEWAY_PROJECT (project every call is metered to), AI_GATEWAY_ADMIN_TOKEN (sets budgets)
+ *
+ * Mounted on the Vite dev and preview servers (vite.config.js); run it on
+ * its own with `npm run gateway`.
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { appendFile } from 'node:fs/promises';
+import { HfInference } from '@huggingface/inference';
+import { GatewayError } from './gatewayError.js';
+import { createLlmAdapters, splitKeys } from './llmAdapters.js';
+import { createUsageMeter, estimateTokens, imageMegapixels, readBudgets, readPricing } from './usageMeter.js';
+
+export { GatewayError };
+
+export const GATEWAY_PREFIX = '/api/ai';
+
+const WITHOUTBG_API_URL = 'https://api.withoutbg.com/v1.0/image-without-background-base64';
+
+// Only these HuggingFace models can be requested
+const HF_MODELS = {
+    nli: 'facebook/bart-large-mnli',
+    detr: 'facebook/detr-resnet-50',
+    detrLarge: 'facebook/detr-resnet-101',
+    flux: 'black-forest-labs/FLUX.1-schnell',
+    sdxl: 'stabilityai/stable-diffusion-xl-base-1.0'
+};
+
+// Provider behind each non-LLM endpoint (text and vision name theirs)
+const ENDPOINT_PROVIDERS = {
+    nli: 'huggingface',
+    detect: 'huggingface',
+    image: 'huggingface',
+    'background-removal': 'withoutbg'
+};
+
+// Calls the browser makes itself and reports with POST /usage
+const CLIENT_METERED_PROVIDERS = ['cloudinary'];
+
+const MAX_BODY_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Non-LLM credentials and limits from the environment
+ * @param {object} env - process.env, or Vite's loadEnv() output
+ */
+export const readGatewayConfig = (env = process.env) => ({
+    keys: {
+        huggingface: splitKeys(env.HUGGINGFACE_API_KEY).slice(0, 1),
+        withoutbg: splitKeys(env.WITHOUTBG_API_KEY).slice(0, 1)
+    },
+    quota: {
+        limit: Number(env.AI_GATEWAY_QUOTA) || 300,
+        windowMs: (Number(env.AI_GATEWAY_QUOTA_WINDOW_MINUTES) || 1440) * 60 * 1000
+    },
+    logFile: env.AI_GATEWAY_LOG || null,
+    usageFile: env.AI_GATEWAY_USAGE_FILE || null,
+    project: env.AI_GATEWAY_PROJECT || null,
+    adminToken: env.AI_GATEWAY_ADMIN_TOKEN || null
+});
+
+// Constant-time compare of a token against the expected one
+const tokenMatches = (token, expected) => {
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(token), digest(expected));
+};
+
+// "data:image/png;base64,xxx" or "xxx" -> { mimeType, base64 }
+const parseImage = (image, mimeType = 'image/jpeg') => {
+    if (typeof image !== 'string' || !image) throw new GatewayError(400, 'image is required');
+    const match = image.match(/^data:([^;]+);base64,(.+)$/);
+    return match ? { mimeType: match[1], base64: match[2] } : { mimeType, base64: image };
+};
+
+const requireString = (value, name) => {
+    if (typeof value !== 'string' || !value.trim()) throw new GatewayError(400, `${name} is required`);
+    return value;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    // Already parsed by an outer middleware
+    if (req.body && typeof req.body === 'object') {
+        resolve(req.body);
+        return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new GatewayError(413, 'Request too large (max 15 MB)'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+        } catch {
+            reject(new GatewayError(400, 'Body must be JSON'));
+        }
+    });
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+// A short header value, or null
+const headerOf = (req, name, max = 64) => {
+    const header = req.headers[name];
+    return (typeof header === 'string' && header.trim().slice(0, max)) || null;
+};
+
+// What a call is for, from the app's X-Astra-* headers; the project is resolved by the caller
+const contextOf = (req, projectId) => {
+    let campaign = headerOf(req, 'x-astra-campaign', 256) || '';
+    try {
+        campaign = decodeURIComponent(campaign).slice(0, 128);
+    } catch {
+        // Not encoded - keep as sent
+    }
+    const runId = headerOf(req, 'x-astra-run');
+    return {
+        projectId,
+        campaign,
+        capability: headerOf(req, 'x-astra-capability'),
+        run: runId ? { id: runId, feature: headerOf(req, 'x-astra-run-feature') || 'unknown' } : null
+    };
+};
+
+// Tokens and megapixels of a request/response pair, for metering
+const measureUsage = (endpoint, body, result) => {
+    if (endpoint === 'text' || endpoint === 'vision') {
+        return {
+            inputTokens: result?.usage?.inputTokens ?? estimateTokens(body.prompt),
+            outputTokens: result?.usage?.outputTokens ?? estimateTokens(result?.body.text),
+            megapixels: endpoint === 'vision' ? imageMegapixels(body.image) : 0
+        };
+    }
+    if (endpoint === 'image') return { megapixels: ((body.width || 1024) * (body.height || 1024)) / 1e6 };
+    if (endpoint === 'nli') return { inputTokens: estimateTokens(body.text) };
+    return { megapixels: imageMegapixels(body.image) };
+};
+
+/**
+ * Create the gateway
+ * @param {object} options
+ * @param {object} options.env - Environment to read keys and limits from
+ * @param {function} options.log - Receives one entry per request; defaults to a JSON line on stdout
+ * @param {function} options.fetch - For tests
+ * @param {function} options.identify - req -> authenticated user id, or null; quotas are keyed on it when set
+ * @param {function} options.projectOf - (req, userId) -> project the caller works in, or null for 'default';
+ *   usage and budgets go to it and X-Astra-Project is ignored
+ * @param {function} options.isAdmin - (req, userId) -> whether the caller may set budgets and export every
+ *   project's usage; AI_GATEWAY_ADMIN_TOKEN also grants this
+ * @param {object} options.meter - Usage meter; defaults to one from env (server/usageMeter.js)
+ * @returns {{ middleware: function, handle: function, providers: function, config: object, meter: object }}
+ *   middleware(req, res, next) - Connect-style, for Vite; passes non-gateway paths on
+ *   handle(req, res) - For a plain node:http server; answers 404 outside /api/ai
+ *   providers() - provider -> configured
+ */
+export const createAiGateway = ({ env = process.env, log = null, fetch: fetchImpl = globalThis.fetch, identify = null, projectOf = null, isAdmin = null, meter = null } = {}) => {
+    const config = readGatewayConfig(env);
+    const llm = createLlmAdapters({ env, fetch: fetchImpl });
+    const usageMeter = meter || createUsageMeter({ pricing: readPricing(env), budgets: readBudgets(env), file: config.usageFile });
+    const usage = new Map(); // user -> { count, resetAt }
+    let hfClient = null;
+
+    const writeLog = log || ((entry) => {
+        const line = JSON.stringify(entry);
+        console.log(`[ai-gateway] ${line}`);
+        if (config.logFile) {
+            appendFile(config.logFile, `${line}\n`).catch(error => console.error('AI gateway log write failed:', error.message));
+        }
+    });
+
+    const configured = (provider) => config.keys[provider].length > 0;
+
+    const providers = () => ({
+        ...Object.fromEntries(Object.values(llm).map(adapter => [adapter.name, adapter.configured])),
+        ...Object.fromEntries(Object.keys(config.keys).map(provider => [provider, configured(provider)]))
+    });
+
+    const requireKey = (provider, envName) => {
+        if (!configured(provider)) throw new GatewayError(503, `${provider} is not configured on the AI gateway. Set ${envName}.`, 'not_configured', provider);
+        return config.keys[provider][0];
+    };
+
+    const getHfClient = () => {
+        if (!hfClient) hfClient = new HfInference(requireKey('huggingface', 'HUGGINGFACE_API_KEY'));
+        return hfClient;
+    };
+
+    // ============================================
+    // QUOTAS
+    // ============================================
+
+    // Quota key: something the client can't pick for itself
+    const userOf = (req) => identify?.(req) || req.socket?.remoteAddress || 'anonymous';
+
+    // Caller-supplied browser id, for the log only
+    const labelOf = (req) => headerOf(req, 'x-astra-user');
+
+    // ============================================
+    // PROJECTS AND ADMINS
+    // ============================================
+
+    // The caller's project: never the client's pick when the server can resolve it
+    const projectIdOf = (req) => {
+        if (projectOf) return projectOf(req, identify?.(req) || null) || 'default';
+        return config.project || headerOf(req, 'x-astra-project') || 'default';
+    };
+
+    const adminOf = (req) => {
+        if (isAdmin?.(req, identify?.(req) || null)) return true;
+        const match = /^Bearer\s+(.+)$/.exec(req.headers.authorization || '');
+        return Boolean(config.adminToken && match && tokenMatches(match[1].trim(), config.adminToken));
+    };
+
+    const requireAdmin = (req, action) => {
+        if (!adminOf(req)) {
+            throw new GatewayError(403, `Only a gateway admin can ${action} (AI_GATEWAY_ADMIN_TOKEN)`, 'admin_required');
+        }
+    };
+
+    const quotaFor = (user, now = Date.now()) => {
+        let entry = usage.get(user);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + config.quota.windowMs };
+            usage.set(user, entry);
+        }
+        return entry;
+    };
+
+    const quotaStatus = (entry) => ({
+        limit: config.quota.limit,
+        used: entry.count,
+        remaining: Math.max(0, config.quota.limit - entry.count),
+        resetAt: new Date(entry.resetAt).toISOString()
+    });
+
+    const consumeQuota = (user) => {
+        const entry = quotaFor(user);
+        if (entry.count >= config.quota.limit) {
+            const error = new GatewayError(429, `AI quota exceeded (${config.quota.limit} requests). Resets at ${new Date(entry.resetAt).toISOString()}.`, 'quota_exceeded');
+            error.retryAfter = Math.ceil((entry.resetAt - Date.now()) / 1000);
+            throw error;
+        }
+        entry.count++;
+    };
+
+    // ============================================
+    // PROVIDERS
+    // ============================================
+
+    const llmAdapter = (name = 'gemini') => {
+        if (!Object.prototype.hasOwnProperty.call(llm, name)) {
+            throw new GatewayError(400, `Unknown provider "${name}". Use one of: ${Object.keys(llm).join(', ')}`);
+        }
+        const adapter = llm[name];
+        if (!adapter.configured) throw new GatewayError(503, `${name} is not configured on the AI gateway. Set ${adapter.envHint}.`, 'not_configured', name);
+        return adapter;
+    };
+
+    const complete = async (body, req, image) => {
+        const adapter = llmAdapter(body.provider);
+        const { text, model, usage } = await adapter.complete({
+            prompt: requireString(body.prompt, 'prompt'),
+            image,
+            model: body.model || undefined,
+            temperature: body.temperature,
+            maxTokens: body.maxTokens,
+            json: Boolean(body.json),
+            reasoning: Boolean(body.reasoning),
+            referer: req.headers.origin
+        });
+        return { body: { text, provider: adapter.name, model, usage }, provider: adapter.name, model, usage };
+    };
+
+    const hfModel = (name, fallback) => {
+        const key = name || fallback;
+        const model = Object.prototype.hasOwnProperty.call(HF_MODELS, key) ? HF_MODELS[key] : null;
+        if (!model) throw new GatewayError(400, `Unknown model "${name}". Use one of: ${Object.keys(HF_MODELS).join(', ')}`);
+        return model;
+    };
+
+    // ============================================
+    // ENDPOINTS
+    // ============================================
+
+    // Each returns { body, provider, model, usage? }
+    const endpoints = {
+        text: (body, req) => complete(body, req, null),
+
+        vision: (body, req) => complete(body, req, parseImage(body.image, body.mimeType)),
+
+        nli: async (body) => {
+            const text = requireString(body.text, 'text');
+            if (!Array.isArray(body.labels) || body.labels.length === 0) throw new GatewayError(400, 'labels must be a non-empty array');
+            const model = HF_MODELS.nli;
+            const result = await getHfClient().zeroShotClassification({
+                model,
+                inputs: text,
+                parameters: { candidate_labels: body.labels.map(String), multi_label: Boolean(body.multiLabel) }
+            });
+            // Older API responses are { labels, scores }, newer ones [{ label, score }]
+            const ranked = Array.isArray(result) ? result : result.labels.map((label, i) => ({ label, score: result.scores[i] }));
+            return {
+                body: { labels: ranked.map(r => r.label), scores: ranked.map(r => r.score) },
+                provider: 'huggingface',
+                model
+            };
+        },
+
+        detect: async (body) => {
+            const image = parseImage(body.image);
+            const model = hfModel(body.model, 'detr');
+            const result = await getHfClient().objectDetection({
+                model,
+                data: new Blob([Buffer.from(image.base64, 'base64')], { type: image.mimeType })
+            });
+            return {
+                body: { detections: result.map(d => ({ label: d.label, score: d.score, box: d.box })) },
+                provider: 'huggingface',
+                model
+            };
+        },
+
+        image: async (body) => {
+            const prompt = requireString(body.prompt, 'prompt');
+            const model = hfModel(body.model, 'flux');
+            const blob = await getHfClient().textToImage({
+                model,
+                inputs: prompt,
+                parameters: {
+                    width: body.width || 1024,
+                    height: body.height || 1024,
+                    num_inference_steps: body.steps || 4,
+                    guidance_scale: body.guidanceScale || 3.5
+                }
+            });
+            const base64 = Buffer.from(await blob.arrayBuffer()).toString('base64');
+            return { body: { image: `data:${blob.type || 'image/png'};base64,${base64}` }, provider: 'huggingface', model };
+        },
+
+        'background-removal': async (body) => {
+            const image = parseImage(body.image);
+            const response = await fetchImpl(WITHOUTBG_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-API-Key': requireKey('withoutbg', 'WITHOUTBG_API_KEY')
+                },
+                body: JSON.stringify({ image_base64: image.base64 })
+            });
+            if (!response.ok) {
+                // Keep WithoutBG's status so the client can tell credits from rate limits
+                const data = await response.json().catch(() => ({}));
+                throw new GatewayError(response.status, data.detail || `WithoutBG request failed (${response.status})`, 'vendor');
+            }
+            const data = await response.json();
+            if (!data.img_without_background_base64) throw new GatewayError(502, 'Invalid response: missing result image');
+            return { body: { image: data.img_without_background_base64 }, provider: 'withoutbg', model: 'withoutbg' };
+        }
+    };
+
+    // ============================================
+    // ROUTING
+    // ============================================
+
+    // Project budget status, on every response so the app can show it
+    const budgetHeader = (projectId) => ({ 'X-Astra-Budget': JSON.stringify(usageMeter.budgetStatus(projectId)) });
+
+    // Usage and budget routes: no quota, and nothing to meter
+    const usageRoutes = {
+        'GET usage': (req, url, context) => {
+            const report = usageMeter.report({ month: url.searchParams.get('month') || undefined, projectId: context.projectId });
+            return { ...report, canSetBudget: !report.budget.locked && adminOf(req) };
+        },
+
+        'PUT budget': async (req, url, context) => {
+            requireAdmin(req, 'set AI budgets');
+            const body = await readBody(req);
+            return usageMeter.setBudget(context.projectId, body);
+        },
+
+        'POST runs/finish': async (req, url, context) => {
+            const body = await readBody(req);
+            requireString(body.id, 'id');
+            return usageMeter.finishRun({ id: body.id.slice(0, 64), feature: String(body.feature || 'unknown').slice(0, 64), projectId: context.projectId, creatives: body.creatives });
+        },
+
+        'POST usage': async (req, url, context) => {
+            const body = await readBody(req);
+            if (!CLIENT_METERED_PROVIDERS.includes(body.provider)) {
+                throw new GatewayError(400, `Only ${CLIENT_METERED_PROVIDERS.join(', ')} usage can be reported; the gateway meters its own calls`);
+            }
+            const cost = usageMeter.record({
+                ...context,
+                capability: String(body.capability || context.capability || 'unknown').slice(0, 64),
+                provider: body.provider,
+                ok: body.ok !== false,
+                megapixels: Math.max(0, Number(body.megapixels) || 0),
+                latencyMs: Math.max(0, Number(body.latencyMs) || 0)
+            });
+            return { cost };
+        }
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://gateway');
+        const endpoint = url.pathname.slice(GATEWAY_PREFIX.length + 1);
+        const user = userOf(req);
+        const context = contextOf(req, projectIdOf(req));
+
+        if (url.pathname === `${GATEWAY_PREFIX}/status` && req.method === 'GET') {
+            sendJson(res, 200, {
+                providers: providers(),
+                quota: quotaStatus(quotaFor(user)),
+                budget: usageMeter.budgetStatus(context.projectId)
+            });
+            return;
+        }
+
+        if (url.pathname === `${GATEWAY_PREFIX}/usage.csv` && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8', 'Cache-Control': 'no-store' });
+            // Finance (an admin) gets every project; anyone else only their own
+            res.end(usageMeter.csv(url.searchParams.get('month'), adminOf(req) ? null : context.projectId));
+            return;
+        }
+
+        const usageRoute = usageRoutes[`${req.method} ${endpoint}`];
+        if (usageRoute) {
+            try {
+                const result = await usageRoute(req, url, context);
+                sendJson(res, 200, result, budgetHeader(context.projectId));
+            } catch (error) {
+                const status = error instanceof GatewayError ? error.status : 500;
+                sendJson(res, status, { error: error.message, code: error.code });
+            }
+            return;
+        }
+
+        if (!url.pathname.startsWith(`${GATEWAY_PREFIX}/`) || !Object.prototype.hasOwnProperty.call(endpoints, endpoint)) {
+            sendJson(res, 404, { error: `Unknown AI gateway endpoint: ${url.pathname}` });
+            return;
+        }
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: 'Use POST' }, { Allow: 'POST' });
+            return;
+        }
+
+        const startTime = Date.now();
+        const entry = {
+            time: new Date(startTime).toISOString(),
+            user,
+            label: labelOf(req),
+            project: context.projectId,
+            capability: context.capability || endpoint,
+            endpoint,
+            provider: null,
+            model: null,
+            status: 200
+        };
+
+        // Meter a call that reached its endpoint (result is null when it failed)
+        const meterCall = (body, result) => usageMeter.record({
+            ...context,
+            capability: entry.capability,
+            provider: result?.provider || ENDPOINT_PROVIDERS[endpoint]
+                || (Object.prototype.hasOwnProperty.call(llm, body.provider) ? body.provider : 'gemini'),
+            model: result?.model || null,
+            ok: Boolean(result),
+            latencyMs: Date.now() - startTime,
+            ...measureUsage(endpoint, body, result)
+        });
+
+        let body = null;
+        try {
+            consumeQuota(user);
+            usageMeter.checkBudget(context.projectId);
+            body = await readBody(req);
+            const result = await endpoints[endpoint](body, req);
+            entry.provider = result.provider;
+            entry.model = result.model;
+            if (result.usage) entry.usage = result.usage;
+            entry.cost = meterCall(body, result);
+            sendJson(res, 200, result.body, budgetHeader(context.projectId));
+        } catch (error) {
+            entry.status = error instanceof GatewayError ? error.status : 502;
+            entry.error = error.message;
+            // Quota and budget refusals, bad requests and unconfigured providers made no vendor call
+            if (body && entry.status !== 400 && error.code !== 'not_configured') entry.cost = meterCall(body, null);
+            sendJson(res, entry.status, { error: error.message, code: error.code || (entry.status === 502 ? 'vendor' : undefined), provider: error.provider }, {
+                ...budgetHeader(context.projectId),
+                ...(error.retryAfter && { 'Retry-After': String(error.retryAfter) })
+            });
+        } finally {
+            entry.ms = Date.now() - startTime;
+            writeLog(entry);
+        }
+    };
+
+    const middleware = (req, res, next) => {
+        if (!req.url.startsWith(`${GATEWAY_PREFIX}/`)) {
+            next();
+            return;
+        }
+        handle(req, res).catch(next);
+    };
+
+    return { middleware, handle, providers, config, meter: usageMeter };
+};
+
+export default createAiGateway;
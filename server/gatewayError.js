@@ -0,0 +1,14 @@
+/**
+ * Error with the HTTP status the AI gateway answers with
+ */
+export class GatewayError extends Error {
+    constructor(status, message, code = undefined, provider = undefined) {
+        super(message);
+        this.name = 'GatewayError';
+        this.status = status;
+        this.code = code;
+        this.provider = provider;
+    }
+}
+
+export default GatewayError;
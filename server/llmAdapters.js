@@ -0,0 +1,224 @@
+/**
+ * LLM Adapters
+ *
+ * One interface over every chat model the gateway can reach:
+ *
+ *   adapter.complete({ prompt, image, model, temperature, maxTokens, json, reasoning, referer })
+ *     -> Promise<{ text, model, usage: { inputTokens, outputTokens } }>
+ *
+ * image is { mimeType, base64 } for vision calls; json asks the model for
+ * a bare JSON object (Gemini responseMimeType, OpenAI response_format).
+ * usage is the vendor's token count; null fields when it doesn't report one.
+ * Rate limits (429) are retried with backoff; Gemini also rotates through
+ * its keys. Which capability uses which adapter and model is decided by
+ * the app's routing config (aiOrchestrator), not here.
+ *
+ *   gemini     - GEMINI_API_KEYS / GEMINI_API_KEY
+ *   openrouter - OPENROUTER_API_KEY
+ *   openai     - OPENAI_API_KEY, OPENAI_BASE_URL (any OpenAI-compatible API),
+ *                OPENAI_MODEL, OPENAI_VISION_MODEL
+ *   local      - LOCAL_LLM_URL, e.g. http://localhost:11434/v1 (Ollama) or
+ *                http://localhost:8080/v1 (llama.cpp server); LOCAL_LLM_MODEL,
+ *                LOCAL_LLM_VISION_MODEL, optional LOCAL_LLM_API_KEY
+ */
+
+import { GatewayError } from './gatewayError.js';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const GEMINI_DEFAULT_MODEL = 'gemini-2.0-flash';
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const backoffDelay = (attempt) => {
+    const delay = Math.min(BASE_DELAY_MS * Math.pow(2, attempt), MAX_DELAY_MS);
+    return Math.round(delay + delay * 0.25 * (Math.random() * 2 - 1));
+};
+
+export const splitKeys = (value) => (value || '').split(',').map(key => key.trim()).filter(key => key.length > 5);
+
+const vendorError = async (response, vendor) => {
+    const detail = await response.text().catch(() => '');
+    return new GatewayError(response.status === 429 ? 429 : 502, `${vendor} request failed (${response.status}): ${detail.slice(0, 300)}`);
+};
+
+// Retry a request on 429 with exponential backoff and jitter
+const withBackoff = async (request) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error.status !== 429 || attempt >= MAX_RETRIES - 1) throw error;
+            await sleep(backoffDelay(attempt));
+        }
+    }
+};
+
+// Model ids end up in URLs and request bodies
+const checkModel = (model) => {
+    if (!/^[\w.:/@-]+$/.test(model)) throw new GatewayError(400, `Invalid model "${model}"`);
+    return model;
+};
+
+// ============================================
+// GEMINI
+// ============================================
+
+const createGeminiAdapter = ({ keys, fetch }) => {
+    let keyIndex = 0;
+
+    return {
+        name: 'gemini',
+        envHint: 'GEMINI_API_KEY or GEMINI_API_KEYS',
+        configured: keys.length > 0,
+
+        // Backoff per key on 429, then move on to the next key
+        async complete({ prompt, image, model = GEMINI_DEFAULT_MODEL, temperature, maxTokens, json }) {
+            checkModel(model);
+            const parts = [{ text: prompt }];
+            if (image) parts.push({ inline_data: { mime_type: image.mimeType, data: image.base64 } });
+            const generationConfig = {
+                temperature: temperature ?? (image ? 0.1 : 0.7),
+                maxOutputTokens: maxTokens || (image ? 256 : 1024),
+                ...(json && { responseMimeType: 'application/json' })
+            };
+
+            let lastError = null;
+            for (let tried = 0; tried < keys.length; tried++) {
+                const key = keys[keyIndex % keys.length];
+                try {
+                    const { text, usage } = await withBackoff(async () => {
+                        const response = await fetch(`${GEMINI_API_BASE}/${model}:generateContent?key=${key}`, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ contents: [{ parts }], generationConfig })
+                        });
+                        if (!response.ok) throw await vendorError(response, 'Gemini');
+                        const data = await response.json();
+                        return {
+                            text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+                            usage: {
+                                inputTokens: data.usageMetadata?.promptTokenCount ?? null,
+                                outputTokens: data.usageMetadata?.candidatesTokenCount ?? null
+                            }
+                        };
+                    });
+                    return { text, model, usage };
+                } catch (error) {
+                    lastError = error;
+                    if (error.status !== 429) throw error;
+                    keyIndex = (keyIndex + 1) % keys.length;
+                }
+            }
+            throw lastError;
+        }
+    };
+};
+
+// ============================================
+// OPENAI-COMPATIBLE (OpenRouter, OpenAI, Ollama, llama.cpp)
+// ============================================
+
+const createOpenAiCompatibleAdapter = ({ name, envHint, configured, baseUrl, key, textModel, visionModel, headers = () => ({}), reasoning = false, fetch }) => ({
+    name,
+    envHint,
+    configured,
+
+    async complete({ prompt, image, model, temperature, maxTokens, json, reasoning: wantsReasoning, referer }) {
+        const resolvedModel = checkModel(model || (image ? visionModel : textModel));
+        const content = image
+            ? [
+                { type: 'text', text: prompt },
+                { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.base64}` } }
+            ]
+            : prompt;
+        const body = {
+            model: resolvedModel,
+            messages: [{ role: 'user', content }],
+            temperature: temperature ?? (image ? 0.3 : 0.7),
+            ...(maxTokens && { max_tokens: maxTokens }),
+            ...(json && { response_format: { type: 'json_object' } }),
+            ...(reasoning && wantsReasoning && { reasoning: { enabled: true } })
+        };
+
+        const { text, usage } = await withBackoff(async () => {
+            const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(key && { 'Authorization': `Bearer ${key}` }),
+                    ...headers({ referer })
+                },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) throw await vendorError(response, name);
+            const data = await response.json();
+            return {
+                text: data.choices?.[0]?.message?.content || '',
+                usage: {
+                    inputTokens: data.usage?.prompt_tokens ?? null,
+                    outputTokens: data.usage?.completion_tokens ?? null
+                }
+            };
+        });
+        return { text, model: resolvedModel, usage };
+    }
+});
+
+/**
+ * All adapters, configured from the environment
+ * @param {object} options
+ * @param {object} options.env - process.env, or Vite's loadEnv() output
+ * @param {function} options.fetch
+ * @returns {object} name -> adapter
+ */
+export const createLlmAdapters = ({ env = process.env, fetch = globalThis.fetch } = {}) => {
+    const openRouterKey = splitKeys(env.OPENROUTER_API_KEY)[0];
+    const openAiKey = splitKeys(env.OPENAI_API_KEY)[0];
+    const openAiModel = env.OPENAI_MODEL || 'gpt-4o-mini';
+    const localModel = env.LOCAL_LLM_MODEL || 'llama3.2';
+
+    return {
+        gemini: createGeminiAdapter({
+            keys: [...new Set([...splitKeys(env.GEMINI_API_KEYS), ...splitKeys(env.GEMINI_API_KEY)])],
+            fetch
+        }),
+        openrouter: createOpenAiCompatibleAdapter({
+            name: 'openrouter',
+            envHint: 'OPENROUTER_API_KEY',
+            configured: Boolean(openRouterKey),
+            baseUrl: 'https://openrouter.ai/api/v1',
+            key: openRouterKey,
+            textModel: 'xiaomi/mimo-v2-flash:free',
+            visionModel: 'nvidia/nemotron-nano-12b-v2-vl:free',
+            headers: ({ referer }) => ({ 'HTTP-Referer': referer || 'http://localhost', 'X-Title': 'AstraCreate' }),
+            reasoning: true,
+            fetch
+        }),
+        openai: createOpenAiCompatibleAdapter({
+            name: 'openai',
+            envHint: 'OPENAI_API_KEY',
+            configured: Boolean(openAiKey),
+            baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            key: openAiKey,
+            textModel: openAiModel,
+            visionModel: env.OPENAI_VISION_MODEL || openAiModel,
+            fetch
+        }),
+        local: createOpenAiCompatibleAdapter({
+            name: 'local',
+            envHint: 'LOCAL_LLM_URL',
+            configured: Boolean(env.LOCAL_LLM_URL),
+            baseUrl: env.LOCAL_LLM_URL || '',
+            key: env.LOCAL_LLM_API_KEY || null,
+            textModel: localModel,
+            visionModel: env.LOCAL_LLM_VISION_MODEL || 'llava',
+            fetch
+        })
+    };
+};
+
+export default createLlmAdapters;
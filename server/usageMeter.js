@@ -0,0 +1,422 @@
+/**
+ * Usage Meter
+ *
+ * Server-side metering and budgets for the AI gateway, shared by every user
+ * and browser of the gateway. Each vendor call the gateway makes is
+ * recorded with its calls, errors, tokens, image megapixels, latency and an
+ * estimated cost. Usage is bucketed by month, project (the workspace, as the
+ * gateway resolves it), campaign, capability, provider and model.
+ *
+ * Costs are estimates from the pricing table (USD): per call, per million
+ * input and output tokens, and per megapixel, per provider with optional
+ * per-model overrides. Override with AI_PRICING (JSON). Token counts come
+ * from the vendor when it reports them, else ~4 chars per token.
+ *
+ * Each project can have a monthly budget that warns at a share of the limit
+ * and, with action 'stop', refuses further calls once the limit is reached.
+ * Budgets in AI_GATEWAY_BUDGETS (JSON, projectId -> budget) are locked and
+ * can't be changed at all; the others are set by a gateway admin.
+ *
+ * Runs attribute the cost of the calls tagged with their id (X-Astra-Run) to
+ * a feature, e.g. a Magic Wand generation, and count the creatives it
+ * produced - cost per creative for finance.
+ *
+ * State is kept in memory, and in AI_GATEWAY_USAGE_FILE (JSON) when set:
+ *   { buckets: { [key]: totals }, runs: { [key]: totals }, budgets: { [projectId]: budget } }
+ */
+
+import { readFileSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { GatewayError } from './gatewayError.js';
+
+// ============================================
+// PRICING
+// ============================================
+
+/**
+ * Estimated prices in USD. perMInputTokens/perMOutputTokens are per
+ * million tokens; models overrides by the model id (or gateway model key)
+ * the call used.
+ */
+export const DEFAULT_AI_PRICING = {
+    gemini: { perMInputTokens: 0.10, perMOutputTokens: 0.40 },
+    // Default routes use OpenRouter's free models
+    openrouter: { perMInputTokens: 0, perMOutputTokens: 0 },
+    openai: {
+        perMInputTokens: 0.15,
+        perMOutputTokens: 0.60,
+        models: { 'gpt-4o': { perMInputTokens: 2.50, perMOutputTokens: 10.00 } }
+    },
+    local: {},
+    huggingface: {
+        perCall: 0.0005,
+        models: {
+            'black-forest-labs/FLUX.1-schnell': { perMegapixel: 0.003 },
+            'stabilityai/stable-diffusion-xl-base-1.0': { perMegapixel: 0.002 }
+        }
+    },
+    withoutbg: { perCall: 0.05 },
+    cloudinary: { perCall: 0.001 }
+};
+
+// A JSON env var, or {} when unset or invalid
+const readJsonEnv = (env, name) => {
+    const raw = env[name];
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        console.error(`Ignoring ${name}:`, error.message);
+        return {};
+    }
+};
+
+/**
+ * Pricing with the AI_PRICING (JSON, per-provider) overrides
+ */
+export const readPricing = (env = process.env) => ({ ...DEFAULT_AI_PRICING, ...readJsonEnv(env, 'AI_PRICING') });
+
+/**
+ * Locked budgets from AI_GATEWAY_BUDGETS (JSON, projectId -> budget)
+ */
+export const readBudgets = (env = process.env) => readJsonEnv(env, 'AI_GATEWAY_BUDGETS');
+
+/**
+ * Estimated cost of some usage
+ * @param {object} pricing - readPricing() output
+ * @param {object} usage - { provider, model, calls, inputTokens, outputTokens, megapixels }
+ * @returns {number} USD
+ */
+export const estimateCost = (pricing, { provider, model, calls = 1, inputTokens = 0, outputTokens = 0, megapixels = 0 }) => {
+    const base = pricing[provider] || {};
+    const price = { ...base, ...base.models?.[model] };
+    return calls * (price.perCall || 0)
+        + inputTokens * (price.perMInputTokens || 0) / 1e6
+        + outputTokens * (price.perMOutputTokens || 0) / 1e6
+        + megapixels * (price.perMegapixel || 0);
+};
+
+/**
+ * Rough token count for text a vendor didn't count
+ */
+export const estimateTokens = (text) => (typeof text === 'string' ? Math.ceil(text.length / 4) : 0);
+
+// ============================================
+// IMAGE SIZE
+// ============================================
+
+// Width and height from a PNG, GIF, JPEG or WebP header
+const readImageSize = (b) => {
+    const u16 = (i) => b.readUInt16BE(i);
+    const ascii = (from, to) => b.toString('latin1', from, to);
+
+    if (b.length < 30) return null;
+    if (b[0] === 0x89 && ascii(1, 4) === 'PNG') return { width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+    if (ascii(0, 3) === 'GIF') return { width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+    if (b[0] === 0xff && b[1] === 0xd8) {
+        // First start-of-frame marker (SOF0-SOF15, except DHT, JPG and DAC)
+        for (let i = 2; i + 9 < b.length && b[i] === 0xff;) {
+            const marker = b[i + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: u16(i + 7), height: u16(i + 5) };
+            }
+            i += 2 + u16(i + 2);
+        }
+        return null;
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        const chunk = ascii(12, 16);
+        if (chunk === 'VP8X') return { width: 1 + b.readUIntLE(24, 3), height: 1 + b.readUIntLE(27, 3) };
+        if (chunk === 'VP8L') {
+            const bits = b.readUInt32LE(21);
+            return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >>> 14) & 0x3fff) };
+        }
+        if (chunk === 'VP8 ') return { width: b.readUInt16LE(26) & 0x3fff, height: b.readUInt16LE(28) & 0x3fff };
+    }
+    return null;
+};
+
+/**
+ * Megapixels of an image, read from its header
+ * @param {string} image - Data URL or raw base64
+ * @returns {number} 0 when the format isn't recognised
+ */
+export const imageMegapixels = (image) => {
+    if (typeof image !== 'string') return 0;
+    const base64 = image.replace(/^data:[^,]*,/, '');
+    try {
+        // JPEG frame headers can follow ~64KB of EXIF
+        const size = readImageSize(Buffer.from(base64.slice(0, 87380), 'base64'));
+        return size ? (size.width * size.height) / 1e6 : 0;
+    } catch {
+        return 0;
+    }
+};
+
+// ============================================
+// BUDGETS
+// ============================================
+
+export const BUDGET_ACTIONS = ['warn', 'stop'];
+
+export const DEFAULT_BUDGET = {
+    monthlyLimit: null, // USD; null = no budget
+    warnAt: 0.8,        // share of the limit
+    action: 'warn'      // 'warn' | 'stop' (refuse calls at the limit)
+};
+
+/**
+ * Check budget settings
+ * @returns {string[]} Errors
+ */
+export const validateBudget = (budget) => {
+    const errors = [];
+    if (budget.monthlyLimit !== null && !(typeof budget.monthlyLimit === 'number' && budget.monthlyLimit >= 0)) {
+        errors.push('Monthly limit must be a positive amount, or empty for no budget');
+    }
+    if (!(typeof budget.warnAt === 'number' && budget.warnAt > 0 && budget.warnAt <= 1)) {
+        errors.push('Warning threshold must be between 1% and 100%');
+    }
+    if (!BUDGET_ACTIONS.includes(budget.action)) {
+        errors.push(`Action must be one of ${BUDGET_ACTIONS.join(', ')}`);
+    }
+    return errors;
+};
+
+// ============================================
+// METER
+// ============================================
+
+// Open runs are dropped if never finished within this time
+const RUN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const emptyTotals = () => ({ calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, megapixels: 0, latencyMs: 0, cost: 0 });
+
+const addTotals = (totals, entry) => {
+    Object.keys(emptyTotals()).forEach((key) => {
+        totals[key] += entry[key] || 0;
+    });
+    return totals;
+};
+
+const withAverages = (totals) => ({
+    ...totals,
+    avgLatencyMs: totals.calls > 0 ? Math.round(totals.latencyMs / totals.calls) : 0
+});
+
+const groupTotals = (buckets, keyOf, describe) => {
+    const groups = new Map();
+    buckets.forEach((bucket) => {
+        const key = keyOf(bucket);
+        if (!groups.has(key)) groups.set(key, { ...describe(bucket), ...emptyTotals() });
+        addTotals(groups.get(key), bucket);
+    });
+    return [...groups.values()].map(withAverages).sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+};
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const loadState = (file) => {
+    const empty = { buckets: {}, runs: {}, budgets: {} };
+    if (!file) return empty;
+    try {
+        return { ...empty, ...JSON.parse(readFileSync(file, 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Failed to load AI usage:', error.message);
+        return empty;
+    }
+};
+
+/**
+ * Create the meter
+ * @param {object} options
+ * @param {object} options.pricing - readPricing() output
+ * @param {object} options.budgets - Locked budgets, projectId -> budget
+ * @param {string} options.file - JSON file to keep usage and budgets in, or null
+ * @param {function} options.now - Clock, for tests
+ */
+export const createUsageMeter = ({ pricing = DEFAULT_AI_PRICING, budgets: lockedBudgets = {}, file = null, now = () => new Date() } = {}) => {
+    const state = loadState(file);
+    const openRuns = new Map(); // run id -> { feature, projectId, month, calls, cost, startedAt }
+    const warned = new Set();   // month|project|state already reported
+    let saving = Promise.resolve();
+
+    const save = () => {
+        if (!file) return;
+        const json = JSON.stringify(state);
+        saving = saving
+            .then(() => writeFile(file, json))
+            .catch(error => console.error('Failed to save AI usage:', error.message));
+    };
+
+    const currentMonth = () => now().toISOString().slice(0, 7);
+
+    const isLocked = (projectId) => Object.prototype.hasOwnProperty.call(lockedBudgets, projectId);
+
+    const getBudget = (projectId) => ({
+        ...DEFAULT_BUDGET,
+        ...(isLocked(projectId) ? lockedBudgets[projectId] : state.budgets[projectId]),
+        locked: isLocked(projectId)
+    });
+
+    const setBudget = (projectId, budget) => {
+        if (isLocked(projectId)) throw new GatewayError(403, `The AI budget for ${projectId} is set on the gateway (AI_GATEWAY_BUDGETS)`);
+        const saved = {
+            monthlyLimit: budget.monthlyLimit ?? null,
+            warnAt: budget.warnAt ?? DEFAULT_BUDGET.warnAt,
+            action: budget.action ?? DEFAULT_BUDGET.action
+        };
+        const errors = validateBudget(saved);
+        if (errors.length > 0) throw new GatewayError(400, errors.join('; '));
+        state.budgets[projectId] = saved;
+        save();
+        return getBudget(projectId);
+    };
+
+    const monthSpend = (projectId, month) => Object.values(state.buckets)
+        .filter(bucket => bucket.projectId === projectId && bucket.month === month)
+        .reduce((sum, bucket) => sum + bucket.cost, 0);
+
+    /**
+     * Spend against a project's budget
+     * @returns {{ projectId, month, spent, limit: number|null, ratio, state: 'none'|'ok'|'warning'|'exceeded', action, warnAt, locked }}
+     */
+    const budgetStatus = (projectId, month = currentMonth()) => {
+        const { monthlyLimit, warnAt, action, locked } = getBudget(projectId);
+        const spent = monthSpend(projectId, month);
+        const base = { projectId, month, spent, limit: monthlyLimit, action, warnAt, locked };
+        if (monthlyLimit === null) return { ...base, ratio: 0, state: 'none' };
+        // A zero budget is used up from the start
+        const ratio = monthlyLimit > 0 ? spent / monthlyLimit : 1;
+        return { ...base, ratio, state: ratio >= 1 ? 'exceeded' : ratio >= warnAt ? 'warning' : 'ok' };
+    };
+
+    /**
+     * Before a call: warn once per month and state, and refuse it when a
+     * 'stop' budget is used up
+     * @throws {GatewayError} 402 budget_exceeded
+     */
+    const checkBudget = (projectId) => {
+        const status = budgetStatus(projectId);
+        if (status.state === 'exceeded' && status.action === 'stop') {
+            throw new GatewayError(402,
+                `AI budget for ${projectId} used up this month ($${status.spent.toFixed(2)} of $${status.limit.toFixed(2)}). A gateway admin can raise the budget.`,
+                'budget_exceeded');
+        }
+        const key = `${status.month}|${projectId}|${status.state}`;
+        if ((status.state === 'warning' || status.state === 'exceeded') && !warned.has(key)) {
+            warned.add(key);
+            console.warn(`AI budget for ${projectId}: $${status.spent.toFixed(2)} of $${status.limit.toFixed(2)} used this month`);
+        }
+    };
+
+    const openRun = (run, projectId, month) => {
+        const time = now().getTime();
+        for (const [id, open] of openRuns) {
+            if (time - open.startedAt > RUN_TTL_MS) openRuns.delete(id);
+        }
+        if (!openRuns.has(run.id)) {
+            openRuns.set(run.id, { feature: run.feature, projectId, month, calls: 0, cost: 0, startedAt: time });
+        }
+        return openRuns.get(run.id);
+    };
+
+    /**
+     * Record one call
+     * @param {object} entry - { projectId, campaign, capability, provider, model, ok, inputTokens, outputTokens, megapixels, latencyMs, run }
+     *   run - { id, feature } of the run the call belongs to, or null
+     * @returns {number} Estimated cost in USD
+     */
+    const record = ({ projectId, campaign = '', capability, provider, model = null, ok = true, inputTokens = 0, outputTokens = 0, megapixels = 0, latencyMs = 0, run = null }) => {
+        const month = currentMonth();
+        // Failed calls are counted but not billed
+        const cost = ok ? estimateCost(pricing, { provider, model, inputTokens, outputTokens, megapixels }) : 0;
+
+        const key = [month, projectId, campaign, capability, provider, model || ''].join('|');
+        const bucket = (state.buckets[key] ||= { month, projectId, campaign, capability, provider, model, ...emptyTotals() });
+        addTotals(bucket, { calls: 1, errors: ok ? 0 : 1, inputTokens, outputTokens, megapixels, latencyMs, cost });
+        if (run?.id) {
+            const open = openRun(run, projectId, month);
+            open.calls += 1;
+            open.cost += cost;
+        }
+        save();
+        return cost;
+    };
+
+    /**
+     * Close a run and count what it produced
+     * @param {object} run - { id, feature, projectId, creatives }
+     */
+    const finishRun = ({ id, feature, projectId, creatives = 0 }) => {
+        const open = openRuns.get(id) || { feature, projectId, month: currentMonth(), calls: 0, cost: 0 };
+        openRuns.delete(id);
+        const key = [open.month, open.projectId, open.feature].join('|');
+        const totals = (state.runs[key] ||= { month: open.month, projectId: open.projectId, feature: open.feature, runs: 0, calls: 0, creatives: 0, cost: 0 });
+        totals.runs += 1;
+        totals.calls += open.calls;
+        totals.creatives += Math.max(0, Number(creatives) || 0);
+        totals.cost += open.cost;
+        save();
+        return totals;
+    };
+
+    /**
+     * Months with recorded usage, newest first
+     */
+    const months = () => [...new Set([
+        currentMonth(),
+        ...Object.values(state.buckets).map(bucket => bucket.month)
+    ])].sort().reverse();
+
+    /**
+     * Usage for a month and project
+     * @returns {{ month, projectId, months, totals, byCampaign, byCapability, runs, budget }}
+     */
+    const report = ({ month = currentMonth(), projectId }) => {
+        const buckets = Object.values(state.buckets).filter(bucket => bucket.month === month && bucket.projectId === projectId);
+        return {
+            month,
+            projectId,
+            months: months(),
+            totals: withAverages(buckets.reduce(addTotals, emptyTotals())),
+            byCampaign: groupTotals(buckets, bucket => bucket.campaign, bucket => ({ campaign: bucket.campaign })),
+            byCapability: groupTotals(
+                buckets,
+                bucket => `${bucket.capability}|${bucket.provider}`,
+                bucket => ({ capability: bucket.capability, provider: bucket.provider })
+            ),
+            runs: Object.values(state.runs)
+                .filter(run => run.month === month && run.projectId === projectId)
+                .map(run => ({ ...run, costPerCreative: run.creatives > 0 ? run.cost / run.creatives : 0 })),
+            budget: budgetStatus(projectId, month)
+        };
+    };
+
+    /**
+     * Usage and feature runs as CSV, for finance
+     * @param {string} month - 'YYYY-MM'; all months when omitted
+     * @param {string} projectId - Only this project; every project when omitted
+     */
+    const csv = (month = null, projectId = null) => {
+        const header = ['kind', 'month', 'project', 'campaign', 'capability', 'provider', 'model', 'feature', 'calls', 'errors',
+            'input_tokens', 'output_tokens', 'megapixels', 'avg_latency_ms', 'runs', 'creatives', 'estimated_cost_usd', 'cost_per_creative_usd'];
+        const included = entry => (!month || entry.month === month) && (!projectId || entry.projectId === projectId);
+        const rows = [
+            ...Object.values(state.buckets).filter(included).map(bucket => ['usage', bucket.month, bucket.projectId, bucket.campaign,
+                bucket.capability, bucket.provider, bucket.model, '', bucket.calls, bucket.errors, bucket.inputTokens, bucket.outputTokens,
+                bucket.megapixels.toFixed(2), withAverages(bucket).avgLatencyMs, '', '', bucket.cost.toFixed(4), '']),
+            ...Object.values(state.runs).filter(included).map(run => ['run', run.month, run.projectId, '', '', '', '', run.feature,
+                run.calls, '', '', '', '', '', run.runs, run.creatives, run.cost.toFixed(4),
+                run.creatives > 0 ? (run.cost / run.creatives).toFixed(4) : ''])
+        ];
+        return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+    };
+
+    return { record, finishRun, checkBudget, budgetStatus, getBudget, setBudget, report, csv, months, flush: () => saving };
+};
+
+export default createUsageMeter;
@@ -11,6 +11,10 @@ import MagicWandWizard from './components/MagicWandWizard';
 import DemoGallery from './components/DemoGallery';
 import TemplateManager from './components/TemplateManager';
 import GuidedMode from './components/GuidedMode';
+import FormatManager from './components/FormatManager';
+import NamingEditor from './components/NamingEditor';
+import AiUsagePanel from './components/AiUsagePanel';
+import AnimationExporter from './components/AnimationExporter';
 import Dashboard from './components/Dashboard';
 import useStore from './store/useStore';
 
@@ -24,6 +28,10 @@ function App() {
   const [showDemoGallery, setShowDemoGallery] = useState(false);
   const [showTemplateManager, setShowTemplateManager] = useState(false);
   const [showGuidedMode, setShowGuidedMode] = useState(false);
+  const [showFormatManager, setShowFormatManager] = useState(false);
+  const [showAnimationExporter, setShowAnimationExporter] = useState(false);
+  const [showNamingEditor, setShowNamingEditor] = useState(false);
+  const [showUsagePanel, setShowUsagePanel] = useState(false);
 
   // Navigation handler
   const handleNavigate = (target) => {
@@ -162,6 +170,34 @@ function App() {
         />
       )}
 
+      {/* Format Manager - custom format presets */}
+      {showFormatManager && (
+        <FormatManager
+          onClose={() => setShowFormatManager(false)}
+        />
+      )}
+
+      {/* Animation Exporter - animated story export */}
+      {showAnimationExporter && (
+        <AnimationExporter
+          onClose={() => setShowAnimationExporter(false)}
+        />
+      )}
+
+      {/* Naming Editor - export file naming convention */}
+      {showNamingEditor && (
+        <NamingEditor
+          onClose={() => setShowNamingEditor(false)}
+        />
+      )}
+
+      {/* AI Usage - metering, budgets and cost per creative */}
+      {showUsagePanel && (
+        <AiUsagePanel
+          onClose={() => setShowUsagePanel(false)}
+        />
+      )}
+
       {/* Top Toolbar */}
       {view === 'editor' && (
         <Toolbar
@@ -169,6 +205,10 @@ function App() {
           onOpenDemoGallery={() => setShowDemoGallery(true)}
           onOpenTemplates={() => setShowTemplateManager(true)}
           onOpenGuidedMode={() => setShowGuidedMode(true)}
+          onOpenFormats={() => setShowFormatManager(true)}
+          onOpenAnimation={() => setShowAnimationExporter(true)}
+          onOpenNaming={() => setShowNamingEditor(true)}
+          onOpenUsage={() => setShowUsagePanel(true)}
           onHome={() => setView('dashboard')}
         />
       )}
@@ -0,0 +1,76 @@
+/**
+ * Animation Compliance
+ * Deterministic checks (layout + regex, via batchLint) on the frames of an
+ * animated creative: the final frame, and every frame where text is on
+ * screen - a headline sliding in through a safe zone, or copy visible over
+ * a packshot mid-animation, fails even if the last frame is clean.
+ *
+ * Frames with identical geometry are checked once.
+ */
+
+import { lintCreative } from './batchLint';
+import { frameAt, frameTimes } from '../utils/animationTimeline';
+import { normalizeObjectType } from './serializedCanvas';
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+// Below this opacity an object is not visible
+const VISIBLE_OPACITY = 0.01;
+
+// Text on screen (frames carry Fabric 6 class names like "IText")
+const isVisibleText = (o) => TEXT_TYPES.includes(normalizeObjectType(o.type))
+    && o.text?.trim()
+    && (o.opacity ?? 1) > VISIBLE_OPACITY;
+
+// What a frame's checks depend on
+const frameSignature = (frame) => JSON.stringify(frame.objects.map(o => [
+    Math.round(o.left), Math.round(o.top),
+    Math.round((o.scaleX ?? 1) * 1000), Math.round((o.scaleY ?? 1) * 1000),
+    Math.round((o.opacity ?? 1) * 100),
+]));
+
+/**
+ * Check the frames of an animated creative
+ * @param {object} canvasJSON - canvas.toJSON(['animation', ...]) output
+ * @param {object} options - { formatKey, format, duration, fps, isAlcoholProduct, backgroundColor, projectId }
+ * @returns {{ passed: boolean, framesChecked: number, failures: Array<{ time, ruleId, ruleName, type, message }> }}
+ *   failures are deduplicated by rule and message, with the first time they occur
+ */
+export const checkAnimationFrames = (canvasJSON, options) => {
+    const { format, duration, fps } = options;
+    const times = [...frameTimes(duration, fps), duration];
+
+    const checked = new Set();
+    const failures = new Map();
+
+    for (const time of times) {
+        const frame = frameAt(canvasJSON, time, format);
+        const isFinal = time === duration;
+        const hasText = frame.objects.some(isVisibleText);
+        if (!isFinal && !hasText) continue;
+
+        const signature = frameSignature(frame);
+        if (checked.has(signature)) continue;
+        checked.add(signature);
+
+        const { results } = lintCreative(frame, options);
+        for (const r of results) {
+            if (r.status !== 'fail') continue;
+            const key = `${r.ruleId}|${r.message}`;
+            if (!failures.has(key)) {
+                failures.set(key, { time, ruleId: r.ruleId, ruleName: r.ruleName, type: r.type, message: r.message });
+            }
+        }
+    }
+
+    const list = [...failures.values()];
+    return {
+        passed: !list.some(f => f.type === 'hard_fail'),
+        framesChecked: checked.size,
+        failures: list,
+    };
+};
+
+export default {
+    checkAnimationFrames,
+};
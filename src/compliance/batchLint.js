@@ -0,0 +1,232 @@
+/**
+ * Batch Lint
+ * Deterministic compliance linting of saved creatives (TemplateManager
+ * templates, history entries or raw canvas.toJSON output) - layout rules via
+ * evaluateLayoutRules plus the regex detectors. No AI, no live canvas.
+ *
+ * Used by the astra-lint CLI (scripts/astra-lint.js); the reporters turn
+ * lint reports into text, JSON or JUnit XML.
+ */
+
+import { evaluateLayoutRules, toLayoutElements } from './layoutRuleEvaluator';
+import regexDetector from './detectors/regexDetector';
+import { getRuleById, getRulesByDetectionMethod } from './ruleSchema';
+import { createSerializedCanvas } from './serializedCanvas';
+import { FORMAT_PRESETS } from '../store/useStore';
+
+export { toLayoutElements };
+
+/**
+ * Split a parsed JSON file into lintable creatives.
+ * Accepts a template/history item ({ name, format, data }), an array of them
+ * (e.g. the astra-templates localStorage dump), a saveToHistory entry or raw
+ * canvas JSON.
+ * @param {any} parsed
+ * @returns {Array<{ name: string|null, format: string|null, canvasJSON: object }>}
+ */
+export const extractCreatives = (parsed) => {
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+
+    return items.map((item, i) => {
+        if (item && item.data && Array.isArray(item.data.objects)) {
+            return { name: item.name || item.id || `#${i}`, format: item.format || null, canvasJSON: item.data };
+        }
+        return { name: items.length > 1 ? `#${i}` : null, format: item?.format || null, canvasJSON: item };
+    });
+};
+
+const ruleMeta = (ruleId, projectId) => {
+    const rule = getRuleById(ruleId, projectId);
+    return {
+        ruleName: rule?.name || ruleId,
+        type: rule?.type || 'hard_fail'
+    };
+};
+
+const describeRegexViolation = (v) => {
+    return v.matchedTerms
+        ? `"${v.objectId}" contains "${v.matchedTerms.join('", "')}"`
+        : `"${v.objectId}": ${v.explanation}`;
+};
+
+/**
+ * Lint a single serialized creative
+ * @param {object|string} canvasJSON
+ * @param {object} options - { formatKey, isAlcoholProduct, backgroundColor, projectId }
+ * @returns {{ format: string, results: Array, hardFails: number, warnings: number, passed: boolean }}
+ */
+export const lintCreative = (canvasJSON, options = {}) => {
+    const formatKey = options.formatKey || 'instagram-feed';
+    const format = FORMAT_PRESETS[formatKey];
+    if (!format) {
+        throw new Error(`Unknown format "${formatKey}". Available: ${Object.keys(FORMAT_PRESETS).join(', ')}`);
+    }
+
+    const canvas = createSerializedCanvas(canvasJSON, format);
+    const context = {
+        backgroundColor: options.backgroundColor || canvas.backgroundColor || '#ffffff',
+        isAlcoholProduct: options.isAlcoholProduct || false,
+        projectId: options.projectId
+    };
+
+    const results = [];
+
+    // Layout rules
+    const layoutResults = evaluateLayoutRules(
+        toLayoutElements(canvas),
+        { ...format, formatId: formatKey },
+        null,
+        context
+    );
+    for (const r of layoutResults) {
+        results.push({ ...r, ...ruleMeta(r.ruleId, context.projectId), detectionMethod: 'layout' });
+    }
+
+    // Regex rules (prohibited terms and copy length) - one result per rule,
+    // failing elements joined into the message
+    for (const rule of getRulesByDetectionMethod('regex', context.projectId)) {
+        const { violations } = regexDetector.runRegexRule(rule, canvas);
+        results.push({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            detectionMethod: 'regex',
+            status: violations.length > 0 ? 'fail' : 'pass',
+            message: violations.length > 0
+                ? violations.map(describeRegexViolation).join('; ')
+                : 'No violations found'
+        });
+    }
+
+    const failures = results.filter(r => r.status === 'fail');
+    const hardFails = failures.filter(r => r.type === 'hard_fail').length;
+
+    return {
+        format: formatKey,
+        results,
+        hardFails,
+        warnings: failures.length - hardFails,
+        passed: hardFails === 0
+    };
+};
+
+// ============================================
+// REPORTERS
+// ============================================
+
+/**
+ * Plain text report
+ * @param {Array<{ file: string, report?: object, error?: string }>} entries
+ */
+export const formatTextReport = (entries) => {
+    const lines = [];
+    let totalHardFails = 0;
+    let totalWarnings = 0;
+
+    for (const entry of entries) {
+        if (entry.error) {
+            lines.push(`✖ ${entry.file}`, `    ERROR  ${entry.error}`, '');
+            continue;
+        }
+
+        const { report } = entry;
+        totalHardFails += report.hardFails;
+        totalWarnings += report.warnings;
+
+        lines.push(`${report.passed ? '✔' : '✖'} ${entry.file} [${report.format}]`);
+        for (const r of report.results.filter(r => r.status === 'fail')) {
+            const level = r.type === 'hard_fail' ? 'FAIL' : 'WARN';
+            lines.push(`    ${level}  ${r.ruleId} ${r.ruleName} - ${r.message}`);
+        }
+        lines.push('');
+    }
+
+    const errored = entries.filter(e => e.error).length;
+    lines.push(`${entries.length} creative(s): ${totalHardFails} hard fail(s), ${totalWarnings} warning(s)${errored ? `, ${errored} unreadable` : ''}`);
+    return lines.join('\n');
+};
+
+/**
+ * JSON report
+ */
+export const formatJsonReport = (entries) => {
+    return JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        creatives: entries
+    }, null, 2);
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * JUnit XML report - one testsuite per creative, one testcase per rule.
+ * Hard fails are <failure>s; warnings pass with the message in <system-out>.
+ */
+export const formatJUnitReport = (entries) => {
+    const suites = [];
+    let tests = 0;
+    let failures = 0;
+    let errors = 0;
+
+    for (const entry of entries) {
+        if (entry.error) {
+            tests += 1;
+            errors += 1;
+            suites.push(
+                `  <testsuite name="${escapeXml(entry.file)}" tests="1" failures="0" errors="1">\n` +
+                `    <testcase classname="astra-lint" name="parse">\n` +
+                `      <error message="${escapeXml(entry.error)}"/>\n` +
+                `    </testcase>\n` +
+                `  </testsuite>`
+            );
+            continue;
+        }
+
+        const { report } = entry;
+        tests += report.results.length;
+        failures += report.hardFails;
+
+        const cases = report.results.map(r => {
+            const open = `    <testcase classname="${escapeXml(report.format)}" name="${escapeXml(`${r.ruleId} ${r.ruleName} (${r.detectionMethod})`)}">`;
+            if (r.status !== 'fail') return `${open}</testcase>`;
+            if (r.type === 'hard_fail') {
+                return `${open}\n      <failure type="hard_fail" message="${escapeXml(r.message)}"/>\n    </testcase>`;
+            }
+            return `${open}\n      <system-out>WARNING: ${escapeXml(r.message)}</system-out>\n    </testcase>`;
+        });
+
+        suites.push(
+            `  <testsuite name="${escapeXml(entry.file)}" tests="${report.results.length}" failures="${report.hardFails}" errors="0">\n` +
+            `${cases.join('\n')}\n` +
+            `  </testsuite>`
+        );
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="astra-lint" tests="${tests}" failures="${failures}" errors="${errors}">`,
+        ...suites,
+        '</testsuites>'
+    ].join('\n');
+};
+
+export const REPORTERS = {
+    text: formatTextReport,
+    json: formatJsonReport,
+    junit: formatJUnitReport
+};
+
+export default {
+    extractCreatives,
+    toLayoutElements,
+    lintCreative,
+    formatTextReport,
+    formatJsonReport,
+    formatJUnitReport,
+    REPORTERS
+};
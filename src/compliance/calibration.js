@@ -0,0 +1,268 @@
+/**
+ * Semantic Threshold Calibration
+ * Measures how well each semantic rule's entailment threshold separates
+ * labelled copy, and suggests a better one.
+ *
+ * Input is a CSV of copy lines labelled per rule:
+ *
+ *   text,rule_id,label
+ *   "Kind to the planet",COPY_003,1
+ *   "Freshly picked this morning",COPY_003,0
+ *
+ * label is 1/0 (also true/false, yes/no): whether the line violates the rule.
+ * Every line is scored with checkEntailment against the rule's
+ * semantic_hypothesis; precision/recall are then computed at the rule's
+ * current semantic_threshold and across a sweep of candidate thresholds.
+ */
+
+import { getRuleById } from './ruleSchema';
+import { checkEntailment, DEFAULT_SEMANTIC_THRESHOLD } from './detectors/semanticDetector';
+
+const TRUE_LABELS = ['1', 'true', 'yes', 'y'];
+const FALSE_LABELS = ['0', 'false', 'no', 'n'];
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting), each with the
+ * file line it starts on - quoted fields can span lines. Blank rows are
+ * dropped.
+ * @returns {Array<{ line: number, fields: string[] }>}
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.some(f => f.trim() !== '')) rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\r' && text[i + 1] === '\n') continue; // counted at the \n
+        const newline = char === '\n' || char === '\r';
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += newline ? '\n' : char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (newline) {
+            endRow();
+            rowLine = line + 1;
+        } else {
+            field += char;
+        }
+
+        if (newline) line++;
+    }
+    if (field !== '' || fields.length > 0) endRow();
+
+    return rows;
+};
+
+/**
+ * Parse a labelled calibration CSV (header: text, rule_id, label)
+ * @param {string} csvText
+ * @returns {Array<{ line: number, text: string, ruleId: string, label: boolean }>} line: where the row starts in the file
+ * @throws {Error} On a missing column or an unreadable label
+ */
+export const parseCalibrationCsv = (csvText) => {
+    const [header, ...rows] = parseCsvRows(csvText);
+    if (!header) throw new Error('Calibration CSV is empty');
+
+    const columns = header.fields.map(h => h.trim().toLowerCase());
+    const index = {
+        text: columns.indexOf('text'),
+        ruleId: columns.indexOf('rule_id'),
+        label: columns.indexOf('label')
+    };
+    for (const [name, i] of Object.entries(index)) {
+        if (i < 0) throw new Error(`Calibration CSV needs a "${name === 'ruleId' ? 'rule_id' : name}" column`);
+    }
+
+    return rows.map(({ line, fields }) => {
+        const rawLabel = (fields[index.label] || '').trim().toLowerCase();
+        if (!TRUE_LABELS.includes(rawLabel) && !FALSE_LABELS.includes(rawLabel)) {
+            throw new Error(`Line ${line}: label "${fields[index.label]}" must be 1/0, true/false or yes/no`);
+        }
+        return {
+            line,
+            text: fields[index.text] || '',
+            ruleId: (fields[index.ruleId] || '').trim(),
+            label: TRUE_LABELS.includes(rawLabel)
+        };
+    });
+};
+
+/**
+ * Confusion counts and precision/recall/F1 at a threshold
+ * @param {Array<{ score: number, label: boolean }>} samples
+ * @param {number} threshold
+ */
+export const computeMetrics = (samples, threshold) => {
+    let tp = 0, fp = 0, fn = 0, tn = 0;
+    for (const { score, label } of samples) {
+        const predicted = score >= threshold;
+        if (predicted && label) tp++;
+        else if (predicted && !label) fp++;
+        else if (!predicted && label) fn++;
+        else tn++;
+    }
+
+    // No predictions / no positives: precision / recall are undefined, report 1
+    const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+    const recall = tp + fn === 0 ? 1 : tp / (tp + fn);
+    const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+
+    return { threshold, tp, fp, fn, tn, precision, recall, f1 };
+};
+
+/**
+ * Best threshold for a rule's samples: the one with the highest recall
+ * among those reaching minPrecision, or the best F1 when no minPrecision
+ * is given (or none reaches it). Ties go to the higher threshold.
+ * @param {Array<{ score: number, label: boolean }>} samples
+ * @param {object} options - { minPrecision, step }
+ */
+export const suggestThreshold = (samples, { minPrecision = null, step = 0.01 } = {}) => {
+    const candidates = [];
+    for (let t = step; t < 1; t += step) {
+        candidates.push(computeMetrics(samples, Math.round(t * 1000) / 1000));
+    }
+
+    const better = (key) => (best, m) => (m[key] > best[key] || (m[key] === best[key] && m.threshold > best.threshold) ? m : best);
+
+    if (minPrecision !== null) {
+        const qualifying = candidates.filter(m => m.precision >= minPrecision);
+        if (qualifying.length > 0) return qualifying.reduce(better('recall'));
+    }
+    return candidates.reduce(better('f1'));
+};
+
+/**
+ * Score every labelled line with checkEntailment against its rule
+ * @param {Array} rows - From parseCalibrationCsv
+ * @param {object} options - { projectId, onProgress(done, total) }
+ * @returns {Promise<{ samples: Array, skipped: Array<{ line, reason }> }>}
+ */
+export const scoreCalibrationRows = async (rows, { projectId, onProgress } = {}) => {
+    const samples = [];
+    const skipped = [];
+
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const rule = getRuleById(row.ruleId, projectId);
+        const hypothesis = rule?.params?.semantic_hypothesis;
+
+        if (!rule) {
+            skipped.push({ line: row.line, reason: `unknown rule "${row.ruleId}"` });
+        } else if (!hypothesis) {
+            skipped.push({ line: row.line, reason: `${row.ruleId} has no semantic_hypothesis` });
+        } else {
+            const result = await checkEntailment(row.text, hypothesis);
+            if (result.label === 'error' || result.label === 'disabled') {
+                skipped.push({ line: row.line, reason: `NLI unavailable (${result.label})` });
+            } else {
+                samples.push({ ...row, score: result.confidence });
+            }
+        }
+
+        onProgress?.(i + 1, rows.length);
+    }
+
+    return { samples, skipped };
+};
+
+/**
+ * Calibrate every rule present in the labelled rows
+ * @param {Array} rows - From parseCalibrationCsv
+ * @param {object} options - { projectId, minPrecision, onProgress }
+ * @returns {Promise<{ rules: Array, skipped: Array }>}
+ */
+export const calibrateSemanticRules = async (rows, { projectId, minPrecision = null, onProgress } = {}) => {
+    const { samples, skipped } = await scoreCalibrationRows(rows, { projectId, onProgress });
+
+    const byRule = new Map();
+    for (const sample of samples) {
+        if (!byRule.has(sample.ruleId)) byRule.set(sample.ruleId, []);
+        byRule.get(sample.ruleId).push(sample);
+    }
+
+    const rules = [...byRule.entries()].map(([ruleId, ruleSamples]) => {
+        const rule = getRuleById(ruleId, projectId);
+        const currentThreshold = rule.params.semantic_threshold ?? DEFAULT_SEMANTIC_THRESHOLD;
+        return {
+            ruleId,
+            ruleName: rule.name,
+            samples: ruleSamples.length,
+            positives: ruleSamples.filter(s => s.label).length,
+            current: computeMetrics(ruleSamples, currentThreshold),
+            suggested: suggestThreshold(ruleSamples, { minPrecision }),
+            // Worst offenders at the current threshold, for reviewing the labels
+            misclassified: ruleSamples
+                .filter(s => (s.score >= currentThreshold) !== s.label)
+                .sort((a, b) => Math.abs(b.score - currentThreshold) - Math.abs(a.score - currentThreshold))
+                .slice(0, 5)
+                .map(s => ({ line: s.line, text: s.text, label: s.label, score: s.score }))
+        };
+    });
+
+    return { rules, skipped };
+};
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Plain text calibration report
+ * @param {{ rules: Array, skipped: Array }} report
+ */
+export const formatCalibrationReport = ({ rules, skipped }) => {
+    const lines = [];
+
+    for (const r of rules) {
+        const { current, suggested } = r;
+        lines.push(`${r.ruleId}  ${r.ruleName}  (${r.samples} lines, ${r.positives} violating)`);
+        lines.push(`    current   threshold ${current.threshold.toFixed(2)}  precision ${pct(current.precision)}  recall ${pct(current.recall)}  F1 ${current.f1.toFixed(3)}`);
+        lines.push(`    suggested threshold ${suggested.threshold.toFixed(2)}  precision ${pct(suggested.precision)}  recall ${pct(suggested.recall)}  F1 ${suggested.f1.toFixed(3)}`);
+        for (const m of r.misclassified) {
+            lines.push(`    ${m.label ? 'missed ' : 'false +'}  line ${m.line}  score ${m.score.toFixed(3)}  "${m.text}"`);
+        }
+        lines.push('');
+    }
+
+    if (skipped.length > 0) {
+        lines.push(`Skipped ${skipped.length} line(s):`);
+        for (const s of skipped) lines.push(`    line ${s.line}: ${s.reason}`);
+        lines.push('');
+    }
+
+    if (rules.length > 0) {
+        lines.push('Set params.semantic_threshold on the rule (or in a project rule pack) to apply a suggestion.');
+    }
+
+    return lines.join('\n');
+};
+
+export default {
+    parseCalibrationCsv,
+    computeMetrics,
+    suggestThreshold,
+    scoreCalibrationRows,
+    calibrateSemanticRules,
+    formatCalibrationReport
+};
@@ -11,15 +11,39 @@
  * Results are aggregated into:
  * - errors: hard_fail violations that block export
  * - warnings: issues requiring user confirmation
+ * - waived: warnings covered by an active waiver (context.waivers)
+ * - detectionMethods: the detection phases that actually ran
  * - score: 0-100 compliance score
+ *
+ * Rules come from the rule packs active for the evaluated project
+ * (context.projectId, falling back to the engine's projectId).
+ *
+ * Evaluation is incremental: layout, regex and semantic results are cached
+ * per object hash (see ./evaluationCache), so only checks whose inputs
+ * changed are re-run. Calls made while an evaluation is running are
+ * coalesced into one follow-up run with the latest inputs.
  */
 
-import RULE_SCHEMA, { getRulesByDetectionMethod } from './ruleSchema';
+import { getRulesByDetectionMethod } from './ruleSchema';
+import {
+    loadRulePack,
+    getActiveProjectId,
+    getProjectRulePacks,
+    setProjectRulePacks,
+    getActivePackVersions
+} from './rulePacks';
 import regexDetector from './detectors/regexDetector';
 import layoutDetector from './detectors/layoutDetector';
 import semanticDetector from './detectors/semanticDetector';
 import visionDetector from './detectors/visionDetector';
+import { createSerializedCanvas } from './serializedCanvas';
+import { partitionWaived } from './waivers';
+import { EvaluationCache, getObjectHashes, getRuleSetVersion, singleObjectView } from './evaluationCache';
 import { FORMAT_PRESETS, CREATIVE_PROFILES } from '../store/useStore';
+import { ruleAppliesToFormat } from '../store/formatPresets';
+
+// Layout rules that judge each object on its own; the rest compare objects
+const PER_OBJECT_LAYOUT_RULES = new Set(['FORMAT_001', 'ACC_001', 'ACC_002']);
 
 export class ComplianceEngine {
     constructor() {
@@ -27,32 +51,104 @@ export class ComplianceEngine {
         this.isEvaluating = false;
         this.enableSemanticNLI = true; // Can be disabled for performance
         this.enableVision = true;
+        this.projectId = null; // null = the registry's active project
+        this.cache = new EvaluationCache();
+        this.currentRun = null;
+        this.queuedRun = null;
+    }
+
+    /**
+     * Load one or more rule packs and activate them for a project
+     * @param {Array<string|File|object>} sources - JSON text, files, URLs or pack objects
+     * @param {object} options - { projectId, replace } replace=true drops previously selected packs
+     * @returns {Promise<string[]>} Pack IDs now active for the project
+     */
+    async loadRulePacks(sources, { projectId = this.resolveProjectId(), replace = false } = {}) {
+        const loaded = [];
+        for (const source of [].concat(sources)) {
+            const pack = await loadRulePack(source);
+            loaded.push(pack.pack_id);
+        }
+
+        const packIds = replace ? loaded : [...getProjectRulePacks(projectId), ...loaded];
+        setProjectRulePacks(projectId, packIds);
+        this.lastEvaluation = null;
+        return getProjectRulePacks(projectId);
+    }
+
+    /**
+     * Resolve which project's rule packs apply
+     */
+    resolveProjectId(context = {}) {
+        return context.projectId || this.projectId || getActiveProjectId();
     }
 
     /**
      * Run full compliance evaluation
-     * @param {fabric.Canvas} canvas
-     * @param {object} context - { currentFormat, backgroundColor, isAlcoholProduct, isLEPMode, etc. }
+     * @param {fabric.Canvas|object} canvas - Live canvas, or a canvas-like view from createSerializedCanvas
+     * @param {object} context - { currentFormat, backgroundColor, isAlcoholProduct, isLEPMode, waivers, etc. }
+     * @param {object} phases - { semantic, vision } default to enableSemanticNLI / enableVision
      * @returns {Promise<ComplianceResult>}
      */
-    async evaluateAll(canvas, context = {}) {
+    async evaluateAll(canvas, context = {}, phases = {}) {
+        const runPhases = {
+            semantic: phases.semantic ?? this.enableSemanticNLI,
+            vision: phases.vision ?? this.enableVision
+        };
+
         if (this.isEvaluating) {
-            console.warn('Compliance evaluation already in progress');
-            return this.lastEvaluation;
+            // Re-run once the current evaluation finishes, with the latest
+            // inputs; every caller waiting meanwhile gets that result (with
+            // the AI phases any of them asked for)
+            if (!this.queuedRun) {
+                this.queuedRun = { promise: null, canvas, context, phases: runPhases };
+                this.queuedRun.promise = this.currentRun.then(() => {
+                    const next = this.queuedRun;
+                    this.queuedRun = null;
+                    return this.evaluateAll(next.canvas, next.context, next.phases);
+                });
+            } else {
+                this.queuedRun.canvas = canvas;
+                this.queuedRun.context = context;
+                this.queuedRun.phases = {
+                    semantic: this.queuedRun.phases.semantic || runPhases.semantic,
+                    vision: this.queuedRun.phases.vision || runPhases.vision
+                };
+            }
+            return this.queuedRun.promise;
         }
 
         this.isEvaluating = true;
+        this.currentRun = this.runEvaluation(canvas, context, runPhases);
+        try {
+            return await this.currentRun;
+        } finally {
+            this.isEvaluating = false;
+        }
+    }
+
+    /**
+     * One evaluation pass (evaluateAll serialises these)
+     */
+    async runEvaluation(canvas, context, phases) {
         const startTime = Date.now();
+        this.cache.resetStats();
 
         const result = {
             errors: [],
             warnings: [],
+            waived: [],
+            detectionMethods: [],
             score: 100,
             canExport: true,
             evaluatedAt: new Date().toISOString(),
             timeTakenMs: 0
         };
 
+        const projectId = this.resolveProjectId(context);
+        result.rulePacks = getActivePackVersions(projectId);
+        context = { ...context, projectId };
+
         try {
             const format = FORMAT_PRESETS[context.currentFormat] || FORMAT_PRESETS['instagram-feed'];
 
@@ -61,38 +157,47 @@ export class ComplianceEngine {
             // ============================================
             if (context.creativeProfile && context.creativeProfile !== 'STANDARD') {
                 await this.runProfileValidation(canvas, context, result);
+                result.detectionMethods.push('profile');
             }
 
             // ============================================
             // PHASE 1: Deterministic Checks (Layout)
             // ============================================
             await this.runLayoutChecks(canvas, format, context, result);
+            result.detectionMethods.push('layout');
 
             // ============================================
             // PHASE 2: Regex Checks (Text)
             // ============================================
-            await this.runRegexChecks(canvas, result);
+            await this.runRegexChecks(canvas, context, result);
+            result.detectionMethods.push('regex');
 
             // ============================================
             // PHASE 3: Semantic NLI (Async, Fallback)
             // ============================================
-            if (this.enableSemanticNLI) {
-                await this.runSemanticChecks(canvas, result);
+            if (phases.semantic) {
+                const available = await this.runSemanticChecks(canvas, context, result);
+                if (available) result.detectionMethods.push('semantic_nli');
             }
 
             // ============================================
             // PHASE 4: Vision Checks (Async, Expensive)
             // ============================================
-            if (this.enableVision) {
+            if (phases.vision) {
                 await this.runVisionChecks(canvas, context, result);
+                result.detectionMethods.push('vision');
             }
 
             // ============================================
             // Calculate Final Score
             // ============================================
+            const { warnings, waived } = partitionWaived(result.warnings, context.waivers);
+            result.warnings = warnings;
+            result.waived = waived;
             result.score = this.calculateScore(result.errors, result.warnings);
             result.canExport = result.errors.filter(e => e.type === 'hard_fail').length === 0;
             result.timeTakenMs = Date.now() - startTime;
+            result.incremental = { ...this.cache.stats };
 
             this.lastEvaluation = result;
             return result;
@@ -108,11 +213,32 @@ export class ComplianceEngine {
             });
             result.canExport = false;
             return result;
-        } finally {
-            this.isEvaluating = false;
         }
     }
 
+    /**
+     * Run compliance evaluation over serialized canvas JSON, without a live
+     * fabric.Canvas (Node scripts, web workers, stored templates).
+     * Use a dedicated ComplianceEngine instance for background work so the
+     * runs don't queue behind the editor's evaluations.
+     * @param {object|string} canvasJSON - canvas.toJSON([...]) output or a saveToHistory entry
+     * @param {object} context - Same as evaluateAll; backgroundColor and waivers default to the serialized ones
+     * @param {object} options - { quick } quick=true skips semantic NLI and vision
+     * @returns {Promise<ComplianceResult>}
+     */
+    async evaluateSerialized(canvasJSON, context = {}, { quick = false } = {}) {
+        const canvas = createSerializedCanvas(canvasJSON);
+        const serializedContext = {
+            ...context,
+            backgroundColor: context.backgroundColor || canvas.backgroundColor || '#ffffff',
+            waivers: context.waivers || canvas.waivers
+        };
+
+        return quick
+            ? this.evaluateQuick(canvas, serializedContext)
+            : this.evaluateAll(canvas, serializedContext);
+    }
+
     /**
      * Validate creative profile constraints (post-hoc safety net)
      */
@@ -205,110 +331,138 @@ export class ComplianceEngine {
 
     /**
      * Run layout-based checks (deterministic)
+     * Per-object rules are cached on each object's geometry hash, cross-object
+     * rules on the geometry of the whole canvas.
      */
     async runLayoutChecks(canvas, format, context, result) {
-        const layoutRules = getRulesByDetectionMethod('layout');
+        const layoutRules = getRulesByDetectionMethod('layout', context.projectId);
+        const objects = canvas.getObjects();
+        const ruleSet = getRuleSetVersion(context.projectId);
+        // Custom formats can be edited in place, so key on everything a check reads
+        const formatKey = `${format.key}:${format.width}x${format.height}:${format.ratio}:${JSON.stringify([format.safeZones ?? null, format.zones ?? null])}`;
+        const canvasGeometry = objects.map(obj => getObjectHashes(obj).geometry).join(',');
 
         for (const rule of layoutRules) {
             // Skip rules that don't apply to current context
             if (!this.ruleApplies(rule, context)) continue;
 
-            let checkResult;
+            let check;
 
             switch (rule.id) {
                 case 'FORMAT_001':
-                    checkResult = layoutDetector.checkSafeZones(canvas, format, rule);
+                    check = (target) => layoutDetector.checkSafeZones(target, format, rule);
                     break;
                 case 'ACC_001':
-                    checkResult = layoutDetector.checkFontSizes(canvas, format, rule);
+                    check = (target) => layoutDetector.checkFontSizes(target, format, rule);
                     break;
                 case 'ACC_002':
-                    checkResult = layoutDetector.checkContrast(canvas, context.backgroundColor, rule);
+                    check = (target) => layoutDetector.checkContrast(target, context.backgroundColor, rule);
                     break;
                 case 'DESIGN_001':
-                    checkResult = layoutDetector.checkValueTileOverlap(canvas, rule);
+                    check = (target) => layoutDetector.checkValueTileOverlap(target, rule);
                     break;
                 case 'PACK_001':
-                    checkResult = layoutDetector.checkPackshots(canvas, rule);
+                    check = (target) => layoutDetector.checkPackshots(target, rule);
                     break;
                 case 'ALC_001':
-                    checkResult = layoutDetector.checkDrinkawareLayout(canvas, context.isAlcoholProduct, rule);
+                    check = (target) => layoutDetector.checkDrinkawareLayout(target, context.isAlcoholProduct, rule);
                     break;
                 default:
                     continue;
             }
 
-            if (checkResult && !checkResult.passed) {
-                this.addViolations(checkResult.violations, result);
+            if (PER_OBJECT_LAYOUT_RULES.has(rule.id)) {
+                for (const obj of objects) {
+                    const key = `${ruleSet}|${formatKey}|${context.backgroundColor}|${getObjectHashes(obj).geometry}`;
+                    const violations = await this.cache.resolve(obj, `layout:${rule.id}`, key,
+                        () => check(singleObjectView(canvas, obj)).violations);
+                    this.addViolations(violations, result);
+                }
+            } else {
+                const key = `${ruleSet}|${formatKey}|${context.isAlcoholProduct}|${canvasGeometry}`;
+                const violations = await this.cache.resolve(canvas, `layout:${rule.id}`, key,
+                    () => check(canvas).violations);
+                this.addViolations(violations, result);
             }
         }
+    }
 
-        // Additional layout checks not tied to specific rules
-        const headlineCheck = regexDetector.checkHeadlineLength(canvas);
-        if (!headlineCheck.passed) {
-            this.addViolations(headlineCheck.violations, result);
-        }
-
-        const subheadCheck = regexDetector.checkSubheadWords(canvas);
-        if (!subheadCheck.passed) {
-            this.addViolations(subheadCheck.violations, result);
-        }
+    /**
+     * Regex violations for one object, cached on its text hash
+     */
+    regexViolationsFor(canvas, obj, projectId) {
+        const key = `${getRuleSetVersion(projectId)}|${getObjectHashes(obj).text}`;
+        return this.cache.resolve(obj, 'regex', key, () => {
+            const view = singleObjectView(canvas, obj);
+            return getRulesByDetectionMethod('regex', projectId)
+                .flatMap(rule => regexDetector.runRegexRule(rule, view).violations);
+        });
     }
 
     /**
      * Run regex-based text checks
      */
-    async runRegexChecks(canvas, result) {
-        const regexRules = getRulesByDetectionMethod('regex');
-
-        for (const rule of regexRules) {
-            const checkResult = regexDetector.detectRegexViolations(rule, canvas);
-            if (!checkResult.passed) {
-                this.addViolations(checkResult.violations, result);
-            }
+    async runRegexChecks(canvas, context, result) {
+        for (const obj of canvas.getObjects()) {
+            this.addViolations(await this.regexViolationsFor(canvas, obj, context.projectId), result);
         }
     }
 
     /**
      * Run semantic NLI checks (async fallback)
+     * Cached per object on its text hash; rules regex already flagged on the
+     * object are skipped. Results from an unavailable or failing NLI backend
+     * are not cached.
+     * @returns {Promise<boolean>} false if the NLI backend could not answer
      */
-    async runSemanticChecks(canvas, result) {
-        const nliRules = getRulesByDetectionMethod('semantic_nli');
-        const textElements = regexDetector.extractTextFromCanvas(canvas);
-
-        // Get object IDs already violated by regex
-        const regexViolatedIds = new Set(
-            result.errors
-                .filter(e => e.detectionMethod !== 'semantic_nli')
-                .map(e => e.objectId)
-        );
-
-        for (const rule of nliRules) {
-            // Only check elements not already caught by regex
-            const existingViolations = result.errors.filter(e => e.ruleId === rule.id);
-
-            try {
-                const checkResult = await semanticDetector.detectSemanticViolations(
-                    rule,
-                    textElements,
-                    existingViolations
-                );
-
-                if (!checkResult.passed) {
-                    this.addViolations(checkResult.violations, result);
+    async runSemanticChecks(canvas, context, result) {
+        const nliRules = getRulesByDetectionMethod('semantic_nli', context.projectId);
+        const ruleSet = getRuleSetVersion(context.projectId);
+        let available = true;
+
+        for (const obj of canvas.getObjects()) {
+            const textElements = regexDetector.extractTextFromCanvas(singleObjectView(canvas, obj));
+            if (textElements.length === 0) continue;
+
+            const regexViolations = await this.regexViolationsFor(canvas, obj, context.projectId);
+            const { mode, model } = semanticDetector.NLI_CONFIG;
+            const key = `${ruleSet}|${mode}:${model}|${getObjectHashes(obj).text}`;
+
+            let unavailable = false;
+            const violations = await this.cache.resolve(obj, 'semantic', key, async () => {
+                const found = [];
+                for (const rule of nliRules) {
+                    // Only check elements not already caught by regex
+                    if (regexViolations.some(v => v.ruleId === rule.id)) continue;
+
+                    try {
+                        const checkResult = await semanticDetector.detectSemanticViolations(rule, textElements);
+                        found.push(...checkResult.violations);
+                        if (checkResult.unavailable) unavailable = true;
+                    } catch (error) {
+                        console.warn(`Semantic check for ${rule.id} failed:`, error.message);
+                        // Don't block on semantic failures, but don't cache a pass either
+                        unavailable = true;
+                    }
                 }
-            } catch (error) {
-                console.warn(`Semantic check for ${rule.id} failed:`, error.message);
-                // Don't block on semantic failures
+                return found;
+            });
+
+            if (unavailable) {
+                this.cache.invalidate(obj, 'semantic');
+                available = false;
             }
+            this.addViolations(violations, result);
         }
+
+        return available;
     }
 
     /**
      * Run vision-based checks (async)
      */
     async runVisionChecks(canvas, context, result) {
-        const visionRules = getRulesByDetectionMethod('vision');
+        const visionRules = getRulesByDetectionMethod('vision', context.projectId);
 
         for (const rule of visionRules) {
             if (!this.ruleApplies(rule, context)) continue;
@@ -337,10 +491,8 @@ export class ComplianceEngine {
      */
     ruleApplies(rule, context) {
         // Check format restrictions
-        if (rule.applies_to_formats) {
-            if (!rule.applies_to_formats.includes(context.currentFormat)) {
-                return false;
-            }
+        if (!ruleAppliesToFormat(rule, context.currentFormat)) {
+            return false;
         }
 
         // Check conditional application
@@ -375,6 +527,8 @@ export class ComplianceEngine {
 
     /**
      * Calculate compliance score (0-100)
+     * Takes the unwaived warnings, so waived ones cost nothing; waivers
+     * never reduce hard_fail penalties.
      */
     calculateScore(errors, warnings) {
         const errorPenalty = 15;
@@ -392,27 +546,14 @@ export class ComplianceEngine {
      * Use for real-time feedback during editing
      */
     async evaluateQuick(canvas, context = {}) {
-        const savedNLI = this.enableSemanticNLI;
-        const savedVision = this.enableVision;
-
-        this.enableSemanticNLI = false;
-        this.enableVision = false;
-
-        try {
-            return await this.evaluateAll(canvas, context);
-        } finally {
-            this.enableSemanticNLI = savedNLI;
-            this.enableVision = savedVision;
-        }
+        return this.evaluateAll(canvas, context, { semantic: false, vision: false });
     }
 
     /**
      * Run full validation including AI (use before export)
      */
     async evaluateFull(canvas, context = {}) {
-        this.enableSemanticNLI = true;
-        this.enableVision = true;
-        return await this.evaluateAll(canvas, context);
+        return this.evaluateAll(canvas, context, { semantic: true, vision: true });
     }
 
     /**
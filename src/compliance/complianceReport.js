@@ -0,0 +1,232 @@
+/**
+ * Compliance Report
+ * Builds the compliance certificate bundled with campaign ZIPs: for every
+ * exported format, each active rule with its pass/fail/waived status, the
+ * detection method(s) that judged it, a thumbnail and a timestamp, plus the
+ * rule schema and rule pack versions the creative was checked against.
+ *
+ * Each format is evaluated headlessly on its own engine instance, so report
+ * runs don't queue behind the editor's evaluations. Rules whose detection
+ * methods did not run (e.g. vision in a quick evaluation) are reported as
+ * "not_run" rather than passed.
+ */
+
+import { SCHEMA_VERSION } from './ruleSchema';
+import { getActiveRules, getActivePackVersions, getActiveProjectId } from './rulePacks';
+import { ComplianceEngine } from './complianceEngine';
+import { FORMAT_PRESETS } from '../store/useStore';
+
+const reportEngine = new ComplianceEngine();
+
+export const REPORT_STATUSES = ['pass', 'fail', 'waived', 'not_run', 'not_applicable'];
+
+const METHOD_LABELS = {
+    layout: 'Layout',
+    regex: 'Regex',
+    semantic_nli: 'Semantic (NLI)',
+    vision: 'Vision',
+    profile: 'Creative profile'
+};
+
+/**
+ * Evaluate one serialized creative for the report
+ * @param {object|string} canvasJSON - canvas.toJSON([...]) output
+ * @param {object} context - Engine context; currentFormat is required
+ * @param {object} options - { quick } quick=true (default) runs layout and regex only
+ * @returns {Promise<ComplianceResult>}
+ */
+export const evaluateForReport = (canvasJSON, context, { quick = true } = {}) => {
+    return reportEngine.evaluateSerialized(canvasJSON, context, { quick });
+};
+
+/**
+ * Per-rule rows for one evaluation result
+ * @param {ComplianceResult} result
+ * @param {object} context - The context the result was evaluated with
+ * @returns {Array<{ ruleId, ruleName, type, category, status, detectionMethods, details }>}
+ */
+export const buildRuleRows = (result, context = {}) => {
+    const projectId = context.projectId || getActiveProjectId();
+    const ran = new Set(result.detectionMethods || []);
+    const failed = [...result.errors, ...result.warnings];
+
+    const rows = getActiveRules(projectId).map(rule => {
+        const violations = failed.filter(v => v.ruleId === rule.id);
+        const waived = (result.waived || []).filter(v => v.ruleId === rule.id);
+        const usedMethods = rule.detection_method.filter(m => ran.has(m));
+
+        let status;
+        if (violations.length > 0) status = 'fail';
+        else if (waived.length > 0) status = 'waived';
+        else if (!reportEngine.ruleApplies(rule, context)) status = 'not_applicable';
+        else if (usedMethods.length === 0) status = 'not_run';
+        else status = 'pass';
+
+        const detected = [...violations, ...waived].map(v => v.detectionMethod).filter(Boolean);
+
+        return {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            category: rule.category,
+            status,
+            detectionMethods: detected.length > 0
+                ? [...new Set(detected)]
+                : (usedMethods.length > 0 ? usedMethods : rule.detection_method),
+            details: [
+                ...violations.map(v => v.explanation),
+                ...waived.map(v => `Waived by ${v.waiver.reviewer} until ${v.waiver.expiresAt.slice(0, 10)}: ${v.waiver.reason}`)
+            ]
+        };
+    });
+
+    // Violations outside the rule packs (creative profile, engine errors)
+    const known = new Set(rows.map(r => r.ruleId));
+    for (const v of failed) {
+        if (known.has(v.ruleId)) continue;
+        known.add(v.ruleId);
+        rows.push({
+            ruleId: v.ruleId,
+            ruleName: v.ruleName,
+            type: v.type,
+            category: v.detectionMethod || 'engine',
+            status: 'fail',
+            detectionMethods: [v.detectionMethod || 'engine'],
+            details: failed.filter(o => o.ruleId === v.ruleId).map(o => o.explanation)
+        });
+    }
+
+    return rows;
+};
+
+/**
+ * Assemble the certificate data
+ * @param {object} options
+ * @param {string} options.title - e.g. campaign or product name
+ * @param {Array<{ formatKey: string, label?: string, thumbnail?: string, result: ComplianceResult, context: object }>} options.entries
+ * @param {string} options.projectId
+ * @returns {object} Report
+ */
+export const createComplianceReport = ({ title = 'Campaign', entries = [], projectId } = {}) => {
+    const formats = entries.map(({ formatKey, label, thumbnail, result, context = {} }) => {
+        const format = FORMAT_PRESETS[formatKey] || {};
+        const rules = buildRuleRows(result, { ...context, projectId: context.projectId || projectId });
+        return {
+            formatKey,
+            formatName: format.name || formatKey,
+            label: label || null,
+            width: format.width,
+            height: format.height,
+            thumbnail: thumbnail || null,
+            evaluatedAt: result.evaluatedAt,
+            score: result.score,
+            passed: result.canExport && result.errors.length === 0,
+            detectionMethods: result.detectionMethods || [],
+            rules,
+            counts: REPORT_STATUSES.reduce((acc, status) => {
+                acc[status] = rules.filter(r => r.status === status).length;
+                return acc;
+            }, {})
+        };
+    });
+
+    return {
+        title,
+        generatedAt: new Date().toISOString(),
+        schemaVersion: SCHEMA_VERSION,
+        rulePacks: getActivePackVersions(projectId || getActiveProjectId()),
+        passed: formats.every(f => f.passed),
+        formats
+    };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const STATUS_LABELS = {
+    pass: 'Pass',
+    fail: 'Fail',
+    waived: 'Waived',
+    not_run: 'Not run',
+    not_applicable: 'N/A'
+};
+
+const renderFormat = (format) => `
+    <section class="format">
+        <header>
+            ${format.thumbnail ? `<img src="${escapeHtml(format.thumbnail)}" alt="${escapeHtml(format.formatName)} thumbnail">` : ''}
+            <div>
+                <h2>${escapeHtml(format.formatName)}${format.label ? ` &middot; ${escapeHtml(format.label)}` : ''}</h2>
+                <p>${format.width}&times;${format.height} &middot; Evaluated ${escapeHtml(format.evaluatedAt)}</p>
+                <p>Detection run: ${format.detectionMethods.map(m => escapeHtml(METHOD_LABELS[m] || m)).join(', ')}</p>
+                <p class="verdict ${format.passed ? 'pass' : 'fail'}">${format.passed ? 'PASSED' : 'FAILED'} &middot; Score ${format.score}/100</p>
+            </div>
+        </header>
+        <table>
+            <thead><tr><th>Rule</th><th>Name</th><th>Type</th><th>Detection</th><th>Status</th><th>Details</th></tr></thead>
+            <tbody>
+                ${format.rules.map(rule => `<tr>
+                    <td>${escapeHtml(rule.ruleId)}</td>
+                    <td>${escapeHtml(rule.ruleName)}</td>
+                    <td>${escapeHtml(rule.type)}</td>
+                    <td>${rule.detectionMethods.map(m => escapeHtml(METHOD_LABELS[m] || m)).join(', ')}</td>
+                    <td class="status ${rule.status}">${STATUS_LABELS[rule.status]}</td>
+                    <td>${rule.details.map(escapeHtml).join('<br>')}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </section>`;
+
+/**
+ * Render the report as a self-contained, printable HTML certificate
+ * (thumbnails inlined as data URLs; print to PDF from the browser)
+ * @param {object} report - From createComplianceReport
+ * @returns {string} HTML
+ */
+export const renderComplianceReportHTML = (report) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Compliance Certificate - ${escapeHtml(report.title)}</title>
+<style>
+    body { font-family: Inter, Arial, sans-serif; color: #1a1a1a; margin: 32px; font-size: 13px; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    h2 { margin: 0 0 4px; font-size: 16px; }
+    p { margin: 2px 0; color: #555; }
+    .summary { border: 2px solid ${report.passed ? '#1b873f' : '#c62828'}; border-radius: 8px; padding: 12px 16px; margin: 16px 0 24px; }
+    .format { page-break-inside: avoid; margin-bottom: 28px; }
+    .format header { display: flex; gap: 16px; align-items: flex-start; margin-bottom: 8px; }
+    .format img { max-width: 140px; max-height: 140px; border: 1px solid #ddd; }
+    .verdict { font-weight: 600; }
+    .verdict.pass, .status.pass { color: #1b873f; }
+    .verdict.fail, .status.fail { color: #c62828; }
+    .status.waived { color: #b26a00; }
+    .status.not_run, .status.not_applicable { color: #888; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    th { font-size: 11px; text-transform: uppercase; color: #777; }
+    .status { font-weight: 600; white-space: nowrap; }
+</style>
+</head>
+<body>
+    <h1>Compliance Certificate</h1>
+    <p>${escapeHtml(report.title)}</p>
+    <div class="summary">
+        <p><strong>${report.passed ? 'All formats passed' : 'One or more formats failed'}</strong> &middot; ${report.formats.length} format(s)</p>
+        <p>Generated ${escapeHtml(report.generatedAt)}</p>
+        <p>Rule schema ${escapeHtml(report.schemaVersion)} &middot; Rule packs: ${report.rulePacks.map(p => `${escapeHtml(p.packId)}@${escapeHtml(p.version)}`).join(', ')}</p>
+    </div>
+    ${report.formats.map(renderFormat).join('')}
+</body>
+</html>
+`;
+
+export default {
+    evaluateForReport,
+    buildRuleRows,
+    createComplianceReport,
+    renderComplianceReportHTML
+};
@@ -0,0 +1,24 @@
+/**
+ * Compliance Web Worker
+ * Runs ComplianceEngine.evaluateSerialized off the main thread.
+ *
+ * Usage:
+ *   const worker = new Worker(new URL('./complianceWorker.js', import.meta.url), { type: 'module' });
+ *   worker.postMessage({ id, canvasJSON, context, quick });
+ *   worker.onmessage = ({ data }) => { data.id; data.result || data.error };
+ */
+
+import { ComplianceEngine } from './complianceEngine';
+
+const engine = new ComplianceEngine();
+
+self.onmessage = async (event) => {
+    const { id, canvasJSON, context = {}, quick = false } = event.data || {};
+
+    try {
+        const result = await engine.evaluateSerialized(canvasJSON, context, { quick });
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -5,6 +5,8 @@
  */
 
 import tinycolor from 'tinycolor2';
+import { getFormatZones } from '../../store/formatPresets';
+import { describeZoneHit, findZoneHits, getElementRole } from '../safeZones';
 
 /**
  * Get bounding rectangle for a Fabric object
@@ -37,50 +39,32 @@ const isOverlapping = (obj1, obj2) => {
 };
 
 /**
- * FORMAT_001: Check safe zone enforcement for 9:16 formats
+ * FORMAT_001: Check that no element sits in one of the format's keep-out or
+ * bleed zones that applies to its role
  */
 export const checkSafeZones = (canvas, formatConfig, rule) => {
     if (!canvas || !formatConfig) return { passed: true, violations: [] };
 
-    // Only applies to 9:16 formats
-    if (formatConfig.ratio !== '9:16') {
+    const zones = getFormatZones(formatConfig, rule);
+    if (zones.length === 0) {
         return { passed: true, violations: [] };
     }
 
     const violations = [];
-    const safeZoneTop = rule.params?.safe_zone_top_px || 200;
-    const safeZoneBottom = rule.params?.safe_zone_bottom_px || 250;
-    const excludedTypes = rule.params?.excluded_element_types || [];
 
-    const objects = canvas.getObjects().filter(obj => {
-        // Skip system elements
-        if (obj.isValueTile || obj.isDrinkaware || obj.isTag || obj.isBackground || obj.isSafeZone) {
-            return false;
-        }
-        return true;
-    });
-
-    for (const obj of objects) {
-        // Only check text and logos for safe zone violations
-        const isCheckable = obj.type === 'i-text' || obj.type === 'text' || obj.isLogo;
-        if (!isCheckable) continue;
-
-        const rect = getRect(obj);
-        const objBottom = rect.top + rect.height;
-        const canvasBottom = formatConfig.height;
-
-        const inTopZone = rect.top < safeZoneTop;
-        const inBottomZone = objBottom > (canvasBottom - safeZoneBottom);
+    for (const obj of canvas.getObjects()) {
+        const hits = findZoneHits(getRect(obj), getElementRole(obj), zones);
 
-        if (inTopZone || inBottomZone) {
+        for (const zone of hits) {
             violations.push({
                 ruleId: rule.id,
                 ruleName: rule.name,
                 type: rule.type,
                 category: rule.category,
                 objectId: obj.id || obj._id || 'unknown',
-                zone: inTopZone ? 'top' : 'bottom',
-                pixels: inTopZone ? safeZoneTop : safeZoneBottom,
+                zone: zone.id,
+                zoneKind: zone.kind,
+                message: describeZoneHit(obj.id || obj.customName || obj.type, zone),
                 explanation: rule.explanation,
                 plainEnglish: rule.plain_english,
                 severity: rule.severity
@@ -4,6 +4,17 @@
  * Runs before semantic NLI to catch obvious violations quickly.
  */
 
+import { getRuleById } from '../ruleSchema';
+
+/**
+ * Word count as used by the subhead rule
+ * @param {string} text
+ * @returns {number}
+ */
+export const countWords = (text) => {
+  return (text || '').trim().split(/\s+/).filter(w => w.length > 0).length;
+};
+
 /**
  * Check text against a list of regex patterns
  * @param {string} text - Text to check
@@ -108,29 +119,30 @@ export const detectRegexViolations = (rule, canvas) => {
 };
 
 /**
- * Check headline length (35 chars max)
+ * Check headline length against the rule's max_chars (COPY_007)
  * @param {fabric.Canvas} canvas
+ * @param {object} rule - Defaults to the active COPY_007 rule
  * @returns {{ passed: boolean, violations: Array }}
  */
-export const checkHeadlineLength = (canvas) => {
-  const textElements = extractTextFromCanvas(canvas);
+export const checkHeadlineLength = (canvas, rule = getRuleById('COPY_007')) => {
   const violations = [];
-  const MAX_LENGTH = 35;
+  const maxLength = rule?.params?.max_chars;
+  if (!maxLength) return { passed: true, violations };
 
-  for (const element of textElements) {
-    if (element.isHeadline && element.text.length > MAX_LENGTH) {
+  for (const element of extractTextFromCanvas(canvas)) {
+    if (element.isHeadline && element.text.length > maxLength) {
       violations.push({
-        ruleId: 'HEADLINE_LENGTH',
-        ruleName: 'Headline Too Long',
-        type: 'hard_fail',
-        category: 'copy',
+        ruleId: rule.id,
+        ruleName: rule.name,
+        type: rule.type,
+        category: rule.category,
         objectId: element.objectId,
         text: element.text,
         currentLength: element.text.length,
-        maxLength: MAX_LENGTH,
-        explanation: `Headline is ${element.text.length} characters (max ${MAX_LENGTH})`,
-        plainEnglish: `Your headline is too long. Keep it under ${MAX_LENGTH} characters for better readability.`,
-        severity: 'block_export'
+        maxLength,
+        explanation: `Headline is ${element.text.length} characters (max ${maxLength})`,
+        plainEnglish: rule.plain_english,
+        severity: rule.severity
       });
     }
   }
@@ -139,31 +151,32 @@ export const checkHeadlineLength = (canvas) => {
 };
 
 /**
- * Check subhead word count (20 words max)
+ * Check subhead word count against the rule's max_words (COPY_008)
  * @param {fabric.Canvas} canvas
+ * @param {object} rule - Defaults to the active COPY_008 rule
  * @returns {{ passed: boolean, violations: Array }}
  */
-export const checkSubheadWords = (canvas) => {
-  const textElements = extractTextFromCanvas(canvas);
+export const checkSubheadWords = (canvas, rule = getRuleById('COPY_008')) => {
   const violations = [];
-  const MAX_WORDS = 20;
+  const maxWords = rule?.params?.max_words;
+  if (!maxWords) return { passed: true, violations };
 
-  for (const element of textElements) {
+  for (const element of extractTextFromCanvas(canvas)) {
     if (element.isSubhead) {
-      const wordCount = element.text.trim().split(/\s+/).filter(w => w.length > 0).length;
-      if (wordCount > MAX_WORDS) {
+      const wordCount = countWords(element.text);
+      if (wordCount > maxWords) {
         violations.push({
-          ruleId: 'SUBHEAD_WORDS',
-          ruleName: 'Subhead Too Long',
-          type: 'hard_fail',
-          category: 'copy',
+          ruleId: rule.id,
+          ruleName: rule.name,
+          type: rule.type,
+          category: rule.category,
           objectId: element.objectId,
           text: element.text,
           currentWords: wordCount,
-          maxWords: MAX_WORDS,
-          explanation: `Subhead is ${wordCount} words (max ${MAX_WORDS})`,
-          plainEnglish: `Your subhead is too long. Keep it under ${MAX_WORDS} words.`,
-          severity: 'block_export'
+          maxWords,
+          explanation: `Subhead is ${wordCount} words (max ${maxWords})`,
+          plainEnglish: rule.plain_english,
+          severity: rule.severity
         });
       }
     }
@@ -172,10 +185,25 @@ export const checkSubheadWords = (canvas) => {
   return { passed: violations.length === 0, violations };
 };
 
+/**
+ * Run any regex-method rule: pattern rules match their regex_patterns,
+ * copy-length rules are dispatched on max_chars / max_words.
+ * @param {object} rule
+ * @param {fabric.Canvas} canvas
+ * @returns {{ passed: boolean, violations: Array }}
+ */
+export const runRegexRule = (rule, canvas) => {
+  if (rule.params?.max_chars) return checkHeadlineLength(canvas, rule);
+  if (rule.params?.max_words) return checkSubheadWords(canvas, rule);
+  return detectRegexViolations(rule, canvas);
+};
+
 export default {
   matchPatterns,
   extractTextFromCanvas,
   detectRegexViolations,
   checkHeadlineLength,
-  checkSubheadWords
+  checkSubheadWords,
+  countWords,
+  runRegexRule
 };
@@ -1,60 +1,104 @@
 /**
  * Semantic Detector
- * Uses HuggingFace BART-MNLI for Natural Language Inference.
- * Catches paraphrased violations that regex misses.
+ * Natural Language Inference catches paraphrased violations that regex misses.
  * 
  * Example: "conditions apply" → matches COPY_001 (T&C prohibition)
+ *
+ * By default the NLI model runs locally (transformers.js in a web worker,
+ * model cached in IndexedDB), so results are deterministic and work
+ * offline. The HuggingFace Inference API (through the AI gateway, which
+ * holds the key) is only used when configured - as the mode, or as a
+ * fallback when the local model fails.
  */
 
-import { HfInference } from '@huggingface/inference';
+import { gatewayRequest } from '../../services/aiGatewayClient';
+import { isFixtureMissing } from '../../services/aiFixtures';
+import { scoreEntailmentLocally, DEFAULT_NLI_MODEL } from '../nli/nliClient';
 
-// Initialize HuggingFace client
-let hfClient = null;
+/**
+ * NLI configuration, from env; override at runtime with configureNli
+ * - mode: 'local' | 'remote' | 'off' (VITE_NLI_MODE, default 'local')
+ * - model: local model id (VITE_NLI_MODEL)
+ * - localModelPath: where bundled models are served, e.g. '/models/' (VITE_NLI_MODEL_PATH)
+ * - allowRemoteModels: download the model from the Hub on first use; false for air-gapped setups (VITE_NLI_OFFLINE=true)
+ * - remoteFallback: use the Inference API when the local model fails (VITE_NLI_REMOTE_FALLBACK=true)
+ */
+export const NLI_CONFIG = {
+    mode: import.meta.env.VITE_NLI_MODE || 'local',
+    model: import.meta.env.VITE_NLI_MODEL || DEFAULT_NLI_MODEL,
+    localModelPath: import.meta.env.VITE_NLI_MODEL_PATH || null,
+    allowRemoteModels: import.meta.env.VITE_NLI_OFFLINE !== 'true',
+    remoteFallback: import.meta.env.VITE_NLI_REMOTE_FALLBACK === 'true'
+};
 
-const getHfClient = () => {
-    if (!hfClient) {
-        // Try to get API key from env, fallback to free tier (slower)
-        const apiKey = import.meta.env.VITE_HUGGINGFACE_API_KEY || '';
-        hfClient = new HfInference(apiKey || undefined);
-    }
-    return hfClient;
+/**
+ * Override NLI settings (e.g. from a review environment's setup script)
+ * @param {object} overrides - Any NLI_CONFIG keys
+ * @returns {object} The updated config
+ */
+export const configureNli = (overrides = {}) => Object.assign(NLI_CONFIG, overrides);
+
+// Entailment cut-off for rules without params.semantic_threshold
+export const DEFAULT_SEMANTIC_THRESHOLD = 0.75;
+
+/**
+ * Entailment score from the HuggingFace Inference API (BART-MNLI)
+ */
+const scoreEntailmentRemotely = async (text, hypothesis) => {
+    const result = await gatewayRequest('nli', {
+        text,
+        labels: [hypothesis, `NOT: ${hypothesis}`]
+    }, { capability: 'textValidation' });
+
+    // Find the positive label score
+    const positiveIndex = result.labels.indexOf(hypothesis);
+    return positiveIndex >= 0 ? result.scores[positiveIndex] : 0;
 };
 
+const scoreEntailmentLocal = (text, hypothesis) => scoreEntailmentLocally(text, hypothesis, {
+    model: NLI_CONFIG.model,
+    localModelPath: NLI_CONFIG.localModelPath,
+    allowRemoteModels: NLI_CONFIG.allowRemoteModels
+});
+
 /**
  * Check if text entails a given hypothesis using NLI
  * @param {string} text - The text to analyze (premise)
  * @param {string} hypothesis - The claim to check (e.g., "This text mentions terms and conditions")
  * @param {number} threshold - Confidence threshold (0-1)
- * @returns {Promise<{ entails: boolean, confidence: number, label: string }>}
+ * @returns {Promise<{ entails: boolean, confidence: number, label: string, source?: string }>}
+ *   label is 'error' when no NLI backend could answer, 'disabled' when mode is 'off'
  */
 export const checkEntailment = async (text, hypothesis, threshold = 0.7) => {
     if (!text || !hypothesis) {
         return { entails: false, confidence: 0, label: 'neutral' };
     }
+    if (NLI_CONFIG.mode === 'off') {
+        return { entails: false, confidence: 0, label: 'disabled' };
+    }
 
-    try {
-        const hf = getHfClient();
-
-        // Use BART-MNLI for zero-shot classification
-        const result = await hf.zeroShotClassification({
-            model: 'facebook/bart-large-mnli',
-            inputs: text,
-            parameters: {
-                candidate_labels: [hypothesis, `NOT: ${hypothesis}`],
-                multi_label: false
+    const toResult = (confidence, source) => ({
+        entails: confidence >= threshold,
+        confidence,
+        label: confidence >= threshold ? 'entailment' : 'neutral',
+        source
+    });
+
+    if (NLI_CONFIG.mode === 'local') {
+        try {
+            return toResult(await scoreEntailmentLocal(text, hypothesis), 'local');
+        } catch (error) {
+            console.warn('Local NLI check failed:', error.message);
+            if (!NLI_CONFIG.remoteFallback) {
+                return { entails: false, confidence: 0, label: 'error' };
             }
-        });
-
-        // Find the positive label score
-        const positiveIndex = result.labels.indexOf(hypothesis);
-        const confidence = positiveIndex >= 0 ? result.scores[positiveIndex] : 0;
+        }
+    }
 
-        return {
-            entails: confidence >= threshold,
-            confidence: confidence,
-            label: confidence >= threshold ? 'entailment' : 'neutral'
-        };
+    try {
+        return toResult(await scoreEntailmentRemotely(text, hypothesis), 'remote');
     } catch (error) {
+        if (isFixtureMissing(error)) throw error;
         console.warn('Semantic NLI check failed:', error.message);
         // Fallback: don't block on API errors
         return { entails: false, confidence: 0, label: 'error' };
@@ -64,18 +108,20 @@ export const checkEntailment = async (text, hypothesis, threshold = 0.7) => {
 /**
  * Run semantic detection for rules with semantic_hypothesis
  * Only runs if regex didn't already catch the violation (fallback)
- * @param {object} rule - Rule with params.semantic_hypothesis
+ * @param {object} rule - Rule with params.semantic_hypothesis and optional params.semantic_threshold
  * @param {Array} textElements - Text elements from canvas
  * @param {Array} existingViolations - Violations already found by regex
- * @returns {Promise<{ passed: boolean, violations: Array }>}
+ * @returns {Promise<{ passed: boolean, violations: Array, unavailable: boolean }>}
  */
 export const detectSemanticViolations = async (rule, textElements, existingViolations = []) => {
     const hypothesis = rule.params?.semantic_hypothesis;
+    const threshold = rule.params?.semantic_threshold ?? DEFAULT_SEMANTIC_THRESHOLD;
     if (!hypothesis) {
         return { passed: true, violations: [] };
     }
 
     const violations = [];
+    let failedChecks = 0;
     const alreadyViolatedObjIds = new Set(existingViolations.map(v => v.objectId));
 
     // Only check elements that weren't already caught by regex
@@ -94,12 +140,13 @@ export const detectSemanticViolations = async (rule, textElements, existingViola
 
         const results = await Promise.all(
             batch.map(async (element) => {
-                const result = await checkEntailment(element.text, hypothesis, 0.75);
+                const result = await checkEntailment(element.text, hypothesis, threshold);
                 return { element, result };
             })
         );
 
         for (const { element, result } of results) {
+            if (result.label === 'error' || result.label === 'disabled') failedChecks += 1;
             if (result.entails) {
                 violations.push({
                     ruleId: rule.id,
@@ -109,6 +156,7 @@ export const detectSemanticViolations = async (rule, textElements, existingViola
                     objectId: element.objectId,
                     text: element.text,
                     confidence: result.confidence,
+                    threshold,
                     detectionMethod: 'semantic_nli',
                     explanation: rule.explanation,
                     plainEnglish: rule.plain_english,
@@ -120,7 +168,9 @@ export const detectSemanticViolations = async (rule, textElements, existingViola
 
     return {
         passed: violations.length === 0,
-        violations
+        violations,
+        // No NLI backend answered, so "passed" means "not checked"
+        unavailable: elementsToCheck.length > 0 && failedChecks === elementsToCheck.length
     };
 };
 
@@ -148,6 +198,9 @@ export const checkMultipleHypotheses = async (text, hypotheses) => {
 };
 
 export default {
+    NLI_CONFIG,
+    DEFAULT_SEMANTIC_THRESHOLD,
+    configureNli,
     checkEntailment,
     detectSemanticViolations,
     checkMultipleHypotheses
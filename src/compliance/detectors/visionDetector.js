@@ -6,11 +6,11 @@
 
 // Use AI Orchestrator for provider routing
 import aiOrchestrator from '../../services/aiOrchestrator';
-import geminiService from '../../services/geminiService';
+import { isFixtureMissing } from '../../services/aiFixtures';
 
 /**
  * MEDIA_001: Detect people in an image
- * Uses orchestrator fallback chain: MediaPipe → DETR → Gemini
+ * Uses orchestrator fallback chain: DETR → LLM vision
  * @param {string} imageDataUrl - Base64 image data URL
  * @returns {Promise<{ detected: boolean, confidence: number, details: object }>}
  */
@@ -33,6 +33,7 @@ export const detectPeople = async (imageDataUrl) => {
       }
     };
   } catch (error) {
+    if (isFixtureMissing(error)) throw error;
     console.warn('People detection failed:', error.message);
     return { detected: false, confidence: 0, details: { error: error.message } };
   }
@@ -44,7 +45,7 @@ export const detectPeople = async (imageDataUrl) => {
  * @returns {Promise<{ valid: boolean, issues: string[] }>}
  */
 export const verifyDrinkawareLogo = async (imageDataUrl) => {
-  if (!imageDataUrl || !geminiService.hasApiKey()) {
+  if (!imageDataUrl || !aiOrchestrator.hasCapability('visualCompliance')) {
     return { valid: false, issues: ['Vision API not available'] };
   }
 
@@ -65,27 +66,22 @@ Respond in JSON format:
   "issues": string[]
 }`;
 
-    const base64 = imageDataUrl.split(',')[1];
-    const mimeType = imageDataUrl.split(':')[1].split(';')[0];
-    
-    const response = await geminiService.callGeminiVision(prompt, base64, mimeType);
-    
-    // Parse JSON from response
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      return {
-        valid: result.logoVisible && result.isLegible && result.hasContrast,
-        logoVisible: result.logoVisible,
-        isLegible: result.isLegible,
-        hasContrast: result.hasContrast,
-        heightPercent: result.estimatedHeightPercent,
-        issues: result.issues || []
-      };
-    }
+    const { data: result } = await aiOrchestrator.generateJson('visualCompliance', prompt, {
+      image: imageDataUrl,
+      temperature: 0.1,
+      maxTokens: 256
+    });
 
-    return { valid: false, issues: ['Could not parse vision response'] };
+    return {
+      valid: result.logoVisible && result.isLegible && result.hasContrast,
+      logoVisible: result.logoVisible,
+      isLegible: result.isLegible,
+      hasContrast: result.hasContrast,
+      heightPercent: result.estimatedHeightPercent,
+      issues: result.issues || []
+    };
   } catch (error) {
+    if (isFixtureMissing(error)) throw error;
     console.warn('Drinkaware verification failed:', error.message);
     return { valid: false, issues: [error.message] };
   }
@@ -97,7 +93,7 @@ Respond in JSON format:
  * @returns {Promise<{ count: number, hasLead: boolean, details: object }>}
  */
 export const analyzePackshots = async (imageDataUrl) => {
-  if (!imageDataUrl || !geminiService.hasApiKey()) {
+  if (!imageDataUrl || !aiOrchestrator.hasCapability('visualCompliance')) {
     return { count: 0, hasLead: false, details: {} };
   }
 
@@ -117,27 +113,23 @@ Respond in JSON format:
   "issues": string[]
 }`;
 
-    const base64 = imageDataUrl.split(',')[1];
-    const mimeType = imageDataUrl.split(':')[1].split(';')[0];
-    
-    const response = await geminiService.callGeminiVision(prompt, base64, mimeType);
-    
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      return {
-        count: result.packshotCount || 0,
-        hasLead: result.hasLeadProduct || false,
-        details: {
-          leadDescription: result.leadProductDescription,
-          allVisible: result.allProductsVisible,
-          issues: result.issues || []
-        }
-      };
-    }
+    const { data: result } = await aiOrchestrator.generateJson('visualCompliance', prompt, {
+      image: imageDataUrl,
+      temperature: 0.1,
+      maxTokens: 256
+    });
 
-    return { count: 0, hasLead: false, details: {} };
+    return {
+      count: result.packshotCount || 0,
+      hasLead: result.hasLeadProduct || false,
+      details: {
+        leadDescription: result.leadProductDescription,
+        allVisible: result.allProductsVisible,
+        issues: result.issues || []
+      }
+    };
   } catch (error) {
+    if (isFixtureMissing(error)) throw error;
     console.warn('Packshot analysis failed:', error.message);
     return { count: 0, hasLead: false, details: { error: error.message } };
   }
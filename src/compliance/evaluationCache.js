@@ -0,0 +1,142 @@
+/**
+ * Evaluation Cache
+ * Lets the engine re-evaluate only what a canvas change can affect. Each
+ * object gets two hashes:
+ * - text: what the text rules read (copy, role flags, font size for headline detection)
+ * - geometry: what the layout rules read (position, size, scale, colour, role flags)
+ *
+ * Text rules (regex, semantic NLI) are cached per object on the text hash,
+ * per-object layout rules (safe zones, font size, contrast) per object on the
+ * geometry hash, and cross-object layout rules (overlap, packshot count,
+ * Drinkaware) per canvas on the geometry hashes of all objects. Editing copy
+ * therefore re-runs the text rules for that object only; moving a packshot
+ * re-runs geometry rules only.
+ *
+ * Entries live in WeakMaps keyed by the object / canvas instance, so they go
+ * away with the objects. Keys include a rule-set version, so loading or
+ * switching rule packs invalidates everything.
+ */
+
+import { getActiveRules } from './rulePacks';
+
+const TEXT_PROPS = ['type', 'text', 'customName', 'fontSize', 'isValueTile', 'isTag', 'isDrinkaware'];
+
+const GEOMETRY_PROPS = [
+    'type', 'left', 'top', 'width', 'height', 'scaleX', 'scaleY', 'angle',
+    'originX', 'originY', 'strokeWidth', 'fontSize', 'fill', 'customName',
+    'isValueTile', 'valueTileType', 'isTag', 'isLEPTag', 'isDrinkaware', 'isPackshot',
+    'isLeadPackshot', 'isLogo', 'isBackground', 'isSafeZone', 'isGridLine'
+];
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex chars
+ */
+export const hashString = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const hashProps = (obj, props) => hashString(JSON.stringify(props.map(p => obj[p] ?? null)));
+
+/**
+ * Text and geometry hashes for a canvas object (live or serialized)
+ * @returns {{ text: string, geometry: string }}
+ */
+export const getObjectHashes = (obj) => ({
+    text: hashProps(obj, TEXT_PROPS),
+    geometry: hashProps(obj, GEOMETRY_PROPS)
+});
+
+/**
+ * Canvas-like view exposing a single object, for running canvas-wide
+ * detectors against one object
+ */
+export const singleObjectView = (canvas, obj) => ({
+    isSerialized: canvas.isSerialized,
+    backgroundColor: canvas.backgroundColor,
+    width: canvas.width,
+    height: canvas.height,
+    getObjects: () => [obj]
+});
+
+const ruleSetVersions = new WeakMap();
+let nextRuleSetVersion = 1;
+
+/**
+ * Version of the active rule set for a project; changes whenever the merged
+ * rules are rebuilt (pack loaded, removed or re-selected)
+ */
+export const getRuleSetVersion = (projectId) => {
+    const rules = getActiveRules(projectId);
+    if (!ruleSetVersions.has(rules)) {
+        ruleSetVersions.set(rules, nextRuleSetVersion++);
+    }
+    return ruleSetVersions.get(rules);
+};
+
+export class EvaluationCache {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Drop every cached result
+     */
+    clear() {
+        this.entries = new WeakMap();
+        this.stats = { reused: 0, evaluated: 0 };
+    }
+
+    /**
+     * Reset the per-evaluation counters
+     */
+    resetStats() {
+        this.stats = { reused: 0, evaluated: 0 };
+    }
+
+    /**
+     * Cached violations for (owner, slot), re-computed when the key changes
+     * @param {object} owner - Canvas object or canvas the result belongs to
+     * @param {string} slot - What was evaluated, e.g. "regex" or "layout:ACC_001"
+     * @param {string} key - Everything the result depends on
+     * @param {Function} compute - () => violations | Promise<violations>
+     * @returns {Promise<Array>} Violations
+     */
+    async resolve(owner, slot, key, compute) {
+        let slots = this.entries.get(owner);
+        if (!slots) {
+            slots = new Map();
+            this.entries.set(owner, slots);
+        }
+
+        const cached = slots.get(slot);
+        if (cached && cached.key === key) {
+            this.stats.reused += 1;
+            return cached.violations;
+        }
+
+        const violations = await compute();
+        slots.set(slot, { key, violations });
+        this.stats.evaluated += 1;
+        return violations;
+    }
+
+    /**
+     * Forget one cached result so the next evaluation recomputes it
+     */
+    invalidate(owner, slot) {
+        this.entries.get(owner)?.delete(slot);
+    }
+}
+
+export default {
+    hashString,
+    getObjectHashes,
+    singleObjectView,
+    getRuleSetVersion,
+    EvaluationCache
+};
@@ -0,0 +1,135 @@
+/**
+ * Compliance Fix-ups
+ * Deterministic fixes for failing layout rules. evaluateLayoutRules proposes
+ * the fixes (move out of a safe zone, bump a font size, swap to the nearest
+ * passing contrast colour, insert the Drinkaware lockup, ...); this module
+ * resolves them against a live canvas into previewable diffs and applies them.
+ *
+ * Applying does not touch history - callers save once after a batch
+ * (useCompliance.applyComplianceFixes goes through saveToHistory).
+ */
+
+import { Rect, IText } from 'fabric';
+import { evaluateLayoutRules, toLayoutElements } from './layoutRuleEvaluator';
+
+/**
+ * Find the canvas object a fix targets. Objects without an id are addressed
+ * by the positional id toLayoutElements gives them.
+ */
+const findTarget = (canvas, objectId) => {
+    const objects = canvas.getObjects();
+    return objects.find(o => o.id === objectId)
+        || objects.find((o, i) => !o.id && `${o.type}-${i}` === objectId)
+        || null;
+};
+
+const round2 = (value) => Math.ceil(value * 100 - 1e-6) / 100;
+
+/**
+ * Target value for one change operation
+ * @param {any} from - Current property value
+ * @param {object} op - { value } | { delta } | { factor }
+ */
+const resolveValue = (from, op) => {
+    if ('value' in op) return op.value;
+    if ('delta' in op) return Math.round(((from || 0) + op.delta) * 100) / 100;
+    if ('factor' in op) return round2((from ?? 1) * op.factor);
+    return from;
+};
+
+/**
+ * Preview a fix as a property diff against the current canvas
+ * @param {fabric.Canvas} canvas
+ * @param {object} fix - Fix from evaluateLayoutRules
+ * @returns {Array<{ prop: string, from: any, to: any }>|null} null if the target is gone
+ */
+export const previewFix = (canvas, fix) => {
+    if (fix.action === 'insert') {
+        return fix.elements.map(el => ({
+            prop: el.type,
+            from: null,
+            to: el.text || el.props.customName || el.type
+        }));
+    }
+
+    const obj = findTarget(canvas, fix.objectId);
+    if (!obj) return null;
+
+    return Object.entries(fix.changes).map(([prop, op]) => ({
+        prop,
+        from: obj[prop],
+        to: resolveValue(obj[prop], op)
+    }));
+};
+
+/**
+ * Evaluate the canvas and return every proposed fix with its diff
+ * @param {fabric.Canvas} canvas
+ * @param {object} format - FORMAT_PRESETS entry plus formatId
+ * @param {object} context - { backgroundColor, isAlcoholProduct, projectId }
+ * @returns {Array} Fixes with a `diff` array
+ */
+export const proposeFixes = (canvas, format, context = {}) => {
+    if (!canvas) return [];
+
+    const results = evaluateLayoutRules(toLayoutElements(canvas), format, null, context);
+    return results
+        .filter(r => r.status === 'fail')
+        .flatMap(r => r.fixes || [])
+        .map(fix => ({ ...fix, diff: previewFix(canvas, fix) }))
+        .filter(fix => fix.diff && fix.diff.length > 0);
+};
+
+const createObject = (descriptor) => {
+    switch (descriptor.type) {
+        case 'rect':
+            return new Rect(descriptor.props);
+        case 'i-text':
+        case 'text':
+            return new IText(descriptor.text || '', descriptor.props);
+        default:
+            return null;
+    }
+};
+
+/**
+ * Apply a single fix to the canvas. Update fixes are re-resolved against the
+ * current values, so fixes touching the same object compose.
+ * @returns {boolean} Whether anything changed
+ */
+export const applyFix = (canvas, fix) => {
+    if (!canvas) return false;
+
+    if (fix.action === 'insert') {
+        const objects = fix.elements.map(createObject).filter(Boolean);
+        if (objects.length === 0) return false;
+        canvas.add(...objects);
+        canvas.requestRenderAll();
+        return true;
+    }
+
+    const obj = findTarget(canvas, fix.objectId);
+    if (!obj) return false;
+
+    for (const [prop, op] of Object.entries(fix.changes)) {
+        obj.set(prop, resolveValue(obj[prop], op));
+    }
+    obj.setCoords();
+    canvas.requestRenderAll();
+    return true;
+};
+
+/**
+ * Apply several fixes in order
+ * @returns {number} Number of fixes applied
+ */
+export const applyFixes = (canvas, fixes) => {
+    return fixes.reduce((count, fix) => count + (applyFix(canvas, fix) ? 1 : 0), 0);
+};
+
+export default {
+    proposeFixes,
+    previewFix,
+    applyFix,
+    applyFixes
+};
@@ -6,6 +6,7 @@
 // Rule Schema
 export {
     default as RULE_SCHEMA,
+    PLATFORM_ZONES_PACK,
     SCHEMA_VERSION,
     getRuleById,
     getRulesByCategory,
@@ -14,12 +15,57 @@ export {
     getWarningRules
 } from './ruleSchema';
 
+// Rule Packs (pluggable, versioned rule sets)
+export {
+    RULE_PACK_SCHEMA,
+    DEFAULT_PROJECT_ID,
+    validateRulePack,
+    registerRulePack,
+    unregisterRulePack,
+    loadRulePack,
+    listRulePacks,
+    getActiveProjectId,
+    setActiveProjectId,
+    getProjectRulePacks,
+    setProjectRulePacks,
+    getActiveRules,
+    getActivePackVersions,
+    subscribeRulePacks
+} from './rulePacks';
+
+// Safe Zones (per-format keep-out and bleed areas)
+export {
+    ZONE_KINDS,
+    ELEMENT_ROLES,
+    validateZones,
+    resolveFormatZones,
+    getElementRole,
+    findZoneHits,
+    zoneEscape
+} from './safeZones';
+
+// Rule Registry (canonical limits/terms derived from the active packs)
+export {
+    COMPLIANCE_RULES,
+    getComplianceRules,
+    findProhibitedTerms,
+    buildProhibitedTermsPrompt
+} from './ruleRegistry';
+
 // Compliance Engine
 export {
     ComplianceEngine,
     complianceEngine as default
 } from './complianceEngine';
 
+// Headless evaluation over serialized canvas JSON
+export {
+    SERIALIZED_PROPS,
+    createSerializedCanvas,
+    getSerializedBoundingRect,
+    normalizeObjectType
+} from './serializedCanvas';
+
 // Detectors (for advanced usage)
 export { default as regexDetector } from './detectors/regexDetector';
 export { default as layoutDetector } from './detectors/layoutDetector';
@@ -29,6 +75,57 @@ export { default as visionDetector } from './detectors/visionDetector';
 // Layout Rule Evaluator (deterministic layout checks)
 export {
     evaluateLayoutRules,
-    evaluateLayoutRulesQuick
+    evaluateLayoutRulesQuick,
+    toLayoutElements
 } from './layoutRuleEvaluator';
 
+// Deterministic fix-ups for failing layout rules
+export {
+    proposeFixes,
+    previewFix,
+    applyFix,
+    applyFixes
+} from './fixups';
+
+
+// Reviewed, expiring waivers for warning-level violations
+export {
+    createWaiver,
+    findWaiver,
+    partitionWaived,
+    isWaiverActive,
+    getViolationKey,
+    formatWaiverLog
+} from './waivers';
+
+// Compliance certificate bundled with campaign exports
+export {
+    evaluateForReport,
+    buildRuleRows,
+    createComplianceReport,
+    renderComplianceReportHTML
+} from './complianceReport';
+
+// Per-object result cache behind incremental evaluation
+export {
+    EvaluationCache,
+    getObjectHashes,
+    getRuleSetVersion
+} from './evaluationCache';
+
+// Local (offline) NLI for the semantic detector
+export { NLI_CONFIG, configureNli, DEFAULT_SEMANTIC_THRESHOLD } from './detectors/semanticDetector';
+export { scoreEntailmentLocally, terminateNliWorker, DEFAULT_NLI_MODEL } from './nli/nliClient';
+export { clearModelCache } from './nli/modelCache';
+
+// Semantic threshold calibration
+export {
+    parseCalibrationCsv,
+    computeMetrics,
+    suggestThreshold,
+    calibrateSemanticRules,
+    formatCalibrationReport
+} from './calibration';
+
+// Per-frame checks for animated exports
+export { checkAnimationFrames } from './animationCompliance';
@@ -8,26 +8,34 @@
  * - rules: Array of layout rules with detection_method = "layout"
  * 
  * Output:
- * - Array of { ruleId, status: 'pass' | 'fail', message }
+ * - Array of { ruleId, status: 'pass' | 'fail', message, fixes? }
+ *
+ * Failing results carry deterministic fix proposals where the rule has an
+ * obvious remedy. A fix is { id, ruleId, objectId, action, description } plus
+ * either `changes` ({ prop: { value } | { delta } | { factor } }) for
+ * action 'update', or `elements` (object descriptors) for action 'insert'.
+ * ./fixups resolves them against the canvas for preview and apply.
  */
 
 import { getRulesByDetectionMethod } from './ruleSchema';
+import { getFormatZones, ruleAppliesToFormat } from '../store/formatPresets';
+import { describeZoneHit, findZoneHits, getElementRole, zoneEscape } from './safeZones';
 
 /**
  * Main evaluator function
  * @param {Array} canvasElements - Elements with bounding boxes
  * @param {Object} activeFormat - { width, height, ratio? }
  * @param {Array} rules - Layout rules to evaluate (optional, defaults to all layout rules)
- * @param {Object} context - Additional context { backgroundColor, isAlcoholProduct }
- * @returns {Array} Results array: [{ ruleId, status, message }]
+ * @param {Object} context - Additional context { backgroundColor, isAlcoholProduct, projectId }
+ * @returns {Array} Results array: [{ ruleId, status, message, fixes? }]
  */
 export function evaluateLayoutRules(canvasElements, activeFormat, rules = null, context = {}) {
-    const layoutRules = rules || getRulesByDetectionMethod('layout');
+    const layoutRules = rules || getRulesByDetectionMethod('layout', context.projectId);
     const results = [];
 
     for (const rule of layoutRules) {
         // Skip rules that don't apply to current format
-        if (rule.applies_to_formats && !rule.applies_to_formats.includes(activeFormat.formatId)) {
+        if (!ruleAppliesToFormat(rule, activeFormat.formatId)) {
             results.push({
                 ruleId: rule.id,
                 status: 'pass',
@@ -62,7 +70,7 @@ export function evaluateLayoutRules(canvasElements, activeFormat, rules = null,
                 result = checkSafeZones(canvasElements, activeFormat, rule);
                 break;
             case 'DESIGN_001':
-                result = checkValueTileOverlap(canvasElements, rule);
+                result = checkValueTileOverlap(canvasElements, activeFormat, rule);
                 break;
             case 'TAG_001':
                 result = checkTagOverlap(canvasElements, rule);
@@ -77,7 +85,7 @@ export function evaluateLayoutRules(canvasElements, activeFormat, rules = null,
                 result = checkPackshotCount(canvasElements, rule);
                 break;
             case 'ALC_001':
-                result = checkDrinkawarePresence(canvasElements, context.isAlcoholProduct, rule);
+                result = checkDrinkawarePresence(canvasElements, activeFormat, context.isAlcoholProduct, rule);
                 break;
             default:
                 result = { ruleId: rule.id, status: 'pass', message: 'No specific check implemented' };
@@ -115,67 +123,98 @@ function boxesOverlap(box1, box2) {
     );
 }
 
+/**
+ * Fix proposal that updates properties of an existing object
+ */
+function createUpdateFix(rule, element, description, changes) {
+    return {
+        id: `${rule.id}:${element.id}`,
+        ruleId: rule.id,
+        objectId: element.id,
+        action: 'update',
+        description,
+        changes
+    };
+}
+
+/**
+ * Fail result with the fixes that could be proposed (deduplicated per object)
+ */
+function failResult(rule, violations, fixes = []) {
+    const unique = [...new Map(fixes.map(f => [f.id, f])).values()];
+    return {
+        ruleId: rule.id,
+        status: 'fail',
+        message: violations.join('; '),
+        fixes: unique
+    };
+}
+
+/**
+ * Vertical move that takes a box clear of an obstacle while staying on the
+ * canvas; prefers the shorter move. Returns null if neither direction fits.
+ */
+function verticalEscape(box, obstacle, canvasHeight) {
+    const up = obstacle.top - box.bottom;
+    const down = obstacle.bottom - box.top;
+    const candidates = [up, down]
+        .filter(delta => box.top + delta >= 0 && (!canvasHeight || box.bottom + delta <= canvasHeight))
+        .sort((a, b) => Math.abs(a) - Math.abs(b));
+    return candidates.length > 0 ? candidates[0] : null;
+}
+
 // ============================================
 // CHECK FUNCTIONS
 // ============================================
 
 /**
- * FORMAT_001: Safe Zone Enforcement
- * Ensures text, logos, and interactive elements stay out of top/bottom exclusion zones
- * for 9:16 formats (Instagram/Facebook Stories)
+ * FORMAT_001: Safe Zone & Bleed Enforcement
+ * Ensures elements stay out of the format's keep-out zones (platform UI) and
+ * bleed areas (trimmed in print) that apply to their role
  */
 function checkSafeZones(elements, format, rule) {
-    // Only applies to 9:16 formats
-    if (format.ratio !== '9:16') {
+    const zones = getFormatZones(format, rule);
+    if (zones.length === 0) {
         return {
             ruleId: rule.id,
             status: 'pass',
-            message: 'Safe zone check not required for this format ratio'
+            message: 'No keep-out or bleed zones for this format'
         };
     }
 
-    const safeZoneTop = rule.params?.safe_zone_top_px || 200;
-    const safeZoneBottom = rule.params?.safe_zone_bottom_px || 250;
-    const excludedTypes = ['valueTile', 'drinkaware', 'tag', 'background', 'safeZone'];
-
     const violations = [];
-    const canvasHeight = format.height;
+    const fixes = [];
 
     for (const element of elements) {
-        // Skip excluded element types
-        if (excludedTypes.includes(element.type) || element.isValueTile || element.isDrinkaware || element.isTag || element.isBackground || element.isSafeZone) {
-            continue;
-        }
-
-        // Only check text, logos, and interactive elements
-        const isCheckable = ['text', 'i-text', 'textbox'].includes(element.type) || element.isLogo;
-        if (!isCheckable) continue;
-
+        const role = getElementRole(element);
         const box = getBoundingBox(element);
-
-        const inTopZone = box.top < safeZoneTop;
-        const inBottomZone = box.bottom > (canvasHeight - safeZoneBottom);
-
-        if (inTopZone) {
-            violations.push(`Element "${element.id || 'unknown'}" is in top safe zone (top ${safeZoneTop}px)`);
-        }
-        if (inBottomZone) {
-            violations.push(`Element "${element.id || 'unknown'}" is in bottom safe zone (bottom ${safeZoneBottom}px)`);
+        const hits = findZoneHits(box, role, zones);
+
+        for (const zone of hits) {
+            violations.push(describeZoneHit(element.id || 'unknown', zone));
+
+            const delta = element.id && zoneEscape(box, zone, role, zones, format.width, format.height);
+            if (!delta) continue;
+
+            const [prop, amount] = Object.entries(delta)[0];
+            const direction = prop === 'top' ? (amount > 0 ? 'down' : 'up') : (amount > 0 ? 'right' : 'left');
+            fixes.push(createUpdateFix(
+                rule,
+                element,
+                `Move "${element.id}" ${direction} ${Math.ceil(Math.abs(amount))}px out of "${zone.label}"`,
+                { [prop]: { delta: amount } }
+            ));
         }
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations, fixes);
     }
 
     return {
         ruleId: rule.id,
         status: 'pass',
-        message: 'All elements are outside safe zones'
+        message: 'All elements are outside keep-out and bleed zones'
     };
 }
 
@@ -183,7 +222,7 @@ function checkSafeZones(elements, format, rule) {
  * DESIGN_001: Value Tile Overlap Check
  * Ensures value tiles don't overlap each other or other content
  */
-function checkValueTileOverlap(elements, rule) {
+function checkValueTileOverlap(elements, format, rule) {
     const valueTiles = elements.filter(el => el.isValueTile || el.type === 'valueTile');
     const otherElements = elements.filter(el =>
         !el.isValueTile &&
@@ -193,10 +232,14 @@ function checkValueTileOverlap(elements, rule) {
     );
 
     const violations = [];
+    const fixes = [];
 
     // Check value tiles overlapping each other
     for (let i = 0; i < valueTiles.length; i++) {
         for (let j = i + 1; j < valueTiles.length; j++) {
+            // Parts of the same tile (background + text) overlap by design
+            if (valueTiles[i].valueTileType && valueTiles[i].valueTileType === valueTiles[j].valueTileType) continue;
+
             const box1 = getBoundingBox(valueTiles[i]);
             const box2 = getBoundingBox(valueTiles[j]);
 
@@ -215,6 +258,17 @@ function checkValueTileOverlap(elements, rule) {
 
             if (boxesOverlap(tileBox, elementBox)) {
                 violations.push(`Element "${element.id || 'unknown'}" overlaps value tile "${tile.id || 'tile'}"`);
+
+                // Value tiles are fixed, so move the other element clear of it
+                const delta = element.id ? verticalEscape(elementBox, tileBox, format?.height) : null;
+                if (delta !== null) {
+                    fixes.push(createUpdateFix(
+                        rule,
+                        element,
+                        `Move "${element.id}" ${delta > 0 ? 'down' : 'up'} ${Math.ceil(Math.abs(delta))}px clear of value tile "${tile.id || 'tile'}"`,
+                        { top: { delta } }
+                    ));
+                }
             }
         }
     }
@@ -229,11 +283,7 @@ function checkValueTileOverlap(elements, rule) {
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations, fixes);
     }
 
     return {
@@ -287,11 +337,7 @@ function checkTagOverlap(elements, rule) {
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations);
     }
 
     return {
@@ -321,6 +367,7 @@ function checkMinFontSize(elements, format, rule) {
     );
 
     const violations = [];
+    const fixes = [];
 
     for (const element of textElements) {
         const fontSize = element.fontSize || 16;
@@ -331,15 +378,19 @@ function checkMinFontSize(elements, format, rule) {
             violations.push(
                 `Text "${element.id || element.text?.substring(0, 20) || 'unknown'}" has font size ${Math.round(effectiveSize)}px (minimum ${minSize}px)`
             );
+            if (element.id) {
+                fixes.push(createUpdateFix(
+                    rule,
+                    element,
+                    `Increase "${element.id}" font size from ${Math.round(effectiveSize)}px to ${minSize}px`,
+                    { fontSize: { factor: minSize / effectiveSize } }
+                ));
+            }
         }
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations, fixes);
     }
 
     return {
@@ -375,6 +426,7 @@ function checkTextContrast(elements, backgroundColor, rule) {
     );
 
     const violations = [];
+    const fixes = [];
 
     for (const element of textElements) {
         const textColor = element.fill || element.color || '#000000';
@@ -387,15 +439,20 @@ function checkTextContrast(elements, backgroundColor, rule) {
             violations.push(
                 `Text "${element.id || 'unknown'}" has contrast ratio ${contrast.toFixed(1)}:1 (minimum ${requiredRatio}:1)`
             );
+            const color = element.id ? findNearestPassingColor(textColor, backgroundColor, requiredRatio) : null;
+            if (color) {
+                fixes.push(createUpdateFix(
+                    rule,
+                    element,
+                    `Change "${element.id}" text colour to ${color} (${calculateContrastRatio(color, backgroundColor).toFixed(1)}:1)`,
+                    { fill: { value: color } }
+                ));
+            }
         }
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations, fixes);
     }
 
     return {
@@ -415,6 +472,7 @@ function checkPackshotCount(elements, rule) {
     const leadRequired = rule.params?.lead_required !== false;
 
     const violations = [];
+    const fixes = [];
 
     if (packshots.length > maxCount) {
         violations.push(`${packshots.length} packshots present (maximum allowed: ${maxCount})`);
@@ -424,15 +482,24 @@ function checkPackshotCount(elements, rule) {
         const hasLead = packshots.some(p => p.isLeadPackshot);
         if (!hasLead) {
             violations.push('No lead packshot designated');
+
+            // Promote the largest packshot
+            const largest = packshots
+                .filter(p => p.id)
+                .sort((a, b) => (b.width * b.height) - (a.width * a.height))[0];
+            if (largest) {
+                fixes.push(createUpdateFix(
+                    rule,
+                    largest,
+                    `Mark "${largest.id}" as the lead packshot`,
+                    { isLeadPackshot: { value: true } }
+                ));
+            }
         }
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations, fixes);
     }
 
     return {
@@ -446,7 +513,7 @@ function checkPackshotCount(elements, rule) {
  * ALC_001: Drinkaware Presence Check (layout portion)
  * Ensures Drinkaware lockup is present for alcohol products
  */
-function checkDrinkawarePresence(elements, isAlcoholProduct, rule) {
+function checkDrinkawarePresence(elements, format, isAlcoholProduct, rule) {
     // Only applies to alcohol products
     if (!isAlcoholProduct) {
         return {
@@ -460,28 +527,32 @@ function checkDrinkawarePresence(elements, isAlcoholProduct, rule) {
     const minHeight = rule.params?.min_height_px?.default || 20;
 
     if (drinkawareElements.length === 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: 'Drinkaware lockup required for alcohol products'
-        };
+        return failResult(rule, ['Drinkaware lockup required for alcohol products'], [
+            createDrinkawareInsertFix(rule, format, minHeight)
+        ]);
     }
 
     const violations = [];
+    const fixes = [];
 
     for (const element of drinkawareElements) {
         const height = (element.height || 0) * (element.scaleY || 1);
         if (height < minHeight) {
             violations.push(`Drinkaware lockup height ${Math.round(height)}px is below minimum ${minHeight}px`);
+            if (element.id && height > 0) {
+                const factor = minHeight / height;
+                fixes.push(createUpdateFix(
+                    rule,
+                    element,
+                    `Scale Drinkaware "${element.id}" up to ${minHeight}px tall`,
+                    { scaleX: { factor }, scaleY: { factor } }
+                ));
+            }
         }
     }
 
     if (violations.length > 0) {
-        return {
-            ruleId: rule.id,
-            status: 'fail',
-            message: violations.join('; ')
-        };
+        return failResult(rule, violations, fixes);
     }
 
     return {
@@ -495,6 +566,77 @@ function checkDrinkawarePresence(elements, isAlcoholProduct, rule) {
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Fix that inserts a Drinkaware lockup bottom-right (same placement as the
+ * sidebar's Drinkaware button), sized to pass the minimum height
+ */
+function createDrinkawareInsertFix(rule, format, minHeight) {
+    const left = (format?.width || 1080) - 100;
+    const top = (format?.height || 1080) - 40;
+    const fontSize = Math.max(14, Math.ceil(minHeight / 1.13));
+
+    return {
+        id: `${rule.id}:insert`,
+        ruleId: rule.id,
+        objectId: null,
+        action: 'insert',
+        description: 'Insert the Drinkaware lockup (bottom right)',
+        elements: [
+            {
+                type: 'rect',
+                props: {
+                    width: 180, height: fontSize + 14, fill: '#ffffff', rx: 4, ry: 4,
+                    originX: 'center', originY: 'center', left, top,
+                    isDrinkaware: true, customName: 'Drinkaware'
+                }
+            },
+            {
+                type: 'i-text',
+                text: rule.params?.required_text || 'drinkaware.co.uk',
+                props: {
+                    fontSize, fontFamily: 'Inter, sans-serif', fill: '#000000',
+                    originX: 'center', originY: 'center', left, top,
+                    editable: false, isDrinkaware: true
+                }
+            }
+        ]
+    };
+}
+
+const parseHex = (hexColor) => {
+    let hex = String(hexColor).replace('#', '');
+    if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+    return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+};
+
+const toHex = (rgb) => `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Closest colour to the text colour (mixing towards black or white) that
+ * meets the required contrast ratio against the background
+ * @returns {string|null} Hex colour, or null for non-hex input
+ */
+function findNearestPassingColor(textColor, backgroundColor, requiredRatio) {
+    const rgb = parseHex(textColor);
+    if (!rgb || !parseHex(backgroundColor)) return null;
+
+    let best = null;
+    for (const target of [[0, 0, 0], [255, 255, 255]]) {
+        for (let step = 1; step <= 20; step++) {
+            const t = step / 20;
+            const color = toHex(rgb.map((c, i) => Math.round(c + (target[i] - c) * t)));
+            if (calculateContrastRatio(color, backgroundColor) >= requiredRatio) {
+                if (!best || t < best.t) best = { t, color };
+                break;
+            }
+        }
+    }
+    return best?.color || null;
+}
+
 /**
  * Calculate contrast ratio between two colors
  * Based on WCAG 2.0 formula
@@ -527,6 +669,40 @@ function calculateContrastRatio(foreground, background) {
     }
 }
 
+/**
+ * Convert canvas objects to the element shape evaluateLayoutRules expects:
+ * scene-space bounding boxes with scale folded into width/height/fontSize.
+ * @param {object} canvas - Live or serialized canvas
+ * @returns {Array}
+ */
+export const toLayoutElements = (canvas) => {
+    return canvas.getObjects().map((obj, i) => {
+        const rect = obj.getBoundingRect();
+        return {
+            id: obj.id || `${obj.type}-${i}`,
+            type: obj.type,
+            x: rect.left,
+            y: rect.top,
+            width: rect.width,
+            height: rect.height,
+            scaleX: 1,
+            scaleY: 1,
+            fontSize: ['text', 'i-text', 'textbox'].includes(obj.type) ? (obj.fontSize || 16) * (obj.scaleY || 1) : undefined,
+            fill: typeof obj.fill === 'string' ? obj.fill : undefined,
+            text: obj.text,
+            isValueTile: obj.isValueTile || false,
+            valueTileType: obj.valueTileType,
+            isDrinkaware: obj.isDrinkaware || false,
+            isTag: obj.isTag || false,
+            isLogo: obj.isLogo || false,
+            isPackshot: obj.isPackshot || false,
+            isLeadPackshot: obj.isLeadPackshot || false,
+            isBackground: obj.isBackground || false,
+            isSafeZone: obj.isSafeZone || false
+        };
+    });
+};
+
 /**
  * Quick evaluation - runs only the core layout checks
  * @param {Array} canvasElements 
@@ -547,5 +723,6 @@ export function evaluateLayoutRulesQuick(canvasElements, activeFormat, context =
 
 export default {
     evaluateLayoutRules,
-    evaluateLayoutRulesQuick
+    evaluateLayoutRulesQuick,
+    toLayoutElements
 };
@@ -0,0 +1,79 @@
+/**
+ * Local NLI
+ * Zero-shot entailment with transformers.js, fully on-device. Used inside
+ * nliWorker in the browser and in-process under Node (CLI, scripts).
+ *
+ * Model files are looked up in `localModelPath` first when one is configured
+ * (models bundled with the app, see scripts/fetch-nli-model.js), then
+ * downloaded from the Hub if `allowRemoteModels` is set, and cached in
+ * IndexedDB (browser) or on disk (Node). With remote models disallowed
+ * nothing leaves the machine.
+ */
+
+import { pipeline, env } from '@huggingface/transformers';
+import { modelCache, isModelCacheAvailable } from './modelCache';
+import { DEFAULT_NLI_MODEL } from './nliClient';
+
+const classifiers = new Map();
+
+/**
+ * Apply model-loading options to the transformers.js environment
+ * @param {object} options - { localModelPath, allowRemoteModels }
+ */
+const configureEnvironment = ({ localModelPath, allowRemoteModels = true } = {}) => {
+    // Without a configured path a missing file would hit the dev server's
+    // SPA fallback, so local lookup is opt-in - except offline, where it is
+    // the only source besides the cache
+    env.allowLocalModels = Boolean(localModelPath) || !allowRemoteModels;
+    if (localModelPath) env.localModelPath = localModelPath;
+    env.allowRemoteModels = allowRemoteModels;
+
+    if (isModelCacheAvailable()) {
+        env.useBrowserCache = false;
+        env.useCustomCache = true;
+        env.customCache = modelCache;
+    }
+};
+
+/**
+ * Zero-shot classification pipeline for a model, created once
+ * @param {string} model - Hub id, e.g. "Xenova/nli-deberta-v3-xsmall"
+ * @param {object} options - { localModelPath, allowRemoteModels }
+ */
+export const getClassifier = (model = DEFAULT_NLI_MODEL, options = {}) => {
+    if (!classifiers.has(model)) {
+        configureEnvironment(options);
+        const loading = pipeline('zero-shot-classification', model, { dtype: 'q8' }).catch((error) => {
+            // Let a later call retry (e.g. once the model has been bundled)
+            classifiers.delete(model);
+            throw error;
+        });
+        classifiers.set(model, loading);
+    }
+    return classifiers.get(model);
+};
+
+/**
+ * Probability that `text` entails `hypothesis`
+ * @param {string} text - Premise
+ * @param {string} hypothesis - Full hypothesis sentence
+ * @param {object} options - { model, localModelPath, allowRemoteModels }
+ * @returns {Promise<number>} Entailment score 0-1
+ */
+export const scoreEntailment = async (text, hypothesis, { model = DEFAULT_NLI_MODEL, ...options } = {}) => {
+    const classifier = await getClassifier(model, options);
+
+    // multi_label scores the hypothesis on its own (entailment vs
+    // contradiction) instead of against the other candidate labels
+    const result = await classifier(text, [hypothesis], {
+        hypothesis_template: '{}',
+        multi_label: true
+    });
+
+    return result.scores[0] ?? 0;
+};
+
+export default {
+    getClassifier,
+    scoreEntailment
+};
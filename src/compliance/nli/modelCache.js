@@ -0,0 +1,80 @@
+/**
+ * IndexedDB Model Cache
+ * Cache for transformers.js model files (config, tokenizer, ONNX weights),
+ * implementing the `match` / `put` subset of the Web Cache API that
+ * `env.customCache` expects. Unlike the Cache API it is available in web
+ * workers on every browser we support and survives "clear site cache".
+ */
+
+const DB_NAME = 'astra-nli-models';
+const STORE_NAME = 'files';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        dbPromise = requestToPromise(request).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+const keyOf = (request) => (typeof request === 'string' ? request : request.url);
+
+/**
+ * Whether IndexedDB is usable in this context (browser window or worker)
+ */
+export const isModelCacheAvailable = () => typeof indexedDB !== 'undefined';
+
+export const modelCache = {
+    /**
+     * @param {string|Request} request - Model file URL / cache key
+     * @returns {Promise<Response|undefined>}
+     */
+    async match(request) {
+        const db = await openDatabase();
+        const entry = await requestToPromise(
+            db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(keyOf(request))
+        );
+        if (!entry) return undefined;
+        return new Response(entry.body, { headers: entry.headers });
+    },
+
+    /**
+     * @param {string|Request} request - Model file URL / cache key
+     * @param {Response} response
+     */
+    async put(request, response) {
+        const body = await response.arrayBuffer();
+        const headers = Object.fromEntries(response.headers.entries());
+        const db = await openDatabase();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).put({ body, headers, storedAt: Date.now() }, keyOf(request));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+};
+
+/**
+ * Delete every cached model file
+ */
+export const clearModelCache = async () => {
+    const db = await openDatabase();
+    await requestToPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+};
+
+export default modelCache;
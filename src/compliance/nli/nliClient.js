@@ -0,0 +1,78 @@
+/**
+ * NLI Client
+ * Main-thread entry point for local entailment scoring. In the browser the
+ * model runs in nliWorker (one shared worker, created on first use); where
+ * workers don't exist (Node CLI and scripts) it runs in-process.
+ */
+
+export const DEFAULT_NLI_MODEL = 'Xenova/nli-deberta-v3-xsmall';
+
+let worker = null;
+let nextRequestId = 1;
+const pending = new Map();
+
+const rejectAll = (error) => {
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+};
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('./nliWorker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data }) => {
+            const request = pending.get(data.id);
+            if (!request) return;
+            pending.delete(data.id);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.score);
+            }
+        };
+
+        worker.onerror = (event) => {
+            // Drop the broken worker; the next request starts a fresh one
+            rejectAll(new Error(event.message || 'NLI worker failed'));
+            worker.terminate();
+            worker = null;
+        };
+    }
+    return worker;
+};
+
+/**
+ * Entailment score for (text, hypothesis) from the local model
+ * @param {string} text - Premise
+ * @param {string} hypothesis
+ * @param {object} options - { model, localModelPath, allowRemoteModels }
+ * @returns {Promise<number>} 0-1
+ */
+export const scoreEntailmentLocally = async (text, hypothesis, options = {}) => {
+    if (typeof Worker === 'undefined') {
+        const { scoreEntailment } = await import('./localNli');
+        return scoreEntailment(text, hypothesis, options);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pending.set(id, { resolve, reject });
+        getWorker().postMessage({ id, text, hypothesis, options });
+    });
+};
+
+/**
+ * Stop the worker (e.g. after changing the model); pending requests fail
+ */
+export const terminateNliWorker = () => {
+    if (!worker) return;
+    rejectAll(new Error('NLI worker terminated'));
+    worker.terminate();
+    worker = null;
+};
+
+export default {
+    DEFAULT_NLI_MODEL,
+    scoreEntailmentLocally,
+    terminateNliWorker
+};
@@ -0,0 +1,22 @@
+/**
+ * NLI Web Worker
+ * Runs local zero-shot entailment off the main thread, so loading and
+ * running the model never blocks the editor.
+ *
+ * Usage (see ./nliClient):
+ *   worker.postMessage({ id, text, hypothesis, options });
+ *   worker.onmessage = ({ data }) => { data.id; data.score ?? data.error };
+ */
+
+import { scoreEntailment } from './localNli';
+
+self.onmessage = async (event) => {
+    const { id, text, hypothesis, options = {} } = event.data || {};
+
+    try {
+        const score = await scoreEntailment(text, hypothesis, options);
+        self.postMessage({ id, score });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
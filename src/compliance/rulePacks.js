@@ -0,0 +1,456 @@
+/**
+ * Rule Pack Registry
+ * Loads, validates and merges versioned compliance rule packs.
+ *
+ * A rule pack is a JSON document (or imported object) shaped like RULE_SCHEMA
+ * plus pack metadata:
+ * {
+ *   pack_id: "tesco-appendix-ab",
+ *   pack_version: "1.0.0",
+ *   schema_version: "1.0",
+ *   priority: 0,            // higher priority wins when rule IDs collide
+ *   rule_source: "...",
+ *   rules: [ ...rules ]
+ * }
+ *
+ * Each project selects which registered packs are active. Active packs are
+ * merged by priority into a single rule list that the schema getters
+ * (getRuleById, getRulesByCategory, ...) read from.
+ */
+
+import { validateZones } from './safeZones';
+
+export const SUPPORTED_SCHEMA_VERSIONS = ['1.0'];
+
+export const DEFAULT_PROJECT_ID = 'default';
+
+const RULE_TYPES = ['hard_fail', 'warning'];
+const DETECTION_METHODS = ['regex', 'semantic_nli', 'vision', 'layout'];
+
+const STORAGE_KEY_PACKS = 'astra-rule-packs';
+const STORAGE_KEY_SELECTION = 'astra-rule-pack-selection';
+
+/**
+ * Machine-readable description of a rule pack, used by validateRulePack
+ * and handy as documentation for teams authoring their own packs.
+ */
+export const RULE_PACK_SCHEMA = {
+    pack: {
+        required: ['pack_id', 'pack_version', 'schema_version', 'rules'],
+        properties: {
+            pack_id: 'string',
+            pack_version: 'string (semver, e.g. "1.2.0")',
+            schema_version: `one of ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`,
+            priority: 'number (default 0)',
+            rule_source: 'string',
+            rules: 'array of rules'
+        }
+    },
+    rule: {
+        required: ['id', 'name', 'type', 'category', 'detection_method'],
+        properties: {
+            id: 'string',
+            name: 'string',
+            type: RULE_TYPES.join(' | '),
+            category: 'string',
+            detection_method: `array of ${DETECTION_METHODS.join(' | ')}`,
+            applies_when: 'object',
+            applies_to_formats: 'array of format keys',
+            params: 'object',
+            explanation: 'string',
+            plain_english: 'string',
+            severity: 'string',
+            disabled: 'boolean (removes a rule inherited from a lower-priority pack)'
+        }
+    }
+};
+
+// ============================================
+// STATE
+// ============================================
+
+const packs = new Map();          // pack_id -> pack
+const builtInPackIds = new Set(); // packs registered from source, never persisted
+const optInPackIds = new Set();   // built-in packs a project must select explicitly
+const projectSelections = new Map(); // projectId -> pack_id[]
+let activeProjectId = DEFAULT_PROJECT_ID;
+const mergeCache = new Map();     // projectId -> merged rules
+const listeners = new Set();
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+const invalidate = () => {
+    mergeCache.clear();
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Listen for changes to the registered packs or a project's selection
+ * @returns {function} Unsubscribe
+ */
+export const subscribeRulePacks = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a single rule definition
+ * @param {object} rule
+ * @param {number} index - Position in the pack (for error messages)
+ * @returns {string[]} Errors
+ */
+const validateRule = (rule, index) => {
+    const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+    const errors = [];
+
+    if (!isPlainObject(rule)) {
+        return [`${where} must be an object`];
+    }
+
+    if (typeof rule.id !== 'string' || !rule.id) {
+        errors.push(`${where}.id must be a non-empty string`);
+    }
+
+    // Disabled rules only need an ID - they exist to switch off inherited rules
+    if (rule.disabled === true) return errors;
+
+    if (typeof rule.name !== 'string' || !rule.name) {
+        errors.push(`${where}.name must be a non-empty string`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+        errors.push(`${where}.type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+    if (typeof rule.category !== 'string' || !rule.category) {
+        errors.push(`${where}.category must be a non-empty string`);
+    }
+    if (!Array.isArray(rule.detection_method) || rule.detection_method.length === 0) {
+        errors.push(`${where}.detection_method must be a non-empty array`);
+    } else {
+        const unknown = rule.detection_method.filter(m => !DETECTION_METHODS.includes(m));
+        if (unknown.length > 0) {
+            errors.push(`${where}.detection_method has unknown method(s): ${unknown.join(', ')}`);
+        }
+    }
+    if (rule.params !== undefined && !isPlainObject(rule.params)) {
+        errors.push(`${where}.params must be an object`);
+    }
+    if (rule.applies_when !== undefined && !isPlainObject(rule.applies_when)) {
+        errors.push(`${where}.applies_when must be an object`);
+    }
+    if (rule.applies_to_formats !== undefined && !Array.isArray(rule.applies_to_formats)) {
+        errors.push(`${where}.applies_to_formats must be an array`);
+    }
+
+    const threshold = rule.params?.semantic_threshold;
+    if (threshold !== undefined && !(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+        errors.push(`${where}.params.semantic_threshold must be a number in (0, 1]`);
+    }
+
+    const formatZones = rule.params?.format_zones;
+    if (formatZones !== undefined) {
+        if (!isPlainObject(formatZones)) {
+            errors.push(`${where}.params.format_zones must be an object of format key -> zones`);
+        } else {
+            for (const [formatKey, zones] of Object.entries(formatZones)) {
+                errors.push(...validateZones(zones, `${where}.params.format_zones.${formatKey}`));
+            }
+        }
+    }
+
+    for (const pattern of rule.params?.regex_patterns || []) {
+        try {
+            new RegExp(pattern, 'gi');
+        } catch {
+            errors.push(`${where}.params.regex_patterns has invalid pattern "${pattern}"`);
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validate a rule pack against RULE_PACK_SCHEMA
+ * @param {object} pack
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateRulePack = (pack) => {
+    if (!isPlainObject(pack)) {
+        return { valid: false, errors: ['Rule pack must be an object'] };
+    }
+
+    const errors = [];
+
+    if (typeof pack.pack_id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(pack.pack_id)) {
+        errors.push('pack_id must be a string of letters, numbers, ".", "_" or "-"');
+    }
+    if (typeof pack.pack_version !== 'string' || !/^\d+\.\d+(\.\d+)?$/.test(pack.pack_version)) {
+        errors.push('pack_version must be a version string like "1.0.0"');
+    }
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(pack.schema_version)) {
+        errors.push(`schema_version "${pack.schema_version}" is not supported (expected ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`);
+    }
+    if (pack.priority !== undefined && typeof pack.priority !== 'number') {
+        errors.push('priority must be a number');
+    }
+    if (!Array.isArray(pack.rules)) {
+        errors.push('rules must be an array');
+    } else {
+        const seen = new Set();
+        pack.rules.forEach((rule, i) => {
+            errors.push(...validateRule(rule, i));
+            if (rule?.id) {
+                if (seen.has(rule.id)) errors.push(`Duplicate rule id "${rule.id}"`);
+                seen.add(rule.id);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+};
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+const persistPacks = () => {
+    if (!hasStorage()) return;
+    try {
+        const custom = [...packs.values()].filter(p => !builtInPackIds.has(p.pack_id));
+        localStorage.setItem(STORAGE_KEY_PACKS, JSON.stringify(custom));
+    } catch (e) {
+        console.error('Failed to save rule packs:', e);
+    }
+};
+
+const persistSelections = () => {
+    if (!hasStorage()) return;
+    try {
+        localStorage.setItem(STORAGE_KEY_SELECTION, JSON.stringify(Object.fromEntries(projectSelections)));
+    } catch (e) {
+        console.error('Failed to save rule pack selection:', e);
+    }
+};
+
+const restoreFromStorage = () => {
+    if (!hasStorage()) return;
+    try {
+        const storedPacks = JSON.parse(localStorage.getItem(STORAGE_KEY_PACKS) || '[]');
+        for (const pack of storedPacks) {
+            if (validateRulePack(pack).valid) packs.set(pack.pack_id, pack);
+        }
+        const storedSelection = JSON.parse(localStorage.getItem(STORAGE_KEY_SELECTION) || '{}');
+        for (const [projectId, packIds] of Object.entries(storedSelection)) {
+            if (Array.isArray(packIds)) projectSelections.set(projectId, packIds);
+        }
+    } catch (e) {
+        console.error('Failed to load rule packs:', e);
+    }
+};
+
+restoreFromStorage();
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+/**
+ * Register a validated rule pack. Re-registering a custom pack_id replaces
+ * it; a custom pack can't take a built-in pack's pack_id - it overrides
+ * built-in rules with a higher priority instead.
+ * @param {object} pack
+ * @param {object} options - { builtIn, optIn }
+ *   builtIn - ships with the app and is not persisted
+ *   optIn - a built-in pack that projects only get when they select it
+ * @returns {object} The registered pack
+ * @throws {Error} On an invalid pack, or a custom pack reusing a built-in pack_id
+ */
+export const registerRulePack = (pack, { builtIn = false, optIn = false } = {}) => {
+    const { valid, errors } = validateRulePack(pack);
+    if (!valid) {
+        throw new Error(`Invalid rule pack "${pack?.pack_id || 'unknown'}": ${errors.join('; ')}`);
+    }
+    if (!builtIn && builtInPackIds.has(pack.pack_id)) {
+        throw new Error(`Rule pack "${pack.pack_id}" is built in and can't be replaced. Give your pack its own pack_id and a higher priority to override its rules.`);
+    }
+
+    const normalized = { priority: 0, ...pack };
+    packs.set(normalized.pack_id, normalized);
+
+    if (builtIn) {
+        builtInPackIds.add(normalized.pack_id);
+        if (optIn) optInPackIds.add(normalized.pack_id);
+    } else {
+        persistPacks();
+    }
+
+    invalidate();
+    return normalized;
+};
+
+/**
+ * Remove a rule pack and drop it from every project's selection
+ * Built-in packs cannot be removed, only deselected.
+ */
+export const unregisterRulePack = (packId) => {
+    if (builtInPackIds.has(packId)) {
+        console.warn(`Built-in rule pack "${packId}" cannot be removed`);
+        return false;
+    }
+    if (!packs.delete(packId)) return false;
+
+    for (const [projectId, packIds] of projectSelections) {
+        projectSelections.set(projectId, packIds.filter(id => id !== packId));
+    }
+
+    persistPacks();
+    persistSelections();
+    invalidate();
+    return true;
+};
+
+/**
+ * Load a rule pack from JSON text, a File/Blob, a URL or a plain object
+ * and register it.
+ * @param {string|File|Blob|URL|object} source
+ * @returns {Promise<object>} The registered pack
+ */
+export const loadRulePack = async (source) => {
+    let pack = source;
+
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        pack = JSON.parse(await source.text());
+    } else if (source instanceof URL || (typeof source === 'string' && !source.trim().startsWith('{'))) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch rule pack: ${response.status} ${response.statusText}`);
+        }
+        pack = await response.json();
+    } else if (typeof source === 'string') {
+        pack = JSON.parse(source);
+    }
+
+    return registerRulePack(pack);
+};
+
+export const getRulePack = (packId) => packs.get(packId) || null;
+
+/**
+ * List registered packs (metadata only)
+ */
+export const listRulePacks = () => {
+    return [...packs.values()].map(p => ({
+        packId: p.pack_id,
+        version: p.pack_version,
+        schemaVersion: p.schema_version,
+        priority: p.priority,
+        ruleSource: p.rule_source,
+        ruleCount: p.rules.length,
+        builtIn: builtInPackIds.has(p.pack_id),
+        optIn: optInPackIds.has(p.pack_id)
+    }));
+};
+
+// ============================================
+// PROJECT SELECTION
+// ============================================
+
+export const getActiveProjectId = () => activeProjectId;
+
+export const setActiveProjectId = (projectId) => {
+    activeProjectId = projectId || DEFAULT_PROJECT_ID;
+};
+
+/**
+ * Get the pack IDs selected for a project.
+ * Projects without an explicit selection use every built-in pack except
+ * the opt-in ones.
+ */
+export const getProjectRulePacks = (projectId = activeProjectId) => {
+    const selected = projectSelections.get(projectId) || [...builtInPackIds].filter(id => !optInPackIds.has(id));
+    return selected.filter(id => packs.has(id));
+};
+
+/**
+ * Choose which packs are active for a project
+ * @param {string} projectId
+ * @param {string[]} packIds
+ */
+export const setProjectRulePacks = (projectId, packIds) => {
+    const unknown = packIds.filter(id => !packs.has(id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown rule pack(s): ${unknown.join(', ')}`);
+    }
+
+    projectSelections.set(projectId || DEFAULT_PROJECT_ID, [...new Set(packIds)]);
+    persistSelections();
+    invalidate();
+};
+
+// ============================================
+// MERGING
+// ============================================
+
+/**
+ * Merge the active packs for a project into a single rule list.
+ * Packs are applied lowest priority first, so a higher priority pack
+ * replaces (or disables) a rule with the same ID. Rule order follows
+ * first appearance.
+ * @param {string} projectId
+ * @returns {Array} Rules, each tagged with the pack it came from
+ */
+export const getActiveRules = (projectId = activeProjectId) => {
+    if (mergeCache.has(projectId)) return mergeCache.get(projectId);
+
+    const ordered = getProjectRulePacks(projectId)
+        .map(id => packs.get(id))
+        .sort((a, b) => a.priority - b.priority);
+
+    const merged = new Map();
+    for (const pack of ordered) {
+        for (const rule of pack.rules) {
+            if (rule.disabled === true) {
+                merged.delete(rule.id);
+                continue;
+            }
+            merged.set(rule.id, { ...rule, pack_id: pack.pack_id, pack_version: pack.pack_version });
+        }
+    }
+
+    const rules = [...merged.values()];
+    mergeCache.set(projectId, rules);
+    return rules;
+};
+
+/**
+ * Describe the active packs for a project, e.g. for reports
+ * @returns {Array<{ packId: string, version: string }>}
+ */
+export const getActivePackVersions = (projectId = activeProjectId) => {
+    return getProjectRulePacks(projectId).map(id => ({
+        packId: id,
+        version: packs.get(id).pack_version
+    }));
+};
+
+export default {
+    RULE_PACK_SCHEMA,
+    validateRulePack,
+    registerRulePack,
+    unregisterRulePack,
+    loadRulePack,
+    getRulePack,
+    listRulePacks,
+    getActiveProjectId,
+    setActiveProjectId,
+    getProjectRulePacks,
+    setProjectRulePacks,
+    getActiveRules,
+    getActivePackVersions,
+    subscribeRulePacks
+};
@@ -0,0 +1,194 @@
+/**
+ * Compliance Rule Registry
+ * The single place the rest of the app reads compliance limits from. Every
+ * value here is derived from the active rule packs (RULE_SCHEMA plus any
+ * registered overrides), so the AI prompt builders, the copy filter, the
+ * editor overlays and the detectors all enforce the same rules.
+ *
+ * - getComplianceRules(projectId): legacy-shaped view (prohibited terms,
+ *   headline/subhead limits, tags, safe zones, contrast, ...)
+ * - findProhibitedTerms(text): the checker the generators use - the same
+ *   regex_patterns the regex detector runs on the canvas
+ * - buildProhibitedTermsPrompt(): the "NEVER USE" list for LLM prompts
+ */
+
+import { getActiveRules } from './rulePacks';
+import { matchPatterns } from './detectors/regexDetector';
+
+// Regex syntax left after stripping \b means the pattern isn't a plain phrase
+const REGEX_SYNTAX = /\\[dswDSW]|[[\](){}+?^$|]/;
+
+/**
+ * Human-readable phrase for a regex pattern, or null if the pattern is not a
+ * literal phrase (e.g. "£\\d+")
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export const patternToTerm = (pattern) => {
+    const stripped = pattern.replace(/\\b/g, '');
+    if (REGEX_SYNTAX.test(stripped)) return null;
+    return stripped.replace(/\\(.)/g, '$1');
+};
+
+const findRule = (rules, predicate) => rules.find(predicate) || { params: {} };
+
+/**
+ * Derive the registry view from a list of merged rules
+ * @param {Array} rules - Output of getActiveRules()
+ * @returns {object}
+ */
+export const buildComplianceRules = (rules) => {
+    const copyRules = rules.filter(r =>
+        r.detection_method.includes('regex') && r.params?.regex_patterns?.length
+    );
+
+    const headline = findRule(rules, r => r.params?.max_chars);
+    const subhead = findRule(rules, r => r.params?.max_words);
+    const tag = findRule(rules, r => r.id === 'TAG_001');
+    const valueTile = findRule(rules, r => r.id === 'DESIGN_001');
+    const drinkaware = findRule(rules, r => r.id === 'ALC_001');
+    const packshot = findRule(rules, r => r.id === 'PACK_001');
+    const fontSize = findRule(rules, r => r.id === 'ACC_001');
+    const safeZone = findRule(rules, r => r.id === 'FORMAT_001');
+    const contrast = findRule(rules, r => r.id === 'ACC_002');
+    const storyZones = safeZone.params.format_zones?.['instagram-story'] || [];
+
+    const [exclusive, notExclusive, stockWarning] = tag.params.allowed_texts || [];
+
+    return {
+        prohibitedPatterns: copyRules.map(r => ({
+            ruleId: r.id,
+            ruleName: r.name,
+            patterns: r.params.regex_patterns,
+            skipForValueTiles: r.skip_for_value_tiles || false
+        })),
+
+        prohibitedTerms: [...new Set(
+            copyRules.flatMap(r => r.params.regex_patterns.map(patternToTerm).filter(Boolean))
+        )],
+
+        headlineRules: { maxLength: headline.params.max_chars, required: true },
+        subheadRules: { maxWords: subhead.params.max_words, required: true },
+
+        validTags: { exclusive, notExclusive, stockWarning },
+
+        clubcardTagPattern: tag.params.clubcard_pattern
+            ? new RegExp(tag.params.clubcard_pattern, 'i')
+            : null,
+
+        valueTileRules: {
+            types: valueTile.params.allowed_types || [],
+            pricesOnlyInTiles: copyRules.some(r => r.skip_for_value_tiles),
+            positionFixed: valueTile.params.fixed_position ?? true,
+            noOverlapping: valueTile.params.overlap_allowed === false,
+        },
+
+        drinkawareRules: {
+            required: true,
+            minHeight: drinkaware.params.min_height_px?.default,
+            minHeightSays: drinkaware.params.min_height_px?.says_override,
+            allowedColors: (drinkaware.params.allowed_colors || []).map(c => c.toLowerCase()),
+            text: drinkaware.params.required_text,
+        },
+
+        packshotRules: {
+            maxCount: packshot.params.max_packshots,
+            leadRequired: packshot.params.lead_required ?? true,
+            minGapToCta: packshot.params.min_gap_to_cta_px,
+        },
+
+        minFontSize: {
+            standard: fontSize.params.brand_social_min_px,
+            checkoutSingle: fontSize.params.checkout_single_density_px,
+            says: fontSize.params.says_min_px,
+            smallFormatThreshold: fontSize.params.small_format_threshold_height,
+        },
+
+        safeZones: {
+            story: {
+                top: storyZones.find(z => z.id === 'story-top')?.height ?? safeZone.params.safe_zone_top_px,
+                bottom: storyZones.find(z => z.id === 'story-bottom')?.height ?? safeZone.params.safe_zone_bottom_px,
+            },
+            byFormat: safeZone.params.format_zones || {},
+        },
+
+        contrastRequirements: {
+            normalText: contrast.params.contrast_ratio_normal,
+            largeText: contrast.params.contrast_ratio_large,
+            largeTextThreshold: contrast.params.large_text_threshold_px,
+        },
+    };
+};
+
+// One derived view per merged rules array; getActiveRules() already caches
+// the array per project, so identity tells us when packs changed
+const viewCache = new WeakMap();
+
+/**
+ * Registry view for a project's active rule packs
+ * @param {string} projectId - Optional, defaults to the active project
+ * @returns {object}
+ */
+export const getComplianceRules = (projectId) => {
+    const rules = getActiveRules(projectId);
+    let view = viewCache.get(rules);
+    if (!view) {
+        view = buildComplianceRules(rules);
+        viewCache.set(rules, view);
+    }
+    return view;
+};
+
+/**
+ * Live view of the active project's rules with the legacy COMPLIANCE_RULES
+ * shape - property reads always reflect the current packs
+ */
+export const COMPLIANCE_RULES = Object.defineProperties({},
+    Object.fromEntries(Object.keys(buildComplianceRules([])).map(key => [
+        key,
+        { enumerable: true, get: () => getComplianceRules()[key] }
+    ]))
+);
+
+/**
+ * Find prohibited copy in a piece of text using the rule packs' regex patterns
+ * @param {string} text
+ * @param {object} options - { isValueTile, projectId }; value tiles skip price rules
+ * @returns {Array<{ ruleId: string, ruleName: string, term: string }>}
+ */
+export const findProhibitedTerms = (text, { isValueTile = false, projectId } = {}) => {
+    const found = [];
+    for (const entry of getComplianceRules(projectId).prohibitedPatterns) {
+        if (isValueTile && entry.skipForValueTiles) continue;
+        const { matches } = matchPatterns(text, entry.patterns);
+        for (const term of matches) {
+            found.push({ ruleId: entry.ruleId, ruleName: entry.ruleName, term });
+        }
+    }
+    return found;
+};
+
+/**
+ * Prohibited-copy list for LLM prompts, one line per rule, e.g.
+ * - Sustainability Claims Prohibited: "eco", "sustainable", ...
+ * @param {string} projectId
+ * @returns {string}
+ */
+export const buildProhibitedTermsPrompt = (projectId) => {
+    return getComplianceRules(projectId).prohibitedPatterns
+        .map(entry => {
+            const terms = entry.patterns.map(patternToTerm).filter(Boolean);
+            const suffix = entry.skipForValueTiles ? ' (prices, £ amounts, offers)' : '';
+            return `- ${entry.ruleName}${suffix}: "${terms.join('", "')}"`;
+        })
+        .join('\n');
+};
+
+export default {
+    getComplianceRules,
+    findProhibitedTerms,
+    buildProhibitedTermsPrompt,
+    buildComplianceRules,
+    patternToTerm,
+    COMPLIANCE_RULES
+};
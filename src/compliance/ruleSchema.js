@@ -8,15 +8,33 @@
  * 
  * Detection Methods:
  * - regex: Pattern matching (fast, deterministic)
- * - semantic_nli: Natural Language Inference for paraphrases
+ * - semantic_nli: Natural Language Inference for paraphrases. Rules use the
+ *   global entailment cut-off until scripts/calibrate-nli.js backs a
+ *   per-rule params.semantic_threshold
  * - vision: Multimodal AI for logos, people, packshots
  * - layout: Deterministic geometry checks
+ *
+ * RULE_SCHEMA is the built-in rule pack; PLATFORM_ZONES_PACK ships alongside
+ * it but is opt-in. Additional packs (other retailers,
+ * project overrides) are registered through ./rulePacks and merged by priority;
+ * the getters below always read the merged rules of the active packs.
  */
 
+import { registerRulePack, getActiveRules } from './rulePacks';
+
 export const SCHEMA_VERSION = "1.0";
 
+// Story header and footer, covered by platform UI on 9:16
+const STORY_ZONES = [
+    { id: "story-top", kind: "keep_out", x: 0, y: 0, width: 1080, height: 200, label: "Story header (profile, close)" },
+    { id: "story-bottom", kind: "keep_out", x: 0, y: 1670, width: 1080, height: 250, label: "Story footer (reply bar, CTA)" }
+];
+
 export const RULE_SCHEMA = {
+    pack_id: "tesco-appendix-ab",
+    pack_version: "1.2.0",
     schema_version: SCHEMA_VERSION,
+    priority: 0,
     rule_source: "TRM Hackathon Appendix A & B",
     rules: [
         // ============================================
@@ -86,6 +104,8 @@ export const RULE_SCHEMA = {
                     "\\bprize\\b",
                     "\\bwin\\b",
                     "winner",
+                    "winning",
+                    "contest",
                     "raffle",
                     "giveaway",
                     "lottery"
@@ -202,7 +222,12 @@ export const RULE_SCHEMA = {
                     "research shows",
                     "studies show",
                     "\\bfree\\b",
-                    "\\bgratis\\b"
+                    "\\bgratis\\b",
+                    "\\*",
+                    "\\d+%\\s*of\\s*(people|customers|users)",
+                    "voted\\s*(best|#1)",
+                    "recommended\\s*by",
+                    "\\d+\\s*out\\s*of\\s*\\d+"
                 ],
                 semantic_hypothesis: "This text makes unverifiable claims, guarantees, or scientific assertions."
             },
@@ -211,6 +236,34 @@ export const RULE_SCHEMA = {
             severity: "block_export"
         },
 
+        {
+            id: "COPY_007",
+            name: "Headline Too Long",
+            type: "hard_fail",
+            category: "copy",
+            detection_method: ["regex"],
+            params: {
+                max_chars: 35
+            },
+            explanation: "Headlines must be short enough to read at a glance.",
+            plain_english: "Your headline is too long. Keep it to 35 characters or fewer.",
+            severity: "block_export"
+        },
+
+        {
+            id: "COPY_008",
+            name: "Subhead Too Long",
+            type: "hard_fail",
+            category: "copy",
+            detection_method: ["regex"],
+            params: {
+                max_words: 20
+            },
+            explanation: "Subheads must stay within the word limit.",
+            plain_english: "Your subhead is too long. Keep it to 20 words or fewer.",
+            severity: "block_export"
+        },
+
         // ============================================
         // DESIGN RULES
         // ============================================
@@ -267,12 +320,13 @@ export const RULE_SCHEMA = {
             type: "hard_fail",
             category: "format",
             detection_method: ["layout"],
-            applies_to_formats: ["instagram-story", "facebook-story"],
             params: {
-                format_dimensions: { width: 1080, height: 1920 },
-                safe_zone_top_px: 200,
-                safe_zone_bottom_px: 250,
-                excluded_element_types: ["valueT ile", "drinkaware", "tag", "background", "safeZone"]
+                // Keep-out / bleed rectangles per format, see ./safeZones.
+                // Feed, display and print zones are in PLATFORM_ZONES_PACK (opt-in)
+                format_zones: {
+                    "instagram-story": STORY_ZONES,
+                    "facebook-story": STORY_ZONES
+                }
             },
             explanation: "Text, logos and value tiles must not appear in restricted safe zones on Story formats (9:16).",
             plain_english: "Keep text and logos away from the top 200px and bottom 250px on Stories - platforms put UI there.",
@@ -362,39 +416,94 @@ export const RULE_SCHEMA = {
     ]
 };
 
+registerRulePack(RULE_SCHEMA, { builtIn: true });
+
+/**
+ * Opt-in pack: FORMAT_001 with keep-out zones for platform UI on feed and
+ * display formats (Meta feed tag icon, AdChoices badge) and print bleed on
+ * POS, on top of the Story zones. Shipped but not selected by default -
+ * add it to a project's packs to enforce these zones.
+ */
+export const PLATFORM_ZONES_PACK = {
+    pack_id: "platform-zones",
+    pack_version: "1.0.0",
+    schema_version: SCHEMA_VERSION,
+    priority: 10,
+    rule_source: "Meta feed overlay, IAB AdChoices and POS print specs",
+    rules: [
+        {
+            ...RULE_SCHEMA.rules.find(r => r.id === "FORMAT_001"),
+            name: "Safe Zone & Bleed Enforcement",
+            params: {
+                format_zones: {
+                    "instagram-story": STORY_ZONES,
+                    "facebook-story": STORY_ZONES,
+                    "instagram-feed": [
+                        { id: "feed-tag-icon", kind: "keep_out", x: 0, y: 984, width: 96, height: 96, label: "Feed overlay (product tag / mute icon)" }
+                    ],
+                    "display-banner": [
+                        { id: "adchoices", kind: "keep_out", x: 709, y: 0, width: 19, height: 15, roles: ["text", "logo", "packshot", "value_tile", "tag", "drinkaware"], label: "AdChoices icon" }
+                    ],
+                    "display-mpu": [
+                        { id: "adchoices", kind: "keep_out", x: 281, y: 0, width: 19, height: 15, roles: ["text", "logo", "packshot", "value_tile", "tag", "drinkaware"], label: "AdChoices icon" }
+                    ],
+                    "pos-portrait": [
+                        { id: "bleed-top", kind: "bleed", x: 0, y: 0, width: 420, height: 3, label: "Bleed (top)" },
+                        { id: "bleed-bottom", kind: "bleed", x: 0, y: 591, width: 420, height: 3, label: "Bleed (bottom)" },
+                        { id: "bleed-left", kind: "bleed", x: 0, y: 0, width: 3, height: 594, label: "Bleed (left)" },
+                        { id: "bleed-right", kind: "bleed", x: 417, y: 0, width: 3, height: 594, label: "Bleed (right)" }
+                    ],
+                    "pos-landscape": [
+                        { id: "bleed-top", kind: "bleed", x: 0, y: 0, width: 594, height: 3, label: "Bleed (top)" },
+                        { id: "bleed-bottom", kind: "bleed", x: 0, y: 417, width: 594, height: 3, label: "Bleed (bottom)" },
+                        { id: "bleed-left", kind: "bleed", x: 0, y: 0, width: 3, height: 420, label: "Bleed (left)" },
+                        { id: "bleed-right", kind: "bleed", x: 591, y: 0, width: 3, height: 420, label: "Bleed (right)" }
+                    ]
+                }
+            },
+            explanation: "Content must stay out of each format's keep-out zones (platform UI such as Story headers, feed overlays and AdChoices icons) and out of print bleed areas.",
+            plain_english: "Keep text and logos out of the shaded zones - platforms put UI there, and print trims the bleed off."
+        }
+    ]
+};
+
+registerRulePack(PLATFORM_ZONES_PACK, { builtIn: true, optIn: true });
+
 /**
  * Get rule by ID
+ * @param {string} id
+ * @param {string} projectId - Optional, defaults to the active project
  */
-export const getRuleById = (id) => {
-    return RULE_SCHEMA.rules.find(r => r.id === id);
+export const getRuleById = (id, projectId) => {
+    return getActiveRules(projectId).find(r => r.id === id);
 };
 
 /**
  * Get rules by category
  */
-export const getRulesByCategory = (category) => {
-    return RULE_SCHEMA.rules.filter(r => r.category === category);
+export const getRulesByCategory = (category, projectId) => {
+    return getActiveRules(projectId).filter(r => r.category === category);
 };
 
 /**
  * Get rules by detection method
  */
-export const getRulesByDetectionMethod = (method) => {
-    return RULE_SCHEMA.rules.filter(r => r.detection_method.includes(method));
+export const getRulesByDetectionMethod = (method, projectId) => {
+    return getActiveRules(projectId).filter(r => r.detection_method.includes(method));
 };
 
 /**
  * Get all hard fail rules
  */
-export const getHardFailRules = () => {
-    return RULE_SCHEMA.rules.filter(r => r.type === 'hard_fail');
+export const getHardFailRules = (projectId) => {
+    return getActiveRules(projectId).filter(r => r.type === 'hard_fail');
 };
 
 /**
  * Get all warning rules
  */
-export const getWarningRules = () => {
-    return RULE_SCHEMA.rules.filter(r => r.type === 'warning');
+export const getWarningRules = (projectId) => {
+    return getActiveRules(projectId).filter(r => r.type === 'warning');
 };
 
 export default RULE_SCHEMA;
@@ -0,0 +1,216 @@
+/**
+ * Safe Zones
+ * Per-format keep-out and bleed rectangles, shared by the editor overlay and
+ * both FORMAT_001 checkers (layoutDetector and layoutRuleEvaluator).
+ *
+ * A zone is a rectangle in canvas pixels:
+ * {
+ *   id: "story-top",
+ *   kind: "keep_out" | "bleed",
+ *   x: 0, y: 0, width: 1080, height: 200,
+ *   roles: ["text", "logo"],      // optional, see ELEMENT_ROLES
+ *   label: "Profile and close buttons"
+ * }
+ *
+ * keep_out zones are covered by platform UI (story headers, ad badges,
+ * feed overlays); bleed zones are trimmed off in print. Without `roles` a
+ * keep_out zone applies to text and logos, a bleed zone to everything that
+ * must not be cut (images and shapes are expected to run into the bleed).
+ *
+ * Built-in formats get their zones from FORMAT_001's params.format_zones
+ * (keyed by format, so rule packs can change them); custom formats declare
+ * their own `zones` (and/or the `safeZones: { top, bottom }` shorthand).
+ */
+
+export const ZONE_KINDS = ['keep_out', 'bleed'];
+
+export const ELEMENT_ROLES = ['text', 'logo', 'packshot', 'value_tile', 'tag', 'drinkaware', 'image', 'shape'];
+
+const DEFAULT_ROLES = {
+    keep_out: ['text', 'logo'],
+    bleed: ['text', 'logo', 'packshot', 'value_tile', 'tag', 'drinkaware']
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate a list of zones
+ * @param {Array} zones
+ * @param {string} where - Prefix for error messages
+ * @returns {string[]} Errors
+ */
+export const validateZones = (zones, where = 'zones') => {
+    if (!Array.isArray(zones)) return [`${where} must be an array`];
+
+    return zones.flatMap((zone, i) => {
+        const at = `${where}[${i}]`;
+        if (!isPlainObject(zone)) return [`${at} must be an object`];
+
+        const errors = [];
+        if (!ZONE_KINDS.includes(zone.kind)) {
+            errors.push(`${at}.kind must be one of ${ZONE_KINDS.join(', ')}`);
+        }
+        for (const prop of ['x', 'y']) {
+            if (!isNumber(zone[prop])) errors.push(`${at}.${prop} must be a number`);
+        }
+        for (const prop of ['width', 'height']) {
+            if (!isNumber(zone[prop]) || zone[prop] <= 0) errors.push(`${at}.${prop} must be a positive number`);
+        }
+        if (zone.roles !== undefined) {
+            const unknown = Array.isArray(zone.roles) ? zone.roles.filter(r => !ELEMENT_ROLES.includes(r)) : null;
+            if (!unknown) {
+                errors.push(`${at}.roles must be an array`);
+            } else if (unknown.length > 0) {
+                errors.push(`${at}.roles has unknown role(s): ${unknown.join(', ')} (expected ${ELEMENT_ROLES.join(', ')})`);
+            }
+        }
+        return errors;
+    });
+};
+
+/**
+ * Full-width keep-out bands for a { top, bottom } safe zone shorthand
+ */
+export const edgeZones = (width, height, { top = 0, bottom = 0 } = {}) => {
+    const zones = [];
+    if (top > 0) {
+        zones.push({ id: 'top', kind: 'keep_out', x: 0, y: 0, width, height: top, label: `Top ${top}px` });
+    }
+    if (bottom > 0) {
+        zones.push({ id: 'bottom', kind: 'keep_out', x: 0, y: height - bottom, width, height: bottom, label: `Bottom ${bottom}px` });
+    }
+    return zones;
+};
+
+const normalizeZone = (zone, i) => ({
+    ...zone,
+    id: zone.id || `${zone.kind}-${i + 1}`,
+    label: zone.label || zone.id || `${zone.kind === 'bleed' ? 'Bleed' : 'Keep-out'} area ${i + 1}`,
+    roles: zone.roles || DEFAULT_ROLES[zone.kind]
+});
+
+const scaleZones = (zones, scaleX, scaleY) => zones.map(zone => ({
+    ...zone,
+    x: zone.x * scaleX,
+    y: zone.y * scaleY,
+    width: zone.width * scaleX,
+    height: zone.height * scaleY
+}));
+
+/**
+ * Keep-out and bleed zones for a format
+ * @param {object} format - FORMAT_PRESETS entry (with key or formatId)
+ * @param {object} rule - FORMAT_001 (or a pack's replacement)
+ * @param {object} presets - FORMAT_PRESETS, to resolve a custom format's complianceAs
+ * @returns {Array} Normalized zones (id, kind, rect, roles, label)
+ */
+export const resolveFormatZones = (format, rule, presets = {}) => {
+    if (!format) return [];
+
+    // Custom formats declare their own
+    const own = [...(format.zones || []), ...edgeZones(format.width, format.height, format.safeZones || {})];
+    if (own.length > 0) return own.map(normalizeZone);
+
+    const formatZones = rule?.params?.format_zones || {};
+    const key = format.key || format.formatId;
+    if (formatZones[key]) return formatZones[key].map(normalizeZone);
+
+    // A custom format checked as a built-in one inherits its zones, scaled to size
+    const base = presets[format.complianceAs];
+    if (base && formatZones[format.complianceAs]) {
+        return scaleZones(formatZones[format.complianceAs], format.width / base.width, format.height / base.height)
+            .map(normalizeZone);
+    }
+
+    // Packs written before format_zones: story top/bottom bands on 9:16
+    if (format.ratio === '9:16' && rule?.params?.safe_zone_top_px !== undefined) {
+        return edgeZones(format.width, format.height, {
+            top: rule.params.safe_zone_top_px,
+            bottom: rule.params.safe_zone_bottom_px
+        }).map(normalizeZone);
+    }
+
+    return [];
+};
+
+/**
+ * Role of a canvas element (live, serialized or layout element) for zone
+ * matching; null for backgrounds and overlay objects
+ */
+export const getElementRole = (element) => {
+    if (element.isBackground || element.isSafeZone || element.isGridLine) return null;
+    if (element.isValueTile || element.type === 'valueTile') return 'value_tile';
+    if (element.isDrinkaware || element.type === 'drinkaware') return 'drinkaware';
+    if (element.isTag || element.type === 'tag') return 'tag';
+    if (element.isLogo) return 'logo';
+    if (element.isPackshot) return 'packshot';
+    if (['text', 'i-text', 'textbox'].includes(element.type)) return 'text';
+    if (element.type === 'image') return 'image';
+    return 'shape';
+};
+
+/**
+ * Whether a box ({ left, top, width, height }) overlaps a zone
+ */
+export const boxInZone = (box, zone) => (
+    box.left < zone.x + zone.width &&
+    box.left + box.width > zone.x &&
+    box.top < zone.y + zone.height &&
+    box.top + box.height > zone.y
+);
+
+/**
+ * Zones a box with the given role overlaps
+ * @returns {Array} Zones
+ */
+export const findZoneHits = (box, role, zones) => {
+    if (!role) return [];
+    return zones.filter(zone => zone.roles.includes(role) && boxInZone(box, zone));
+};
+
+/**
+ * Smallest horizontal or vertical move that takes a box out of a zone while
+ * keeping it on the canvas and out of the other zones that apply to it
+ * @returns {{ left?: number, top?: number } | null} Deltas, or null if no move works
+ */
+export const zoneEscape = (box, zone, role, zones, canvasWidth, canvasHeight) => {
+    const candidates = [
+        { top: zone.y - (box.top + box.height) },
+        { top: zone.y + zone.height - box.top },
+        { left: zone.x - (box.left + box.width) },
+        { left: zone.x + zone.width - box.left }
+    ];
+
+    const fits = (delta) => {
+        const moved = { ...box, left: box.left + (delta.left || 0), top: box.top + (delta.top || 0) };
+        return moved.left >= 0 && moved.top >= 0 &&
+            moved.left + moved.width <= canvasWidth &&
+            moved.top + moved.height <= canvasHeight &&
+            findZoneHits(moved, role, zones).length === 0;
+    };
+
+    const distance = (delta) => Math.abs(delta.left || 0) + Math.abs(delta.top || 0);
+    return candidates.filter(fits).sort((a, b) => distance(a) - distance(b))[0] || null;
+};
+
+/**
+ * Sentence describing an element inside a zone
+ */
+export const describeZoneHit = (elementId, zone) => (zone.kind === 'bleed'
+    ? `Element "${elementId}" is in the bleed area "${zone.label}" and will be trimmed`
+    : `Element "${elementId}" is in keep-out zone "${zone.label}"`);
+
+export default {
+    ZONE_KINDS,
+    ELEMENT_ROLES,
+    validateZones,
+    edgeZones,
+    resolveFormatZones,
+    getElementRole,
+    boxInZone,
+    findZoneHits,
+    zoneEscape,
+    describeZoneHit
+};
@@ -0,0 +1,134 @@
+/**
+ * Serialized Canvas Adapter
+ * Wraps the output of canvas.toJSON([...custom props]) in the small slice of the
+ * fabric.Canvas API the detectors use (getObjects, backgroundColor, and
+ * getBoundingRect on each object), so compliance can run without a live canvas
+ * - in a Node script, a web worker or on stored history/template payloads.
+ */
+
+/**
+ * Custom object props to keep in canvas.toJSON(SERIALIZED_PROPS): the
+ * roles compliance, layout and every export read (history, templates,
+ * campaign, print, SVG, HTML5, animation). Add a new custom prop here, or
+ * it is dropped from whichever path serializes the canvas.
+ */
+export const SERIALIZED_PROPS = [
+    'id', 'customName', 'isSafeZone', 'isBackground', 'isLogo', 'isPackshot', 'isLeadPackshot',
+    'isValueTile', 'valueTileType', 'isDrinkaware', 'isTag', 'isLEPTag', 'isSystemElement', 'animation'
+];
+
+/**
+ * Map serialized Fabric v6 class names ("IText", "Textbox") to the
+ * runtime `obj.type` values the detectors compare against ("i-text", "textbox")
+ */
+export const normalizeObjectType = (type) => {
+    if (!type) return 'object';
+    const lower = String(type).toLowerCase();
+    return lower === 'itext' ? 'i-text' : lower;
+};
+
+const ORIGIN_OFFSETS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+
+const originOffset = (origin) => {
+    if (typeof origin === 'number') return origin;
+    return ORIGIN_OFFSETS[origin] ?? 0;
+};
+
+/**
+ * Axis-aligned bounding rect of a serialized object, matching what
+ * fabric's getBoundingRect() returns for the live object (origin, scale,
+ * stroke and rotation included).
+ * @param {object} obj - Serialized object
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+export const getSerializedBoundingRect = (obj) => {
+    const strokeWidth = obj.strokeWidth || 0; // fabric counts it even without a stroke
+    const scaleX = Math.abs(obj.scaleX ?? 1);
+    const scaleY = Math.abs(obj.scaleY ?? 1);
+    const width = obj.strokeUniform
+        ? (obj.width || 0) * scaleX + strokeWidth
+        : ((obj.width || 0) + strokeWidth) * scaleX;
+    const height = obj.strokeUniform
+        ? (obj.height || 0) * scaleY + strokeWidth
+        : ((obj.height || 0) + strokeWidth) * scaleY;
+
+    const angle = ((obj.angle || 0) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    // (left, top) is the position of the origin point; find the centre
+    const dx = (0.5 - originOffset(obj.originX)) * width;
+    const dy = (0.5 - originOffset(obj.originY)) * height;
+    const centerX = (obj.left || 0) + dx * cos - dy * sin;
+    const centerY = (obj.top || 0) + dx * sin + dy * cos;
+
+    // Half extents of the rotated box
+    const halfW = (Math.abs(width * cos) + Math.abs(height * sin)) / 2;
+    const halfH = (Math.abs(width * sin) + Math.abs(height * cos)) / 2;
+
+    return {
+        left: centerX - halfW,
+        top: centerY - halfH,
+        width: halfW * 2,
+        height: halfH * 2
+    };
+};
+
+/**
+ * Normalise the accepted payload shapes to { canvasData, backgroundColor }
+ * - canvas.toJSON([...]) output: { version, objects, background }
+ * - saveToHistory entries: { canvas: {...}, backgroundColor }
+ * - either of the above as a JSON string
+ */
+const unwrapPayload = (payload) => {
+    const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    if (!data || typeof data !== 'object') {
+        throw new Error('Serialized canvas must be an object or JSON string');
+    }
+
+    const canvasData = data.canvas || data;
+    if (!Array.isArray(canvasData.objects)) {
+        throw new Error('Serialized canvas has no "objects" array');
+    }
+
+    return {
+        canvasData,
+        backgroundColor: data.backgroundColor || canvasData.backgroundColor || canvasData.background || null,
+        waivers: data.waivers || []
+    };
+};
+
+/**
+ * Create a read-only, canvas-like view over serialized canvas JSON
+ * @param {object|string} payload - canvas.toJSON([...]) output or a saveToHistory entry
+ * @param {object} options - { width, height } optional canvas dimensions
+ * @returns {{ isSerialized: true, backgroundColor: string|null, waivers: Array, width: number, height: number, getObjects: Function, toJSON: Function }}
+ */
+export const createSerializedCanvas = (payload, { width, height } = {}) => {
+    const { canvasData, backgroundColor, waivers } = unwrapPayload(payload);
+
+    // Objects saved without an id get a stable positional one, so repeated
+    // evaluations of the same payload report the same objectIds
+    const objects = canvasData.objects.map((raw, i) => {
+        const type = normalizeObjectType(raw.type);
+        const obj = { ...raw, type, id: raw.id || `${type}-${i}` };
+        obj.getBoundingRect = () => getSerializedBoundingRect(obj);
+        return obj;
+    });
+
+    return {
+        isSerialized: true,
+        backgroundColor,
+        waivers,
+        width: width || canvasData.width || 0,
+        height: height || canvasData.height || 0,
+        getObjects: () => objects,
+        toJSON: () => canvasData
+    };
+};
+
+export default {
+    normalizeObjectType,
+    getSerializedBoundingRect,
+    createSerializedCanvas
+};
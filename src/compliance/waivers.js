@@ -0,0 +1,121 @@
+/**
+ * Compliance Waivers
+ * A waiver accepts one specific violation instance (rule + object) after
+ * review, with a reason, the reviewer's name and an expiry date. Waivers are
+ * stored with the creative (store state, history entries, saved templates)
+ * and exported as a log next to it.
+ *
+ * Waivers never apply to hard_fail rules - createWaiver refuses them and
+ * the matching helpers ignore any that slip through (e.g. a rule pack later
+ * upgraded the rule to hard_fail).
+ */
+
+import { getRuleById } from './ruleSchema';
+
+/**
+ * Key identifying a violation instance; objectId-less (canvas-level)
+ * violations use "*"
+ */
+export const getViolationKey = (violation) => `${violation.ruleId}:${violation.objectId ?? '*'}`;
+
+/**
+ * Whether a waiver is still in force
+ * @param {object} waiver
+ * @param {number} now - Timestamp, defaults to Date.now()
+ */
+export const isWaiverActive = (waiver, now = Date.now()) => {
+    const expires = Date.parse(waiver.expiresAt);
+    return Number.isFinite(expires) && expires > now;
+};
+
+/**
+ * Create a validated waiver
+ * @param {object} input - { ruleId, objectId, reason, reviewer, expiresAt }
+ * @param {object} options - { projectId } to resolve the rule against
+ * @returns {object} Waiver { id, ruleId, objectId, reason, reviewer, expiresAt, createdAt }
+ * @throws {Error} When a field is missing, the expiry is not in the future or the rule is hard_fail
+ */
+export const createWaiver = ({ ruleId, objectId = null, reason, reviewer, expiresAt }, { projectId } = {}) => {
+    if (!ruleId) throw new Error('Waiver needs a ruleId');
+    if (!reason?.trim()) throw new Error('Waiver needs a reason');
+    if (!reviewer?.trim()) throw new Error('Waiver needs a reviewer name');
+
+    const expires = Date.parse(expiresAt);
+    if (!Number.isFinite(expires)) throw new Error('Waiver needs a valid expiry date');
+    if (expires <= Date.now()) throw new Error('Waiver expiry must be in the future');
+
+    const rule = getRuleById(ruleId, projectId);
+    if (rule?.type === 'hard_fail') {
+        throw new Error(`${ruleId} is a hard_fail rule and cannot be waived`);
+    }
+
+    return {
+        id: `waiver-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+        ruleId,
+        objectId,
+        ruleName: rule?.name || ruleId,
+        reason: reason.trim(),
+        reviewer: reviewer.trim(),
+        expiresAt: new Date(expires).toISOString(),
+        createdAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Active waiver covering a violation, if any. hard_fail violations are
+ * never waived.
+ */
+export const findWaiver = (violation, waivers = [], now = Date.now()) => {
+    if (violation.type === 'hard_fail') return null;
+    const key = getViolationKey(violation);
+    return waivers.find(w => getViolationKey(w) === key && isWaiverActive(w, now)) || null;
+};
+
+/**
+ * Split warnings into those still counting and those covered by a waiver
+ * @returns {{ warnings: Array, waived: Array }} waived entries carry their `waiver`
+ */
+export const partitionWaived = (warnings, waivers = [], now = Date.now()) => {
+    const remaining = [];
+    const waived = [];
+    for (const warning of warnings) {
+        const waiver = findWaiver(warning, waivers, now);
+        if (waiver) {
+            waived.push({ ...warning, waiver });
+        } else {
+            remaining.push(warning);
+        }
+    }
+    return { warnings: remaining, waived };
+};
+
+/**
+ * Waiver log for export alongside a creative
+ * @param {Array} waivers
+ * @param {object} options - { creativeName, format, waived } waived = result.waived from the last evaluation
+ * @returns {string} JSON
+ */
+export const formatWaiverLog = (waivers = [], { creativeName = null, format = null, waived = [] } = {}) => {
+    const now = Date.now();
+    const appliedKeys = new Set(waived.map(getViolationKey));
+
+    return JSON.stringify({
+        creative: creativeName,
+        format,
+        exportedAt: new Date(now).toISOString(),
+        waivers: waivers.map(w => ({
+            ...w,
+            status: isWaiverActive(w, now) ? 'active' : 'expired',
+            appliedToCurrentCreative: appliedKeys.has(getViolationKey(w))
+        }))
+    }, null, 2);
+};
+
+export default {
+    getViolationKey,
+    isWaiverActive,
+    createWaiver,
+    findWaiver,
+    partitionWaived,
+    formatWaiverLog
+};
@@ -146,21 +146,10 @@ export function AIAssistant() {
         </button>
       </div>
 
-      {/* API Key Input (if needed) */}
+      {/* Gateway not configured */}
       {!hasApiKey && (
         <div className="p-3 bg-yellow-500/10 border-b border-yellow-500/20">
-          <p className="text-[11px] text-yellow-300 mb-2">Enter Gemini API key to enable</p>
-          <input
-            type="password"
-            placeholder="API key"
-            className="w-full px-2 py-1.5 bg-white/10 border border-white/20 rounded text-xs text-white"
-            onBlur={(e) => {
-              if (e.target.value) {
-                geminiService.setApiKey(e.target.value);
-                window.location.reload();
-              }
-            }}
-          />
+          <p className="text-[11px] text-yellow-300">Configure a copy provider on the AI gateway (e.g. GEMINI_API_KEY) to enable</p>
         </div>
       )}
 
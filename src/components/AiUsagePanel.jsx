@@ -0,0 +1,253 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { saveAs } from 'file-saver';
+import useStore from '../store/useStore';
+import { BUDGET_ACTIONS, DEFAULT_BUDGET, fetchUsageCsv, fetchUsageReport, saveBudget, subscribeUsage, validateBudget } from '../services/aiUsage';
+
+/**
+ * AiUsagePanel - AI calls, tokens, megapixels, latency and estimated cost
+ * for the current project, per campaign and per capability/provider, with
+ * the project's monthly budget and the Magic Wand's cost per creative.
+ * Usage and budgets live on the AI gateway, shared by everyone using it.
+ */
+
+const formatCost = (usd) => `$${usd < 1 && usd > 0 ? usd.toFixed(4) : usd.toFixed(2)}`;
+const formatCount = (n) => Math.round(n).toLocaleString();
+
+const BUDGET_STATE_STYLES = {
+    none: 'bg-slate-500',
+    ok: 'bg-emerald-500',
+    warning: 'bg-amber-500',
+    exceeded: 'bg-red-500',
+};
+
+const FEATURE_NAMES = { magicWand: 'Magic Wand' };
+
+// Budget form values as strings (empty limit = no budget)
+const toForm = (budget) => ({
+    monthlyLimit: budget.monthlyLimit === null ? '' : String(budget.monthlyLimit),
+    warnAt: String(Math.round(budget.warnAt * 100)),
+    action: budget.action,
+});
+
+const fromForm = (form) => ({
+    monthlyLimit: form.monthlyLimit.trim() === '' ? null : Number(form.monthlyLimit),
+    warnAt: Number(form.warnAt) / 100,
+    action: form.action,
+});
+
+function UsageRows({ title, rows, label }) {
+    if (rows.length === 0) return null;
+    return (
+        <div className="card">
+            <p className="section-title mb-2">{title}</p>
+            <div className="grid grid-cols-[1fr_repeat(5,auto)] gap-x-4 gap-y-1 text-xs">
+                <span className="text-muted">{label}</span>
+                <span className="text-muted text-right">Calls</span>
+                <span className="text-muted text-right">Tokens in/out</span>
+                <span className="text-muted text-right">MP</span>
+                <span className="text-muted text-right">Avg ms</span>
+                <span className="text-muted text-right">Est. cost</span>
+                {rows.map(row => (
+                    <React.Fragment key={row.key}>
+                        <span className="text-primary truncate">{row.name}</span>
+                        <span className="text-secondary text-right">
+                            {formatCount(row.calls)}{row.errors > 0 && <span className="text-error"> ({row.errors} failed)</span>}
+                        </span>
+                        <span className="text-secondary text-right">{formatCount(row.inputTokens)} / {formatCount(row.outputTokens)}</span>
+                        <span className="text-secondary text-right">{row.megapixels.toFixed(1)}</span>
+                        <span className="text-secondary text-right">{formatCount(row.avgLatencyMs)}</span>
+                        <span className="text-primary text-right">{formatCost(row.cost)}</span>
+                    </React.Fragment>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export function AiUsagePanel({ onClose }) {
+    const { projectId } = useStore();
+    const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7));
+    const [report, setReport] = useState(null);
+    const [form, setForm] = useState(() => toForm(DEFAULT_BUDGET));
+    const [loadError, setLoadError] = useState('');
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadReport = useCallback(() => fetchUsageReport({ month })
+        .then((data) => {
+            setReport(data);
+            setLoadError('');
+            return data;
+        })
+        .catch((err) => {
+            setLoadError(err.message);
+            return null;
+        }), [month]);
+
+    // Load the month, and the saved budget into the form
+    useEffect(() => {
+        loadReport().then((data) => {
+            if (data) setForm(toForm({ monthlyLimit: data.budget.limit, warnAt: data.budget.warnAt, action: data.budget.action }));
+        });
+    }, [loadReport, projectId]);
+
+    // Re-read the report as the gateway meters calls
+    useEffect(() => subscribeUsage(loadReport), [loadReport]);
+
+    const formErrors = validateBudget(fromForm(form));
+
+    const update = (field) => (e) => {
+        setSaved(false);
+        setForm(prev => ({ ...prev, [field]: e.target.value }));
+    };
+
+    const handleSaveBudget = async (e) => {
+        e.preventDefault();
+        try {
+            setForm(toForm(await saveBudget(fromForm(form))));
+            setSaved(true);
+            setError('');
+            loadReport();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const downloadCsv = async () => {
+        try {
+            saveAs(new Blob([await fetchUsageCsv(month)], { type: 'text/csv' }), `ai-usage-${month}.csv`);
+        } catch (err) {
+            setLoadError(err.message);
+        }
+    };
+
+    if (!report) {
+        return (
+            <div className="modal-overlay">
+                <div className="modal max-w-3xl modal-premium">
+                    <div className="modal-body space-y-3">
+                        <p className={`text-sm ${loadError ? 'text-error' : 'text-muted'}`}>{loadError || 'Loading AI usage...'}</p>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" onClick={onClose} className="btn btn-primary">Done</button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    const { budget, totals, months } = report;
+    const locked = budget.locked;
+    const editable = report.canSetBudget;
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal max-w-3xl modal-premium">
+                {/* Header */}
+                <div className="modal-header">
+                    <div className="flex items-center gap-3">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-emerald-500 to-teal-500 flex items-center justify-center shadow-lg">
+                            <span className="text-white text-2xl">📊</span>
+                        </div>
+                        <div>
+                            <h2 className="text-xl font-bold text-primary">AI Usage</h2>
+                            <p className="text-xs text-muted">Project {report.projectId} · estimated costs in USD</p>
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="btn btn-ghost p-1 absolute top-4 right-4">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="modal-body space-y-3 max-h-[70vh] overflow-y-auto">
+                    {loadError && <p className="text-xs text-error">{loadError}</p>}
+                    <div className="flex items-center gap-3">
+                        <select value={month} onChange={(e) => setMonth(e.target.value)} className="input w-auto">
+                            {months.map(m => <option key={m} value={m}>{m}</option>)}
+                        </select>
+                        <span className="text-sm text-primary font-semibold">{formatCost(totals.cost)}</span>
+                        <span className="text-xs text-muted">
+                            {formatCount(totals.calls)} calls · {formatCount(totals.inputTokens + totals.outputTokens)} tokens · {totals.megapixels.toFixed(1)} MP · {formatCount(totals.avgLatencyMs)} ms avg
+                        </span>
+                    </div>
+
+                    {/* Budget */}
+                    <form onSubmit={handleSaveBudget} className="card space-y-2">
+                        <div className="flex items-center justify-between">
+                            <p className="section-title">Monthly budget</p>
+                            <p className="text-xs text-secondary">
+                                {budget.limit === null
+                                    ? 'No budget set'
+                                    : `${formatCost(budget.spent)} of ${formatCost(budget.limit)}${budget.state === 'exceeded' && budget.action === 'stop' ? ' - AI calls stopped' : ''}`}
+                            </p>
+                        </div>
+                        {budget.limit !== null && (
+                            <div className="h-2 rounded-full bg-white/5 overflow-hidden">
+                                <div className={`h-full ${BUDGET_STATE_STYLES[budget.state]}`} style={{ width: `${Math.min(100, budget.ratio * 100)}%` }} />
+                            </div>
+                        )}
+                        {locked && <p className="text-xs text-muted">Set on the AI gateway (AI_GATEWAY_BUDGETS)</p>}
+                        {!locked && !editable && <p className="text-xs text-muted">Only a gateway admin can change the budget</p>}
+                        <fieldset disabled={!editable} className="grid grid-cols-3 gap-2">
+                            <label className="text-xs text-muted">
+                                Limit (USD)
+                                <input type="number" min="0" step="0.01" value={form.monthlyLimit} onChange={update('monthlyLimit')} placeholder="No budget" className="input mt-1" />
+                            </label>
+                            <label className="text-xs text-muted">
+                                Warn at (%)
+                                <input type="number" min="1" max="100" value={form.warnAt} onChange={update('warnAt')} className="input mt-1" />
+                            </label>
+                            <label className="text-xs text-muted">
+                                At the limit
+                                <select value={form.action} onChange={update('action')} className="input mt-1">
+                                    {BUDGET_ACTIONS.map(action => (
+                                        <option key={action} value={action}>{action === 'stop' ? 'Stop AI calls' : 'Warn only'}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </fieldset>
+                        {formErrors.map(message => <p key={message} className="text-xs text-error">{message}</p>)}
+                        {error && <p className="text-xs text-error">{error}</p>}
+                        <div className="flex items-center justify-end gap-2">
+                            {saved && <span className="text-xs text-success">Saved</span>}
+                            <button type="submit" disabled={!editable || formErrors.length > 0} className="btn btn-secondary">Save budget</button>
+                        </div>
+                    </form>
+
+                    {/* Cost per creative */}
+                    {report.runs.map(run => (
+                        <div key={run.feature} className="card flex items-center justify-between">
+                            <div>
+                                <p className="section-title">{FEATURE_NAMES[run.feature] || run.feature}</p>
+                                <p className="text-xs text-muted">{run.runs} runs · {run.creatives} creatives · {formatCost(run.cost)}</p>
+                            </div>
+                            <p className="text-sm text-primary font-semibold">{formatCost(run.costPerCreative)} per creative</p>
+                        </div>
+                    ))}
+
+                    <UsageRows
+                        title="By campaign"
+                        label="Campaign"
+                        rows={report.byCampaign.map(row => ({ ...row, key: row.campaign, name: row.campaign || '(none)' }))}
+                    />
+                    <UsageRows
+                        title="By capability"
+                        label="Capability · provider"
+                        rows={report.byCapability.map(row => ({ ...row, key: `${row.capability}|${row.provider}`, name: `${row.capability} · ${row.provider}` }))}
+                    />
+
+                    {totals.calls === 0 && <p className="text-xs text-muted">No AI calls metered this month.</p>}
+                </div>
+
+                <div className="modal-footer">
+                    <button type="button" onClick={downloadCsv} className="btn btn-ghost">⬇ CSV for finance</button>
+                    <button type="button" onClick={onClose} className="btn btn-primary">Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AiUsagePanel;
@@ -0,0 +1,206 @@
+import React, { useMemo, useState } from 'react';
+import { saveAs } from 'file-saver';
+import useStore, { FORMAT_PRESETS } from '../store/useStore';
+import { ANIMATION_DEFAULTS, ANIMATION_EFFECTS, buildDefaultTimeline, timelineEnd } from '../utils/animationTimeline';
+import { getSupportedContainers, renderAnimation } from '../services/animatedExport';
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+import { checkAnimationFrames } from '../compliance/animationCompliance';
+import { createNamer } from '../utils/namingConvention';
+
+/**
+ * AnimationExporter - entrance timeline editor and MP4/WebM/GIF export for
+ * story formats. Animations live on the canvas objects (`animation`), so
+ * they are saved with templates and undo history.
+ */
+
+const objectLabel = (obj, i) => obj.customName
+    || (obj.text ? `"${obj.text.slice(0, 24)}${obj.text.length > 24 ? '…' : ''}"` : null)
+    || (obj.isValueTile && 'Value tile')
+    || (obj.isPackshot && 'Packshot')
+    || `${obj.type} ${i + 1}`;
+
+export function AnimationExporter({ onClose }) {
+    const { canvas, currentFormat, isAlcoholProduct, backgroundColor, projectId, saveToHistory, namingSettings, creativeIdentity } = useStore();
+    const format = FORMAT_PRESETS[currentFormat];
+    const containers = useMemo(() => getSupportedContainers(), []);
+
+    // Animations are set on the canvas objects in place; bump to re-render
+    const [, setRevision] = useState(0);
+    const [duration, setDuration] = useState(ANIMATION_DEFAULTS.duration);
+    const [container, setContainer] = useState(containers.includes('mp4') ? 'mp4' : containers[0]);
+    const [check, setCheck] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+
+    const objects = canvas ? canvas.getObjects().filter(o => !o.isSafeZone && !o.isBackground) : [];
+    const minDuration = Math.ceil(timelineEnd(objects) * 10) / 10;
+
+    const changed = () => {
+        setRevision(r => r + 1);
+        setCheck(null);
+        saveToHistory();
+    };
+
+    const setAnimation = (obj, animation) => {
+        obj.set('animation', animation);
+        changed();
+    };
+
+    const updateAnimation = (obj, field, value) => {
+        const current = obj.animation || { effect: 'fade', start: 0, duration: 0.5 };
+        setAnimation(obj, { ...current, [field]: field === 'effect' ? value : Math.max(0, Number(value) || 0) });
+    };
+
+    const applyDefaults = () => {
+        buildDefaultTimeline(objects).forEach((animation, i) => objects[i].set('animation', animation));
+        changed();
+    };
+
+    const clipDuration = Math.max(duration, minDuration);
+
+    const runCheck = () => {
+        const result = checkAnimationFrames(canvas.toJSON(SERIALIZED_PROPS), {
+            formatKey: currentFormat,
+            format,
+            duration: clipDuration,
+            fps: ANIMATION_DEFAULTS.fps,
+            isAlcoholProduct,
+            backgroundColor: canvas.backgroundColor || backgroundColor,
+            projectId,
+        });
+        setCheck(result);
+        return result;
+    };
+
+    const handleExport = async () => {
+        setError('');
+        if (!runCheck().passed) return;
+
+        setProgress(0);
+        try {
+            const { blob, extension } = await renderAnimation(canvas.toJSON(SERIALIZED_PROPS), format, {
+                container,
+                duration: clipDuration,
+                fps: ANIMATION_DEFAULTS.fps,
+                onProgress: setProgress,
+            });
+            saveAs(blob, `${createNamer(namingSettings, creativeIdentity).baseName({ format })}.${extension}`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal max-w-2xl modal-premium">
+                {/* Header */}
+                <div className="modal-header">
+                    <div className="flex items-center gap-3">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-pink-500 to-orange-500 flex items-center justify-center shadow-lg">
+                            <span className="text-white text-2xl">🎬</span>
+                        </div>
+                        <div>
+                            <h2 className="text-xl font-bold text-primary">Animate</h2>
+                            <p className="text-xs text-muted">{format.name} · entrance animations · MP4, WebM or GIF</p>
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="btn btn-ghost p-1 absolute top-4 right-4">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="flex items-center justify-between mb-3">
+                        <span className="section-title">Timeline</span>
+                        <button onClick={applyDefaults} className="btn btn-ghost text-xs">✨ Default timeline</button>
+                    </div>
+
+                    {/* Per-object entrance */}
+                    <div className="space-y-2 mb-4 max-h-64 overflow-y-auto">
+                        {objects.map((obj, i) => (
+                            <div key={obj.id || i} className="grid grid-cols-[1fr_8rem_4.5rem_4.5rem] gap-2 items-center p-2 rounded-lg bg-[var(--surface-elevated)] border border-[var(--border-subtle)]">
+                                <span className="text-xs text-primary truncate">{objectLabel(obj, i)}</span>
+                                <select
+                                    value={obj.animation?.effect || ''}
+                                    onChange={(e) => e.target.value ? updateAnimation(obj, 'effect', e.target.value) : setAnimation(obj, null)}
+                                    className="input text-xs"
+                                >
+                                    <option value="">Static</option>
+                                    {ANIMATION_EFFECTS.map(effect => <option key={effect} value={effect}>{effect}</option>)}
+                                </select>
+                                <input
+                                    type="number" step="0.1" min="0" title="Start (s)"
+                                    value={obj.animation?.start ?? ''}
+                                    disabled={!obj.animation}
+                                    onChange={(e) => updateAnimation(obj, 'start', e.target.value)}
+                                    className="input text-xs"
+                                />
+                                <input
+                                    type="number" step="0.1" min="0.1" title="Duration (s)"
+                                    value={obj.animation?.duration ?? ''}
+                                    disabled={!obj.animation}
+                                    onChange={(e) => updateAnimation(obj, 'duration', e.target.value)}
+                                    className="input text-xs"
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2 mb-4">
+                        <label className="text-xs text-muted">
+                            Clip length (s)
+                            <input
+                                type="number" step="0.5" min={minDuration || 1}
+                                value={clipDuration}
+                                onChange={(e) => setDuration(Number(e.target.value) || ANIMATION_DEFAULTS.duration)}
+                                className="input mt-1"
+                            />
+                        </label>
+                        <label className="text-xs text-muted">
+                            Format
+                            <select value={container || ''} onChange={(e) => setContainer(e.target.value)} className="input mt-1">
+                                {containers.map(c => <option key={c} value={c}>{c.toUpperCase()}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    {/* Frame compliance */}
+                    {check && (
+                        <div className="card mb-3">
+                            <p className={`text-sm font-medium ${check.passed ? 'text-success' : 'text-error'}`}>
+                                {check.passed ? '✅' : '⛔'} {check.framesChecked} frame{check.framesChecked === 1 ? '' : 's'} checked
+                                {check.failures.length === 0 && ' - no issues'}
+                            </p>
+                            {check.failures.map(f => (
+                                <p key={`${f.ruleId}-${f.message}`} className={`text-xs mt-1 ${f.type === 'hard_fail' ? 'text-error' : 'text-warning'}`}>
+                                    {f.time.toFixed(2)}s · {f.ruleId} {f.ruleName}: {f.message}
+                                </p>
+                            ))}
+                        </div>
+                    )}
+
+                    {error && <p className="text-xs text-error mb-3">{error}</p>}
+
+                    {progress !== null && (
+                        <div className="h-2 rounded-full bg-[var(--surface-overlay)] overflow-hidden">
+                            <div className="h-full bg-gradient-to-r from-pink-500 to-orange-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button onClick={runCheck} className="btn btn-secondary">Check frames</button>
+                    <button onClick={handleExport} disabled={progress !== null || !container} className="btn btn-tesco">
+                        {progress !== null ? '⏳ Rendering...' : `🎬 Export ${(container || '').toUpperCase()}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AnimationExporter;
@@ -2,31 +2,58 @@ import React, { useState, useCallback } from 'react';
 import { saveAs } from 'file-saver';
 import JSZip from 'jszip';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
-
-// Layout rules for different formats (intelligent element positioning)
-const LAYOUT_RULES = {
-    // Social Media
-    'instagram-feed': { headlineY: 0.28, packY: 0.52, tileY: 0.82, scale: 1.0 },
-    'instagram-story': { headlineY: 0.20, packY: 0.45, tileY: 0.72, scale: 0.85 },
-    'facebook-feed': { headlineY: 0.22, packY: 0.50, tileY: 0.82, scale: 1.0 },
-    'facebook-story': { headlineY: 0.18, packY: 0.42, tileY: 0.70, scale: 0.8 },
-    // Display Advertising
-    'display-banner': { headlineY: 0.50, packY: 0.50, tileY: 0.50, scale: 0.4, horizontal: true },
-    'display-mpu': { headlineY: 0.25, packY: 0.55, tileY: 0.85, scale: 0.8 },
-    // In-Store Point of Sale
-    'pos-portrait': { headlineY: 0.15, packY: 0.48, tileY: 0.78, scale: 1.0 },
-    'pos-landscape': { headlineY: 0.35, packY: 0.50, tileY: 0.85, scale: 0.9, horizontal: true },
-};
+import { evaluateForReport, createComplianceReport, renderComplianceReportHTML } from '../compliance/complianceReport';
+import { resizeImage } from '../utils/imageProcessing';
+import { PAPER_SIZES, PRINT_DEFAULTS, isPrintFormat, renderPrintPdf } from '../services/printExport';
+import { renderSvg } from '../services/svgExport';
+import { HTML5_DEFAULTS, isDisplayFormat, renderHtml5Ad } from '../services/html5AdExport';
+import { ENCODERS, describeBudget, encodeWithinBudget, formatBytes } from '../services/budgetedExport';
+import { buildCampaignManifest, byteSize, checksum, extractCreativeCopy, renderManifestFiles } from '../services/campaignManifest';
+import { createNamer } from '../utils/namingConvention';
+import { adaptCanvasJSON, describeLayout } from '../utils/layoutEngine';
+import { evaluateLayoutRules, toLayoutElements } from '../compliance/layoutRuleEvaluator';
+import { applyFixes, proposeFixes } from '../compliance/fixups';
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+
+// Properties a layout re-check may change on an adapted format
+const LAYOUT_FIX_PROPS = ['left', 'top', 'scaleX', 'scaleY', 'fontSize'];
+
+// Scale serialized objects the way a direct-scale export stretches them
+const scaleCanvasJSON = (canvasJSON, scaleX, scaleY) => ({
+    ...canvasJSON,
+    objects: canvasJSON.objects.map(obj => ({
+        ...obj,
+        left: (obj.left || 0) * scaleX,
+        top: (obj.top || 0) * scaleY,
+        scaleX: (obj.scaleX ?? 1) * scaleX,
+        scaleY: (obj.scaleY ?? 1) * scaleY,
+    })),
+});
 
 export function CampaignGenerator({ onClose }) {
-    const { canvas, complianceErrors, currentFormat } = useStore();
+    const {
+        canvas, complianceErrors, currentFormat,
+        backgroundColor, isAlcoholProduct, creativeProfile, complianceWaivers, projectId,
+        namingSettings, creativeIdentity,
+    } = useStore();
     const [selectedFormats, setSelectedFormats] = useState(Object.keys(FORMAT_PRESETS));
     const [generating, setGenerating] = useState(false);
     const [progress, setProgress] = useState(0);
     const [status, setStatus] = useState('');
     const [autoAdapt, setAutoAdapt] = useState(true);
+    const [printPaper, setPrintPaper] = useState(PRINT_DEFAULTS.paper);
+    const [svgImages, setSvgImages] = useState('inline');
+    const [html5, setHtml5] = useState({ enabled: true, ...HTML5_DEFAULTS });
+    const [budgetWarnings, setBudgetWarnings] = useState([]);
+    const [layoutWarnings, setLayoutWarnings] = useState([]);
+    const [exportError, setExportError] = useState(null);
+    const [campaignDetails, setCampaignDetails] = useState({ productName: '', landingUrl: HTML5_DEFAULTS.clickTagUrl });
 
     const formats = Object.entries(FORMAT_PRESETS);
+    const hasPrintFormats = selectedFormats.some(key => isPrintFormat(FORMAT_PRESETS[key]));
+    const hasDisplayFormats = selectedFormats.some(key => isDisplayFormat(FORMAT_PRESETS[key]));
+    const updateHtml5 = (field, value) => setHtml5(prev => ({ ...prev, [field]: value }));
+    const updateCampaignDetails = (field, value) => setCampaignDetails(prev => ({ ...prev, [field]: value }));
     const isCompliant = complianceErrors.length === 0;
 
     const toggleFormat = (key) => {
@@ -38,273 +65,237 @@ export function CampaignGenerator({ onClose }) {
     const selectAll = () => setSelectedFormats(Object.keys(FORMAT_PRESETS));
     const selectNone = () => setSelectedFormats([]);
 
-    // Adapt layout for different format
-    const adaptLayoutForFormat = useCallback((sourceCanvas, targetFormat, targetKey) => {
-        const objects = sourceCanvas.getObjects().filter(o => !o.isSafeZone);
-        const sourceFormat = FORMAT_PRESETS[currentFormat];
-        const layout = LAYOUT_RULES[targetKey] || LAYOUT_RULES['instagram-feed'];
-
-        const scaleX = targetFormat.width / sourceFormat.width;
-        const scaleY = targetFormat.height / sourceFormat.height;
-
-        // Clone and reposition each object
-        return objects.map(obj => {
-            const cloned = obj.toObject(['customName', 'isPackshot', 'isValueTile', 'isDrinkaware', 'isTag', 'valueTileType']);
-
-            // Scale position
-            cloned.left = (cloned.left || 0) * scaleX;
-            cloned.top = (cloned.top || 0) * scaleY;
-
-            // Scale size for images
-            if (obj.type === 'image') {
-                cloned.scaleX = (cloned.scaleX || 1) * layout.scale * scaleX;
-                cloned.scaleY = (cloned.scaleY || 1) * layout.scale * scaleY;
-            }
-
-            // Reposition key elements based on layout rules
-            if (obj.isPackshot) {
-                cloned.top = targetFormat.height * layout.packY;
-                cloned.left = targetFormat.width / 2;
-            } else if (obj.isValueTile) {
-                cloned.top = targetFormat.height * layout.tileY;
-                cloned.left = targetFormat.width / 2;
-            } else if ((obj.type === 'i-text' || obj.type === 'text') && obj.fontSize >= 48) {
-                // Headlines
-                cloned.top = targetFormat.height * layout.headlineY;
-                cloned.left = targetFormat.width / 2;
-                // Scale font size for aspect ratio
-                if (targetFormat.ratio === '9:16' && sourceFormat.ratio !== '9:16') {
-                    cloned.fontSize = Math.round((cloned.fontSize || 48) * 0.85);
-                }
-            }
-
-            return cloned;
-        });
-    }, [currentFormat]);
-
     const generateCampaign = useCallback(async () => {
         if (!canvas || selectedFormats.length === 0) return;
 
         setGenerating(true);
         setProgress(0);
-
-        const zip = new JSZip();
-        const total = selectedFormats.length;
-        const { Canvas: FabricCanvas, IText, Rect, FabricImage } = await import('fabric');
-
-        // Get current canvas state
-        const canvasJSON = canvas.toJSON(['customName', 'isPackshot', 'isLeadPackshot', 'isValueTile', 'isDrinkaware', 'isTag', 'valueTileType', 'isSystemElement']);
-        const sourceFormat = FORMAT_PRESETS[currentFormat];
-
-        for (let i = 0; i < selectedFormats.length; i++) {
-            const formatKey = selectedFormats[i];
-            const format = FORMAT_PRESETS[formatKey];
-            const layout = LAYOUT_RULES[formatKey] || LAYOUT_RULES['instagram-feed'];
-
-            setStatus(`Generating ${format.name}...`);
-
-            // Create offscreen canvas element
-            const offscreenEl = document.createElement('canvas');
-            offscreenEl.width = format.width;
-            offscreenEl.height = format.height;
-            const ctx = offscreenEl.getContext('2d');
-
-            // Fill background
-            ctx.fillStyle = canvas.backgroundColor || '#ffffff';
-            ctx.fillRect(0, 0, format.width, format.height);
-
-            // If autoAdapt is enabled and this is a different format, intelligently reposition elements
-            if (autoAdapt && formatKey !== currentFormat) {
-                setStatus(`🧠 AI adapting layout for ${format.name}...`);
-
-                // Calculate scale factors
-                const scaleX = format.width / sourceFormat.width;
-                const scaleY = format.height / sourceFormat.height;
-                const avgScale = (scaleX + scaleY) / 2;
-
-                // Get objects and reposition them intelligently
-                const safeZones = canvas.getObjects().filter(o => o.isSafeZone);
-                safeZones.forEach(o => canvas.remove(o));
-
-                // Clone all objects and reposition based on their role
-                const objects = canvas.getObjects().slice(); // Clone array
-
-                for (const obj of objects) {
-                    const originalLeft = obj.left;
-                    const originalTop = obj.top;
-                    const originalScaleX = obj.scaleX || 1;
-                    const originalScaleY = obj.scaleY || 1;
-                    const originalFontSize = obj.fontSize;
-
-                    // Intelligent repositioning based on element type
-                    if (obj.isPackshot || obj.isLeadPackshot) {
-                        // Packshots: center horizontally, position at layout-specific Y
-                        obj.set({
-                            left: format.width / 2,
-                            top: format.height * layout.packY,
-                            scaleX: originalScaleX * layout.scale * avgScale,
-                            scaleY: originalScaleY * layout.scale * avgScale,
-                        });
-                    } else if (obj.isValueTile) {
-                        // Value tiles: center, position at tile Y
-                        obj.set({
-                            left: format.width / 2,
-                            top: format.height * layout.tileY,
-                            scaleX: originalScaleX * avgScale,
-                            scaleY: originalScaleY * avgScale,
-                        });
-                    } else if (obj.isDrinkaware) {
-                        // Drinkaware: bottom-right corner, scaled appropriately
-                        obj.set({
-                            left: format.width - 100 * scaleX,
-                            top: format.height - 40 * scaleY,
-                            scaleX: originalScaleX * Math.min(scaleX, 1),
-                            scaleY: originalScaleY * Math.min(scaleY, 1),
-                        });
-                    } else if (obj.isTag) {
-                        // Tags: center bottom, with story safe zone consideration
-                        const tagY = format.ratio === '9:16'
-                            ? format.height - 280 // Safe zone for stories
-                            : format.height - 50 * scaleY;
-                        obj.set({
-                            left: format.width / 2,
-                            top: tagY,
-                        });
-                    } else if ((obj.type === 'i-text' || obj.type === 'text') && (obj.fontSize || 0) >= 48) {
-                        // Headlines: center, position at headline Y, adjust font size for format
-                        const fontScale = format.ratio === '9:16' ? 0.85 :
-                            format.ratio === '1.91:1' ? 0.9 : 1;
-                        obj.set({
-                            left: format.width / 2,
-                            top: format.height * layout.headlineY,
-                            fontSize: Math.round((obj.fontSize || 48) * fontScale * layout.scale),
-                        });
-                    } else if ((obj.type === 'i-text' || obj.type === 'text') && (obj.fontSize || 0) >= 24) {
-                        // Subheadlines
-                        const fontScale = format.ratio === '9:16' ? 0.85 : 1;
-                        obj.set({
-                            left: format.width / 2,
-                            top: format.height * (layout.headlineY + 0.1),
-                            fontSize: Math.round((obj.fontSize || 36) * fontScale * layout.scale),
-                        });
-                    } else {
-                        // Other elements: proportional scaling
-                        obj.set({
-                            left: (obj.left || 0) * scaleX,
-                            top: (obj.top || 0) * scaleY,
-                            scaleX: originalScaleX * avgScale,
-                            scaleY: originalScaleY * avgScale,
-                        });
+        setBudgetWarnings([]);
+        setLayoutWarnings([]);
+        setExportError(null);
+
+        try {
+            const zip = new JSZip();
+            const namer = createNamer(namingSettings, {
+                ...creativeIdentity,
+                product: campaignDetails.productName || creativeIdentity.product,
+            });
+            const total = selectedFormats.length;
+            const { StaticCanvas } = await import('fabric');
+
+            // Get current canvas state
+            const canvasJSON = canvas.toJSON(SERIALIZED_PROPS);
+            const sourceFormat = FORMAT_PRESETS[currentFormat];
+            const reportEntries = [];
+            const html5Failures = [];
+            const svgFailures = [];
+            const printFailures = [];
+            const complianceFailures = [];
+            const overBudget = [];
+            const layoutProblems = [];
+            const assets = [];
+
+            for (let i = 0; i < selectedFormats.length; i++) {
+                const formatKey = selectedFormats[i];
+                const format = FORMAT_PRESETS[formatKey];
+                // Solved layout, for adapted formats
+                let layout = null;
+
+                setStatus(`Generating ${format.name}...`);
+
+                // Create offscreen canvas element
+                const offscreenEl = document.createElement('canvas');
+                offscreenEl.width = format.width;
+                offscreenEl.height = format.height;
+                const ctx = offscreenEl.getContext('2d');
+
+                // Fill background
+                ctx.fillStyle = canvas.backgroundColor || '#ffffff';
+                ctx.fillRect(0, 0, format.width, format.height);
+
+                // Exactly what is exported for this format, for the compliance certificate
+                let formatJSON;
+
+                // If autoAdapt is enabled and this is a different format, solve a layout for it
+                if (autoAdapt && formatKey !== currentFormat) {
+                    setStatus(`🧠 Solving layout for ${format.name}...`);
+                    const adapted = adaptCanvasJSON(canvasJSON, sourceFormat, format, { projectId });
+                    layout = adapted.layout;
+
+                    const staticCanvas = new StaticCanvas(undefined, { width: format.width, height: format.height, enableRetinaScaling: false });
+                    try {
+                        await staticCanvas.loadFromJSON(adapted.canvasJSON);
+
+                        // Re-check the solved layout; fixes that only move or resize are applied, the rest reported
+                        const layoutFormat = { ...format, formatId: formatKey };
+                        const layoutContext = { backgroundColor: canvas.backgroundColor || backgroundColor, isAlcoholProduct, projectId };
+                        const fixes = proposeFixes(staticCanvas, layoutFormat, layoutContext)
+                            .filter(fix => fix.action === 'update' && Object.keys(fix.changes).every(prop => LAYOUT_FIX_PROPS.includes(prop)));
+                        if (fixes.length > 0) applyFixes(staticCanvas, fixes);
+                        const failures = evaluateLayoutRules(toLayoutElements(staticCanvas), layoutFormat, null, layoutContext)
+                            .filter(result => result.status === 'fail');
+                        [...layout.unresolved, ...failures.map(result => `${result.ruleId}: ${result.message}`)]
+                            .forEach(problem => layoutProblems.push(`${format.name}: ${problem}`));
+
+                        staticCanvas.renderAll();
+                        formatJSON = staticCanvas.toJSON(SERIALIZED_PROPS);
+                        ctx.drawImage(staticCanvas.getElement(), 0, 0, format.width, format.height);
+                    } finally {
+                        staticCanvas.dispose();
                     }
 
-                    obj.setCoords();
+                } else {
+                    // Simple scale export (source format or autoAdapt disabled)
+                    const safeZones = canvas.getObjects().filter(o => o.isSafeZone);
+                    safeZones.forEach(o => canvas.remove(o));
+
+                    const scaleFactor = format.width / (canvas.width / canvas.getZoom());
+                    formatJSON = scaleCanvasJSON(
+                        canvas.toJSON(SERIALIZED_PROPS),
+                        format.width / sourceFormat.width,
+                        format.height / sourceFormat.height
+                    );
+                    const dataUrl = canvas.toDataURL({
+                        format: 'png',
+                        multiplier: scaleFactor,
+                    });
+
+                    safeZones.forEach(o => canvas.add(o));
+                    canvas.renderAll();
+
+                    await new Promise((resolve) => {
+                        const img = new Image();
+                        img.onload = () => {
+                            ctx.drawImage(img, 0, 0, format.width, format.height);
+                            resolve();
+                        };
+                        img.src = dataUrl;
+                    });
+                }
+
+                // Files for this format, listed in the manifest once compliance is known
+                const formatFiles = [];
+                const writeFile = (path, data, role, mimeType, delivery) => {
+                    zip.file(path, data);
+                    formatFiles.push({ file: path, data, role, mimeType, delivery });
+                    return path;
+                };
+                const addFile = (suffix, extension, data, role, mimeType, delivery) => writeFile(
+                    namer.path({ format, suffix }, extension), data, role, mimeType, delivery
+                );
+
+                // PNG
+                const pngBlob = await new Promise(resolve => offscreenEl.toBlob(resolve, 'image/png'));
+                addFile('', 'png', pngBlob, 'master', 'image/png');
+
+                // Delivery file under the channel's size budget
+                if (format.budget) setStatus(`Fitting ${format.name} into ${describeBudget(format.budget)}...`);
+                const delivery = await encodeWithinBudget(offscreenEl, format.budget);
+                const deliverySuffix = delivery.extension === 'png' ? '-delivery' : '';
+                addFile(deliverySuffix, delivery.extension, delivery.blob, 'delivery', ENCODERS[delivery.encoding].mimeType, delivery);
+                if (!delivery.withinBudget) {
+                    const warning = `${format.name}: smallest file is ${formatBytes(delivery.bytes)} ${ENCODERS[delivery.encoding].label}, over the ${formatBytes(delivery.maxBytes)} budget`;
+                    console.warn('Size budget:', warning);
+                    overBudget.push(warning);
                 }
 
-                // Render with new positions
-                canvas.renderAll();
-
-                // Export
-                const dataUrl = canvas.toDataURL({
-                    format: 'png',
-                    multiplier: 1,
-                    width: format.width,
-                    height: format.height,
-                });
-
-                // Draw to offscreen canvas
-                await new Promise((resolve) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        ctx.drawImage(img, 0, 0, format.width, format.height);
-                        resolve();
-                    };
-                    img.src = dataUrl;
-                });
-
-                // Restore original positions
-                for (let j = 0; j < objects.length; j++) {
-                    const obj = objects[j];
-                    const original = canvasJSON.objects[j];
-                    if (original) {
-                        obj.set({
-                            left: original.left,
-                            top: original.top,
-                            scaleX: original.scaleX || 1,
-                            scaleY: original.scaleY || 1,
-                            fontSize: original.fontSize,
-                        });
-                        obj.setCoords();
+                // Editable vector master
+                if (svgImages) {
+                    setStatus(`Building SVG master for ${format.name}...`);
+                    try {
+                        const { svg, files, warnings } = await renderSvg(formatJSON, format, { images: svgImages });
+                        warnings.forEach(warning => console.warn(`SVG export (${formatKey}):`, warning));
+                        const svgPath = addFile('', 'svg', svg, 'svg', 'image/svg+xml');
+                        // Linked images sit next to the SVG; formats in one folder share them
+                        const svgFolder = svgPath.slice(0, svgPath.lastIndexOf('/') + 1);
+                        files
+                            .filter(file => !zip.file(svgFolder + file.path))
+                            .forEach(file => writeFile(svgFolder + file.path, file.blob, 'svg-image', file.blob.type));
+                    } catch (err) {
+                        console.warn(`SVG export (${formatKey}):`, err);
+                        svgFailures.push(`${format.name}: ${err.message}`);
                     }
                 }
-                canvas.renderAll();
-
-                // Restore safe zones
-                safeZones.forEach(o => canvas.add(o));
-
-            } else {
-                // Simple scale export (source format or autoAdapt disabled)
-                const safeZones = canvas.getObjects().filter(o => o.isSafeZone);
-                safeZones.forEach(o => canvas.remove(o));
-
-                const scaleFactor = format.width / (canvas.width / canvas.getZoom());
-                const dataUrl = canvas.toDataURL({
-                    format: 'png',
-                    multiplier: scaleFactor,
-                });
-
-                safeZones.forEach(o => canvas.add(o));
-                canvas.renderAll();
-
-                await new Promise((resolve) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        ctx.drawImage(img, 0, 0, format.width, format.height);
-                        resolve();
-                    };
-                    img.src = dataUrl;
-                });
-            }
 
-            // PNG
-            const pngBlob = await new Promise(resolve => offscreenEl.toBlob(resolve, 'image/png'));
-            zip.folder(formatKey).file(`${formatKey}.png`, pngBlob);
+                // HTML5 ad package for display formats
+                if (html5.enabled && isDisplayFormat(format)) {
+                    setStatus(`Packaging HTML5 ad for ${format.name}...`);
+                    try {
+                        const { blob } = await renderHtml5Ad(formatJSON, format, html5);
+                        addFile('-html5', 'zip', blob, 'html5', 'application/zip');
+                    } catch (err) {
+                        console.warn(`HTML5 export (${formatKey}):`, err);
+                        html5Failures.push(`${format.name}: ${err.message}`);
+                    }
+                }
 
-            // Compressed JPEG
-            const jpegBlob = await new Promise(resolve => offscreenEl.toBlob(resolve, 'image/jpeg', 0.85));
-            zip.folder(formatKey).file(`${formatKey}.jpg`, jpegBlob);
+                // Print-ready PDF for in-store formats
+                if (isPrintFormat(format) && printPaper) {
+                    setStatus(`Preparing ${printPaper} print PDF for ${format.name}...`);
+                    try {
+                        const pdfBlob = await renderPrintPdf(formatJSON, format, { paper: printPaper, title: `${format.name} - ${printPaper}` });
+                        addFile(`-${printPaper}-print`, 'pdf', pdfBlob, 'print', 'application/pdf');
+                    } catch (err) {
+                        console.warn(`Print export (${formatKey}):`, err);
+                        printFailures.push(`${format.name}: ${err.message}`);
+                    }
+                }
 
-            // Specs file with detailed adaptation info
-            const specsContent = `Format: ${format.name}
+                // Specs file with detailed adaptation info
+                const specsContent = `Format: ${format.name}
 Dimensions: ${format.width}×${format.height}
 Aspect Ratio: ${format.ratio}
-Auto-Adapted: ${autoAdapt && formatKey !== currentFormat ? 'Yes - AI Layout' : 'No - Direct Scale'}
-Layout Profile: ${formatKey}
-Headline Position: ${Math.round(layout.headlineY * 100)}% from top
-Packshot Position: ${Math.round(layout.packY * 100)}% from top
-Value Tile Position: ${Math.round(layout.tileY * 100)}% from top
-Scale Factor: ${layout.scale}
+Auto-Adapted: ${layout ? 'Yes - Constraint Layout' : 'No - Direct Scale'}
+${layout ? describeLayout(layout) : `Scale: ${(format.width / sourceFormat.width).toFixed(2)} × ${(format.height / sourceFormat.height).toFixed(2)}`}
 Generated: ${new Date().toISOString()}`;
 
-            zip.folder(formatKey).file('specs.txt', specsContent);
+                zip.file(namer.path({ format, suffix: '-specs' }, 'txt'), specsContent);
+
+                setStatus(`Checking compliance for ${format.name}...`);
+                const reportContext = {
+                    currentFormat: formatKey,
+                    backgroundColor: canvas.backgroundColor || backgroundColor,
+                    isAlcoholProduct,
+                    creativeProfile,
+                    waivers: complianceWaivers,
+                };
+                // Unchecked formats are left out of the certificate and marked not passed
+                let compliance = { score: null, passed: false };
+                try {
+                    const [result, thumbnail] = await Promise.all([
+                        evaluateForReport(formatJSON, reportContext),
+                        resizeImage(offscreenEl, 240, 240),
+                    ]);
+                    reportEntries.push({ formatKey, result, context: reportContext, thumbnail: thumbnail.dataUrl });
+                    compliance = { score: result.score, passed: result.canExport && result.errors.length === 0 };
+                } catch (err) {
+                    console.warn(`Compliance check (${formatKey}):`, err);
+                    complianceFailures.push(`${format.name}: ${err.message}`);
+                }
 
-            setProgress(Math.round(((i + 1) / total) * 100));
-        }
+                const copy = extractCreativeCopy(formatJSON);
+                for (const { data, ...file } of formatFiles) {
+                    assets.push({ ...file, format, bytes: byteSize(data), checksum: await checksum(data), copy, compliance });
+                }
+
+                setProgress(Math.round(((i + 1) / total) * 100));
+            }
 
-        // Enhanced README
-        const readme = `# Campaign Export - AstraCreate
+            // Enhanced README
+            const readme = `# Campaign Export - AstraCreate
 Generated: ${new Date().toLocaleString()}
 Formats: ${selectedFormats.length}
 Source Format: ${FORMAT_PRESETS[currentFormat].name}
 Auto-Adapt: ${autoAdapt ? '✅ AI-Driven Layout Adaptation' : 'Scaling Only'}
 Compliance: ${isCompliant ? '✅ PASSED' : '⚠️ REVIEW NEEDED'}
 
-## 🧠 AI Layout Adaptation
-When Smart Multi-Format is enabled, AstraCreate intelligently repositions elements:
-- Headlines are repositioned based on format-specific optimal placement
-- Packshots maintain visual prominence with format-appropriate sizing
-- Value tiles stay in the primary attention zone
-- Font sizes adapt to maintain readability across aspect ratios
-- Story formats (9:16) respect platform safe zones
+## 🧠 Layout Adaptation
+When Smart Multi-Format is enabled, each format's layout is solved from constraints:
+- Headline, subheadline, packshots, value tile, tag and Drinkaware are laid out as blocks, in a column or (horizontal formats) a row
+- Each block follows the format's type scale, within its maximum share of the canvas
+- Lower-priority blocks shrink first, never below the minimum font size or Drinkaware height
+- Blocks keep clear of each other and of the format's safe zones
+- Every solved layout is re-checked against the layout rules; specs files list where each block went
 
 ## Contents
 ${selectedFormats.map(f => {
@@ -313,22 +304,75 @@ ${selectedFormats.map(f => {
         }).join('\n')}
 
 ## Files per format
+Named \`${namingSettings.file}\` (see manifest.json for every path)
 - PNG (full quality, transparency preserved)
-- JPG (85% quality, smaller file, <500KB)
-- specs.txt (detailed format & layout info)
+- Delivery file encoded to fit the channel's size budget (JPG, WebP or PNG; sizes in manifest.json)
+- Specs text file (detailed format & layout info)
+${html5.enabled && selectedFormats.some(f => isDisplayFormat(FORMAT_PRESETS[f])) ? `- Display formats: HTML5 ad package (index.html with clickTag, manifest.json, images; max ${html5.maxInitialKb}KB initial load)
+` : ''}${svgImages ? `- SVG master (editable vectors, web fonts embedded, images ${svgImages === 'inline' ? 'embedded' : 'in images/'})
+` : ''}${printPaper && selectedFormats.some(f => isPrintFormat(FORMAT_PRESETS[f])) ? `- In-store formats: ${printPaper} print PDF (${PRINT_DEFAULTS.dpi} DPI, CMYK vector text, ${PRINT_DEFAULTS.bleedMm}mm bleed, crop and registration marks)
+` : ''}
+${layoutProblems.length > 0 ? `## Layout checks not passed
+${layoutProblems.map(problem => `- ${problem}`).join('\n')}
+
+` : ''}${overBudget.length > 0 ? `## Size budgets not met
+${overBudget.map(warning => `- ${warning}`).join('\n')}
+
+` : ''}${html5Failures.length > 0 ? `## HTML5 ads not exported
+${html5Failures.map(failure => `- ${failure}`).join('\n')}
+
+` : ''}${svgFailures.length > 0 ? `## SVG masters not exported
+${svgFailures.map(failure => `- ${failure}`).join('\n')}
+
+` : ''}${printFailures.length > 0 ? `## Print PDFs not exported
+${printFailures.map(failure => `- ${failure}`).join('\n')}
+
+` : ''}${complianceFailures.length > 0 ? `## Compliance not checked (not in the certificate)
+${complianceFailures.map(failure => `- ${failure}`).join('\n')}
+
+` : ''}## Manifest
+- manifest.json / manifest.csv: every file with its format, size, copy, value tile, compliance score and SHA-256 checksum
+- meta-bulk-upload.csv (social formats): Meta Ads Manager bulk import columns
+- dv360-bulk-upload.csv (display formats): Display & Video 360 creative upload columns
+
+## Compliance certificate
+compliance-certificate.html lists, per format, every rule evaluated with its
+pass/fail/waived status and detection method, the rule schema and rule pack
+versions, a thumbnail and a timestamp.
 `;
-        zip.file('README.md', readme);
-
-        setStatus('Creating ZIP...');
-        const content = await zip.generateAsync({ type: 'blob' });
-        saveAs(content, `campaign-${Date.now()}.zip`);
-
-        setGenerating(false);
-        setProgress(100);
-        setStatus('✅ Complete!');
-
-        setTimeout(() => onClose(), 1500);
-    }, [canvas, selectedFormats, isCompliant, autoAdapt, currentFormat, onClose]);
+            zip.file('README.md', readme);
+
+            // Asset manifest and ad-platform bulk upload sheets
+            const manifest = buildCampaignManifest({
+                campaign: { ...campaignDetails, sourceFormat: currentFormat },
+                assets,
+            });
+            renderManifestFiles(manifest).forEach(file => zip.file(file.path, file.content));
+
+            const report = createComplianceReport({ title: `Campaign Export - ${new Date().toLocaleString()}`, entries: reportEntries });
+            zip.file('compliance-certificate.html', renderComplianceReportHTML(report));
+
+            setStatus('Creating ZIP...');
+            const content = await zip.generateAsync({ type: 'blob' });
+            saveAs(content, namer.archiveName());
+
+            setProgress(100);
+            setStatus('✅ Complete!');
+
+            // Stay open so over-budget formats and layout problems can be seen
+            if (overBudget.length > 0 || layoutProblems.length > 0) {
+                setBudgetWarnings(overBudget);
+                setLayoutWarnings(layoutProblems);
+                return;
+            }
+            setTimeout(() => onClose(), 1500);
+        } catch (err) {
+            console.error('Campaign export failed:', err);
+            setExportError(`Export failed: ${err.message}`);
+        } finally {
+            setGenerating(false);
+        }
+    }, [canvas, selectedFormats, isCompliant, autoAdapt, svgImages, html5, printPaper, campaignDetails, currentFormat, onClose, backgroundColor, isAlcoholProduct, creativeProfile, complianceWaivers, projectId, namingSettings, creativeIdentity]);
 
     return (
         <div className="modal-overlay">
@@ -381,6 +425,86 @@ ${selectedFormats.map(f => {
                         </div>
                     </div>
 
+                    {/* Details for the manifest and bulk upload sheets */}
+                    <div className="card mb-4 space-y-2">
+                        <div>
+                            <p className="text-sm font-medium text-primary">📋 Trafficking manifest</p>
+                            <p className="text-xs text-secondary mt-1">JSON and CSV with copy, checksums, Meta and DV360 bulk upload sheets</p>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <label className="text-[10px] text-muted">
+                                Product name
+                                <input value={campaignDetails.productName} onChange={(e) => updateCampaignDetails('productName', e.target.value)} placeholder="e.g. Coca-Cola Zero Sugar 2L" className="input mt-1 text-xs" />
+                            </label>
+                            <label className="text-[10px] text-muted">
+                                Landing page URL
+                                <input value={campaignDetails.landingUrl} onChange={(e) => updateCampaignDetails('landingUrl', e.target.value)} className="input mt-1 text-xs" />
+                            </label>
+                        </div>
+                    </div>
+
+                    {/* SVG masters */}
+                    <div className="card mb-4">
+                        <div className="flex items-center justify-between">
+                            <div>
+                                <p className="text-sm font-medium text-primary">✏️ SVG masters</p>
+                                <p className="text-xs text-secondary mt-1">Editable vectors with embedded fonts</p>
+                            </div>
+                            <select value={svgImages} onChange={(e) => setSvgImages(e.target.value)} className="input w-auto text-xs">
+                                <option value="">No SVG</option>
+                                <option value="inline">Images embedded</option>
+                                <option value="linked">Images linked</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    {/* HTML5 ads for display formats */}
+                    {hasDisplayFormats && (
+                        <div className="card mb-4 space-y-2">
+                            <div className="flex items-center justify-between">
+                                <div>
+                                    <p className="text-sm font-medium text-primary">🖥 HTML5 display ads</p>
+                                    <p className="text-xs text-secondary mt-1">IAB zip with clickTag for display formats</p>
+                                </div>
+                                <input type="checkbox" checked={html5.enabled} onChange={(e) => updateHtml5('enabled', e.target.checked)} />
+                            </div>
+                            {html5.enabled && (
+                                <div className="grid grid-cols-3 gap-2">
+                                    <label className="text-[10px] text-muted col-span-2">
+                                        clickTag URL
+                                        <input value={html5.clickTagUrl} onChange={(e) => updateHtml5('clickTagUrl', e.target.value)} className="input mt-1 text-xs" />
+                                    </label>
+                                    <label className="text-[10px] text-muted">
+                                        Max initial KB
+                                        <input type="number" min="10" value={html5.maxInitialKb} onChange={(e) => updateHtml5('maxInitialKb', Number(e.target.value) || HTML5_DEFAULTS.maxInitialKb)} className="input mt-1 text-xs" />
+                                    </label>
+                                    <label className="flex items-center gap-2 text-xs text-secondary col-span-3">
+                                        <input type="checkbox" checked={html5.animations} onChange={(e) => updateHtml5('animations', e.target.checked)} />
+                                        Animate headline and value tile entrance
+                                    </label>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Print PDF for in-store formats */}
+                    {hasPrintFormats && (
+                        <div className="card mb-4">
+                            <div className="flex items-center justify-between">
+                                <div>
+                                    <p className="text-sm font-medium text-primary">🖨 Print-ready PDF</p>
+                                    <p className="text-xs text-secondary mt-1">
+                                        In-store formats, {PRINT_DEFAULTS.bleedMm}mm bleed, crop marks
+                                    </p>
+                                </div>
+                                <select value={printPaper} onChange={(e) => setPrintPaper(e.target.value)} className="input w-auto text-xs">
+                                    <option value="">No PDF</option>
+                                    {Object.keys(PAPER_SIZES).map(key => <option key={key} value={key}>{key}</option>)}
+                                </select>
+                            </div>
+                        </div>
+                    )}
+
                     {/* Format Selection */}
                     <div className="section">
                         <div className="flex items-center justify-between mb-2">
@@ -418,12 +542,42 @@ ${selectedFormats.map(f => {
                                             )}
                                         </div>
                                     </div>
-                                    <p className="text-[10px] text-muted">{format.width} × {format.height}</p>
+                                    <p className="text-[10px] text-muted">
+                                        {format.width} × {format.height}
+                                        {format.budget && ` · ${describeBudget(format.budget)}`}
+                                    </p>
                                 </button>
                             ))}
                         </div>
                     </div>
 
+                    {/* Export that stopped part way */}
+                    {exportError && (
+                        <div className="card mt-4" style={{ background: 'rgba(239, 68, 68, 0.1)', borderColor: 'rgba(239, 68, 68, 0.3)' }}>
+                            <p className="text-sm font-medium text-error">⚠️ {exportError}</p>
+                        </div>
+                    )}
+
+                    {/* Layout constraints and checks that couldn't be met */}
+                    {layoutWarnings.length > 0 && (
+                        <div className="card mt-4" style={{ background: 'rgba(245, 158, 11, 0.1)', borderColor: 'rgba(245, 158, 11, 0.3)' }}>
+                            <p className="text-sm font-medium text-warning">⚠️ Exported, but the adapted layout needs review</p>
+                            {layoutWarnings.map(warning => (
+                                <p key={warning} className="text-xs text-secondary mt-1">{warning}</p>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Budgets that couldn't be met */}
+                    {budgetWarnings.length > 0 && (
+                        <div className="card mt-4" style={{ background: 'rgba(245, 158, 11, 0.1)', borderColor: 'rgba(245, 158, 11, 0.3)' }}>
+                            <p className="text-sm font-medium text-warning">⚠️ Exported, but over the size budget</p>
+                            {budgetWarnings.map(warning => (
+                                <p key={warning} className="text-xs text-secondary mt-1">{warning}</p>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Progress */}
                     {generating && (
                         <div className="mt-4">
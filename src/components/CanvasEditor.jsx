@@ -1,15 +1,40 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import { Canvas, Rect } from 'fabric';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
-import { COMPLIANCE_RULES } from '../hooks/useCompliance';
+import { getRuleById, subscribeRulePacks } from '../compliance';
+import { getFormatZones } from '../store/formatPresets';
 import { CanvasControls } from './CanvasControls';
 
+// Zones the active rule packs declare for a format
+const activeFormatZones = (format) => getFormatZones(format, getRuleById('FORMAT_001', useStore.getState().projectId));
+
+// Outline the format's keep-out zones (red), bleed (magenta) and keep-out
+// zones that also block packshots and tiles, like AdChoices badges (amber)
+const createZoneRects = (zones) => zones.map(zone => {
+  const color = zone.kind === 'bleed'
+    ? '217, 70, 239'
+    : zone.roles.includes('packshot') ? '245, 158, 11' : '239, 68, 68';
+  return new Rect({
+    left: zone.x, top: zone.y,
+    width: zone.width,
+    height: zone.height,
+    fill: `rgba(${color}, 0.05)`,
+    stroke: `rgba(${color}, 0.2)`,
+    strokeWidth: 1, strokeDashArray: [5, 5],
+    selectable: false, evented: false,
+    isSafeZone: true,
+  });
+});
+
+const zonesSignature = (zones) => JSON.stringify(zones.map(z => [z.kind, z.x, z.y, z.width, z.height, z.roles]));
+
 export function CanvasEditor({ onOpenWizard }) {
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
   const [showEmptyState, setShowEmptyState] = useState(false);
   const [isAutoFit, setIsAutoFit] = useState(true);
   const emptyStateDismissedRef = useRef(false);
+  const zonesSignatureRef = useRef(null);
 
   const {
     setCanvas,
@@ -20,7 +45,8 @@ export function CanvasEditor({ onOpenWizard }) {
     updateLayers,
     canvas,
     setZoomLevel,
-    zoomLevel
+    zoomLevel,
+    projectId
   } = useStore();
 
   // Dismiss empty state permanently
@@ -56,33 +82,10 @@ export function CanvasEditor({ onOpenWizard }) {
       controlsAboveOverlay: true,
     });
 
-    // Add safe zones for story formats
-    if (format.ratio === '9:16') {
-      const topZone = new Rect({
-        left: 0, top: 0,
-        width: format.width,
-        height: COMPLIANCE_RULES.safeZones.story.top,
-        fill: 'rgba(239, 68, 68, 0.05)',
-        stroke: 'rgba(239, 68, 68, 0.2)',
-        strokeWidth: 1, strokeDashArray: [5, 5],
-        selectable: false, evented: false,
-        isSafeZone: true,
-      });
-
-      const bottomZone = new Rect({
-        left: 0,
-        top: format.height - COMPLIANCE_RULES.safeZones.story.bottom,
-        width: format.width,
-        height: COMPLIANCE_RULES.safeZones.story.bottom,
-        fill: 'rgba(239, 68, 68, 0.05)',
-        stroke: 'rgba(239, 68, 68, 0.2)',
-        strokeWidth: 1, strokeDashArray: [5, 5],
-        selectable: false, evented: false,
-        isSafeZone: true,
-      });
-
-      canvasInstance.add(topZone, bottomZone);
-    }
+    const zones = activeFormatZones(format);
+    const zoneRects = createZoneRects(zones);
+    zonesSignatureRef.current = zonesSignature(zones);
+    if (zoneRects.length > 0) canvasInstance.add(...zoneRects);
 
     // Event handlers
     const handleSelection = (e) => setSelectedObject(e.selected?.[0] || null);
@@ -105,6 +108,27 @@ export function CanvasEditor({ onOpenWizard }) {
     };
   }, [currentFormat]);
 
+  // Redraw the zone outlines when the project or its active rule packs change
+  useEffect(() => {
+    if (!canvas) return;
+
+    const redrawZones = () => {
+      const zones = activeFormatZones(FORMAT_PRESETS[currentFormat]);
+      const signature = zonesSignature(zones);
+      if (signature === zonesSignatureRef.current) return;
+      zonesSignatureRef.current = signature;
+
+      const stale = canvas.getObjects().filter(o => o.isSafeZone);
+      if (stale.length > 0) canvas.remove(...stale);
+      const zoneRects = createZoneRects(zones);
+      if (zoneRects.length > 0) canvas.insertAt(0, ...zoneRects);
+      canvas.requestRenderAll();
+    };
+
+    redrawZones();
+    return subscribeRulePacks(redrawZones);
+  }, [canvas, currentFormat, projectId]);
+
   // Handle Background Color
   useEffect(() => {
     if (canvas) {
@@ -0,0 +1,76 @@
+import React, { useMemo } from 'react';
+import { useCompliance } from '../hooks/useCompliance';
+import useStore from '../store/useStore';
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'number') return Math.round(value * 100) / 100;
+    return String(value);
+};
+
+/**
+ * ComplianceFixes - deterministic fix proposals for failing layout rules
+ * Each fix is shown as a property diff and can be applied on its own or all
+ * at once; either way it is a single undo step.
+ */
+export function ComplianceFixes() {
+    const { getComplianceFixes, applyComplianceFixes } = useCompliance();
+    const { complianceErrors, complianceWarnings } = useStore();
+
+    // A full layout evaluation - re-proposed only when a compliance run
+    // changes the store's issues, and skipped when nothing fails
+    const fixes = useMemo(
+        () => (complianceErrors.length + complianceWarnings.length > 0 ? getComplianceFixes() : []),
+        [getComplianceFixes, complianceErrors, complianceWarnings]
+    );
+
+    if (fixes.length === 0) return null;
+
+    return (
+        <div className="mb-3 p-2 rounded-lg bg-[var(--surface-elevated)] border border-[var(--border-subtle)]">
+            <div className="flex items-center justify-between mb-1.5">
+                <span className="text-xs font-medium text-primary">Suggested fixes</span>
+                <button
+                    onClick={() => applyComplianceFixes(fixes)}
+                    className="text-[10px] px-2 py-0.5 rounded bg-[var(--accent-primary)] text-white hover:opacity-90"
+                >
+                    Apply all ({fixes.length})
+                </button>
+            </div>
+
+            <div className="space-y-1.5 max-h-40 overflow-y-auto">
+                {fixes.map(fix => (
+                    <div key={fix.id} className="p-1.5 rounded bg-[var(--surface-overlay)] text-xs">
+                        <div className="flex items-start justify-between gap-2">
+                            <span className="text-secondary leading-tight">{fix.description}</span>
+                            <button
+                                onClick={() => applyComplianceFixes([fix])}
+                                className="shrink-0 text-[10px] px-1.5 py-0.5 rounded border border-[var(--border-subtle)] text-primary hover:bg-[var(--surface-elevated)]"
+                            >
+                                Apply
+                            </button>
+                        </div>
+                        <div className="mt-1 font-mono text-[10px] leading-snug">
+                            {fix.diff.map(change => (
+                                <div key={change.prop}>
+                                    <span className="text-muted">{change.prop}: </span>
+                                    {fix.action === 'insert' ? (
+                                        <span className="text-green-400">+ {formatValue(change.to)}</span>
+                                    ) : (
+                                        <>
+                                            <span className="text-red-400 line-through">{formatValue(change.from)}</span>
+                                            <span className="text-muted"> → </span>
+                                            <span className="text-green-400">{formatValue(change.to)}</span>
+                                        </>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default ComplianceFixes;
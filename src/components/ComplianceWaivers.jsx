@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import useStore from '../store/useStore';
+import { useCompliance } from '../hooks/useCompliance';
+
+const DEFAULT_WAIVER_DAYS = 30;
+
+const defaultExpiry = () => {
+    const date = new Date(Date.now() + DEFAULT_WAIVER_DAYS * 24 * 60 * 60 * 1000);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * WaiverForm - waive one warning instance with reason, reviewer and expiry
+ * Only rendered for warnings; the store refuses hard_fail rules anyway.
+ */
+export function WaiverForm({ issue, onDone }) {
+    const { addComplianceWaiver } = useStore();
+    const { runFullCompliance } = useCompliance();
+    const [reason, setReason] = useState('');
+    const [reviewer, setReviewer] = useState('');
+    const [expiresAt, setExpiresAt] = useState(defaultExpiry);
+    const [error, setError] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        try {
+            addComplianceWaiver({
+                ruleId: issue.ruleId,
+                objectId: issue.objectId ?? null,
+                reason,
+                reviewer,
+                // End of the chosen day
+                expiresAt: `${expiresAt}T23:59:59`,
+            });
+            onDone?.();
+            setTimeout(() => runFullCompliance(), 100);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-1.5 space-y-1">
+            <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (e.g. decorative text, approved by brand)"
+                rows={2}
+                className="input input-sm w-full text-xs"
+            />
+            <div className="flex gap-1">
+                <input
+                    value={reviewer}
+                    onChange={(e) => setReviewer(e.target.value)}
+                    placeholder="Reviewer"
+                    className="input input-sm flex-1 text-xs"
+                />
+                <input
+                    type="date"
+                    value={expiresAt}
+                    onChange={(e) => setExpiresAt(e.target.value)}
+                    className="input input-sm text-xs"
+                />
+            </div>
+            {error && <p className="text-[10px] text-error">{error}</p>}
+            <div className="flex gap-1 justify-end">
+                <button type="button" onClick={onDone} className="btn btn-ghost text-[10px] py-0.5">Cancel</button>
+                <button type="submit" className="text-[10px] px-2 py-0.5 rounded bg-[var(--warning)] text-black font-medium">Waive</button>
+            </div>
+        </form>
+    );
+}
+
+/**
+ * WaivedIssues - warnings currently covered by a waiver, with who waived
+ * them, why and until when
+ */
+export function WaivedIssues() {
+    const { complianceWaived, removeComplianceWaiver } = useStore();
+    const { runFullCompliance } = useCompliance();
+
+    if (complianceWaived.length === 0) return null;
+
+    const revoke = (waiverId) => {
+        removeComplianceWaiver(waiverId);
+        setTimeout(() => runFullCompliance(), 100);
+    };
+
+    return (
+        <div className="mt-2">
+            <span className="text-[10px] text-muted uppercase">Waived ({complianceWaived.length})</span>
+            <div className="space-y-1 mt-1 max-h-24 overflow-y-auto">
+                {complianceWaived.map(item => (
+                    <div key={item.waiver.id} className="p-1.5 rounded text-xs bg-[var(--surface-elevated)] border-l-2 border-[var(--border-subtle)]">
+                        <div className="flex items-center justify-between">
+                            <span className="text-secondary font-medium">{item.ruleName}</span>
+                            <button onClick={() => revoke(item.waiver.id)} className="text-[10px] text-muted hover:text-error">Revoke</button>
+                        </div>
+                        <p className="text-muted leading-tight mt-0.5">
+                            “{item.waiver.reason}” — {item.waiver.reviewer}, until {new Date(item.waiver.expiresAt).toLocaleDateString()}
+                        </p>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default WaivedIssues;
@@ -1,6 +1,7 @@
 import React, { useState, useCallback } from 'react';
 import { FabricImage, IText, Rect, Circle, Ellipse } from 'fabric';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
+import { getTileForFormat } from '../store/formatPresets';
 
 /**
  * Demo Gallery - Showcase of AI-generated creatives
@@ -463,7 +464,7 @@ export function DemoGallery({ onClose, onApply }) {
     const [previewFormat, setPreviewFormat] = useState('instagram-feed');
     const [applying, setApplying] = useState(false);
 
-    const { canvas, saveToHistory, updateLayers, setBackgroundColor, setIsAlcoholProduct, currentFormat } = useStore();
+    const { canvas, saveToHistory, updateLayers, setBackgroundColor, setIsAlcoholProduct, setCreativeIdentity, currentFormat } = useStore();
 
     const currentDemo = DEMO_CREATIVES[selectedDemo];
     const currentVariantData = currentDemo.variants[selectedVariant];
@@ -625,12 +626,6 @@ export function DemoGallery({ onClose, onApply }) {
                 },
             ];
 
-            // Helper to get format-specific tile dimensions
-            const getTileForFormat = (tile, formatKey) => {
-                const overrides = tile.formatOverrides?.[formatKey];
-                return overrides ? { ...tile, ...overrides } : tile;
-            };
-
             const baseTile = VALUE_TILES.find(t => t.id === currentVariantData.priceType) || VALUE_TILES[2];
             const tile = getTileForFormat(baseTile, currentFormat);
             const formatConfig = targetFormat.config || {};
@@ -870,6 +865,13 @@ export function DemoGallery({ onClose, onApply }) {
             saveToHistory();
             updateLayers();
 
+            // Exports of this creative are named after the demo product
+            setCreativeIdentity({
+                brand: currentDemo.product.brand,
+                product: currentDemo.product.name,
+                variant: `v${selectedVariant + 1}`,
+            });
+
             setApplying(false);
             onApply?.({ demo: currentDemo, variant: currentVariantData });
             onClose();
@@ -877,7 +879,7 @@ export function DemoGallery({ onClose, onApply }) {
             console.error('Apply demo failed:', err);
             setApplying(false);
         }
-    }, [canvas, currentDemo, currentVariantData, currentFormat, setBackgroundColor, setIsAlcoholProduct, saveToHistory, updateLayers, onApply, onClose]);
+    }, [canvas, currentDemo, currentVariantData, selectedVariant, currentFormat, setBackgroundColor, setIsAlcoholProduct, setCreativeIdentity, saveToHistory, updateLayers, onApply, onClose]);
 
 
     return (
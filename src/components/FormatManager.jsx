@@ -0,0 +1,344 @@
+import React, { useRef, useState } from 'react';
+import { saveAs } from 'file-saver';
+import useStore, { FORMAT_PRESETS } from '../store/useStore';
+import { EXPORT_ENCODINGS, FORMAT_CATEGORIES, FORMAT_LAYOUTS, exportCustomFormats, formatRatio, isBuiltInFormat } from '../store/formatPresets';
+
+/**
+ * FormatManager - define, edit, import and export custom format presets
+ * Custom formats show up everywhere the built-in ones do (format picker,
+ * campaign export, compliance checks).
+ */
+
+const EMPTY_FORM = {
+    key: '',
+    name: '',
+    width: 1080,
+    height: 1080,
+    category: 'social',
+    layout: 'vertical',
+    safeTop: '',
+    safeBottom: '',
+    zones: '',
+    complianceAs: '',
+    maxKb: '',
+    encodings: 'jpeg, png8',
+    valueTileScale: 1.0,
+    headlineFontSize: 48,
+    subFontSize: 32,
+    packshotScale: 0.5,
+};
+
+const slugify = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Form state from a stored format
+const toForm = (format) => ({
+    key: format.key,
+    name: format.name,
+    width: format.width,
+    height: format.height,
+    category: format.category,
+    layout: format.config.layout,
+    safeTop: format.safeZones ? format.safeZones.top : '',
+    safeBottom: format.safeZones ? format.safeZones.bottom : '',
+    zones: format.zones ? JSON.stringify(format.zones, null, 2) : '',
+    complianceAs: format.complianceAs || '',
+    maxKb: format.budget ? format.budget.maxBytes / 1024 : '',
+    encodings: (format.budget?.encodings || ['jpeg', 'png8']).join(', '),
+    valueTileScale: format.config.valueTileScale,
+    headlineFontSize: format.config.headlineFontSize,
+    subFontSize: format.config.subFontSize,
+    packshotScale: format.config.packshotScale,
+});
+
+// Zones textarea: empty, or a JSON array of zones
+const parseZones = (text) => {
+    if (!text.trim()) return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Zones are not valid JSON: ${err.message}`);
+    }
+};
+
+// Format definition from form state; new formats without a rules choice get the same-ratio default
+const toFormat = (form, isNew) => {
+    const hasSafeZones = form.safeTop !== '' || form.safeBottom !== '';
+    const zones = parseZones(form.zones);
+    return {
+        key: form.key || slugify(form.name),
+        name: form.name,
+        width: Number(form.width),
+        height: Number(form.height),
+        category: form.category,
+        ...(hasSafeZones && { safeZones: { top: Number(form.safeTop) || 0, bottom: Number(form.safeBottom) || 0 } }),
+        ...(zones && { zones }),
+        complianceAs: form.complianceAs || (isNew ? undefined : null),
+        ...(form.maxKb !== '' && {
+            budget: {
+                maxBytes: Math.round(Number(form.maxKb) * 1024),
+                encodings: form.encodings.split(',').map(e => e.trim().toLowerCase()).filter(Boolean),
+            },
+        }),
+        config: {
+            valueTileScale: Number(form.valueTileScale),
+            headlineFontSize: Number(form.headlineFontSize),
+            subFontSize: Number(form.subFontSize),
+            packshotScale: Number(form.packshotScale),
+            layout: form.layout,
+        },
+    };
+};
+
+export function FormatManager({ onClose }) {
+    const { customFormats, saveCustomFormat, deleteCustomFormat, importCustomFormats, setCurrentFormat } = useStore();
+    const [form, setForm] = useState(null);
+    const [editingKey, setEditingKey] = useState(null);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const fileInputRef = useRef(null);
+
+    const builtInFormats = Object.entries(FORMAT_PRESETS).filter(([key]) => isBuiltInFormat(key));
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const startNew = () => {
+        setForm(EMPTY_FORM);
+        setEditingKey(null);
+        setError('');
+    };
+
+    const startEdit = (format) => {
+        setForm(toForm(format));
+        setEditingKey(format.key);
+        setError('');
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        try {
+            const format = toFormat(form, !editingKey);
+            if (!editingKey && FORMAT_PRESETS[format.key]) {
+                setError(`A format with key "${format.key}" already exists`);
+                return;
+            }
+            saveCustomFormat(format);
+            setNotice(`Saved "${format.name}"`);
+            setForm(null);
+            setEditingKey(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = (format) => {
+        if (!window.confirm(`Delete the "${format.name}" format?`)) return;
+        deleteCustomFormat(format.key);
+        if (editingKey === format.key) setForm(null);
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([exportCustomFormats()], { type: 'application/json' });
+        saveAs(blob, 'astra-formats.json');
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = importCustomFormats(await file.text());
+            setNotice(`Imported ${imported.length} format${imported.length === 1 ? '' : 's'}`);
+            setError('');
+        } catch (err) {
+            setError(`Import failed: ${err.message}`);
+        }
+    };
+
+    const ratio = form && form.width > 0 && form.height > 0 ? formatRatio(Number(form.width), Number(form.height)) : '';
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal max-w-2xl modal-premium">
+                {/* Header */}
+                <div className="modal-header">
+                    <div className="flex items-center gap-3">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-violet-500 to-fuchsia-500 flex items-center justify-center shadow-lg">
+                            <span className="text-white text-2xl">📐</span>
+                        </div>
+                        <div>
+                            <h2 className="text-xl font-bold text-primary">Formats</h2>
+                            <p className="text-xs text-muted">Add your own sizes for TikTok, Pinterest, DOOH screens and retailers</p>
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="btn btn-ghost p-1 absolute top-4 right-4">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {/* Actions */}
+                    <div className="flex gap-2 mb-4">
+                        <button onClick={startNew} className="btn btn-primary flex-1">＋ New Format</button>
+                        <button onClick={() => fileInputRef.current?.click()} className="btn btn-ghost">Import JSON</button>
+                        <button onClick={handleExport} disabled={customFormats.length === 0} className="btn btn-ghost">Export JSON</button>
+                        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                    </div>
+
+                    {error && <p className="text-xs text-error mb-3">{error}</p>}
+                    {notice && !error && <p className="text-xs text-success mb-3">{notice}</p>}
+
+                    {/* Editor */}
+                    {form && (
+                        <form onSubmit={handleSave} className="p-4 mb-4 rounded-xl bg-[var(--surface-overlay)] border border-[var(--border-default)] space-y-3">
+                            <div className="grid grid-cols-2 gap-2">
+                                <label className="text-xs text-muted">
+                                    Name
+                                    <input value={form.name} onChange={update('name')} placeholder="TikTok Feed" className="input mt-1" autoFocus />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Key
+                                    <input
+                                        value={editingKey || form.key}
+                                        onChange={update('key')}
+                                        placeholder={slugify(form.name) || 'tiktok-feed'}
+                                        disabled={Boolean(editingKey)}
+                                        className="input mt-1"
+                                    />
+                                </label>
+                            </div>
+
+                            <div className="grid grid-cols-4 gap-2">
+                                <label className="text-xs text-muted">
+                                    Width (px)
+                                    <input type="number" min="16" value={form.width} onChange={update('width')} className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Height (px)
+                                    <input type="number" min="16" value={form.height} onChange={update('height')} className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Category
+                                    <select value={form.category} onChange={update('category')} className="input mt-1">
+                                        {FORMAT_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                                    </select>
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Layout
+                                    <select value={form.layout} onChange={update('layout')} className="input mt-1">
+                                        {FORMAT_LAYOUTS.map(l => <option key={l} value={l}>{l}</option>)}
+                                    </select>
+                                </label>
+                            </div>
+
+                            <div className="grid grid-cols-3 gap-2">
+                                <label className="text-xs text-muted">
+                                    Safe zone top (px)
+                                    <input type="number" min="0" value={form.safeTop} onChange={update('safeTop')} placeholder="none" className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Safe zone bottom (px)
+                                    <input type="number" min="0" value={form.safeBottom} onChange={update('safeBottom')} placeholder="none" className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Format rules as
+                                    <select value={form.complianceAs} onChange={update('complianceAs')} className="input mt-1">
+                                        <option value="">{editingKey ? 'None' : 'Same ratio (auto)'}</option>
+                                        {builtInFormats.map(([key, fmt]) => <option key={key} value={key}>{fmt.name}</option>)}
+                                    </select>
+                                </label>
+                            </div>
+
+                            <label className="text-xs text-muted block">
+                                Keep-out and bleed zones (JSON)
+                                <textarea
+                                    value={form.zones}
+                                    onChange={update('zones')}
+                                    rows={3}
+                                    placeholder='[{ "id": "like-rail", "kind": "keep_out", "x": 960, "y": 800, "width": 120, "height": 700 }]'
+                                    className="input mt-1 font-mono text-[10px]"
+                                />
+                            </label>
+
+                            <div className="grid grid-cols-3 gap-2">
+                                <label className="text-xs text-muted">
+                                    Size budget (KB)
+                                    <input type="number" min="1" value={form.maxKb} onChange={update('maxKb')} placeholder="none" className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted col-span-2">
+                                    Encodings, in order of preference
+                                    <input
+                                        value={form.encodings}
+                                        onChange={update('encodings')}
+                                        placeholder={EXPORT_ENCODINGS.join(', ')}
+                                        disabled={form.maxKb === ''}
+                                        className="input mt-1"
+                                    />
+                                </label>
+                            </div>
+
+                            <div className="grid grid-cols-4 gap-2">
+                                <label className="text-xs text-muted">
+                                    Value tile scale
+                                    <input type="number" step="0.1" min="0.1" value={form.valueTileScale} onChange={update('valueTileScale')} className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Headline size
+                                    <input type="number" min="1" value={form.headlineFontSize} onChange={update('headlineFontSize')} className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Subhead size
+                                    <input type="number" min="1" value={form.subFontSize} onChange={update('subFontSize')} className="input mt-1" />
+                                </label>
+                                <label className="text-xs text-muted">
+                                    Packshot scale
+                                    <input type="number" step="0.05" min="0.05" value={form.packshotScale} onChange={update('packshotScale')} className="input mt-1" />
+                                </label>
+                            </div>
+
+                            <div className="flex items-center justify-between">
+                                <span className="text-[10px] text-muted">Ratio {ratio}</span>
+                                <div className="flex gap-2">
+                                    <button type="button" onClick={() => setForm(null)} className="btn btn-ghost">Cancel</button>
+                                    <button type="submit" disabled={!form.name.trim()} className="btn btn-primary">💾 Save Format</button>
+                                </div>
+                            </div>
+                        </form>
+                    )}
+
+                    {/* Custom format list */}
+                    {customFormats.length === 0 ? (
+                        <div className="text-center py-8">
+                            <span className="text-4xl mb-4 block opacity-50">📐</span>
+                            <p className="text-secondary">No custom formats yet</p>
+                            <p className="text-xs text-muted mt-1">Built-in formats: {builtInFormats.map(([, fmt]) => fmt.name).join(', ')}</p>
+                        </div>
+                    ) : (
+                        <div className="space-y-2">
+                            {customFormats.map(format => (
+                                <div key={format.key} className="flex items-center gap-3 p-3 rounded-lg bg-[var(--surface-elevated)] border border-[var(--border-subtle)]">
+                                    <div className="flex-1 min-w-0">
+                                        <p className="text-sm font-medium text-primary truncate">{format.name}</p>
+                                        <p className="text-[10px] text-muted">
+                                            {format.width}×{format.height} · {format.ratio} · {format.category}
+                                            {format.safeZones && ` · safe zones ${format.safeZones.top}/${format.safeZones.bottom}px`}
+                                            {format.zones && ` · ${format.zones.length} zone${format.zones.length === 1 ? '' : 's'}`}
+                                            {format.complianceAs && ` · rules as ${FORMAT_PRESETS[format.complianceAs]?.name}`}
+                                            {format.budget && ` · ≤${Math.round(format.budget.maxBytes / 1024)}KB`}
+                                        </p>
+                                    </div>
+                                    <button onClick={() => { setCurrentFormat(format.key); onClose(); }} className="btn btn-ghost text-xs px-2 py-1">Use</button>
+                                    <button onClick={() => startEdit(format)} className="btn btn-ghost text-xs px-2 py-1">Edit</button>
+                                    <button onClick={() => handleDelete(format)} className="btn btn-danger text-xs px-2 py-1">🗑️</button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default FormatManager;
@@ -7,6 +7,27 @@ import geminiService, { validateCompliance } from '../services/geminiService';
 import { generateCreativeSpec } from '../services/creativeSpecService';
 import { filterCreativeSpec } from '../services/creativeComplianceFilter';
 import { buildCompliantCanvas, addPackshotToCanvas } from '../services/compliantTemplateBuilder';
+import { evaluateForReport, createComplianceReport, renderComplianceReportHTML } from '../compliance/complianceReport';
+import { resizeImage } from '../utils/imageProcessing';
+import { createNamer } from '../utils/namingConvention';
+import { startUsageRun, finishUsageRun } from '../services/aiUsage';
+
+/**
+ * Serialized text object for a line drawn with ctx.fillText, so batch frames
+ * can be compliance-checked like canvas creatives (fillText y is the baseline)
+ */
+const describeDrawnText = (ctx, text, x, y, fontSize, props) => ({
+    type: 'IText',
+    text,
+    left: x,
+    top: y - fontSize,
+    originX: ctx.textAlign === 'center' ? 'center' : ctx.textAlign === 'right' ? 'right' : 'left',
+    width: ctx.measureText(text).width,
+    height: fontSize * 1.16,
+    fontSize,
+    fill: ctx.fillStyle,
+    ...props,
+});
 
 /**
  * Magic Wand Wizard - One-click autonomous creative generation
@@ -29,7 +50,7 @@ export function MagicWandWizard({ onClose, onComplete }) {
 
     const {
         canvas, saveToHistory, updateLayers, currentFormat,
-        setBackgroundColor, setIsAlcoholProduct
+        setBackgroundColor, setIsAlcoholProduct, namingSettings, setCreativeIdentity
     } = useStore();
 
     // Handle image upload
@@ -57,6 +78,8 @@ export function MagicWandWizard({ onClose, onComplete }) {
         setProgress(0);
         setError(null);
 
+        // AI cost of this generation, per creative (see AI Usage)
+        const usageRun = startUsageRun('magicWand');
         try {
             // STEP 1: AI Creative Spec Generation
             setStatus('🔍 Analyzing product image...');
@@ -65,8 +88,10 @@ export function MagicWandWizard({ onClose, onComplete }) {
             // Generate creative spec (AI focused on creativity, no compliance in prompt)
             const rawSpec = await generateCreativeSpec(imageDataUrl, {
                 userPrompt: userPrompt.trim(),
-                mood: 'modern'
+                mood: 'modern',
+                usageRun
             });
+            finishUsageRun(usageRun, { creatives: rawSpec.variants?.length || 0 });
 
             if (!rawSpec.success) {
                 throw new Error('Creative generation failed');
@@ -99,6 +124,8 @@ export function MagicWandWizard({ onClose, onComplete }) {
             setError(err.message || 'Generation failed. Please try again.');
             setStep(1);
         } finally {
+            // No-op when the run already finished
+            finishUsageRun(usageRun);
             setGenerating(false);
         }
     }, [imageDataUrl, userPrompt]);
@@ -134,6 +161,12 @@ export function MagicWandWizard({ onClose, onComplete }) {
                 await addPackshotToCanvas(canvas, imageDataUrl, currentFormat);
             }
 
+            setCreativeIdentity({
+                brand: product.brand,
+                product: product.productName,
+                variant: `v${selectedVariant + 1}-${variant.tone}`,
+            });
+
             setGenerating(false);
             onComplete?.({
                 variant,
@@ -147,7 +180,7 @@ export function MagicWandWizard({ onClose, onComplete }) {
             setGenerating(false);
         }
     }, [canvas, generatedData, selectedVariant, currentFormat, imageDataUrl,
-        setBackgroundColor, setIsAlcoholProduct, saveToHistory, updateLayers, onComplete, onClose]);
+        setBackgroundColor, setIsAlcoholProduct, saveToHistory, updateLayers, setCreativeIdentity, onComplete, onClose]);
 
 
     // BATCH EXPORT: Generate all 8 formats × 5 variants = 40 images
@@ -161,6 +194,11 @@ export function MagicWandWizard({ onClose, onComplete }) {
         const zip = new JSZip();
         const formats = Object.entries(FORMAT_PRESETS);
         const variants = generatedData.variants;
+        const reportEntries = [];
+        const namer = createNamer(namingSettings, {
+            brand: generatedData.product.brand,
+            product: generatedData.product.productName,
+        });
         const total = formats.length * variants.length;
         let completed = 0;
 
@@ -173,8 +211,6 @@ export function MagicWandWizard({ onClose, onComplete }) {
             });
 
             for (const [formatKey, format] of formats) {
-                const formatFolder = zip.folder(formatKey);
-
                 for (let vi = 0; vi < variants.length; vi++) {
                     const variant = variants[vi];
 
@@ -208,13 +244,15 @@ export function MagicWandWizard({ onClose, onComplete }) {
                     const scale = Math.min(maxSize / productImg.width, maxSize / productImg.height);
                     const imgWidth = productImg.width * scale;
                     const imgHeight = productImg.height * scale;
-                    ctx.drawImage(
-                        productImg,
-                        format.width * (packConfig.x || 0.5) - imgWidth / 2,
-                        format.height * (packConfig.y || 0.5) - imgHeight / 2,
-                        imgWidth,
-                        imgHeight
-                    );
+                    const packLeft = format.width * (packConfig.x || 0.5) - imgWidth / 2;
+                    const packTop = format.height * (packConfig.y || 0.5) - imgHeight / 2;
+                    ctx.drawImage(productImg, packLeft, packTop, imgWidth, imgHeight);
+
+                    // Serialized description of the frame, for the compliance certificate
+                    const frameObjects = [{
+                        type: 'Image', left: packLeft, top: packTop, width: imgWidth, height: imgHeight,
+                        customName: 'Packshot', isPackshot: true, isLeadPackshot: true,
+                    }];
 
                     // Draw headline
                     const headConfig = layout.headline || { x: 0.5, y: 0.25 };
@@ -222,6 +260,7 @@ export function MagicWandWizard({ onClose, onComplete }) {
                     ctx.fillStyle = variant.headlineColor;
                     ctx.textAlign = headConfig.align || 'center';
                     ctx.fillText(variant.headline, format.width * (headConfig.x || 0.5), format.height * (headConfig.y || 0.25));
+                    frameObjects.push(describeDrawnText(ctx, variant.headline, format.width * (headConfig.x || 0.5), format.height * (headConfig.y || 0.25), 48, { customName: 'Headline' }));
 
                     // Draw subheadline
                     const subConfig = layout.subheadline || { x: 0.5, y: 0.35 };
@@ -229,6 +268,7 @@ export function MagicWandWizard({ onClose, onComplete }) {
                     ctx.globalAlpha = 0.85;
                     ctx.textAlign = subConfig.align || 'center';
                     ctx.fillText(variant.subheadline, format.width * (subConfig.x || 0.5), format.height * (subConfig.y || 0.35));
+                    frameObjects.push(describeDrawnText(ctx, variant.subheadline, format.width * (subConfig.x || 0.5), format.height * (subConfig.y || 0.35), 24, { customName: 'Subhead' }));
                     ctx.globalAlpha = 1;
 
                     // Draw value tile
@@ -248,6 +288,10 @@ export function MagicWandWizard({ onClose, onComplete }) {
                     ctx.textAlign = 'center';
                     ctx.font = 'bold 20px Inter, sans-serif';
                     ctx.fillText(variant.priceType === 'new' ? 'NEW' : '£1.99', tileX, tileY + 7);
+                    frameObjects.push(
+                        { type: 'Rect', left: tileX - 80, top: tileY - 25, width: 160, height: 50, fill: tileColor.bg, customName: 'Value Tile', isValueTile: true, valueTileType: variant.priceType },
+                        describeDrawnText(ctx, variant.priceType === 'new' ? 'NEW' : '£1.99', tileX, tileY + 7, 20, { isValueTile: true, valueTileType: variant.priceType })
+                    );
 
                     // Draw tag
                     const tagConfig = layout.tag || { x: 0.5, y: 0.95 };
@@ -256,16 +300,35 @@ export function MagicWandWizard({ onClose, onComplete }) {
                     ctx.fillStyle = '#ffffff';
                     ctx.font = '14px Inter, sans-serif';
                     ctx.fillText(variant.tag || 'Only at Tesco', format.width * (tagConfig.x || 0.5), format.height * (tagConfig.y || 0.95) + 5);
+                    frameObjects.push(describeDrawnText(ctx, variant.tag || 'Only at Tesco', format.width * (tagConfig.x || 0.5), format.height * (tagConfig.y || 0.95) + 5, 14, { customName: 'Tag', isTag: true }));
 
                     // Export as PNG
                     const dataUrl = offscreenEl.toDataURL('image/png');
                     const base64 = dataUrl.split(',')[1];
-                    formatFolder.file(`variant-${vi + 1}-${variant.tone}.png`, base64, { base64: true });
+                    const naming = { format, variant: `v${vi + 1}-${variant.tone}` };
+                    zip.file(namer.path(naming, 'png'), base64, { base64: true });
 
                     // Export as JPG (compressed)
                     const jpgDataUrl = offscreenEl.toDataURL('image/jpeg', 0.85);
                     const jpgBase64 = jpgDataUrl.split(',')[1];
-                    formatFolder.file(`variant-${vi + 1}-${variant.tone}.jpg`, jpgBase64, { base64: true });
+                    zip.file(namer.path(naming, 'jpg'), jpgBase64, { base64: true });
+
+                    const reportContext = {
+                        currentFormat: formatKey,
+                        backgroundColor: variant.backgroundColor,
+                        isAlcoholProduct: !!generatedData.isAlcohol,
+                    };
+                    const [result, thumbnail] = await Promise.all([
+                        evaluateForReport({ objects: frameObjects, background: variant.backgroundColor }, reportContext),
+                        resizeImage(offscreenEl, 240, 240),
+                    ]);
+                    reportEntries.push({
+                        formatKey,
+                        label: `Variant ${vi + 1} (${variant.tone})`,
+                        result,
+                        context: reportContext,
+                        thumbnail: thumbnail.dataUrl,
+                    });
 
                     completed++;
                     setBatchProgress(Math.round((completed / total) * 100));
@@ -289,17 +352,25 @@ Brand: ${generatedData.product.brand}
 - Variants: ${variants.length}
 
 ## Structure
-${formats.map(([k, f]) => `- ${k}/ (${f.width}×${f.height})`).join('\n')}
+Files are named \`${namingSettings.file}\`.
+${formats.map(([k, f]) => `- ${k} (${f.width}×${f.height})`).join('\n')}
 
 ## Variants
 ${variants.map((v, i) => `${i + 1}. ${v.tone}: "${v.headline}"`).join('\n')}
+
+## Compliance certificate
+compliance-certificate.html lists every rule evaluated for each format and
+variant, with pass/fail/waived status, detection method, rule schema and
+rule pack versions, a thumbnail and a timestamp.
 `;
             zip.file('README.md', readme);
 
+            const report = createComplianceReport({ title: generatedData.product.productName || 'Batch Export', entries: reportEntries });
+            zip.file('compliance-certificate.html', renderComplianceReportHTML(report));
+
             setStatus('📦 Creating ZIP...');
             const content = await zip.generateAsync({ type: 'blob' });
-            const productSlug = generatedData.product.productName?.replace(/\s+/g, '-').toLowerCase() || 'campaign';
-            saveAs(content, `astra-${productSlug}-${Date.now()}.zip`);
+            saveAs(content, namer.archiveName());
 
             setStatus('✅ Export complete!');
             setBatchProgress(100);
@@ -310,7 +381,7 @@ ${variants.map((v, i) => `${i + 1}. ${v.tone}: "${v.headline}"`).join('\n')}
         } finally {
             setBatchExporting(false);
         }
-    }, [generatedData, imageDataUrl]);
+    }, [generatedData, imageDataUrl, namingSettings]);
 
     return (
         <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4">
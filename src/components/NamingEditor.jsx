@@ -0,0 +1,148 @@
+import React, { useRef, useState } from 'react';
+import useStore, { FORMAT_PRESETS } from '../store/useStore';
+import { DEFAULT_NAMING, NAMING_TOKENS, createNamer, validateNamingSettings } from '../utils/namingConvention';
+
+/**
+ * NamingEditor - token templates for exported file and ZIP names
+ * "/" in the file template makes folders inside campaign and batch ZIPs.
+ */
+
+// One format per category for the preview
+const previewFormats = () => Object.values(
+    Object.values(FORMAT_PRESETS).reduce((byCategory, format) => ({ [format.category]: format, ...byCategory }), {})
+);
+
+export function NamingEditor({ onClose }) {
+    const { namingSettings, saveNamingSettings, creativeIdentity } = useStore();
+    const [form, setForm] = useState(namingSettings);
+    const [focused, setFocused] = useState('file');
+    const [error, setError] = useState('');
+    const fileRef = useRef(null);
+    const archiveRef = useRef(null);
+
+    const errors = validateNamingSettings(form);
+    const namer = errors.length === 0 ? createNamer(form, { ...creativeIdentity, variant: creativeIdentity.variant || 'v1' }) : null;
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    // Insert a token at the cursor of the last focused template
+    const insertToken = (token) => {
+        const input = (focused === 'file' ? fileRef : archiveRef).current;
+        const value = form[focused];
+        const start = input?.selectionStart ?? value.length;
+        const end = input?.selectionEnd ?? value.length;
+        setForm(prev => ({ ...prev, [focused]: `${value.slice(0, start)}{${token}}${value.slice(end)}` }));
+        requestAnimationFrame(() => {
+            input?.focus();
+            input?.setSelectionRange(start + token.length + 2, start + token.length + 2);
+        });
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        try {
+            saveNamingSettings(form);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal max-w-2xl modal-premium">
+                {/* Header */}
+                <div className="modal-header">
+                    <div className="flex items-center gap-3">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-sky-500 to-indigo-500 flex items-center justify-center shadow-lg">
+                            <span className="text-white text-2xl">🏷️</span>
+                        </div>
+                        <div>
+                            <h2 className="text-xl font-bold text-primary">File Naming</h2>
+                            <p className="text-xs text-muted">Match your DAM's naming convention; "/" makes folders in ZIPs</p>
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="btn btn-ghost p-1 absolute top-4 right-4">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <form onSubmit={handleSave}>
+                    <div className="modal-body space-y-3">
+                        <div className="grid grid-cols-2 gap-2">
+                            <label className="text-xs text-muted">
+                                Default brand
+                                <input value={form.brand} onChange={update('brand')} placeholder="Used when no product is applied" className="input mt-1" />
+                            </label>
+                            <label className="text-xs text-muted">
+                                Campaign
+                                <input value={form.campaign} onChange={update('campaign')} placeholder="summer-bbq" className="input mt-1" />
+                            </label>
+                        </div>
+
+                        <label className="text-xs text-muted block">
+                            File name
+                            <input
+                                ref={fileRef}
+                                value={form.file}
+                                onChange={update('file')}
+                                onFocus={() => setFocused('file')}
+                                className="input mt-1 font-mono text-xs"
+                            />
+                        </label>
+                        <label className="text-xs text-muted block">
+                            ZIP name
+                            <input
+                                ref={archiveRef}
+                                value={form.archive}
+                                onChange={update('archive')}
+                                onFocus={() => setFocused('archive')}
+                                className="input mt-1 font-mono text-xs"
+                            />
+                        </label>
+
+                        {/* Tokens */}
+                        <div className="flex flex-wrap gap-1">
+                            {Object.entries(NAMING_TOKENS).map(([token, description]) => (
+                                <button
+                                    key={token}
+                                    type="button"
+                                    title={description}
+                                    onClick={() => insertToken(token)}
+                                    className="px-2 py-0.5 rounded-md text-[10px] font-mono bg-[var(--surface-elevated)] border border-[var(--border-subtle)] text-secondary hover:text-primary"
+                                >
+                                    {`{${token}}`}
+                                </button>
+                            ))}
+                        </div>
+
+                        {errors.map(message => <p key={message} className="text-xs text-error">{message}</p>)}
+                        {error && <p className="text-xs text-error">{error}</p>}
+
+                        {/* Preview */}
+                        {namer && (
+                            <div className="card">
+                                <p className="section-title mb-2">Preview</p>
+                                <p className="text-xs font-mono text-primary break-all">{namer.archiveName()}</p>
+                                {previewFormats().map(format => (
+                                    <p key={format.key} className="text-xs font-mono text-secondary break-all pl-3">
+                                        {namer.path({ format }, 'png')}
+                                    </p>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" onClick={() => setForm({ ...DEFAULT_NAMING })} className="btn btn-ghost">Reset</button>
+                        <button type="submit" disabled={errors.length > 0} className="btn btn-primary">💾 Save</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default NamingEditor;
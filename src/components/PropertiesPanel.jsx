@@ -2,11 +2,13 @@ import React, { useEffect, useCallback, useState } from 'react';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
 import useCompliance, { COMPLIANCE_RULES } from '../hooks/useCompliance';
 import openRouterService from '../services/openRouterService';
+import ComplianceFixes from './ComplianceFixes';
+import { WaiverForm, WaivedIssues } from './ComplianceWaivers';
 
 export function PropertiesPanel() {
     const {
         canvas, selectedObject, layers,
-        complianceErrors, complianceWarnings,
+        complianceErrors, complianceWarnings, complianceWaived,
         saveToHistory, updateLayers,
     } = useStore();
     const { runFullCompliance } = useCompliance();
@@ -14,13 +16,25 @@ export function PropertiesPanel() {
     const [showFixedBanner, setShowFixedBanner] = useState(false);
     const [isFixing, setIsFixing] = useState(false);
     const [fixStatus, setFixStatus] = useState('');
+    const [waivingIssueId, setWaivingIssueId] = useState(null);
 
-    // Run compliance on changes
+    // Run compliance on changes - evaluation is incremental, so only the
+    // checks whose objects changed actually re-run
     useEffect(() => {
-        if (canvas) {
-            const timer = setTimeout(() => runFullCompliance(), 300);
-            return () => clearTimeout(timer);
-        }
+        if (!canvas) return;
+
+        let timer = setTimeout(() => runFullCompliance(), 300);
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => runFullCompliance(), 150);
+        };
+        const events = ['object:modified', 'object:added', 'object:removed', 'text:changed'];
+        events.forEach(event => canvas.on(event, schedule));
+
+        return () => {
+            clearTimeout(timer);
+            events.forEach(event => canvas.off(event, schedule));
+        };
     }, [canvas, selectedObject, runFullCompliance]);
 
     const allIssues = [...complianceErrors, ...complianceWarnings];
@@ -255,13 +269,16 @@ export function PropertiesPanel() {
             )}
 
             {/* Compliance */}
-            {allIssues.length > 0 && (
+            {(allIssues.length > 0 || complianceWaived.length > 0) && (
                 <div className="border-t border-[var(--border-subtle)] p-4 bg-[var(--error)]/5">
                     <div className="section-header mb-2">
                         <span className="section-title text-error">Compliance</span>
                         <span className="badge badge-error">{allIssues.length}</span>
                     </div>
 
+                    {/* Deterministic fixes (previewable, undoable) */}
+                    <ComplianceFixes />
+
                     {/* Auto-Fix Button */}
                     {errorCount > 0 && (
                         <button 
@@ -289,12 +306,23 @@ export function PropertiesPanel() {
                             <div key={issue.id} className={`p-2 rounded text-xs border-l-2 ${issue.severity === 'error' ? 'bg-[var(--error)]/10 border-[var(--error)]' : 'bg-[var(--warning)]/10 border-[var(--warning)]'}`}>
                                 <div className="flex items-center justify-between">
                                     <span className={issue.severity === 'error' ? 'text-error font-medium' : 'text-warning font-medium'}>{issue.title}</span>
-                                    <span className="text-[8px] text-muted uppercase">{issue.type}</span>
+                                    <div className="flex items-center gap-1.5">
+                                        {/* Waivers only apply to warnings, never hard fails */}
+                                        {issue.severity === 'warning' && issue.ruleId && waivingIssueId !== issue.id && (
+                                            <button onClick={() => setWaivingIssueId(issue.id)} className="text-[9px] text-muted hover:text-warning">Waive</button>
+                                        )}
+                                        <span className="text-[8px] text-muted uppercase">{issue.type}</span>
+                                    </div>
                                 </div>
                                 <p className="text-secondary mt-0.5 leading-tight">{issue.message}</p>
+                                {waivingIssueId === issue.id && (
+                                    <WaiverForm issue={issue} onDone={() => setWaivingIssueId(null)} />
+                                )}
                             </div>
                         ))}
                     </div>
+
+                    <WaivedIssues />
                 </div>
             )}
         </aside>
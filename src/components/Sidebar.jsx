@@ -1,6 +1,7 @@
 import React, { useRef, useState } from 'react';
 import { FabricImage, IText, Rect, Circle, Triangle, Line, Ellipse, Polygon, Path } from 'fabric';
 import useStore, { TEMPLATE_LIBRARY, FORMAT_PRESETS, CREATIVE_PROFILES } from '../store/useStore';
+import { getTileForFormat } from '../store/formatPresets';
 import { removeBackground } from '../utils/imageProcessing';
 import geminiService from '../services/geminiService';
 import backgroundRemovalService from '../services/backgroundRemovalService';
@@ -96,15 +97,6 @@ const VALUE_TILES = [
     },
 ];
 
-// Helper function to get format-specific tile dimensions
-const getTileForFormat = (tile, formatKey) => {
-    const overrides = tile.formatOverrides?.[formatKey];
-    if (overrides) {
-        return { ...tile, ...overrides };
-    }
-    return tile;
-};
-
 // Comprehensive Shapes Library
 const SHAPE_LIBRARY = {
     basic: [
@@ -1515,7 +1507,7 @@ export function Sidebar() {
 
                                 {!backgroundRemovalService.hasApiKey() && (
                                     <p className="text-[10px] text-amber-400/80 px-1">
-                                        💡 Add VITE_WITHOUTBG_API_KEY for AI removal
+                                        💡 Set WITHOUTBG_API_KEY on the AI gateway for AI removal
                                     </p>
                                 )}
                             </div>
@@ -2312,18 +2304,7 @@ export function Sidebar() {
 
                         {!geminiService.hasApiKey() && (
                             <div className="card" style={{ background: 'rgba(245, 158, 11, 0.1)', borderColor: 'rgba(245, 158, 11, 0.3)' }}>
-                                <p className="text-xs text-warning mb-2">Enter Gemini API key</p>
-                                <input
-                                    type="password"
-                                    placeholder="API key"
-                                    className="input input-sm"
-                                    onBlur={(e) => {
-                                        if (e.target.value) {
-                                            geminiService.setApiKey(e.target.value);
-                                            window.location.reload();
-                                        }
-                                    }}
-                                />
+                                <p className="text-xs text-warning">Configure a copy provider on the AI gateway (e.g. GEMINI_API_KEY) to enable suggestions</p>
                             </div>
                         )}
                     </div>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
 
 /**
  * TemplateManager - Save, load, and manage campaign templates and history
@@ -51,7 +52,10 @@ const saveHistoryToStorage = (history) => {
 };
 
 export function TemplateManager({ onClose }) {
-    const { canvas, currentFormat, saveToHistory, updateLayers, setBackgroundColor } = useStore();
+    const {
+        canvas, currentFormat, saveToHistory, updateLayers, setBackgroundColor,
+        complianceWaivers, setComplianceWaivers, projectId, setProjectId,
+    } = useStore();
 
     const [activeTab, setActiveTab] = useState('templates'); // templates | history
     const [templates, setTemplates] = useState(getStoredTemplates);
@@ -67,10 +71,7 @@ export function TemplateManager({ onClose }) {
 
         setSaving(true);
 
-        const canvasData = canvas.toJSON([
-            'customName', 'isPackshot', 'isLeadPackshot', 'isValueTile',
-            'isDrinkaware', 'isTag', 'valueTileType', 'isSystemElement'
-        ]);
+        const canvasData = canvas.toJSON(SERIALIZED_PROPS);
 
         const template = {
             id: `template-${Date.now()}`,
@@ -79,6 +80,8 @@ export function TemplateManager({ onClose }) {
             formatName: FORMAT_PRESETS[currentFormat].name,
             thumbnail: canvas.toDataURL({ multiplier: 0.2 }),
             data: canvasData,
+            waivers: complianceWaivers,
+            projectId,
             createdAt: new Date().toISOString(),
         };
 
@@ -89,16 +92,13 @@ export function TemplateManager({ onClose }) {
         setNewTemplateName('');
         setShowSaveForm(false);
         setSaving(false);
-    }, [canvas, currentFormat, newTemplateName, templates]);
+    }, [canvas, currentFormat, newTemplateName, templates, complianceWaivers, projectId]);
 
     // Add to history (called externally or on canvas changes)
     const addToHistory = useCallback((name = 'Unnamed') => {
         if (!canvas) return;
 
-        const canvasData = canvas.toJSON([
-            'customName', 'isPackshot', 'isLeadPackshot', 'isValueTile',
-            'isDrinkaware', 'isTag', 'valueTileType', 'isSystemElement'
-        ]);
+        const canvasData = canvas.toJSON(SERIALIZED_PROPS);
 
         const historyItem = {
             id: `history-${Date.now()}`,
@@ -107,13 +107,15 @@ export function TemplateManager({ onClose }) {
             formatName: FORMAT_PRESETS[currentFormat].name,
             thumbnail: canvas.toDataURL({ multiplier: 0.15 }),
             data: canvasData,
+            waivers: complianceWaivers,
+            projectId,
             createdAt: new Date().toISOString(),
         };
 
         const updatedHistory = [historyItem, ...history].slice(0, MAX_HISTORY_ITEMS);
         setHistory(updatedHistory);
         saveHistoryToStorage(updatedHistory);
-    }, [canvas, currentFormat, history]);
+    }, [canvas, currentFormat, history, complianceWaivers, projectId]);
 
     // Load template or history item to canvas
     const handleLoad = useCallback(async (item) => {
@@ -127,6 +129,10 @@ export function TemplateManager({ onClose }) {
                 if (!obj.isSafeZone) canvas.remove(obj);
             });
 
+            // Waivers and the project (which rule packs apply) travel with the creative
+            setComplianceWaivers(item.waivers || []);
+            setProjectId(item.projectId);
+
             // Load from JSON
             await canvas.loadFromJSON(item.data, () => {
                 canvas.renderAll();
@@ -142,7 +148,7 @@ export function TemplateManager({ onClose }) {
             console.error('Failed to load template:', err);
             setLoading(false);
         }
-    }, [canvas, setBackgroundColor, saveToHistory, updateLayers]);
+    }, [canvas, setBackgroundColor, saveToHistory, updateLayers, setComplianceWaivers, setProjectId]);
 
     // Delete template
     const handleDeleteTemplate = useCallback((templateId) => {
@@ -412,10 +418,7 @@ export const useTemplateHistory = () => {
     const addToHistory = (canvas, currentFormat, name = 'Auto-saved') => {
         if (!canvas) return;
 
-        const canvasData = canvas.toJSON([
-            'customName', 'isPackshot', 'isLeadPackshot', 'isValueTile',
-            'isDrinkaware', 'isTag', 'valueTileType', 'isSystemElement'
-        ]);
+        const canvasData = canvas.toJSON(SERIALIZED_PROPS);
 
         const historyItem = {
             id: `history-${Date.now()}`,
@@ -424,6 +427,8 @@ export const useTemplateHistory = () => {
             formatName: FORMAT_PRESETS[currentFormat]?.name || 'Unknown',
             thumbnail: canvas.toDataURL({ multiplier: 0.15 }),
             data: canvasData,
+            waivers: useStore.getState().complianceWaivers,
+            projectId: useStore.getState().projectId,
             createdAt: new Date().toISOString(),
         };
 
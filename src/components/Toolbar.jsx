@@ -2,31 +2,89 @@ import React, { useCallback, useState, useRef, useEffect } from 'react';
 import { saveAs } from 'file-saver';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
 import { ComplianceScore } from './ComplianceScore';
+import { formatWaiverLog } from '../compliance/waivers';
+import { PAPER_SIZES, PRINT_DEFAULTS, exportCanvasToPrintPdf, isPrintFormat } from '../services/printExport';
+import { exportCanvasToSvg } from '../services/svgExport';
+import { exportCanvasToHtml5Ad, isDisplayFormat } from '../services/html5AdExport';
+import { isStoryFormat } from '../services/animatedExport';
+import { ENCODERS, describeBudget, exportCanvasWithinBudget, formatBytes } from '../services/budgetedExport';
+import { createNamer } from '../utils/namingConvention';
+import { FIXTURE_CONFIG, exportFixtures, getFixtureCount } from '../services/aiFixtures';
+import { getBudgetStatus, subscribeUsage } from '../services/aiUsage';
+import { refreshGatewayStatus } from '../services/aiGatewayClient';
 
-export function Toolbar({ onOpenMagicWand, onOpenDemoGallery, onOpenTemplates, onOpenGuidedMode, onHome }) {
+const SPEND_STYLES = {
+    warning: 'bg-amber-500/10 border-amber-500/30 text-amber-300',
+    exceeded: 'bg-red-500/10 border-red-500/30 text-red-300',
+};
+
+export function Toolbar({ onOpenMagicWand, onOpenDemoGallery, onOpenTemplates, onOpenGuidedMode, onOpenFormats, onOpenAnimation, onOpenNaming, onOpenUsage, onHome }) {
     const {
         currentFormat, setCurrentFormat,
         canvas,
         complianceErrors,
         hasHardFailErrors,
+        complianceWaivers,
+        complianceWaived,
+        namingSettings,
+        creativeIdentity,
+        projectId,
     } = useStore();
     const [exporting, setExporting] = useState(false);
     const [showCreateMenu, setShowCreateMenu] = useState(false);
+    const [showPrintMenu, setShowPrintMenu] = useState(false);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [printOptions, setPrintOptions] = useState(PRINT_DEFAULTS);
     const createMenuRef = useRef(null);
+    const printMenuRef = useRef(null);
+    const exportMenuRef = useRef(null);
 
     const format = FORMAT_PRESETS[currentFormat];
 
+    // This month's AI spend, from the gateway's answer to each call
+    const [, setUsageVersion] = useState(0);
+    useEffect(() => subscribeUsage(() => setUsageVersion(v => v + 1)), []);
+    // The first status is fetched on load; re-read it when the project changes
+    const statusProjectRef = useRef(projectId);
+    useEffect(() => {
+        if (statusProjectRef.current === projectId) return;
+        statusProjectRef.current = projectId;
+        refreshGatewayStatus();
+    }, [projectId]);
+    const spend = getBudgetStatus();
+
     // Close dropdown on outside click
     useEffect(() => {
         const handleClickOutside = (e) => {
             if (createMenuRef.current && !createMenuRef.current.contains(e.target)) {
                 setShowCreateMenu(false);
             }
+            if (printMenuRef.current && !printMenuRef.current.contains(e.target)) {
+                setShowPrintMenu(false);
+            }
+            if (exportMenuRef.current && !exportMenuRef.current.contains(e.target)) {
+                setShowExportMenu(false);
+            }
         };
         document.addEventListener('mousedown', handleClickOutside);
         return () => document.removeEventListener('mousedown', handleClickOutside);
     }, []);
 
+    // Download name from the naming convention (no folders, no extension)
+    const exportBaseName = useCallback((suffix) => createNamer(namingSettings, creativeIdentity).baseName({ format, suffix }),
+        [namingSettings, creativeIdentity, format]);
+
+    // Waived warnings ship with an audit log next to the exported file
+    const saveWaiverLog = useCallback((baseName) => {
+        if (complianceWaivers.length === 0) return;
+        const log = formatWaiverLog(complianceWaivers, {
+            creativeName: baseName,
+            format: currentFormat,
+            waived: complianceWaived,
+        });
+        saveAs(new Blob([log], { type: 'application/json' }), `${baseName}-waivers.json`);
+    }, [currentFormat, complianceWaivers, complianceWaived]);
+
     const exportAs = useCallback(async (fileFormat) => {
         if (!canvas) return;
         setExporting(true);
@@ -47,9 +105,102 @@ export function Toolbar({ onOpenMagicWand, onOpenDemoGallery, onOpenTemplates, o
 
         const response = await fetch(dataURL);
         const blob = await response.blob();
-        saveAs(blob, `creative-${Date.now()}.${fileFormat === 'jpeg' ? 'jpg' : 'png'}`);
+        const baseName = exportBaseName();
+        saveAs(blob, `${baseName}.${fileFormat === 'jpeg' ? 'jpg' : 'png'}`);
+        saveWaiverLog(baseName);
         setExporting(false);
-    }, [canvas]);
+    }, [canvas, exportBaseName, saveWaiverLog]);
+
+    const exportPrintPdf = useCallback(async () => {
+        if (!canvas) return;
+        setShowPrintMenu(false);
+        setExporting(true);
+        try {
+            const baseName = exportBaseName(`-${printOptions.paper}`);
+            const blob = await exportCanvasToPrintPdf(canvas, format, printOptions);
+            saveAs(blob, `${baseName}.pdf`);
+            saveWaiverLog(baseName);
+        } catch (err) {
+            console.error('Print export failed:', err);
+            alert(`Print export failed: ${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    }, [canvas, format, printOptions, exportBaseName, saveWaiverLog]);
+
+    // Vector master; linked images go in a ZIP next to the SVG
+    const exportSvg = useCallback(async (images) => {
+        if (!canvas) return;
+        setShowExportMenu(false);
+        setExporting(true);
+        try {
+            const baseName = exportBaseName();
+            const { svg, files, warnings } = await exportCanvasToSvg(canvas, format, { images });
+            warnings.forEach(warning => console.warn('SVG export:', warning));
+
+            if (files.length > 0) {
+                const { default: JSZip } = await import('jszip');
+                const zip = new JSZip();
+                zip.file(`${baseName}.svg`, svg);
+                files.forEach(file => zip.file(file.path, file.blob));
+                saveAs(await zip.generateAsync({ type: 'blob' }), `${baseName}-svg.zip`);
+            } else {
+                saveAs(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`);
+            }
+            saveWaiverLog(baseName);
+        } catch (err) {
+            console.error('SVG export failed:', err);
+            alert(`SVG export failed: ${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    }, [canvas, format, exportBaseName, saveWaiverLog]);
+
+    const exportHtml5 = useCallback(async () => {
+        if (!canvas) return;
+        setShowExportMenu(false);
+        setExporting(true);
+        try {
+            const baseName = exportBaseName('-html5');
+            const { blob } = await exportCanvasToHtml5Ad(canvas, format);
+            saveAs(blob, `${baseName}.zip`);
+            saveWaiverLog(baseName);
+        } catch (err) {
+            console.error('HTML5 export failed:', err);
+            alert(`HTML5 export failed: ${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    }, [canvas, format, exportBaseName, saveWaiverLog]);
+
+    // Recorded AI calls (VITE_AI_FIXTURE_MODE=record), for public/fixtures/
+    const saveAiFixtures = useCallback(() => {
+        setShowExportMenu(false);
+        saveAs(new Blob([JSON.stringify(exportFixtures(), null, 2)], { type: 'application/json' }), 'ai-fixtures.json');
+    }, []);
+
+    // Smallest acceptable file for the channel; saved even when the budget can't be met
+    const exportWithinBudget = useCallback(async () => {
+        if (!canvas) return;
+        setShowExportMenu(false);
+        setExporting(true);
+        try {
+            const baseName = exportBaseName();
+            const delivery = await exportCanvasWithinBudget(canvas, format);
+            saveAs(delivery.blob, `${baseName}.${delivery.extension}`);
+            saveWaiverLog(baseName);
+            if (!delivery.withinBudget) {
+                alert(`Couldn't get ${format.name} under ${formatBytes(delivery.maxBytes)}: saved the smallest version, ${formatBytes(delivery.bytes)} ${ENCODERS[delivery.encoding].label}.`);
+            }
+        } catch (err) {
+            console.error('Budgeted export failed:', err);
+            alert(`Export failed: ${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    }, [canvas, format, exportBaseName, saveWaiverLog]);
+
+    const updatePrintOption = (field, value) => setPrintOptions(prev => ({ ...prev, [field]: value }));
 
     const handleCreateAction = (action) => {
         setShowCreateMenu(false);
@@ -134,6 +285,13 @@ export function Toolbar({ onOpenMagicWand, onOpenDemoGallery, onOpenTemplates, o
                         </option>
                     ))}
                 </select>
+                <button
+                    onClick={onOpenFormats}
+                    className="h-9 w-9 rounded-lg bg-white/5 border border-white/10 text-slate-300 hover:bg-white/10 hover:text-white transition-colors"
+                    title="Manage custom formats"
+                >
+                    ⚙
+                </button>
                 <span className="text-xs text-slate-500 hidden lg:inline">
                     {format.width}×{format.height}
                 </span>
@@ -145,6 +303,71 @@ export function Toolbar({ onOpenMagicWand, onOpenDemoGallery, onOpenTemplates, o
             {/* Compliance Score */}
             <ComplianceScore compact={true} />
 
+            {/* AI Spend */}
+            <button
+                onClick={onOpenUsage}
+                className={`px-3 py-2 rounded-lg border text-sm transition-colors hover:bg-white/10 ${SPEND_STYLES[spend?.state] || 'bg-white/5 border-white/10 text-slate-300'}`}
+                title={!spend || spend.limit === null ? 'AI usage this month' : `AI usage this month: $${spend.spent.toFixed(2)} of $${spend.limit.toFixed(2)}`}
+            >
+                AI {spend ? `$${spend.spent.toFixed(2)}` : 'usage'}
+            </button>
+
+            {/* Print PDF (in-store formats) */}
+            {isPrintFormat(format) && (
+                <div className="relative" ref={printMenuRef}>
+                    <button
+                        onClick={() => setShowPrintMenu(!showPrintMenu)}
+                        disabled={exporting || hasHardFailErrors}
+                        className="flex items-center gap-2 px-3 py-2 rounded-lg bg-white/5 border border-white/10 text-white text-sm hover:bg-white/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        title={hasHardFailErrors ? 'Fix compliance issues before exporting' : 'Print-ready PDF with bleed and crop marks'}
+                    >
+                        🖨 Print PDF
+                    </button>
+
+                    {showPrintMenu && (
+                        <div className="absolute top-full right-0 mt-2 w-64 p-4 space-y-3 bg-[#1a1f28] border border-white/10 rounded-xl shadow-2xl animate-slide-in-up z-50">
+                            <label className="block text-xs text-slate-400">
+                                Paper size
+                                <select
+                                    value={printOptions.paper}
+                                    onChange={(e) => updatePrintOption('paper', e.target.value)}
+                                    className="mt-1 w-full h-8 px-2 rounded-lg bg-white/5 border border-white/10 text-white text-sm"
+                                >
+                                    {Object.entries(PAPER_SIZES).map(([key, size]) => (
+                                        <option key={key} value={key} className="bg-[#1a1f28]">
+                                            {key} ({size.width} × {size.height} mm)
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="block text-xs text-slate-400">
+                                Bleed (mm)
+                                <input
+                                    type="number" min="0" max="10" step="0.5"
+                                    value={printOptions.bleedMm}
+                                    onChange={(e) => updatePrintOption('bleedMm', Number(e.target.value) || 0)}
+                                    className="mt-1 w-full h-8 px-2 rounded-lg bg-white/5 border border-white/10 text-white text-sm"
+                                />
+                            </label>
+                            <label className="flex items-center gap-2 text-xs text-slate-300">
+                                <input type="checkbox" checked={printOptions.cropMarks} onChange={(e) => updatePrintOption('cropMarks', e.target.checked)} />
+                                Crop marks
+                            </label>
+                            <label className="flex items-center gap-2 text-xs text-slate-300">
+                                <input type="checkbox" checked={printOptions.registrationMarks} onChange={(e) => updatePrintOption('registrationMarks', e.target.checked)} />
+                                Registration marks
+                            </label>
+                            <button
+                                onClick={exportPrintPdf}
+                                className="w-full px-3 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-medium transition-colors"
+                            >
+                                Export {printOptions.paper} PDF ({printOptions.dpi} DPI)
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Export */}
             <button
                 onClick={() => exportAs('png')}
@@ -161,6 +384,76 @@ export function Toolbar({ onOpenMagicWand, onOpenDemoGallery, onOpenTemplates, o
                 </svg>
                 {exporting ? 'Exporting...' : hasHardFailErrors ? 'Fix Issues' : 'Export'}
             </button>
+            <div className="relative -ml-2" ref={exportMenuRef}>
+                <button
+                    onClick={() => setShowExportMenu(!showExportMenu)}
+                    disabled={exporting || hasHardFailErrors}
+                    className="h-9 px-2 rounded-lg bg-emerald-700 hover:bg-emerald-600 text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="More export formats"
+                >
+                    <svg className={`w-3 h-3 transition-transform ${showExportMenu ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                    </svg>
+                </button>
+
+                {showExportMenu && (
+                    <div className="absolute top-full right-0 mt-2 w-64 bg-[#1a1f28] border border-white/10 rounded-xl shadow-2xl overflow-hidden animate-slide-in-up z-50">
+                        <button onClick={() => { setShowExportMenu(false); exportAs('png'); }} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                            <p className="text-sm text-white">PNG</p>
+                        </button>
+                        <button onClick={() => { setShowExportMenu(false); exportAs('jpeg'); }} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                            <p className="text-sm text-white">JPEG</p>
+                        </button>
+                        {format.budget && (
+                            <button onClick={exportWithinBudget} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                                <p className="text-sm text-white">Within size budget</p>
+                                <p className="text-xs text-slate-400">{describeBudget(format.budget)}</p>
+                            </button>
+                        )}
+                        <div className="h-px bg-white/5" />
+                        <button onClick={() => exportSvg('inline')} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                            <p className="text-sm text-white">SVG</p>
+                            <p className="text-xs text-slate-400">Single file, images and fonts embedded</p>
+                        </button>
+                        <button onClick={() => exportSvg('linked')} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                            <p className="text-sm text-white">SVG + linked images</p>
+                            <p className="text-xs text-slate-400">ZIP with an images/ folder</p>
+                        </button>
+                        {isDisplayFormat(format) && (
+                            <>
+                                <div className="h-px bg-white/5" />
+                                <button onClick={exportHtml5} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                                    <p className="text-sm text-white">HTML5 ad</p>
+                                    <p className="text-xs text-slate-400">ZIP with clickTag, animated headline and tile</p>
+                                </button>
+                            </>
+                        )}
+                        {isStoryFormat(format) && (
+                            <>
+                                <div className="h-px bg-white/5" />
+                                <button onClick={() => { setShowExportMenu(false); onOpenAnimation(); }} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                                    <p className="text-sm text-white">Animated story</p>
+                                    <p className="text-xs text-slate-400">MP4, WebM or GIF with entrance animations</p>
+                                </button>
+                            </>
+                        )}
+                        <div className="h-px bg-white/5" />
+                        <button onClick={() => { setShowExportMenu(false); onOpenNaming(); }} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                            <p className="text-sm text-white">File naming…</p>
+                            <p className="text-xs text-slate-400 truncate">{namingSettings.file}</p>
+                        </button>
+                        {FIXTURE_CONFIG.mode === 'record' && (
+                            <>
+                                <div className="h-px bg-white/5" />
+                                <button onClick={saveAiFixtures} className="w-full px-4 py-2.5 hover:bg-white/5 transition-colors text-left">
+                                    <p className="text-sm text-white">Save AI fixtures</p>
+                                    <p className="text-xs text-slate-400">{getFixtureCount()} recorded calls, for replay runs</p>
+                                </button>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
         </header>
     );
 }
@@ -13,65 +13,11 @@
 import { useCallback, useRef } from 'react';
 import tinycolor from 'tinycolor2';
 import useStore, { FORMAT_PRESETS } from '../store/useStore';
-import complianceEngine, { RULE_SCHEMA } from '../compliance';
-
-// Legacy COMPLIANCE_RULES for backward compatibility
-// TODO: Migrate all consumers to use RULE_SCHEMA instead
-export const COMPLIANCE_RULES = {
-  prohibitedTerms: RULE_SCHEMA.rules
-    .filter(r => r.category === 'copy' && r.params?.regex_patterns)
-    .flatMap(r => r.params.regex_patterns.map(p => p.replace(/\\b/g, ''))),
-  
-  headlineRules: { maxLength: 35, required: true },
-  subheadRules: { maxWords: 20, required: true },
-  
-  validTags: {
-    exclusive: 'Only at Tesco',
-    notExclusive: 'Available at Tesco',
-    stockWarning: 'Selected stores. While stocks last.',
-  },
-  
-  clubcardTagPattern: /clubcard.*ends\s*\d{1,2}\/\d{1,2}/i,
-  
-  valueTileRules: {
-    types: ['new', 'white', 'clubcard'],
-    pricesOnlyInTiles: true,
-    positionFixed: true,
-    noOverlapping: true,
-  },
-  
-  drinkawareRules: {
-    required: true,
-    minHeight: 20,
-    allowedColors: ['#000000', '#ffffff'],
-    text: 'drinkaware.co.uk',
-  },
-  
-  packshotRules: {
-    maxCount: 3,
-    leadRequired: true,
-  },
-  
-  minFontSize: { standard: 20, checkoutSingle: 10 },
-  
-  safeZones: {
-    story: { top: 200, bottom: 250, appliesTo: ['facebook-story', 'instagram-story'] },
-  },
-  
-  contrastRequirements: {
-    normalText: 4.5,
-    largeText: 3.0,
-    largeTextThreshold: 24,
-  },
-  
-  claimsPatterns: [
-    /\*/,
-    /\d+%\s*of\s*(people|customers|users)/i,
-    /voted\s*(best|#1)/i,
-    /recommended\s*by/i,
-    /\d+\s*out\s*of\s*\d+/i,
-  ],
-};
+import { getFormatZones } from '../store/formatPresets';
+import complianceEngine, { COMPLIANCE_RULES, findProhibitedTerms, findZoneHits, getElementRole, getRuleById, proposeFixes, applyFixes } from '../compliance';
+
+// Legacy COMPLIANCE_RULES shape, derived from the active rule packs
+export { COMPLIANCE_RULES };
 
 export const useCompliance = () => {
   const {
@@ -86,6 +32,11 @@ export const useCompliance = () => {
     backgroundColor,
     calculateComplianceScore,
     backgroundImage,
+    projectId,
+    complianceWaivers,
+    setComplianceWaived,
+    saveToHistory,
+    updateLayers,
   } = useStore();
 
   const lastResultRef = useRef(null);
@@ -106,6 +57,7 @@ export const useCompliance = () => {
 
     // Build context for engine
     const context = {
+      projectId,
       currentFormat,
       backgroundColor: backgroundColor || canvas.backgroundColor || '#ffffff',
       isAlcoholProduct,
@@ -113,6 +65,7 @@ export const useCompliance = () => {
       backgroundImageUrl: backgroundImage?.src || null,
       canvasDataUrl: options.includeVision ? canvas.toDataURL() : null,
       peopleConfirmed: options.peopleConfirmed || false,
+      waivers: complianceWaivers,
     };
 
     // Choose quick or full validation
@@ -153,6 +106,8 @@ export const useCompliance = () => {
       });
     }
 
+    setComplianceWaived(result.waived);
+
     // Calculate score
     calculateComplianceScore();
 
@@ -161,25 +116,54 @@ export const useCompliance = () => {
     return {
       errors: result.errors.length,
       warnings: result.warnings.length,
+      waived: result.waived.length,
       canExport: result.canExport,
       score: result.score,
     };
   }, [
     canvas, clearCompliance, currentFormat, backgroundColor,
-    isAlcoholProduct, isLEPMode, backgroundImage,
-    addComplianceError, addComplianceWarning, calculateComplianceScore
+    isAlcoholProduct, isLEPMode, backgroundImage, projectId, complianceWaivers,
+    addComplianceError, addComplianceWarning, setComplianceWaived, calculateComplianceScore
   ]);
 
+  // ============================================
+  // DETERMINISTIC FIX-UPS
+  // ============================================
+
+  /**
+   * Fixes proposed by the layout rules for the current canvas, each with a
+   * { prop, from, to } diff for preview
+   */
+  const getComplianceFixes = useCallback(() => {
+    if (!canvas) return [];
+    return proposeFixes(canvas, { ...FORMAT_PRESETS[currentFormat], formatId: currentFormat }, {
+      projectId,
+      backgroundColor: backgroundColor || canvas.backgroundColor || '#ffffff',
+      isAlcoholProduct,
+    });
+  }, [canvas, currentFormat, backgroundColor, isAlcoholProduct, projectId]);
+
+  /**
+   * Apply one or more fixes as a single undoable step, then re-check
+   */
+  const applyComplianceFixes = useCallback((fixes) => {
+    if (!canvas || fixes.length === 0) return 0;
+    const applied = applyFixes(canvas, fixes);
+    if (applied > 0) {
+      saveToHistory();
+      updateLayers();
+      setTimeout(() => runFullCompliance(), 100);
+    }
+    return applied;
+  }, [canvas, saveToHistory, updateLayers, runFullCompliance]);
+
   // ============================================
   // LEGACY CHECK FUNCTIONS (Backward Compatibility)
   // These delegate to the engine or use simplified logic
   // ============================================
 
   const checkProhibitedTerms = useCallback((text, objectId) => {
-    const lowerText = text.toLowerCase();
-    const found = COMPLIANCE_RULES.prohibitedTerms.filter(term =>
-      lowerText.includes(term.toLowerCase())
-    );
+    const found = [...new Set(findProhibitedTerms(text, { projectId }).map(f => f.term))];
 
     if (found.length > 0) {
       addComplianceError({
@@ -195,7 +179,7 @@ export const useCompliance = () => {
     }
     removeComplianceIssue(`prohibited-${objectId}`);
     return true;
-  }, [addComplianceError, removeComplianceIssue]);
+  }, [projectId, addComplianceError, removeComplianceIssue]);
 
   const checkHeadlineLength = useCallback((text, objectId, isHeadline = false) => {
     if (!isHeadline) return true;
@@ -240,8 +224,9 @@ export const useCompliance = () => {
 
   const checkFontSize = useCallback((fontSize, objectId) => {
     const format = FORMAT_PRESETS[currentFormat];
-    const isSmallFormat = format && format.height < 200;
-    const minSize = isSmallFormat ? 10 : COMPLIANCE_RULES.minFontSize.standard;
+    const { standard, checkoutSingle, smallFormatThreshold } = COMPLIANCE_RULES.minFontSize;
+    const isSmallFormat = format && format.height < smallFormatThreshold;
+    const minSize = isSmallFormat ? checkoutSingle : standard;
 
     if (fontSize < minSize) {
       addComplianceError({
@@ -285,34 +270,39 @@ export const useCompliance = () => {
 
   const checkSafeZone = useCallback((object) => {
     const format = FORMAT_PRESETS[currentFormat];
-    if (!format || format.ratio !== '9:16') return true;
-    if (object.isValueTile || object.isDrinkaware || object.isTag || object.isBackground) return true;
-
+    const zones = getFormatZones(format, getRuleById('FORMAT_001', projectId));
     const objectId = object.id || object._id || 'obj';
-    const safeZone = COMPLIANCE_RULES.safeZones.story;
-    const objTop = object.top || 0;
-    const objHeight = (object.height || 0) * (object.scaleY || 1);
-    const objBottom = objTop + objHeight;
+    if (zones.length === 0) {
+      removeComplianceIssue(`safezone-${objectId}`);
+      return true;
+    }
 
-    const inTopZone = objTop < safeZone.top;
-    const inBottomZone = objBottom > (format.height - safeZone.bottom);
-    const isCheckableElement = object.type === 'i-text' || object.type === 'text' || object.isLogo;
+    const box = {
+      left: object.left || 0,
+      top: object.top || 0,
+      width: (object.width || 0) * (object.scaleX || 1),
+      height: (object.height || 0) * (object.scaleY || 1),
+    };
+    const hits = findZoneHits(box, getElementRole(object), zones);
 
-    if ((inTopZone || inBottomZone) && isCheckableElement) {
+    if (hits.length > 0) {
+      const zone = hits[0];
       addComplianceError({
         id: `safezone-${objectId}`,
         type: 'format',
         severity: 'error',
-        title: 'Safe Zone Violation',
-        message: `Element in ${inTopZone ? 'top' : 'bottom'} ${inTopZone ? safeZone.top : safeZone.bottom}px zone`,
-        suggestion: 'Move element out of safe zone for 9:16 formats.',
+        title: zone.kind === 'bleed' ? 'Bleed Area Violation' : 'Safe Zone Violation',
+        message: `Element in ${zone.kind === 'bleed' ? 'bleed area' : 'keep-out zone'} "${zone.label}"`,
+        suggestion: zone.kind === 'bleed'
+          ? `Move element inside the trim for ${format.name}.`
+          : `Move element out of the safe zones for ${format.name}.`,
         objectId,
       });
       return false;
     }
     removeComplianceIssue(`safezone-${objectId}`);
     return true;
-  }, [currentFormat, addComplianceError, removeComplianceIssue]);
+  }, [currentFormat, projectId, addComplianceError, removeComplianceIssue]);
 
   const checkDrinkaware = useCallback(() => {
     if (!isAlcoholProduct) {
@@ -417,6 +407,10 @@ export const useCompliance = () => {
     runFullCompliance,
     getLastResult: () => lastResultRef.current,
 
+    // Deterministic fix-ups
+    getComplianceFixes,
+    applyComplianceFixes,
+
     // Legacy functions (backward compatibility)
     checkProhibitedTerms,
     checkClaims,
@@ -0,0 +1,260 @@
+/**
+ * AI Fixtures
+ *
+ * Record/replay for every AI call, so regression runs and demos are
+ * deterministic and work offline. All providers reach the network through
+ * gatewayRequest (text, vision, NLI, detection, image generation,
+ * background removal) or Cloudinary, and both go through withFixture:
+ *
+ *   live   - call the service (default)
+ *   record - call the service and keep the request fingerprint + response
+ *   replay - answer from the fixtures; never touch the network. A request
+ *            with no fixture throws AiFixtureMissingError
+ *
+ * Mode comes from VITE_AI_FIXTURE_MODE; override with configureFixtures.
+ * In the browser the fixture file is fetched from VITE_AI_FIXTURES
+ * (default /fixtures/ai-fixtures.json, i.e. public/fixtures/) and record
+ * mode adds to it - save the result from the Export menu. In Node
+ * (Vite SSR) pass the file contents to loadFixtures and write
+ * exportFixtures() back.
+ *
+ * File format:
+ *   { version: 1, providers: { gemini: true, ... },
+ *     fixtures: { [fingerprint]: { scope, request, response | error, recordedAt } } }
+ */
+
+export const FIXTURE_VERSION = 1;
+export const FIXTURE_MODES = ['live', 'record', 'replay'];
+
+// A mode that isn't exactly one of FIXTURE_MODES must not fall through to a live call
+const checkFixtureMode = (mode, source) => {
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new Error(`Unknown AI fixture mode "${mode}"${source}. Use one of: ${FIXTURE_MODES.join(', ')}`);
+    }
+    return mode;
+};
+
+/**
+ * Fixture settings, from env; override with configureFixtures
+ * - mode: 'live' | 'record' | 'replay' (VITE_AI_FIXTURE_MODE, checked on load)
+ * - url: fixture file to load in the browser (VITE_AI_FIXTURES)
+ */
+export const FIXTURE_CONFIG = {
+    mode: checkFixtureMode(import.meta.env.VITE_AI_FIXTURE_MODE || 'live', ' in VITE_AI_FIXTURE_MODE'),
+    url: import.meta.env.VITE_AI_FIXTURES || '/fixtures/ai-fixtures.json'
+};
+
+const fixtures = new Map(); // fingerprint -> fixture
+const missing = [];
+let providers = null;
+let loading = null;
+
+/**
+ * Thrown in replay mode when a request was never recorded
+ */
+export class AiFixtureMissingError extends Error {
+    constructor(scope, fingerprint, request) {
+        super(`No AI fixture for ${scope} (${fingerprint}). Request: ${JSON.stringify(request).slice(0, 300)}. Record it with VITE_AI_FIXTURE_MODE=record.`);
+        this.name = 'AiFixtureMissingError';
+        this.code = 'fixture_missing';
+        this.scope = scope;
+        this.fingerprint = fingerprint;
+    }
+}
+
+/**
+ * Whether an error is a missing replay fixture. Services that fall back on
+ * errors rethrow these, so a replay run fails loudly instead of quietly
+ * using fallback content.
+ */
+export const isFixtureMissing = (error) => error?.code === 'fixture_missing';
+
+// ============================================
+// FINGERPRINTS
+// ============================================
+
+// 53-bit string hash (cyrb53), as hex
+const hash = (text) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+// Stable JSON: sorted keys, undefined dropped
+const canonical = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * Request as stored in the fixture: long strings (images, data URLs) are
+ * replaced by their length and hash so fixture files stay readable
+ */
+export const summarizeRequest = (value) => {
+    if (typeof value === 'string') return value.length > 2000 ? `<${value.length} chars #${hash(value)}>` : value;
+    if (Array.isArray(value)) return value.map(summarizeRequest);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, summarizeRequest(v)]));
+    }
+    return value;
+};
+
+/**
+ * Fingerprint of a request
+ * @param {string} scope - e.g. 'gateway:vision', 'cloudinary:smartResize'
+ * @param {object} request - Everything that determines the response
+ */
+export const fixtureFingerprint = (scope, request) => hash(`${scope}|${canonical(summarizeRequest(request))}`);
+
+// ============================================
+// STORE
+// ============================================
+
+/**
+ * Override fixture settings
+ * @param {object} overrides - Any FIXTURE_CONFIG keys
+ * @returns {object} The updated config
+ * @throws {Error} On an unknown mode
+ */
+export const configureFixtures = (overrides = {}) => {
+    if (overrides.mode !== undefined) checkFixtureMode(overrides.mode, '');
+    return Object.assign(FIXTURE_CONFIG, overrides);
+};
+
+/**
+ * Add fixtures from a fixture file's contents
+ * @param {object|string} data - Parsed or raw JSON
+ * @returns {number} Fixtures loaded
+ * @throws {Error} On a malformed file
+ */
+export const loadFixtures = (data) => {
+    const file = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!file || file.version !== FIXTURE_VERSION || typeof file.fixtures !== 'object') {
+        throw new Error(`Not an AI fixture file (expected version ${FIXTURE_VERSION})`);
+    }
+    Object.entries(file.fixtures).forEach(([fingerprint, fixture]) => fixtures.set(fingerprint, fixture));
+    if (file.providers) providers = { ...providers, ...file.providers };
+    return Object.keys(file.fixtures).length;
+};
+
+/**
+ * Everything recorded or loaded, as a fixture file
+ */
+export const exportFixtures = () => ({
+    version: FIXTURE_VERSION,
+    providers: providers || {},
+    fixtures: Object.fromEntries([...fixtures.entries()].sort(([a], [b]) => a.localeCompare(b)))
+});
+
+/**
+ * Drop all fixtures and the missing list
+ */
+export const clearFixtures = () => {
+    fixtures.clear();
+    missing.length = 0;
+    providers = null;
+    loading = null;
+};
+
+/**
+ * Requests replay could not answer, for test reports
+ * @returns {Array<{ scope: string, fingerprint: string, request: object }>}
+ */
+export const getMissingFixtures = () => [...missing];
+
+export const getFixtureCount = () => fixtures.size;
+
+// Browser: load the fixture file once, before the first record/replay
+const ensureLoaded = () => {
+    if (!loading) {
+        loading = typeof window === 'undefined' || !FIXTURE_CONFIG.url
+            ? Promise.resolve()
+            : fetch(FIXTURE_CONFIG.url)
+                .then(response => (response.ok ? response.json() : null))
+                .then(data => data && loadFixtures(data))
+                .catch(error => console.warn(`AI fixtures not loaded from ${FIXTURE_CONFIG.url}:`, error.message));
+    }
+    return loading;
+};
+
+/**
+ * Provider availability for replay (recorded with the fixtures)
+ * @returns {Promise<object|null>}
+ */
+export const getFixtureProviders = async () => {
+    await ensureLoaded();
+    return providers;
+};
+
+/**
+ * Keep the gateway's provider availability with the recording
+ */
+export const recordFixtureProviders = (available) => {
+    if (FIXTURE_CONFIG.mode === 'record') providers = { ...available };
+};
+
+/**
+ * Run a service call under the current fixture mode. Errors are recorded
+ * too, so a replay takes the same fallbacks the recorded run did.
+ * @param {string} scope - e.g. 'gateway:text'
+ * @param {object} request - Everything that determines the response
+ * @param {function(): Promise<object>} call - The live call; its result must be JSON
+ * @returns {Promise<object>}
+ * @throws {AiFixtureMissingError} In replay mode, for an unrecorded request
+ */
+export const withFixture = async (scope, request, call) => {
+    if (FIXTURE_CONFIG.mode === 'live') return call();
+
+    await ensureLoaded();
+    const fingerprint = fixtureFingerprint(scope, request);
+
+    if (FIXTURE_CONFIG.mode === 'replay') {
+        const fixture = fixtures.get(fingerprint);
+        if (!fixture) {
+            const summary = summarizeRequest(request);
+            missing.push({ scope, fingerprint, request: summary });
+            throw new AiFixtureMissingError(scope, fingerprint, summary);
+        }
+        if (fixture.error) {
+            throw Object.assign(new Error(fixture.error.message), fixture.error);
+        }
+        return fixture.response;
+    }
+
+    const entry = { scope, request: summarizeRequest(request), recordedAt: new Date().toISOString() };
+    try {
+        const response = await call();
+        fixtures.set(fingerprint, { ...entry, response });
+        return response;
+    } catch (error) {
+        const { name, message, status, code } = error;
+        // A call refused by the AI budget never reached the service
+        if (code !== 'budget_exceeded') fixtures.set(fingerprint, { ...entry, error: { name, message, status, code } });
+        throw error;
+    }
+};
+
+export default {
+    FIXTURE_CONFIG,
+    configureFixtures,
+    loadFixtures,
+    exportFixtures,
+    clearFixtures,
+    getMissingFixtures,
+    getFixtureCount,
+    isFixtureMissing,
+    withFixture
+};
@@ -0,0 +1,217 @@
+/**
+ * AI Gateway Client
+ *
+ * The browser side of server/aiGateway.js. Provider keys live on the
+ * gateway; services call gatewayRequest('text', {...}) instead of the
+ * vendors. Requests carry a per-browser id (X-Astra-User) that the
+ * gateway logs as a label; quotas are keyed on the caller's address.
+ *
+ * Provider availability comes from GET /api/ai/status, fetched once on
+ * load. Until it answers, providers are assumed available so the UI
+ * doesn't flash "not configured".
+ *
+ * Requests and status go through the AI fixtures (aiFixtures.js), so
+ * VITE_AI_FIXTURE_MODE=record|replay covers every provider. The gateway
+ * meters live requests and holds them to the project's budget; requests
+ * say what they are for (X-Astra-Campaign, X-Astra-Capability, and
+ * X-Astra-Run for a feature run; X-Astra-Project only counts when the
+ * gateway can't resolve the project itself) and responses carry the
+ * budget status, kept here for aiUsage.js to show.
+ */
+
+import { FIXTURE_CONFIG, withFixture, getFixtureProviders, recordFixtureProviders } from './aiFixtures';
+import { getActiveProjectId } from '../compliance/rulePacks';
+import { loadNamingSettings } from '../utils/namingConvention';
+
+/**
+ * Gateway location, from env (VITE_AI_GATEWAY_URL); override with configureGateway.
+ * Same origin by default - Vite dev/preview mount the gateway.
+ */
+export const GATEWAY_CONFIG = {
+    url: import.meta.env.VITE_AI_GATEWAY_URL || '/api/ai'
+};
+
+/**
+ * Override gateway settings (e.g. from a CLI that runs its own gateway)
+ * @param {object} overrides - Any GATEWAY_CONFIG keys
+ * @returns {object} The updated config
+ */
+export const configureGateway = (overrides = {}) => Object.assign(GATEWAY_CONFIG, overrides);
+
+const gatewayUrl = (path) => `${GATEWAY_CONFIG.url.replace(/\/$/, '')}/${path}`;
+
+const STORAGE_KEY_USER = 'astra-ai-user';
+
+let status = null;
+const listeners = new Set();
+
+/**
+ * Error from the gateway, with its HTTP status and code
+ * ('quota_exceeded', 'budget_exceeded', 'not_configured', 'vendor', ...)
+ */
+export class AiGatewayError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'AiGatewayError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+/**
+ * Stable id for this browser, used to label request logs
+ */
+export const getGatewayUserId = () => {
+    const fallback = 'anonymous';
+    if (!hasStorage()) return fallback;
+    try {
+        let id = localStorage.getItem(STORAGE_KEY_USER);
+        if (!id) {
+            id = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `user-${Date.now().toString(36)}`;
+            localStorage.setItem(STORAGE_KEY_USER, id);
+        }
+        return id;
+    } catch (e) {
+        console.error('Failed to load AI gateway user id:', e);
+        return fallback;
+    }
+};
+
+const notify = () => listeners.forEach(listener => listener(status));
+
+/**
+ * Listen for status changes (providers, quota, budget)
+ * @returns {function} Unsubscribe
+ */
+export const subscribeGatewayStatus = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Who is calling and what for; the gateway meters against these
+const contextHeaders = ({ capability = null, run = null } = {}) => ({
+    'X-Astra-User': getGatewayUserId(),
+    'X-Astra-Project': getActiveProjectId(),
+    'X-Astra-Campaign': encodeURIComponent(loadNamingSettings().campaign || ''),
+    ...(capability && { 'X-Astra-Capability': capability }),
+    ...(run && { 'X-Astra-Run': run.id, 'X-Astra-Run-Feature': run.feature })
+});
+
+// Keep the budget status the gateway sends with each response; listeners
+// hear about changes only, so re-reading the usage report doesn't loop
+const readBudgetHeader = (response) => {
+    const header = response.headers.get('X-Astra-Budget');
+    if (!header || header === JSON.stringify(status?.budget)) return;
+    try {
+        status = { ...(status || { providers: {}, quota: null }), budget: JSON.parse(header) };
+        notify();
+    } catch (e) {
+        console.error('Failed to read AI budget status:', e);
+    }
+};
+
+/**
+ * Call a gateway route with the app's context headers
+ * @param {string} path - e.g. 'usage?month=2026-10'
+ * @param {object} options - { method, body, capability, run, text } text: return the body as text
+ * @returns {Promise<object|string>}
+ * @throws {AiGatewayError}
+ */
+export const gatewayFetch = async (path, { method = 'GET', body, capability, run, text = false } = {}) => {
+    let response;
+    try {
+        response = await fetch(gatewayUrl(path), {
+            method,
+            headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...contextHeaders({ capability, run }) },
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+    } catch (error) {
+        throw new AiGatewayError(`AI gateway unreachable: ${error.message}`, 0, 'unreachable');
+    }
+    readBudgetHeader(response);
+
+    if (response.ok && text) return response.text();
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        if (data.code === 'not_configured' && status) {
+            status = { ...status, providers: { ...status.providers, [data.provider]: false } };
+            notify();
+        }
+        throw new AiGatewayError(data.error || `AI gateway request failed (${response.status})`, response.status, data.code);
+    }
+    return data;
+};
+
+/**
+ * POST to a gateway endpoint
+ * @param {string} endpoint - 'text' | 'vision' | 'nli' | 'detect' | 'image' | 'background-removal'
+ * @param {object} body
+ * @param {object} options - What the call is for, for usage metering:
+ *   capability (default: the endpoint), run - { id, feature } from startUsageRun when it belongs to one
+ * @returns {Promise<object>} Endpoint response
+ * @throws {AiGatewayError} ('budget_exceeded' once a 'stop' budget is used up), or AiFixtureMissingError when replaying
+ */
+export const gatewayRequest = (endpoint, body, { capability = endpoint, run = null } = {}) => withFixture(
+    `gateway:${endpoint}`,
+    body,
+    () => gatewayFetch(endpoint, { method: 'POST', body, capability, run })
+);
+
+/**
+ * Fetch provider availability, the caller's quota and the project's budget. In replay mode the
+ * availability recorded with the fixtures is used instead.
+ * @returns {Promise<{ providers: object, quota: object, budget: object }|null>} null when the gateway is unreachable
+ */
+export const refreshGatewayStatus = async () => {
+    if (FIXTURE_CONFIG.mode === 'replay') {
+        status = { providers: (await getFixtureProviders()) || {}, quota: null, replay: true };
+        notify();
+        return status;
+    }
+    return fetchGatewayStatus();
+};
+
+const fetchGatewayStatus = () => fetch(gatewayUrl('status'), { headers: contextHeaders() })
+    .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+    .then((data) => {
+        status = data;
+        recordFixtureProviders(data.providers);
+        notify();
+        return data;
+    })
+    .catch((error) => {
+        console.warn('AI gateway status unavailable:', error.message);
+        status = { providers: {}, quota: null, unreachable: true };
+        notify();
+        return null;
+    });
+
+/**
+ * Last known status (null until the first answer)
+ */
+export const getGatewayStatus = () => status;
+
+/**
+ * Whether the gateway has keys for a provider
+ * @param {string} provider - 'gemini' | 'openrouter' | 'huggingface' | 'withoutbg'
+ */
+export const isProviderAvailable = (provider) => status === null || status.providers[provider] === true;
+
+if (typeof window !== 'undefined' && typeof fetch !== 'undefined') {
+    refreshGatewayStatus();
+}
+
+export default {
+    GATEWAY_CONFIG,
+    configureGateway,
+    AiGatewayError,
+    gatewayRequest,
+    gatewayFetch,
+    refreshGatewayStatus,
+    subscribeGatewayStatus,
+    getGatewayStatus,
+    isProviderAvailable,
+    getGatewayUserId
+};
@@ -7,42 +7,308 @@
  * | Capability          | Primary           | Fallback          |
  * |---------------------|-------------------|-------------------|
  * | Text validation     | Regex             | HF BART-MNLI      |
- * | People detection    | HF DETR           | Gemini            |
- * | Logo detection      | Gemini Flash      | -                 |
+ * | People detection    | HF DETR           | LLM vision        |
+ * | Logo detection      | LLM vision        | -                 |
  * | Packshot count      | HF DETR           | Geometry          |
  * | Background removal  | WithoutBG API     | -                 |
  * | Background gen      | HF FLUX           | HF SDXL           |
  * | Smart resize        | Cloudinary        | Canvas            |
  * | Safe zones          | Deterministic     | -                 |
  * | Accessibility       | Deterministic     | -                 |
+ *
+ * LLM calls (copy, creative variants, image analysis, visual compliance
+ * checks, compliance fixes) all go through generate/generateJson, which
+ * walk the capability's route in LLM_ROUTES and fall back to the next
+ * provider when one fails. The providers themselves are adapters on the AI
+ * gateway (server/llmAdapters.js). generateValidated adds a JSON schema
+ * check with repair re-prompts (outcomes are counted in llmTelemetry).
+ *
+ * Every provider call can be recorded and replayed (setFixtureMode,
+ * aiFixtures.js) for offline, deterministic runs.
  */
 
 import huggingfaceProvider from './providers/huggingface';
 import cloudinaryProvider from './providers/cloudinary';
-import geminiService from './geminiService';
 import backgroundRemovalService from './backgroundRemovalService';
+import { gatewayRequest, isProviderAvailable } from './aiGatewayClient';
+import { configureFixtures, FIXTURE_CONFIG, isFixtureMissing } from './aiFixtures';
+import { recordStructuredOutput } from './llmTelemetry';
+import { fetchUsageReport } from './aiUsage';
+import { validateJsonSchema } from '../utils/jsonSchema';
+
+// ============================================
+// LLM ROUTING
+// ============================================
+
+/**
+ * Which provider and model each LLM capability uses, in fallback order.
+ * Providers: 'gemini' | 'openrouter' | 'openai' | 'local'; a route without
+ * a model uses the provider's default (text or vision) on the gateway.
+ */
+export const DEFAULT_LLM_ROUTES = {
+    // Headlines, subheadlines, whole-campaign copy
+    copy: [
+        { provider: 'gemini', model: 'gemini-2.0-flash' },
+        { provider: 'openrouter', model: 'xiaomi/mimo-v2-flash:free' }
+    ],
+    // Magic Wand creative variants
+    creative: [
+        { provider: 'openrouter', model: 'xiaomi/mimo-v2-flash:free' },
+        { provider: 'gemini', model: 'gemini-2.0-flash' }
+    ],
+    // Product name, category and colours from a packshot
+    productAnalysis: [
+        { provider: 'gemini', model: 'gemini-2.0-flash' },
+        { provider: 'openrouter', model: 'nvidia/nemotron-nano-12b-v2-vl:free' }
+    ],
+    // People, logos, Drinkaware and packshots on a rendered creative
+    visualCompliance: [
+        { provider: 'gemini', model: 'gemini-2.0-flash' },
+        { provider: 'openrouter', model: 'nvidia/nemotron-nano-12b-v2-vl:free' }
+    ],
+    // Property fixes for failing compliance rules
+    complianceFix: [
+        { provider: 'openrouter', model: 'nvidia/nemotron-nano-12b-v2-vl:free' },
+        { provider: 'gemini', model: 'gemini-2.0-flash' }
+    ]
+};
+
+const LLM_PROVIDERS = ['gemini', 'openrouter', 'openai', 'local'];
+
+/**
+ * Check a routing config
+ * @param {object} routes - capability -> [{ provider, model? }]
+ * @returns {string[]} Errors
+ */
+export const validateLlmRoutes = (routes) => {
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) return ['Routes must be an object of capability -> route list'];
+    const errors = [];
+    for (const [capability, route] of Object.entries(routes)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_LLM_ROUTES, capability)) {
+            errors.push(`Unknown capability "${capability}"`);
+        } else if (!Array.isArray(route) || route.length === 0) {
+            errors.push(`${capability}: route must be a non-empty list`);
+        } else {
+            route.forEach((entry, i) => {
+                if (!LLM_PROVIDERS.includes(entry?.provider)) errors.push(`${capability}[${i}]: unknown provider "${entry?.provider}"`);
+                if (entry?.model !== undefined && typeof entry.model !== 'string') errors.push(`${capability}[${i}]: model must be a string`);
+            });
+        }
+    }
+    return errors;
+};
+
+// Routes from VITE_LLM_ROUTES (JSON, per-capability overrides)
+const envRoutes = () => {
+    const raw = import.meta.env.VITE_LLM_ROUTES;
+    if (!raw) return {};
+    try {
+        const routes = JSON.parse(raw);
+        const errors = validateLlmRoutes(routes);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        return routes;
+    } catch (e) {
+        console.error('Ignoring VITE_LLM_ROUTES:', e.message);
+        return {};
+    }
+};
+
+/**
+ * Active routing config; override with configureLlmRoutes
+ */
+export const LLM_ROUTES = { ...DEFAULT_LLM_ROUTES, ...envRoutes() };
+
+/**
+ * Override routes for some capabilities
+ * @param {object} overrides - capability -> [{ provider, model? }]
+ * @returns {object} The updated routes
+ * @throws {Error} With the validation errors
+ */
+export const configureLlmRoutes = (overrides = {}) => {
+    const errors = validateLlmRoutes(overrides);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return Object.assign(LLM_ROUTES, overrides);
+};
+
+/**
+ * First JSON object or array in a model reply: bare, in a ``` fence, or
+ * wrapped in prose
+ * @param {string} text
+ * @returns {object|Array|null} null when there is none
+ */
+export const extractJson = (text) => {
+    if (typeof text !== 'string') return null;
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidates = [text.trim(), fenced?.[1].trim(), text.match(/\{[\s\S]*\}/)?.[0], text.match(/\[[\s\S]*\]/)?.[0]];
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object') return parsed;
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return null;
+};
+
+/**
+ * Re-prompts generateValidated sends, per request, before giving up
+ */
+export const MAX_SCHEMA_REPAIRS = 2;
+
+/**
+ * A reply that still failed its schema after the repair budget
+ */
+export class StructuredOutputError extends Error {
+    constructor(capability, provider, errors) {
+        super(`${capability} reply from ${provider} does not match its schema: ${errors.slice(0, 5).join('; ')}`);
+        this.name = 'StructuredOutputError';
+        this.provider = provider;
+        this.errors = errors;
+    }
+}
+
+// Original request, the rejected reply and exactly what to fix
+const buildRepairPrompt = (prompt, reply, errors) => `${prompt}
+
+Your previous reply was:
+${JSON.stringify(reply)}
+
+It does not match the required format:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Fix exactly these fields and keep everything else unchanged. Return ONLY the corrected JSON.`;
+
+// Quotas, budgets, bad requests and missing replay fixtures fail the same way on every provider
+const isFinalError = (error) => ['quota_exceeded', 'budget_exceeded'].includes(error.code) || error.status === 400 || isFixtureMissing(error);
 
 class AIOrchestrator {
     constructor() {
         this.providers = {
             huggingface: huggingfaceProvider,
             cloudinary: cloudinaryProvider,
-            gemini: geminiService,
             withoutbg: backgroundRemovalService,
         };
+    }
 
-        // Track API usage for rate limiting
-        this.usage = {
-            huggingface: { calls: 0, lastReset: Date.now() },
-            gemini: { calls: 0, lastReset: Date.now() },
-            cloudinary: { calls: 0, lastReset: Date.now() },
-        };
+    // ============================================
+    // LLM GENERATION
+    // Route: LLM_ROUTES[capability], in order
+    // ============================================
+
+    /**
+     * Whether any provider on a capability's route is configured
+     * @param {string} capability - Key of LLM_ROUTES
+     */
+    hasCapability(capability) {
+        return (LLM_ROUTES[capability] || []).some(route => isProviderAvailable(route.provider));
+    }
+
+    /**
+     * Run a prompt on the first provider of the capability's route that answers
+     * @param {string} capability - Key of LLM_ROUTES
+     * @param {string} prompt
+     * @param {object} options - { image (data URL), temperature, maxTokens, json, reasoning, accept(text), provider, usageRun }
+     *   accept - return false to reject a reply and try the next provider
+     *   provider - only use this provider's entry in the route
+     *   usageRun - feature run (aiUsage startUsageRun) to charge the call to
+     * @returns {Promise<{ text: string, provider: string, model: string }>}
+     */
+    async generate(capability, prompt, options = {}) {
+        const { image, accept, provider, usageRun = null, ...params } = options;
+        const routes = (LLM_ROUTES[capability] || [])
+            .filter(route => isProviderAvailable(route.provider) && (!provider || route.provider === provider));
+        if (routes.length === 0) {
+            throw new Error(`No AI provider configured for ${capability}`);
+        }
+
+        let lastError = null;
+        for (const route of routes) {
+            try {
+                const result = await gatewayRequest(image ? 'vision' : 'text', {
+                    ...params,
+                    provider: route.provider,
+                    model: route.model,
+                    prompt,
+                    ...(image && { image }),
+                }, { capability, run: usageRun });
+                if (accept && !accept(result.text)) {
+                    throw new Error(`${route.provider} returned an unusable reply`);
+                }
+                return result;
+            } catch (error) {
+                if (isFinalError(error)) throw error;
+                console.warn(`${capability} via ${route.provider} failed:`, error.message);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * generate() in JSON mode, parsed; replies without JSON fall back to the next provider
+     * @returns {Promise<{ data: object, provider: string, model: string }>}
+     */
+    async generateJson(capability, prompt, options = {}) {
+        const { text, provider, model } = await this.generate(capability, prompt, {
+            ...options,
+            json: true,
+            accept: reply => extractJson(reply) !== null,
+        });
+        return { data: extractJson(text), provider, model };
+    }
+
+    /**
+     * generateJson() checked against a JSON schema. A reply that doesn't
+     * match goes back to the same provider with its field errors, up to
+     * maxRepairs times.
+     * @param {object} options - generateJson options plus { schema, maxRepairs }
+     * @returns {Promise<{ data: object, provider: string, model: string, repairs: number }>}
+     * @throws {StructuredOutputError} When the budget runs out; provider errors as generate()
+     */
+    async generateValidated(capability, prompt, options = {}) {
+        const { schema, maxRepairs = MAX_SCHEMA_REPAIRS, ...params } = options;
+
+        let reply;
+        try {
+            reply = await this.generateJson(capability, prompt, params);
+        } catch (error) {
+            if (!isFixtureMissing(error)) recordStructuredOutput(capability, 'none', 'fallback');
+            throw error;
+        }
+
+        let { errors } = validateJsonSchema(reply.data, schema);
+        let repairs = 0;
+        while (errors.length > 0 && repairs < maxRepairs) {
+            repairs++;
+            console.warn(`${capability} reply from ${reply.provider} failed validation, repair ${repairs}/${maxRepairs}:`, errors);
+            try {
+                reply = await this.generateJson(capability, buildRepairPrompt(prompt, reply.data, errors), {
+                    ...params,
+                    temperature: 0.2,
+                    provider: reply.provider,
+                });
+            } catch (error) {
+                if (isFixtureMissing(error)) throw error;
+                console.warn(`${capability} repair via ${reply.provider} failed:`, error.message);
+                break;
+            }
+            ({ errors } = validateJsonSchema(reply.data, schema));
+        }
+
+        if (errors.length > 0) {
+            recordStructuredOutput(capability, reply.provider, 'fallback', repairs);
+            throw new StructuredOutputError(capability, reply.provider, errors);
+        }
+        recordStructuredOutput(capability, reply.provider, repairs === 0 ? 'valid' : 'repaired', repairs);
+        return { ...reply, repairs };
     }
 
     // ============================================
     // PEOPLE DETECTION
     // Primary: HuggingFace DETR
-    // Fallback: Gemini Vision
+    // Fallback: LLM vision (visualCompliance route)
     // ============================================
 
     /**
@@ -59,20 +325,24 @@ class AIOrchestrator {
                 return { ...result, provider: 'huggingface_detr' };
             }
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.warn('DETR people detection failed:', error);
         }
 
-        // Fallback to Gemini vision
+        // Fallback to LLM vision (lazy import: geminiService routes through this module)
         try {
+            const { default: geminiService } = await import('./geminiService');
             const result = await geminiService.detectPeopleInImage(imageDataUrl);
+            if (result.error) throw new Error(result.error);
             return {
-                detected: result.hasPeople || false,
-                count: result.facesDetected || 0,
+                detected: result.containsPeople || false,
+                count: result.containsPeople ? 1 : 0,
                 confidence: result.confidence || 0,
-                provider: 'gemini',
+                provider: result.provider || 'llm',
             };
         } catch (error) {
-            console.warn('Gemini people detection failed:', error);
+            if (isFixtureMissing(error)) throw error;
+            console.warn('LLM people detection failed:', error);
             return { detected: false, count: 0, confidence: 0, error: 'All providers failed' };
         }
     }
@@ -92,6 +362,7 @@ class AIOrchestrator {
             const result = await huggingfaceProvider.countPackshots(imageDataUrl);
             return { ...result, provider: 'huggingface_detr' };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.warn('DETR packshot detection failed:', error);
             // Geometry-based fallback would use canvas object metadata
             return { count: 0, detections: [], error: error.message };
@@ -114,6 +385,7 @@ class AIOrchestrator {
             const result = await backgroundRemovalService.removeBackground(imageDataUrl, options);
             return { ...result, provider: 'withoutbg' };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.warn('WithoutBG background removal failed:', error);
             return { success: false, error: error.message };
         }
@@ -153,6 +425,7 @@ class AIOrchestrator {
                 provider: result.success ? 'huggingface_flux' : 'huggingface_sdxl',
             };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('Background generation failed:', error);
             return { success: false, error: error.message };
         }
@@ -209,6 +482,7 @@ class AIOrchestrator {
             const result = await huggingfaceProvider.checkEntailment(text, hypothesis);
             return { ...result, provider: 'huggingface_bart' };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.warn('NLI check failed:', error);
             return { entails: false, confidence: 0, error: error.message };
         }
@@ -216,7 +490,7 @@ class AIOrchestrator {
 
     // ============================================
     // LOGO DETECTION
-    // Primary: Gemini Flash
+    // Route: visualCompliance
     // ============================================
 
     /**
@@ -231,30 +505,52 @@ class AIOrchestrator {
                 // Use existing vision detector
                 const { visionDetector } = await import('../compliance/detectors/visionDetector');
                 const result = await visionDetector.verifyDrinkawareLogo(imageDataUrl);
-                return { ...result, provider: 'gemini' };
+                return { ...result, provider: 'llm' };
             }
 
-            // Generic logo detection via Gemini
+            // Generic logo detection
             const prompt = `Is there a ${logoType} logo visible in this image? Respond with JSON: { "detected": boolean, "description": string }`;
-            const response = await geminiService.callGeminiVision(
-                prompt,
-                imageDataUrl.split(',')[1],
-                'image/png'
-            );
-
-            const match = response.match(/\{[\s\S]*\}/);
-            if (match) {
-                const result = JSON.parse(match[0]);
-                return { ...result, provider: 'gemini' };
-            }
-
-            return { detected: false, provider: 'gemini' };
+            const { data, provider } = await this.generateJson('visualCompliance', prompt, { image: imageDataUrl });
+            return { ...data, provider };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.warn('Logo detection failed:', error);
             return { detected: false, error: error.message };
         }
     }
 
+    // ============================================
+    // USAGE
+    // Metered per call on the gateway (server/usageMeter.js)
+    // ============================================
+
+    /**
+     * Calls, tokens, megapixels, latency and estimated cost per campaign
+     * and capability for the active project, with the budget status
+     * @param {object} options - { month: 'YYYY-MM' }
+     * @returns {Promise<object>}
+     */
+    getUsage(options = {}) {
+        return fetchUsageReport(options);
+    }
+
+    // ============================================
+    // RECORD / REPLAY
+    // ============================================
+
+    /**
+     * Switch every provider between live calls, recording and replaying fixtures
+     * @param {string} mode - 'live' | 'record' | 'replay'
+     * @throws {Error} On an unknown mode
+     */
+    setFixtureMode(mode) {
+        configureFixtures({ mode });
+    }
+
+    getFixtureMode() {
+        return FIXTURE_CONFIG.mode;
+    }
+
     // ============================================
     // CAPABILITY STATUS
     // ============================================
@@ -271,10 +567,10 @@ class AIOrchestrator {
             },
             peopleDetection: {
                 detr: huggingfaceProvider.hasApiKey(),
-                gemini: geminiService.hasApiKey(),
+                llm: this.hasCapability('visualCompliance'),
             },
             logoDetection: {
-                gemini: geminiService.hasApiKey(),
+                llm: this.hasCapability('visualCompliance'),
             },
             packshotDetection: {
                 detr: huggingfaceProvider.hasApiKey(),
@@ -0,0 +1,192 @@
+/**
+ * AI Usage
+ *
+ * The app's view of AI usage and budgets. The gateway meters every live
+ * call it makes (server/usageMeter.js) - calls, errors, tokens, image
+ * megapixels, latency and an estimated cost per month, project, campaign,
+ * capability, provider and model - and refuses calls once a project's
+ * 'stop' budget is used up, so spend is shared by every user and browser.
+ * The gateway decides which project a call counts against; the active
+ * project the app sends is only used when it has no way to tell. Budgets
+ * are set by a gateway admin. Replayed fixtures cost nothing and aren't
+ * metered.
+ *
+ * This module reads reports, saves budgets and closes feature runs through
+ * the gateway. Calls the browser makes to a vendor itself (Cloudinary) are
+ * reported with meterClientCall.
+ *
+ * Runs (startUsageRun/finishUsageRun) attribute the cost of the calls
+ * tagged with them to a feature, e.g. a Magic Wand generation, and count
+ * the creatives it produced - cost per creative for finance. Pass the run
+ * to each call that belongs to it (gatewayRequest's run option); other
+ * calls made meanwhile aren't charged to it.
+ */
+
+import { FIXTURE_CONFIG } from './aiFixtures';
+import { AiGatewayError, gatewayFetch, getGatewayStatus, subscribeGatewayStatus } from './aiGatewayClient';
+
+// Replay mode never touches the network, gateway included
+const requireLive = () => {
+    if (FIXTURE_CONFIG.mode === 'replay') {
+        throw new AiGatewayError('AI usage is kept on the gateway, which isn\'t called while replaying fixtures', 0, 'replay');
+    }
+};
+
+// ============================================
+// BUDGETS
+// ============================================
+
+export const BUDGET_ACTIONS = ['warn', 'stop'];
+
+export const DEFAULT_BUDGET = {
+    monthlyLimit: null, // USD; null = no budget
+    warnAt: 0.8,        // share of the limit
+    action: 'warn'      // 'warn' | 'stop' (refuse calls at the limit)
+};
+
+/**
+ * Check budget settings before saving them (the gateway checks them again)
+ * @returns {string[]} Errors
+ */
+export const validateBudget = (budget) => {
+    const errors = [];
+    if (budget.monthlyLimit !== null && !(typeof budget.monthlyLimit === 'number' && budget.monthlyLimit >= 0)) {
+        errors.push('Monthly limit must be a positive amount, or empty for no budget');
+    }
+    if (!(typeof budget.warnAt === 'number' && budget.warnAt > 0 && budget.warnAt <= 1)) {
+        errors.push('Warning threshold must be between 1% and 100%');
+    }
+    if (!BUDGET_ACTIONS.includes(budget.action)) {
+        errors.push(`Action must be one of ${BUDGET_ACTIONS.join(', ')}`);
+    }
+    return errors;
+};
+
+/**
+ * Last budget status the gateway sent, for the project it metered the call to
+ * @returns {{ projectId, spent, limit: number|null, ratio, state: 'none'|'ok'|'warning'|'exceeded', action, warnAt, locked }|null}
+ *   null until the gateway has answered
+ */
+export const getBudgetStatus = () => getGatewayStatus()?.budget || null;
+
+/**
+ * Save the project's budget on the gateway. Only a gateway admin may
+ * (the usage report's canSetBudget says whether the caller is one).
+ * @returns {Promise<object>} The saved budget
+ * @throws {AiGatewayError} With the gateway's validation errors, or 403 when the budget is locked or the caller isn't an admin
+ */
+export const saveBudget = async (budget) => {
+    requireLive();
+    return gatewayFetch('budget', { method: 'PUT', body: { ...DEFAULT_BUDGET, ...budget } });
+};
+
+/**
+ * Listen for budget changes (every gateway response carries the status)
+ * @returns {function} Unsubscribe
+ */
+export const subscribeUsage = (listener) => subscribeGatewayStatus(() => listener());
+
+// ============================================
+// BROWSER-SIDE CALLS
+// ============================================
+
+/**
+ * Run a call the browser makes to a vendor itself and report it to the
+ * gateway's meter. Refused up front when the last budget status the
+ * gateway sent says a 'stop' budget is used up.
+ * @param {object} meta - { capability, provider } provider: one the gateway takes reports for (cloudinary)
+ * @param {function(): Promise<*>} call
+ * @param {function(): object} measure - () -> { megapixels }
+ * @returns {Promise<*>} The call's result
+ * @throws {AiGatewayError} 'budget_exceeded'
+ */
+export const meterClientCall = async (meta, call, measure = () => ({})) => {
+    const budget = getBudgetStatus();
+    if (budget?.state === 'exceeded' && budget.action === 'stop') {
+        throw new AiGatewayError(`AI budget for ${budget.projectId} used up this month. A gateway admin can raise the budget.`, 402, 'budget_exceeded');
+    }
+    const startTime = Date.now();
+    const report = ok => gatewayFetch('usage', {
+        method: 'POST',
+        body: { ...meta, ...measure(), ok, latencyMs: Date.now() - startTime }
+    }).catch(error => console.warn('Failed to report AI usage:', error.message));
+
+    try {
+        const result = await call();
+        report(true);
+        return result;
+    } catch (error) {
+        report(false);
+        throw error;
+    }
+};
+
+// ============================================
+// RUNS (cost per creative)
+// ============================================
+
+const newRunId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
+
+/**
+ * Start a feature run; pass it to the calls that belong to it
+ * @param {string} feature - e.g. 'magicWand'
+ * @returns {{ id: string, feature: string }} Run for gatewayRequest and finishUsageRun
+ */
+export const startUsageRun = (feature) => ({ id: newRunId(), feature, finished: false });
+
+/**
+ * Close a run and count what it produced. Closing twice does nothing.
+ * @param {object} run - From startUsageRun
+ * @param {object} result - { creatives }
+ */
+export const finishUsageRun = async (run, { creatives = 0 } = {}) => {
+    if (!run || run.finished) return;
+    run.finished = true;
+    if (FIXTURE_CONFIG.mode === 'replay') return;
+    try {
+        await gatewayFetch('runs/finish', { method: 'POST', body: { id: run.id, feature: run.feature, creatives } });
+    } catch (error) {
+        console.warn('Failed to record AI usage run:', error.message);
+    }
+};
+
+// ============================================
+// REPORTS
+// ============================================
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Usage for a month, for the active project
+ * @param {object} options - { month }
+ * @returns {Promise<{ month, projectId, months, totals, byCampaign, byCapability, runs, budget, canSetBudget }>}
+ */
+export const fetchUsageReport = async ({ month = currentMonth() } = {}) => {
+    requireLive();
+    return gatewayFetch(`usage?month=${encodeURIComponent(month)}`);
+};
+
+/**
+ * Usage and feature runs as CSV, for finance: every project for a gateway
+ * admin, the caller's own project otherwise
+ * @param {string} month - 'YYYY-MM'; all months when omitted
+ * @returns {Promise<string>}
+ */
+export const fetchUsageCsv = async (month = null) => {
+    requireLive();
+    return gatewayFetch(`usage.csv${month ? `?month=${encodeURIComponent(month)}` : ''}`, { text: true });
+};
+
+export default {
+    validateBudget,
+    getBudgetStatus,
+    saveBudget,
+    meterClientCall,
+    startUsageRun,
+    finishUsageRun,
+    fetchUsageReport,
+    fetchUsageCsv,
+    subscribeUsage
+};
@@ -0,0 +1,170 @@
+/**
+ * Animated Export
+ *
+ * Renders a creative's entrance timeline (utils/animationTimeline) frame by
+ * frame on an offscreen Fabric canvas and encodes it in the browser:
+ *
+ * - webm / mp4: MediaRecorder on the canvas stream, one requestFrame() per
+ *   frame, paced at the clip's fps. MP4 needs a browser that records it
+ *   (Chrome 126+, Safari); check with getSupportedContainers()
+ * - gif: gifenc, one palette for the whole clip (taken from the final frame),
+ *   downscaled to GIF_MAX_WIDTH to keep story GIFs a sensible size
+ */
+
+import { ANIMATION_DEFAULTS, frameTimes, stateAt } from '../utils/animationTimeline';
+
+export const VIDEO_CONTAINERS = {
+    mp4: { mimeTypes: ['video/mp4;codecs=avc1', 'video/mp4'], extension: 'mp4' },
+    webm: { mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'], extension: 'webm' },
+    gif: { mimeTypes: [], extension: 'gif' },
+};
+
+const GIF_MAX_WIDTH = 540;
+const GIF_MAX_FPS = 15;
+const VIDEO_BITS_PER_SECOND = 8e6;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a format is a 9:16 story slot
+ */
+export const isStoryFormat = (format) => Boolean(format) && format.width * 16 === format.height * 9;
+
+/**
+ * Whether the browser can encode a container
+ */
+export const isContainerSupported = (container) => {
+    if (container === 'gif') return true;
+    if (typeof MediaRecorder === 'undefined') return false;
+    return VIDEO_CONTAINERS[container]?.mimeTypes.some(type => MediaRecorder.isTypeSupported(type)) || false;
+};
+
+/**
+ * Containers this browser can encode
+ */
+export const getSupportedContainers = () => Object.keys(VIDEO_CONTAINERS).filter(isContainerSupported);
+
+// Offscreen canvas with each object's resting state remembered
+const loadAnimatedCanvas = async (canvasJSON, format) => {
+    const { StaticCanvas } = await import('fabric');
+    const staticCanvas = new StaticCanvas(undefined, { width: format.width, height: format.height });
+    await staticCanvas.loadFromJSON({
+        ...canvasJSON,
+        objects: (canvasJSON.objects || []).filter(o => !o.isSafeZone),
+    });
+
+    const tracks = staticCanvas.getObjects().map(obj => ({
+        obj,
+        animation: obj.animation || null,
+        base: {
+            left: obj.left, top: obj.top,
+            scaleX: obj.scaleX, scaleY: obj.scaleY,
+            opacity: obj.opacity,
+            width: obj.width, height: obj.height,
+            originX: obj.originX, originY: obj.originY,
+        },
+    }));
+
+    const seek = (t) => {
+        for (const { obj, animation, base } of tracks) {
+            obj.set(stateAt(base, animation, t, format));
+        }
+        staticCanvas.renderAll();
+    };
+
+    return { staticCanvas, seek };
+};
+
+const recordVideo = async (staticCanvas, seek, { container, duration, fps, onProgress }) => {
+    const mimeType = VIDEO_CONTAINERS[container].mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = staticCanvas.getElement().captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    const times = frameTimes(duration, fps);
+    recorder.start();
+    for (const [i, t] of times.entries()) {
+        seek(t);
+        track.requestFrame();
+        onProgress?.((i + 1) / times.length);
+        await sleep(1000 / fps);
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return new Blob(chunks, { type: mimeType.split(';')[0] });
+};
+
+const encodeGif = async (staticCanvas, seek, { duration, fps, onProgress }) => {
+    const { GIFEncoder, quantize, applyPalette } = await import('gifenc');
+    const gifFps = Math.min(fps, GIF_MAX_FPS);
+    const scale = Math.min(1, GIF_MAX_WIDTH / staticCanvas.width);
+    const width = Math.round(staticCanvas.width * scale);
+    const height = Math.round(staticCanvas.height * scale);
+
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    const grab = (t) => {
+        seek(t);
+        ctx.drawImage(staticCanvas.getElement(), 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height).data;
+    };
+
+    const palette = quantize(grab(duration), 256);
+    const gif = GIFEncoder();
+    const times = frameTimes(duration, gifFps);
+    for (const [i, t] of times.entries()) {
+        gif.writeFrame(applyPalette(grab(t), palette), width, height, {
+            palette: i === 0 ? palette : undefined,
+            delay: Math.round(1000 / gifFps),
+        });
+        onProgress?.((i + 1) / times.length);
+        // Let the UI breathe between frames
+        await sleep(0);
+    }
+    gif.finish();
+
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+};
+
+/**
+ * Render and encode an animated creative
+ * @param {object} canvasJSON - canvas.toJSON(SERIALIZED_PROPS) output
+ * @param {object} format - FORMAT_PRESETS entry
+ * @param {object} options - { container: 'mp4'|'webm'|'gif', duration, fps, onProgress(0-1) }
+ * @returns {Promise<{ blob: Blob, extension: string }>}
+ */
+export async function renderAnimation(canvasJSON, format, options = {}) {
+    const { container = 'webm', duration = ANIMATION_DEFAULTS.duration, fps = ANIMATION_DEFAULTS.fps, onProgress } = options;
+    if (!VIDEO_CONTAINERS[container]) {
+        throw new Error(`Unknown container "${container}" (expected ${Object.keys(VIDEO_CONTAINERS).join(', ')})`);
+    }
+    if (!isContainerSupported(container)) {
+        throw new Error(`This browser can't record ${container.toUpperCase()}; try ${getSupportedContainers().join(' or ').toUpperCase()}`);
+    }
+
+    const { staticCanvas, seek } = await loadAnimatedCanvas(canvasJSON, format);
+    try {
+        const blob = container === 'gif'
+            ? await encodeGif(staticCanvas, seek, { duration, fps, onProgress })
+            : await recordVideo(staticCanvas, seek, { container, duration, fps, onProgress });
+        return { blob, extension: VIDEO_CONTAINERS[container].extension };
+    } finally {
+        staticCanvas.dispose();
+    }
+}
+
+export default {
+    VIDEO_CONTAINERS,
+    isStoryFormat,
+    isContainerSupported,
+    getSupportedContainers,
+    renderAnimation,
+};
@@ -1,42 +1,22 @@
 // Background Removal Service using WithoutBG API
 // State-of-the-art background removal for packshots via base64 API
 
-// Use Vite proxy to bypass CORS (see vite.config.js)
-const WITHOUTBG_API_URL = '/api/withoutbg/v1.0/image-without-background-base64';
+// Requests go through the AI gateway (server/aiGateway.js), which holds the
+// WithoutBG key and passes its status codes through
+import { gatewayRequest, isProviderAvailable } from './aiGatewayClient';
+import { isFixtureMissing } from './aiFixtures';
 
 class BackgroundRemovalService {
     constructor() {
-        this.apiKey = import.meta.env.VITE_WITHOUTBG_API_KEY || '';
         this.isProcessing = false;
         this.lastError = null;
     }
 
     /**
-     * Check if API key is configured
+     * Check if the gateway has a WithoutBG key
      */
     hasApiKey() {
-        return this.apiKey && this.apiKey.length > 5;
-    }
-
-    /**
-     * Set API key dynamically
-     */
-    setApiKey(key) {
-        if (key && key.length > 5) {
-            this.apiKey = key;
-            localStorage.setItem('withoutbg_api_key', key);
-        }
-    }
-
-    /**
-     * Load API key from localStorage if available
-     */
-    loadApiKey() {
-        const stored = localStorage.getItem('withoutbg_api_key');
-        if (stored && stored.length > 5) {
-            this.apiKey = stored;
-        }
-        return this.hasApiKey();
+        return isProviderAvailable('withoutbg');
     }
 
     /**
@@ -77,13 +57,6 @@ class BackgroundRemovalService {
             return { success: false, error: 'Background removal already in progress' };
         }
 
-        if (!this.hasApiKey()) {
-            this.loadApiKey();
-            if (!this.hasApiKey()) {
-                return { success: false, error: 'WithoutBG API key not configured. Add VITE_WITHOUTBG_API_KEY to .env' };
-            }
-        }
-
         this.isProcessing = true;
         this.lastError = null;
 
@@ -95,52 +68,32 @@ class BackgroundRemovalService {
             const startTime = Date.now();
 
             // Call WithoutBG API
-            const response = await fetch(WITHOUTBG_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-Key': this.apiKey,
-                },
-                body: JSON.stringify({
-                    image_base64: rawBase64,
-                }),
-            });
-
-            if (!response.ok) {
-                let errorMessage = `HTTP ${response.status}`;
-                try {
-                    const errorData = await response.json();
-                    errorMessage = errorData.detail || errorMessage;
-                } catch {
-                    // Ignore JSON parse errors
-                }
-
+            let data;
+            try {
+                data = await gatewayRequest('background-removal', { image: rawBase64 }, { capability: 'backgroundRemoval' });
+            } catch (error) {
                 // Handle specific error codes
-                if (response.status === 401) {
-                    throw new Error('Invalid API Key. Check your VITE_WITHOUTBG_API_KEY.');
-                } else if (response.status === 402) {
+                if (error.code === 'quota_exceeded' || error.code === 'not_configured') {
+                    throw error;
+                } else if (error.status === 401) {
+                    throw new Error('Invalid API Key. Check WITHOUTBG_API_KEY on the AI gateway.');
+                } else if (error.status === 402) {
                     throw new Error('Insufficient credits. Please top up at withoutbg.com');
-                } else if (response.status === 403) {
+                } else if (error.status === 403) {
                     throw new Error('Credits expired. Please top up to reactivate.');
-                } else if (response.status === 413) {
+                } else if (error.status === 413) {
                     throw new Error('Image too large. Maximum size is 10 MB.');
-                } else if (response.status === 415) {
+                } else if (error.status === 415) {
                     throw new Error('Unsupported format. Use JPEG, PNG, WebP, TIFF, BMP, or GIF.');
-                } else if (response.status === 429) {
+                } else if (error.status === 429) {
                     throw new Error('Rate limited (7 req/min). Please wait and try again.');
                 } else {
-                    throw new Error(errorMessage);
+                    throw error;
                 }
             }
 
-            const data = await response.json();
-
-            if (!data.img_without_background_base64) {
-                throw new Error('Invalid response: missing result image');
-            }
-
             // Convert raw base64 back to data URL
-            const resultDataUrl = this.base64ToDataUrl(data.img_without_background_base64, 'image/png');
+            const resultDataUrl = this.base64ToDataUrl(data.image, 'image/png');
 
             const processingTime = Date.now() - startTime;
             console.log(`✅ Background removed successfully in ${processingTime}ms`);
@@ -152,6 +105,7 @@ class BackgroundRemovalService {
             };
 
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('❌ Background removal failed:', error);
             this.lastError = error.message;
             return { success: false, error: error.message };
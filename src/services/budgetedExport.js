@@ -0,0 +1,225 @@
+/**
+ * Budgeted Export
+ *
+ * Encodes a creative's delivery file under its format's size budget
+ * (format.budget = { maxBytes, encodings }, see store/formatPresets).
+ * Encodings are tried in the format's order of preference, each at its best
+ * setting that fits:
+ *
+ * - jpeg / webp: the highest quality step under the budget
+ * - png: lossless, fits or not
+ * - png8: palette PNG with the most colours (256 down to 16) under the budget
+ *
+ * The first encoding that fits wins. If none does, the smallest file tried is
+ * returned with withinBudget: false so the caller can warn and still ship.
+ */
+
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+import { EXPORT_ENCODINGS } from '../store/formatPresets';
+
+export const ENCODERS = {
+    jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', qualities: [0.92, 0.85, 0.8, 0.75, 0.7, 0.6, 0.5, 0.4] },
+    webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', qualities: [0.92, 0.85, 0.8, 0.75, 0.7, 0.6, 0.5, 0.4] },
+    png: { label: 'PNG', mimeType: 'image/png', extension: 'png' },
+    png8: { label: 'PNG-8', mimeType: 'image/png', extension: 'png', colors: [256, 128, 64, 32, 16] },
+};
+
+// Formats without a budget keep the old fixed-quality JPEG
+const UNBUDGETED_QUALITY = 0.85;
+
+/**
+ * "148.2KB", "2.4MB"
+ */
+export const formatBytes = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)}MB`
+    : `${(bytes / 1024).toFixed(1)}KB`);
+
+/**
+ * "≤150KB JPEG / PNG-8"
+ */
+export const describeBudget = (budget) => budget
+    ? `≤${formatBytes(budget.maxBytes).replace(/\.0(?=[KM]B)/, '')} ${budget.encodings.map(e => ENCODERS[e].label).join(' / ')}`
+    : '';
+
+// ============================================
+// PNG-8
+// ============================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let c = 0xffffffff;
+    for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+};
+
+// zlib stream, which is what PNG's IDAT holds
+const deflate = async (bytes) => new Uint8Array(
+    await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+);
+
+/**
+ * Palette PNG of RGBA pixels
+ * @param {Uint8ClampedArray} rgba - ImageData.data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} colors - Palette size, up to 256
+ * @returns {Promise<Blob>}
+ */
+export async function encodePng8(rgba, width, height, colors = 256) {
+    const { quantize, applyPalette } = await import('gifenc');
+    const palette = quantize(rgba, colors, { format: 'rgba4444' });
+    const indices = applyPalette(rgba, palette, 'rgba4444');
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([8, 3, 0, 0, 0], 8); // 8-bit, indexed colour
+
+    const plte = new Uint8Array(palette.length * 3);
+    palette.forEach(([r, g, b], i) => plte.set([r, g, b], i * 3));
+
+    // Alpha per palette entry, trailing opaque entries left out
+    const alphas = palette.map(color => color[3] ?? 255);
+    let lastTransparent = alphas.length - 1;
+    while (lastTransparent >= 0 && alphas[lastTransparent] === 255) lastTransparent--;
+
+    // Scanlines, each with filter type 0
+    const raw = new Uint8Array(height * (width + 1));
+    for (let y = 0; y < height; y++) {
+        raw.set(indices.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('PLTE', plte),
+        ...(lastTransparent >= 0 ? [pngChunk('tRNS', new Uint8Array(alphas.slice(0, lastTransparent + 1)))] : []),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0)),
+    ];
+    return new Blob(parts, { type: 'image/png' });
+}
+
+// ============================================
+// BUDGET SEARCH
+// ============================================
+
+const toBlob = (canvasEl, mimeType, quality) => new Promise(resolve => canvasEl.toBlob(resolve, mimeType, quality));
+
+// Highest step of a descending list that fits, by binary search (size falls with the step)
+const searchSteps = async (steps, encode, maxBytes, tried) => {
+    let low = 0;
+    let high = steps.length - 1;
+    let best = null;
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        const blob = await encode(steps[mid]);
+        if (!blob) return best;
+        tried.push({ step: steps[mid], blob });
+        if (blob.size <= maxBytes) {
+            best = { step: steps[mid], blob };
+            high = mid - 1;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return best;
+};
+
+/**
+ * Encode a rendered creative under a size budget
+ * @param {HTMLCanvasElement} canvasEl - The creative at delivery size
+ * @param {object|null} budget - { maxBytes, encodings }; none gives an 85% JPEG
+ * @returns {Promise<{ blob: Blob, encoding: string, extension: string, quality?: number, colors?: number,
+ *   bytes: number, maxBytes: number|null, withinBudget: boolean, attempts: number }>}
+ */
+export async function encodeWithinBudget(canvasEl, budget) {
+    if (!budget) {
+        const blob = await toBlob(canvasEl, ENCODERS.jpeg.mimeType, UNBUDGETED_QUALITY);
+        return { blob, encoding: 'jpeg', extension: 'jpg', quality: UNBUDGETED_QUALITY, bytes: blob.size, maxBytes: null, withinBudget: true, attempts: 1 };
+    }
+
+    const { maxBytes } = budget;
+    const encodings = (budget.encodings || ['jpeg']).filter(e => EXPORT_ENCODINGS.includes(e));
+    const candidates = [];
+    let attempts = 0;
+    let pixels;
+
+    for (const encoding of encodings) {
+        const encoder = ENCODERS[encoding];
+        const tried = [];
+        let fit = null;
+
+        if (encoder.qualities) {
+            fit = await searchSteps(encoder.qualities, async (quality) => {
+                const blob = await toBlob(canvasEl, encoder.mimeType, quality);
+                // Browsers without the encoder quietly hand back a PNG
+                return blob?.type === encoder.mimeType ? blob : null;
+            }, maxBytes, tried);
+        } else if (encoder.colors) {
+            pixels ??= canvasEl.getContext('2d').getImageData(0, 0, canvasEl.width, canvasEl.height).data;
+            fit = await searchSteps(encoder.colors, colors => encodePng8(pixels, canvasEl.width, canvasEl.height, colors), maxBytes, tried);
+        } else {
+            const blob = await toBlob(canvasEl, encoder.mimeType);
+            tried.push({ step: null, blob });
+            if (blob.size <= maxBytes) fit = { step: null, blob };
+        }
+        attempts += tried.length;
+
+        const setting = (step) => (encoder.qualities ? { quality: step } : encoder.colors ? { colors: step } : {});
+        if (fit) {
+            return { blob: fit.blob, encoding, extension: encoder.extension, ...setting(fit.step), bytes: fit.blob.size, maxBytes, withinBudget: true, attempts };
+        }
+        candidates.push(...tried.map(({ step, blob }) => ({ blob, encoding, extension: encoder.extension, ...setting(step) })));
+    }
+
+    if (candidates.length === 0) {
+        throw new Error(`None of the budget's encodings (${encodings.join(', ')}) can be produced in this browser`);
+    }
+    const smallest = candidates.reduce((a, b) => (b.blob.size < a.blob.size ? b : a));
+    return { ...smallest, bytes: smallest.blob.size, maxBytes, withinBudget: false, attempts };
+}
+
+/**
+ * Delivery file of the live editor canvas under its format's budget (overlays left out)
+ */
+export async function exportCanvasWithinBudget(canvas, format) {
+    const { StaticCanvas } = await import('fabric');
+    const canvasJSON = canvas.toJSON(SERIALIZED_PROPS);
+    const staticCanvas = new StaticCanvas(undefined, { width: format.width, height: format.height, enableRetinaScaling: false });
+    await staticCanvas.loadFromJSON({
+        ...canvasJSON,
+        objects: (canvasJSON.objects || []).filter(o => !o.isSafeZone),
+    });
+    staticCanvas.renderAll();
+    try {
+        return await encodeWithinBudget(staticCanvas.getElement(), format.budget);
+    } finally {
+        staticCanvas.dispose();
+    }
+}
+
+export default {
+    ENCODERS,
+    formatBytes,
+    describeBudget,
+    encodePng8,
+    encodeWithinBudget,
+    exportCanvasWithinBudget,
+};
@@ -0,0 +1,233 @@
+/**
+ * Campaign Manifest
+ *
+ * Describes every file in a campaign export so trafficking can bulk-upload
+ * it without retyping copy:
+ *
+ *   manifest.json            - every asset: file, format, size, copy, value tile,
+ *                              compliance score, SHA-256 checksum, size budget
+ *   manifest.csv             - the same, one row per asset
+ *   meta-bulk-upload.csv     - social formats, Meta Ads Manager bulk import columns
+ *   dv360-bulk-upload.csv    - display formats, Display & Video 360 creative upload columns
+ *
+ * Copy is read from the exported canvas: the largest text is the headline,
+ * the next largest the subheadline; value tile text gives the prices.
+ */
+
+import { normalizeObjectType } from '../compliance/serializedCanvas';
+
+const MANIFEST_SCHEMA = 'astra-campaign-manifest';
+const MANIFEST_SCHEMA_VERSION = 1;
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+// Meta call-to-action for retail offers
+const META_CALL_TO_ACTION = 'SHOP_NOW';
+
+const textSize = (obj) => (obj.fontSize || 0) * (obj.scaleY || 1);
+
+const oneLine = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Copy and offer on a serialized canvas
+ * @param {object} canvasJSON - canvas.toJSON([...]) output
+ * @returns {{ headline: string, subheadline: string, valueTileType: string|null, price: string, regularPrice: string }}
+ */
+export const extractCreativeCopy = (canvasJSON) => {
+    const objects = canvasJSON?.objects || [];
+    // toJSON writes Fabric 6 class names ("IText", "Textbox")
+    const texts = objects.filter(o => TEXT_TYPES.includes(normalizeObjectType(o.type)) && oneLine(o.text));
+
+    const copy = texts
+        .filter(o => !o.isValueTile && !o.isTag && !o.isDrinkaware && !o.isSafeZone)
+        .sort((a, b) => textSize(b) - textSize(a));
+
+    const tile = objects.find(o => o.isValueTile && o.valueTileType && !o.valueTileType.endsWith('-regular'));
+    const tileTexts = texts.filter(o => o.isValueTile);
+    const priceText = tileTexts.find(o => o.customName === 'Clubcard Price')
+        || tileTexts.find(o => o.valueTileType === 'white');
+    const regularText = tileTexts.find(o => o.valueTileType?.endsWith('-regular') && o.customName === 'Regular Price');
+
+    return {
+        headline: oneLine(copy[0]?.text),
+        subheadline: oneLine(copy[1]?.text),
+        valueTileType: tile?.valueTileType || null,
+        price: oneLine(priceText?.text),
+        regularPrice: oneLine(regularText?.text),
+    };
+};
+
+/**
+ * SHA-256 of a file's contents, as "sha256:<hex>"
+ * @param {Blob|string} data
+ */
+export async function checksum(data) {
+    const buffer = typeof data === 'string' ? new TextEncoder().encode(data) : await data.arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return `sha256:${Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Size of a file's contents in bytes
+ * @param {Blob|string} data
+ */
+export const byteSize = (data) => (typeof data === 'string' ? new TextEncoder().encode(data).length : data.size);
+
+// ============================================
+// CSV
+// ============================================
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV
+ * @param {Array<object>} rows
+ * @param {Array<{ header: string, value: function(object): * }>} columns
+ */
+export const toCsv = (rows, columns) => [
+    columns.map(c => csvCell(c.header)).join(','),
+    ...rows.map(row => columns.map(c => csvCell(c.value(row))).join(',')),
+].join('\r\n') + '\r\n';
+
+const offerLine = (asset) => {
+    if (!asset.price) return '';
+    const label = asset.valueTileType === 'clubcard' ? 'Clubcard Price' : 'Price';
+    return asset.regularPrice ? `${label} ${asset.price} (was ${asset.regularPrice})` : `${label} ${asset.price}`;
+};
+
+const adName = (asset) => [asset.productName, asset.formatName].filter(Boolean).join(' - ');
+
+export const MANIFEST_COLUMNS = [
+    { header: 'file', value: a => a.file },
+    { header: 'role', value: a => a.role },
+    { header: 'format', value: a => a.format },
+    { header: 'width', value: a => a.width },
+    { header: 'height', value: a => a.height },
+    { header: 'ratio', value: a => a.ratio },
+    { header: 'mime_type', value: a => a.mimeType },
+    { header: 'bytes', value: a => a.bytes },
+    { header: 'budget_bytes', value: a => a.budgetBytes ?? '' },
+    { header: 'within_budget', value: a => (a.withinBudget === undefined ? '' : a.withinBudget) },
+    { header: 'headline', value: a => a.headline },
+    { header: 'subheadline', value: a => a.subheadline },
+    { header: 'value_tile', value: a => a.valueTileType || '' },
+    { header: 'price', value: a => a.price },
+    { header: 'regular_price', value: a => a.regularPrice },
+    { header: 'product_name', value: a => a.productName },
+    { header: 'compliance_score', value: a => a.complianceScore },
+    { header: 'compliance_passed', value: a => a.compliancePassed },
+    { header: 'checksum', value: a => a.checksum },
+];
+
+// Meta Ads Manager bulk import, single image ads
+export const META_COLUMNS = [
+    { header: 'Ad Name', value: adName },
+    { header: 'Title', value: a => a.headline },
+    { header: 'Body', value: a => a.subheadline },
+    { header: 'Link Description', value: offerLine },
+    { header: 'Link', value: a => a.landingUrl },
+    { header: 'Call to Action', value: () => META_CALL_TO_ACTION },
+    { header: 'Image File Name', value: a => a.file.split('/').pop() },
+    { header: 'Creative Type', value: () => 'Link Page Post Ad' },
+];
+
+// Display & Video 360 bulk creative upload
+export const DV360_COLUMNS = [
+    { header: 'Creative name', value: adName },
+    { header: 'Creative type', value: a => (a.role === 'html5' ? 'HTML5' : 'Image') },
+    { header: 'Dimensions', value: a => `${a.width}x${a.height}` },
+    { header: 'File name', value: a => a.file.split('/').pop() },
+    { header: 'Landing page URL', value: a => a.landingUrl },
+    { header: 'Notes', value: a => [a.headline, offerLine(a), a.complianceScore === null ? 'Compliance not checked' : `Compliance ${a.complianceScore}/100`].filter(Boolean).join(' | ') },
+];
+
+// ============================================
+// MANIFEST
+// ============================================
+
+/**
+ * Build the manifest
+ * @param {object} options
+ * @param {object} options.campaign - { productName, landingUrl, sourceFormat }
+ * @param {Array<object>} options.assets - One per file: { file, role, format (FORMAT_PRESETS entry),
+ *   mimeType, bytes, checksum, copy (extractCreativeCopy), compliance ({ score, passed }; score null when not checked), delivery? }
+ * @returns {object}
+ */
+export const buildCampaignManifest = ({ campaign, assets }) => ({
+    schema: MANIFEST_SCHEMA,
+    version: MANIFEST_SCHEMA_VERSION,
+    generated: new Date().toISOString(),
+    campaign: {
+        productName: campaign.productName || '',
+        landingUrl: campaign.landingUrl || '',
+        sourceFormat: campaign.sourceFormat,
+    },
+    assets: assets.map(({ file, role, format, mimeType, bytes, checksum: sum, copy, compliance, delivery }) => ({
+        file,
+        role,
+        format: format.key,
+        formatName: format.name,
+        category: format.category,
+        width: format.width,
+        height: format.height,
+        ratio: format.ratio,
+        mimeType,
+        bytes,
+        ...(delivery && {
+            encoding: delivery.encoding,
+            ...(delivery.quality !== undefined && { quality: delivery.quality }),
+            ...(delivery.colors !== undefined && { colors: delivery.colors }),
+            budgetBytes: delivery.maxBytes,
+            withinBudget: delivery.withinBudget,
+        }),
+        ...copy,
+        productName: campaign.productName || '',
+        landingUrl: campaign.landingUrl || '',
+        complianceScore: compliance.score,
+        compliancePassed: compliance.passed,
+        checksum: sum,
+    })),
+});
+
+/**
+ * Manifest files for the campaign ZIP root
+ * @param {object} manifest - buildCampaignManifest output
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export const renderManifestFiles = (manifest) => {
+    const { assets } = manifest;
+    const files = [
+        { path: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+        { path: 'manifest.csv', content: toCsv(assets, MANIFEST_COLUMNS) },
+    ];
+
+    const metaRows = assets.filter(a => a.role === 'delivery' && a.category === 'social');
+    if (metaRows.length > 0) {
+        files.push({ path: 'meta-bulk-upload.csv', content: toCsv(metaRows, META_COLUMNS) });
+    }
+
+    // Display formats upload their HTML5 package where there is one, else the image
+    const display = assets.filter(a => a.category === 'display');
+    const dv360Rows = display.filter(a => a.role === 'html5'
+        || (a.role === 'delivery' && !display.some(h => h.role === 'html5' && h.format === a.format)));
+    if (dv360Rows.length > 0) {
+        files.push({ path: 'dv360-bulk-upload.csv', content: toCsv(dv360Rows, DV360_COLUMNS) });
+    }
+
+    return files;
+};
+
+export default {
+    extractCreativeCopy,
+    checksum,
+    byteSize,
+    toCsv,
+    MANIFEST_COLUMNS,
+    META_COLUMNS,
+    DV360_COLUMNS,
+    buildCampaignManifest,
+    renderManifestFiles,
+};
@@ -3,7 +3,7 @@
  * 
  * Builds compliant canvas layouts using the same structure as AI Creative Gallery.
  * This ensures all Magic Wand outputs have proper:
- * - Fixed layout positions (headline, subheadline, packshot, tiles)
+ * - Solved layout positions (headline, subheadline, packshot, tiles), see utils/layoutEngine
  * - Locked, non-movable value tiles
  * - Proper tag formatting (Clubcard = date required)
  * - Drinkaware lockup for alcohol products
@@ -13,6 +13,8 @@
 
 import { FabricImage, IText, Rect, Circle } from 'fabric';
 import { FORMAT_PRESETS } from '../store/useStore';
+import { getTileForFormat } from '../store/formatPresets';
+import { arrangeCanvas } from '../utils/layoutEngine';
 
 // Value tile definitions - matches DemoGallery and Sidebar
 const VALUE_TILES = [
@@ -57,15 +59,6 @@ const VALUE_TILES = [
     },
 ];
 
-// Fixed layout positions - same as AI Creative Gallery (100% compliant)
-const LAYOUT = {
-    headlineY: 0.25,      // Headline at 25% from top
-    subheadlineY: 0.38,   // Subheadline at 38% from top
-    packshotY: 0.55,      // Packshot center at 55% from top
-    tileY: 0.82,          // Value tile at 82% from top
-    tagY: 0.95,           // Tag at bottom
-};
-
 /**
  * Build a compliant canvas layout
  * Uses the same structure as AI Creative Gallery to ensure 100% compliance
@@ -95,20 +88,17 @@ export async function buildCompliantCanvas(canvas, variant, product, formatKey,
 
     const formatConfig = format.config || {};
 
-    // Helper to get format-specific tile dimensions
-    const getTileForFormat = (tile, formatKey) => {
-        const overrides = tile.formatOverrides?.[formatKey];
-        return overrides ? { ...tile, ...overrides } : tile;
-    };
-
     // Scale font sizes based on format
     const headlineFontSize = formatConfig.headlineFontSize || 72;
     const subFontSize = formatConfig.subFontSize || 36;
 
+    // Headline, subheadline, tile, tag and Drinkaware are positioned by
+    // arrangeCanvas once they are all on the canvas
+
     // ============ ADD HEADLINE ============
     const headline = new IText(variant.headline || 'Your Headline', {
         left: format.width / 2,
-        top: format.height * LAYOUT.headlineY,
+        top: format.height / 2,
         originX: 'center',
         originY: 'center',
         fontFamily: 'Inter, sans-serif',
@@ -123,7 +113,7 @@ export async function buildCompliantCanvas(canvas, variant, product, formatKey,
     // ============ ADD SUBHEADLINE ============
     const subheadline = new IText(variant.subheadline || 'Your subheadline here', {
         left: format.width / 2,
-        top: format.height * LAYOUT.subheadlineY,
+        top: format.height / 2,
         originX: 'center',
         originY: 'center',
         fontFamily: 'Inter, sans-serif',
@@ -383,6 +373,8 @@ export async function buildCompliantCanvas(canvas, variant, product, formatKey,
     canvas.add(tag);
 
     // ============ FINALIZE ============
+    const layout = arrangeCanvas(canvas, format);
+    layout.unresolved.forEach(problem => console.warn(`Layout (${formatKey}):`, problem));
     canvas.renderAll();
     saveToHistory?.();
     updateLayers?.();
@@ -431,7 +423,7 @@ export async function addPackshotToCanvas(canvas, imageDataUrl, formatKey, optio
 
         img.set({
             left: format.width / 2,
-            top: format.height * LAYOUT.packshotY,
+            top: format.height / 2,
             originX: 'center',
             originY: 'center',
             scaleX: scale,
@@ -441,6 +433,9 @@ export async function addPackshotToCanvas(canvas, imageDataUrl, formatKey, optio
         });
 
         canvas.add(img);
+
+        // Make room for the packshot
+        arrangeCanvas(canvas, format);
         canvas.renderAll();
 
         return { success: true, backgroundRemoved: processedImageUrl !== imageDataUrl };
@@ -453,6 +448,5 @@ export async function addPackshotToCanvas(canvas, imageDataUrl, formatKey, optio
 export default {
     buildCompliantCanvas,
     addPackshotToCanvas,
-    LAYOUT,
     VALUE_TILES,
 };
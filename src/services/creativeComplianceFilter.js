@@ -6,22 +6,10 @@
  * User Input → AI Creative Spec → **Compliance Filter** → Canvas Build → Export
  */
 
-import { validateCompliance } from './geminiService';
-import regexDetector from '../compliance/detectors/regexDetector';
-
-// PROHIBITED_TERMS for manual checking
-const PROHIBITED_TERMS = [
-    'free', 'gratis', 'win', 'winner', 'winning', 'prize', 'competition', 'contest', 'giveaway', 'raffle', 'lottery',
-    'money back', 'money-back', 'refund', 'guarantee', 'guaranteed',
-    'sustainable', 'sustainability', 'eco-friendly', 'green', 'carbon neutral', 'organic', 'recyclable', 'biodegradable',
-    'best ever', '#1', 'number one', 'award winning', 'clinically proven', 'scientifically proven',
-    'terms and conditions', 't&c', 'terms apply',
-    'survey', 'research shows', 'studies show',
-    'charity', 'donate', 'donation', 'fundraising',
-];
+import { COMPLIANCE_RULES, findProhibitedTerms } from '../compliance/ruleRegistry';
 
 // Safe replacements for common violations
-const SAFE_REPLACEMENTS = {
+export const SAFE_REPLACEMENTS = {
     'sugar-free': 'Zero Sugar',
     'sugar free': 'Zero Sugar',
     'sugarfree': 'Zero Sugar',
@@ -42,7 +30,7 @@ const SAFE_REPLACEMENTS = {
 /**
  * Clean text by replacing prohibited terms with safe alternatives
  */
-function cleanText(text) {
+export function cleanText(text) {
     if (!text) return '';
 
     let cleaned = text;
@@ -69,28 +57,15 @@ function cleanText(text) {
 function checkTextCompliance(text) {
     if (!text) return { isCompliant: true, violations: [], cleanedText: '' };
 
-    const lowerText = text.toLowerCase();
-    const violations = [];
-
-    // Check for prohibited terms
-    for (const term of PROHIBITED_TERMS) {
-        if (lowerText.includes(term.toLowerCase())) {
-            violations.push({
-                term,
-                severity: 'error',
-                message: `Prohibited term: "${term}"`
-            });
-        }
-    }
-
-    // Check for asterisks (claims indicator)
-    if (text.includes('*')) {
-        violations.push({
-            term: '*',
-            severity: 'error',
-            message: 'Asterisks (*) are not allowed - they indicate claims that require substantiation'
-        });
-    }
+    // Same patterns the canvas regex detector runs
+    const violations = findProhibitedTerms(text).map(({ ruleId, term }) => ({
+        term,
+        ruleId,
+        severity: 'error',
+        message: term === '*'
+            ? 'Asterisks (*) are not allowed - they indicate claims that require substantiation'
+            : `Prohibited term: "${term}"`
+    }));
 
     // Clean the text
     const cleanedText = cleanText(text);
@@ -105,7 +80,7 @@ function checkTextCompliance(text) {
 
 /**
  * Validate a single creative variant for compliance
- * Includes: prohibited terms, headline length (35 chars), subhead words (20 max)
+ * Includes: prohibited terms, headline length and subhead word count from the rule registry
  * @param {object} variant - Creative variant from AI
  * @returns {object} - Variant with compliance status
  */
@@ -127,8 +102,8 @@ function validateVariant(variant) {
 
     let wasModified = headlineCheck.wasModified || subheadlineCheck.wasModified || tagCheck.wasModified;
 
-    // Check headline length (35 chars max)
-    const MAX_HEADLINE_LENGTH = 35;
+    // Check headline length
+    const MAX_HEADLINE_LENGTH = COMPLIANCE_RULES.headlineRules.maxLength;
     if (cleanedHeadline.length > MAX_HEADLINE_LENGTH) {
         // Try to smart truncate at word boundary
         const truncated = cleanedHeadline.substring(0, MAX_HEADLINE_LENGTH);
@@ -145,8 +120,8 @@ function validateVariant(variant) {
         wasModified = true;
     }
 
-    // Check subhead word count (20 words max)
-    const MAX_SUBHEAD_WORDS = 20;
+    // Check subhead word count
+    const MAX_SUBHEAD_WORDS = COMPLIANCE_RULES.subheadRules.maxWords;
     const subheadWords = cleanedSubheadline.trim().split(/\s+/).filter(w => w.length > 0);
     if (subheadWords.length > MAX_SUBHEAD_WORDS) {
         cleanedSubheadline = subheadWords.slice(0, MAX_SUBHEAD_WORDS).join(' ');
@@ -0,0 +1,83 @@
+/**
+ * Creative Spec Schema
+ *
+ * JSON schema for the creative spec the LLM returns to the Magic Wand
+ * (creativeSpecService.generateCreativeSpec and
+ * geminiService.generateAutonomousCreative). Replies are validated with
+ * aiOrchestrator.generateValidated, which re-prompts with the field errors
+ * before the callers fall back to their stock variants.
+ *
+ * Limits come from the active rule packs (headline max_chars, value tile
+ * types), so the schema is built per call.
+ */
+
+import { COMPLIANCE_RULES } from '../compliance/ruleRegistry';
+
+export const CREATIVE_TONES = ['bold', 'friendly', 'premium', 'minimal', 'playful'];
+export const CREATIVE_VARIANT_COUNT = 5;
+
+const HEX_COLOUR = '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$';
+
+const LAYOUT_POINT = {
+    type: 'object',
+    properties: {
+        x: { type: 'number', minimum: 0, maximum: 1 },
+        y: { type: 'number', minimum: 0, maximum: 1 },
+        scale: { type: 'number', minimum: 0 },
+        width: { type: 'number', minimum: 0, maximum: 1 },
+        align: { type: 'string', enum: ['left', 'center', 'right'] }
+    }
+};
+
+/**
+ * Schema for an LLM creative spec reply: { product?, variants[] }
+ * @returns {object} JSON schema
+ */
+export const getCreativeSpecSchema = () => {
+    const priceTypes = COMPLIANCE_RULES.valueTileRules.types;
+    return {
+        type: 'object',
+        required: ['variants'],
+        properties: {
+            product: {
+                type: 'object',
+                properties: {
+                    productName: { type: 'string', minLength: 1 },
+                    brand: { type: 'string' },
+                    category: { type: 'string' },
+                    isAlcohol: { type: 'boolean' }
+                }
+            },
+            variants: {
+                type: 'array',
+                minItems: CREATIVE_VARIANT_COUNT,
+                items: {
+                    type: 'object',
+                    required: ['headline', 'tone', 'priceType', 'backgroundColor', 'textColor'],
+                    properties: {
+                        headline: { type: 'string', minLength: 1, maxLength: COMPLIANCE_RULES.headlineRules.maxLength },
+                        subheadline: { type: 'string' },
+                        tone: { type: 'string', enum: CREATIVE_TONES },
+                        tag: { type: 'string' },
+                        priceType: { type: 'string', enum: priceTypes.length > 0 ? priceTypes : ['clubcard', 'white', 'new'] },
+                        backgroundColor: { type: 'string', pattern: HEX_COLOUR },
+                        textColor: { type: 'string', pattern: HEX_COLOUR },
+                        accentColor: { type: 'string', pattern: HEX_COLOUR },
+                        layout: {
+                            type: 'object',
+                            properties: {
+                                packshot: LAYOUT_POINT,
+                                headline: LAYOUT_POINT,
+                                subheadline: LAYOUT_POINT,
+                                valueTile: LAYOUT_POINT,
+                                tag: LAYOUT_POINT
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+};
+
+export default getCreativeSpecSchema;
@@ -6,30 +6,38 @@
  * 
  * Pipeline: User Input → AI Creative Spec → Compliance Filter → Canvas Build → Export
  * 
- * Now using OpenRouter with xiaomi/mimo-v2-flash:free model
+ * Variants come from the orchestrator's "creative" LLM route
+ * (OpenRouter xiaomi/mimo-v2-flash:free by default) and must match the
+ * creative spec schema (creativeSpecSchema.js); replies that still don't
+ * after the repair re-prompts get the stock variants.
  */
 
 import openRouterService from './openRouterService';
+import aiOrchestrator from './aiOrchestrator';
+import { isFixtureMissing } from './aiFixtures';
+import { getCreativeSpecSchema, CREATIVE_VARIANT_COUNT } from './creativeSpecSchema';
+import { COMPLIANCE_RULES, buildProhibitedTermsPrompt } from '../compliance/ruleRegistry';
 
 /**
  * Generate creative variants from a product image
  * This is the "AI Creative Spec" step - focused purely on creativity
  * 
  * @param {string} imageDataUrl - Product image data URL
- * @param {object} options - Generation options
+ * @param {object} options - Generation options: { userPrompt, mood, usageRun }
+ *   usageRun - feature run (aiUsage startUsageRun) to charge the AI calls to
  * @returns {Promise<CreativeSpec>} - Raw creative spec from AI (unchecked for compliance)
  */
 export async function generateCreativeSpec(imageDataUrl, options = {}) {
     const startTime = Date.now();
-    const { userPrompt = '', mood = 'modern' } = options;
+    const { userPrompt = '', mood = 'modern', usageRun = null } = options;
 
     // Handle demo mode - return pre-designed demo campaign
     if (imageDataUrl === 'demo') {
         return getDemoCreativeSpec(startTime, userPrompt);
     }
 
-    // Step 1: Analyze the product image (via OpenRouter)
-    const productAnalysis = await openRouterService.analyzeProductImage(imageDataUrl);
+    // Step 1: Analyze the product image
+    const productAnalysis = await openRouterService.analyzeProductImage(imageDataUrl, { usageRun });
 
     // Step 2: Generate background suggestions
     const backgrounds = openRouterService.generateBackgroundSuggestions(
@@ -52,9 +60,11 @@ Generate 5 UNIQUE creative variants with DIFFERENT styles and tones.
 Be bold, creative, and compelling. Focus on copy that drives engagement.
 
 ⚠️ IMPORTANT COPY RULES:
-- Headline: MAX 35 characters (3-5 punchy words)
-- Subhead: MAX 20 words (short supporting text)
+- Headline: MAX ${COMPLIANCE_RULES.headlineRules.maxLength} characters (3-5 punchy words)
+- Subhead: MAX ${COMPLIANCE_RULES.subheadRules.maxWords} words (short supporting text)
 - Never use "free" (use "zero sugar", "low fat" instead)
+- Never use any of:
+${buildProhibitedTermsPrompt()}
 
 Return ONLY valid JSON (no markdown):
 {
@@ -63,7 +73,7 @@ Return ONLY valid JSON (no markdown):
       "id": 1,
       "tone": "bold/friendly/premium/minimal/playful",
       "headline": "Short Punchy Headline",
-      "subheadline": "Brief supporting text under 20 words",
+      "subheadline": "Brief supporting text under ${COMPLIANCE_RULES.subheadRules.maxWords} words",
       "tag": "Only at Tesco",
       "priceType": "clubcard/white/new",
       "backgroundColor": "#1a1a1a",
@@ -74,63 +84,31 @@ Return ONLY valid JSON (no markdown):
 `;
 
     try {
-        const result = await openRouterService.callOpenRouter(prompt, { temperature: 0.9 });
+        // Validated against the creative spec schema, with repair re-prompts
+        const { data: parsed } = await aiOrchestrator.generateValidated('creative', prompt, {
+            schema: getCreativeSpecSchema(),
+            temperature: 0.9,
+            usageRun
+        });
 
-        let variants = [];
-        const jsonMatch = result.match(/\{[\s\S]*\}/);
-
-        if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            variants = (parsed.variants || []).map((v, i) => ({
-                ...v,
-                id: i + 1,
-                // RAW text - no cleaning here, compliance filter handles this
-                headline: v.headline || '',
-                subheadline: v.subheadline || '',
-                // Fallback colors if AI doesn't provide them
-                backgroundColor: v.backgroundColor || backgrounds.solid[i % backgrounds.solid.length] || productAnalysis.suggestedBackground,
-                headlineColor: v.textColor || productAnalysis.suggestedTextColor || '#ffffff',
-                accentColor: v.accentColor || productAnalysis.suggestedAccent || '#e51c23',
-                // Ensure layout exists
-                layout: v.layout || {
-                    packshot: { x: 0.5, y: 0.5, scale: 1.0 },
-                    headline: { x: 0.5, y: 0.25, align: 'center' },
-                    subheadline: { x: 0.5, y: 0.35, align: 'center' },
-                    valueTile: { x: 0.5, y: 0.8 },
-                    tag: { x: 0.5, y: 0.95 }
-                },
-                // Track compliance status (will be filled by compliance filter)
-                complianceStatus: null
-            }));
-        }
-
-        // Ensure we always have 5 variants (fallback if AI didn't generate enough)
-        while (variants.length < 5) {
-            const fallbackVariants = [
-                { headline: 'Discover More', subheadline: 'Only at Tesco', tone: 'friendly', priceType: 'clubcard' },
-                { headline: 'Great Value', subheadline: 'Quality you can trust', tone: 'confident', priceType: 'white' },
-                { headline: 'Try Something New', subheadline: 'Available now', tone: 'curious', priceType: 'new' },
-                { headline: 'Taste The Difference', subheadline: 'Premium quality', tone: 'premium', priceType: 'clubcard' },
-                { headline: 'Your Favourite', subheadline: 'Back in stock', tone: 'warm', priceType: 'white' },
-            ];
-            const fb = fallbackVariants[variants.length];
-            variants.push({
-                id: variants.length + 1,
-                ...fb,
-                tag: 'Only at Tesco',
-                backgroundColor: backgrounds.solid[variants.length % backgrounds.solid.length],
-                headlineColor: productAnalysis.suggestedTextColor || '#ffffff',
-                accentColor: productAnalysis.suggestedAccent || '#e51c23',
-                layout: {
-                    packshot: { x: 0.5, y: 0.5, scale: 1.0 },
-                    headline: { x: 0.5, y: 0.25, align: 'center' },
-                    subheadline: { x: 0.5, y: 0.35, align: 'center' },
-                    valueTile: { x: 0.5, y: 0.8 },
-                    tag: { x: 0.5, y: 0.95 }
-                },
-                complianceStatus: null
-            });
-        }
+        const variants = parsed.variants.map((v, i) => ({
+            ...v,
+            id: i + 1,
+            // RAW text - no cleaning here, compliance filter handles this
+            subheadline: v.subheadline || '',
+            headlineColor: v.textColor,
+            accentColor: v.accentColor || productAnalysis.suggestedAccent || '#e51c23',
+            // Ensure layout exists
+            layout: v.layout || {
+                packshot: { x: 0.5, y: 0.5, scale: 1.0 },
+                headline: { x: 0.5, y: 0.25, align: 'center' },
+                subheadline: { x: 0.5, y: 0.35, align: 'center' },
+                valueTile: { x: 0.5, y: 0.8 },
+                tag: { x: 0.5, y: 0.95 }
+            },
+            // Track compliance status (will be filled by compliance filter)
+            complianceStatus: null
+        }));
 
         const generationTime = Date.now() - startTime;
 
@@ -139,12 +117,13 @@ Return ONLY valid JSON (no markdown):
             generationTimeMs: generationTime,
             product: productAnalysis,
             backgrounds,
-            variants: variants.slice(0, 5),
+            variants: variants.slice(0, CREATIVE_VARIANT_COUNT),
             isAlcohol: productAnalysis.isAlcohol,
             // Mark that compliance check is pending
             complianceChecked: false
         };
     } catch (error) {
+        if (isFixtureMissing(error)) throw error;
         console.error('Creative spec generation failed:', error);
         return getFallbackCreativeSpec(productAnalysis, backgrounds);
     }
@@ -0,0 +1,221 @@
+/**
+ * HTML5 Ad Export
+ *
+ * IAB-style HTML5 display ad packages for programmatic buys:
+ *
+ *   index.html     - the ad, with a global `clickTag` the ad server overrides
+ *   manifest.json  - size, clickTags, files and initial-load weight
+ *   images/        - the layers
+ *
+ * The creative is split into a JPEG base layer and, when animations are on,
+ * transparent PNG layers for the headline and value tile so they can enter
+ * with CSS animations (a single play, well under the IAB 15s limit; off for
+ * prefers-reduced-motion). The package is squeezed under the initial-load
+ * budget by lowering the base layer's JPEG quality; if it still doesn't fit,
+ * the export fails rather than shipping an ad the ad server will reject.
+ */
+
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+
+export const HTML5_DEFAULTS = {
+    clickTagUrl: 'https://www.tesco.com',
+    maxInitialKb: 150,
+    animations: true,
+};
+
+// Base layer qualities tried, best first, until the package fits the budget
+const JPEG_QUALITIES = [0.9, 0.8, 0.7, 0.6, 0.5, 0.4];
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+const ANIMATION_CSS = `
+@keyframes astra-slide-in { from { opacity: 0; transform: translateX(-24px); } to { opacity: 1; transform: none; } }
+@keyframes astra-pop-in { 0% { opacity: 0; transform: scale(0.6); } 70% { opacity: 1; transform: scale(1.08); } 100% { transform: none; } }
+.layer-headline { animation: astra-slide-in 0.6s ease-out 0.2s both; }
+.layer-value-tile { animation: astra-pop-in 0.5s ease-out 0.7s both; }
+@media (prefers-reduced-motion: reduce) { .layer { animation: none !important; } }`;
+
+/**
+ * Whether a format is a display ad slot
+ */
+export const isDisplayFormat = (format) => format?.category === 'display';
+
+// The headline is the largest text on the canvas that isn't a price, tag or Drinkaware copy
+const findHeadline = (objects) => objects
+    .filter(o => TEXT_TYPES.includes(o.type) && o.text?.trim() && !o.isValueTile && !o.isTag && !o.isDrinkaware)
+    .sort((a, b) => (b.fontSize * (b.scaleY || 1)) - (a.fontSize * (a.scaleY || 1)))[0] || null;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+/**
+ * index.html for the ad
+ * @param {object} format - { width, height, name }
+ * @param {Array} layers - [{ path, className, left, top, width, height }], bottom first
+ * @param {object} options - { clickTagUrl, animations }
+ */
+export const buildAdHtml = (format, layers, { clickTagUrl, animations }) => {
+    const images = layers.map(layer => (
+        `    <img class="layer ${layer.className}" src="${escapeHtml(layer.path)}" alt="" ` +
+        `style="left:${layer.left}px;top:${layer.top}px;width:${layer.width}px;height:${layer.height}px">`
+    )).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="ad.size" content="width=${format.width},height=${format.height}">
+<title>${escapeHtml(format.name)}</title>
+<script>var clickTag = ${JSON.stringify(clickTagUrl).replace(/</g, '\\u003c')};</script>
+<style>
+html, body { margin: 0; padding: 0; overflow: hidden; }
+#ad { position: relative; display: block; width: ${format.width}px; height: ${format.height}px; overflow: hidden; cursor: pointer; }
+.layer { position: absolute; display: block; border: 0; }${animations ? ANIMATION_CSS : ''}
+</style>
+</head>
+<body>
+<a id="ad" href="javascript:void(window.open(window.clickTag, '_blank'))">
+${images}
+</a>
+</body>
+</html>
+`;
+};
+
+// Box around a layer's objects, in whole canvas pixels
+const layerBounds = (objects) => {
+    const rects = objects.map(obj => obj.getBoundingRect());
+    const left = Math.floor(Math.min(...rects.map(r => r.left)));
+    const top = Math.floor(Math.min(...rects.map(r => r.top)));
+    return {
+        left,
+        top,
+        width: Math.ceil(Math.max(...rects.map(r => r.left + r.width))) - left,
+        height: Math.ceil(Math.max(...rects.map(r => r.top + r.height))) - top,
+    };
+};
+
+// Transparent PNG of only some of the canvas objects, cropped to them
+const renderLayer = async (staticCanvas, objects) => {
+    const { backgroundColor, backgroundImage } = staticCanvas;
+    staticCanvas.set({ backgroundColor: '', backgroundImage: undefined });
+    const bounds = layerBounds(objects);
+    const dataUrl = staticCanvas.toDataURL({
+        format: 'png',
+        multiplier: 1,
+        enableRetinaScaling: false,
+        ...bounds,
+        filter: obj => objects.includes(obj),
+    });
+    staticCanvas.set({ backgroundColor, backgroundImage });
+    return { blob: await dataUrlToBlob(dataUrl), bounds };
+};
+
+const renderLayers = async (staticCanvas, animated, quality) => {
+    const animatedObjects = animated.flatMap(layer => layer.objects);
+    animatedObjects.forEach(obj => obj.set({ visible: false }));
+    staticCanvas.renderAll();
+    const base = await dataUrlToBlob(staticCanvas.toDataURL({ format: 'jpeg', quality, multiplier: 1 }));
+    animatedObjects.forEach(obj => obj.set({ visible: true }));
+
+    const layers = [{ path: 'images/base.jpg', blob: base, className: 'layer-base', left: 0, top: 0, width: staticCanvas.width, height: staticCanvas.height }];
+    for (const { objects, name, className } of animated) {
+        const { blob, bounds } = await renderLayer(staticCanvas, objects);
+        layers.push({ path: `images/${name}.png`, blob, className, ...bounds });
+    }
+    return layers;
+};
+
+/**
+ * Build the HTML5 ad package for a creative
+ * @param {object} canvasJSON - canvas.toJSON() of the creative at format size
+ * @param {object} format - FORMAT_PRESETS entry
+ * @param {object} options - HTML5_DEFAULTS overrides
+ * @returns {Promise<{ blob: Blob, manifest: object }>} ZIP and its manifest
+ * @throws {Error} When the package can't be brought under maxInitialKb
+ */
+export async function renderHtml5Ad(canvasJSON, format, options = {}) {
+    const { clickTagUrl, maxInitialKb, animations } = { ...HTML5_DEFAULTS, ...options };
+    const [{ StaticCanvas }, { default: JSZip }] = await Promise.all([import('fabric'), import('jszip')]);
+
+    const staticCanvas = new StaticCanvas(undefined, { width: format.width, height: format.height });
+    await staticCanvas.loadFromJSON({
+        ...canvasJSON,
+        objects: (canvasJSON.objects || []).filter(o => !o.isSafeZone),
+    });
+
+    const objects = staticCanvas.getObjects();
+    const headline = findHeadline(objects);
+    // A value tile is several objects (shape, price, label) that pop in together
+    const valueTile = objects.filter(o => o.isValueTile);
+    const animated = animations ? [
+        headline && { objects: [headline], name: 'headline', className: 'layer-headline' },
+        valueTile.length > 0 && { objects: valueTile, name: 'value-tile', className: 'layer-value-tile' },
+    ].filter(Boolean) : [];
+
+    const limitBytes = maxInitialKb * 1024;
+    let attempt;
+    for (const quality of JPEG_QUALITIES) {
+        const layers = await renderLayers(staticCanvas, animated, quality);
+        const html = buildAdHtml(format, layers, { clickTagUrl, animations: animated.length > 0 });
+        const files = [
+            { path: 'index.html', bytes: new Blob([html]).size },
+            ...layers.map(layer => ({ path: layer.path, bytes: layer.blob.size })),
+        ];
+        attempt = { quality, layers, html, files, totalBytes: files.reduce((sum, f) => sum + f.bytes, 0) };
+        if (attempt.totalBytes <= limitBytes) break;
+    }
+    staticCanvas.dispose();
+
+    const { quality, layers, html, files, totalBytes } = attempt;
+    if (totalBytes > limitBytes) {
+        throw new Error(
+            `${format.name} HTML5 ad is ${(totalBytes / 1024).toFixed(1)}KB at the lowest image quality, ` +
+            `over the ${maxInitialKb}KB initial-load limit. Simplify the background or switch animations off.`
+        );
+    }
+
+    const manifest = {
+        name: format.name,
+        format: format.key,
+        width: format.width,
+        height: format.height,
+        source: 'index.html',
+        clickTags: { clickTag: clickTagUrl },
+        animations: layers.slice(1).map(layer => layer.className.replace(/^layer-/, '')),
+        initialLoad: {
+            bytes: totalBytes,
+            limitBytes,
+            imageQuality: quality,
+        },
+        files,
+        generated: new Date().toISOString(),
+    };
+
+    const zip = new JSZip();
+    zip.file('index.html', html);
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    layers.forEach(layer => zip.file(layer.path, layer.blob));
+
+    return { blob: await zip.generateAsync({ type: 'blob' }), manifest };
+}
+
+/**
+ * HTML5 ad package of the live editor canvas (overlays left out)
+ */
+export async function exportCanvasToHtml5Ad(canvas, format, options = {}) {
+    return renderHtml5Ad(canvas.toJSON(SERIALIZED_PROPS), format, options);
+}
+
+export default {
+    HTML5_DEFAULTS,
+    isDisplayFormat,
+    buildAdHtml,
+    renderHtml5Ad,
+    exportCanvasToHtml5Ad,
+};
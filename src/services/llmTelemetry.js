@@ -0,0 +1,87 @@
+/**
+ * LLM Telemetry
+ *
+ * How structured LLM output fares per capability and provider, recorded by
+ * aiOrchestrator.generateValidated:
+ *
+ *   valid    - the first reply matched the schema
+ *   repaired - it matched after one or more repair re-prompts
+ *   fallback - it never matched (or the providers failed) and the caller
+ *              used its stock content
+ *
+ * repairPrompts counts every re-prompt sent. Counts are persisted in
+ * localStorage:
+ *   { [capability]: { [provider]: { valid, repaired, fallback, repairPrompts } } }
+ */
+
+const STORAGE_KEY_TELEMETRY = 'astra-llm-telemetry';
+
+export const STRUCTURED_OUTCOMES = ['valid', 'repaired', 'fallback'];
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+const loadStats = () => {
+    if (!hasStorage()) return {};
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY_TELEMETRY) || '{}');
+    } catch (e) {
+        console.error('Failed to load LLM telemetry:', e);
+        return {};
+    }
+};
+
+let stats = loadStats();
+
+const saveStats = () => {
+    if (!hasStorage()) return;
+    try {
+        localStorage.setItem(STORAGE_KEY_TELEMETRY, JSON.stringify(stats));
+    } catch (e) {
+        console.error('Failed to save LLM telemetry:', e);
+    }
+};
+
+/**
+ * Count one structured-output request
+ * @param {string} capability - Key of LLM_ROUTES
+ * @param {string} provider - Provider that answered ('none' when all failed)
+ * @param {string} outcome - 'valid' | 'repaired' | 'fallback'
+ * @param {number} repairPrompts - Re-prompts sent for this request
+ */
+export const recordStructuredOutput = (capability, provider, outcome, repairPrompts = 0) => {
+    if (!STRUCTURED_OUTCOMES.includes(outcome)) throw new Error(`Unknown outcome "${outcome}"`);
+    const byProvider = (stats[capability] ||= {});
+    const counts = (byProvider[provider] ||= { valid: 0, repaired: 0, fallback: 0, repairPrompts: 0 });
+    counts[outcome] += 1;
+    counts.repairPrompts += repairPrompts;
+    saveStats();
+};
+
+/**
+ * Counts with repair and fallback rates, per capability and provider
+ * @returns {object} capability -> provider -> { valid, repaired, fallback, repairPrompts, total, repairRate, fallbackRate }
+ */
+export const getStructuredOutputStats = () => Object.fromEntries(
+    Object.entries(stats).map(([capability, byProvider]) => [capability, Object.fromEntries(
+        Object.entries(byProvider).map(([provider, counts]) => {
+            const total = counts.valid + counts.repaired + counts.fallback;
+            return [provider, {
+                ...counts,
+                total,
+                repairRate: total > 0 ? counts.repaired / total : 0,
+                fallbackRate: total > 0 ? counts.fallback / total : 0
+            }];
+        })
+    )])
+);
+
+export const resetStructuredOutputStats = () => {
+    stats = {};
+    saveStats();
+};
+
+export default {
+    recordStructuredOutput,
+    getStructuredOutputStats,
+    resetStructuredOutputStats
+};
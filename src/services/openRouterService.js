@@ -1,162 +1,28 @@
 /**
  * OpenRouter AI Service
  * 
- * Uses OpenRouter API with multiple models:
- * - xiaomi/mimo-v2-flash:free for text generation (creative variants)
- * - nvidia/nemotron-nano-12b-v2-vl:free for vision/image analysis
+ * Product analysis, Magic Wand creative variants and AI compliance fixes.
+ * Provider and model per task come from the orchestrator's LLM_ROUTES
+ * (by default OpenRouter: xiaomi/mimo-v2-flash:free for text,
+ * nvidia/nemotron-nano-12b-v2-vl:free for vision).
  */
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-
-// Model configurations
-const MODELS = {
-    TEXT: 'xiaomi/mimo-v2-flash:free',      // For text/creative generation
-    VISION: 'nvidia/nemotron-nano-12b-v2-vl:free'  // For image analysis (multimodal)
-};
+import { COMPLIANCE_RULES, buildProhibitedTermsPrompt } from '../compliance/ruleRegistry';
+import aiOrchestrator from './aiOrchestrator';
+import { isFixtureMissing } from './aiFixtures';
 
 class OpenRouterService {
-    constructor() {
-        this.apiKey = import.meta.env.VITE_OPENROUTER_API_KEY || '';
-    }
-
     hasApiKey() {
-        return this.apiKey && this.apiKey.length > 10;
-    }
-
-    /**
-     * Call OpenRouter API with a text prompt
-     * @param {string} prompt - The text prompt
-     * @param {object} options - Options like temperature, enableReasoning
-     * @returns {Promise<string>} - The response text
-     */
-    async callOpenRouter(prompt, options = {}) {
-        if (!this.hasApiKey()) {
-            throw new Error('OpenRouter API key not configured');
-        }
-
-        const { temperature = 0.7, enableReasoning = false, model = MODELS.TEXT } = options;
-
-        try {
-            const requestBody = {
-                model,
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature
-            };
-
-            // Enable reasoning if requested
-            if (enableReasoning) {
-                requestBody.reasoning = { enabled: true };
-            }
-
-            const response = await fetch(OPENROUTER_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': window.location.origin,
-                    'X-Title': 'AstraCreate'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text().catch(() => '');
-                throw new Error(`OpenRouter API request failed (${response.status}): ${errorText}`);
-            }
-
-            const data = await response.json();
-            return data.choices?.[0]?.message?.content || '';
-        } catch (error) {
-            console.error('OpenRouter API call failed:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Call OpenRouter API with vision/image input using Nemotron VL
-     * @param {string} prompt - The text prompt
-     * @param {string} imageDataUrl - Base64 image data URL
-     * @param {object} options - Options
-     * @returns {Promise<string>} - The response text
-     */
-    async callVision(prompt, imageDataUrl, options = {}) {
-        if (!this.hasApiKey()) {
-            throw new Error('OpenRouter API key not configured');
-        }
-
-        const { temperature = 0.3, enableReasoning = true } = options;
-
-        try {
-            // Format image for OpenRouter multimodal
-            const imageContent = imageDataUrl.startsWith('data:')
-                ? imageDataUrl
-                : `data:image/jpeg;base64,${imageDataUrl}`;
-
-            const requestBody = {
-                model: MODELS.VISION,
-                messages: [
-                    {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: prompt
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: imageContent
-                                }
-                            }
-                        ]
-                    }
-                ],
-                temperature
-            };
-
-            // Enable reasoning for better analysis
-            if (enableReasoning) {
-                requestBody.reasoning = { enabled: true };
-            }
-
-            console.log('🔍 Calling Nemotron VL for image analysis...');
-
-            const response = await fetch(OPENROUTER_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': window.location.origin,
-                    'X-Title': 'AstraCreate'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text().catch(() => '');
-                throw new Error(`Vision API request failed (${response.status}): ${errorText}`);
-            }
-
-            const data = await response.json();
-            console.log('✅ Nemotron VL response received');
-            return data.choices?.[0]?.message?.content || '';
-        } catch (error) {
-            console.error('Vision API call failed:', error);
-            throw error;
-        }
+        return aiOrchestrator.hasCapability('creative');
     }
 
     /**
-     * Analyze a product image using Nemotron VL vision model
+     * Analyze a product image (productAnalysis route)
      * @param {string} imageDataUrl - Base64 image data URL
+     * @param {object} options - { usageRun } feature run to charge the call to
      * @returns {Promise<object>} - Product analysis result
      */
-    async analyzeProductImage(imageDataUrl) {
+    async analyzeProductImage(imageDataUrl, { usageRun = null } = {}) {
         // Check if it's demo mode
         if (imageDataUrl === 'demo') {
             return {
@@ -190,21 +56,18 @@ Return ONLY valid JSON (no markdown, no code blocks):
 }`;
 
         try {
-            const result = await this.callVision(prompt, imageDataUrl);
-
-            // Parse JSON from response
-            const jsonMatch = result.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                return {
-                    success: true,
-                    ...parsed
-                };
-            }
-
-            // Fallback if parsing fails
-            return this.getDefaultProductAnalysis();
+            const { data } = await aiOrchestrator.generateJson('productAnalysis', prompt, {
+                image: imageDataUrl,
+                temperature: 0.3,
+                reasoning: true,
+                usageRun
+            });
+            return {
+                success: true,
+                ...data
+            };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('Product image analysis failed:', error);
             return this.getDefaultProductAnalysis();
         }
@@ -261,7 +124,7 @@ Return ONLY valid JSON (no markdown, no code blocks):
     }
 
     /**
-     * Generate creative variants for a product using mimo model
+     * Generate creative variants for a product (creative route)
      */
     async generateCreativeVariants(productAnalysis, options = {}) {
         const { userPrompt = '' } = options;
@@ -279,9 +142,11 @@ Generate 5 UNIQUE creative variants with DIFFERENT styles and tones.
 Be bold, creative, and compelling.
 
 ⚠️ IMPORTANT COPY RULES:
-- Headline: MAX 35 characters (3-5 punchy words)
-- Subhead: MAX 20 words (short supporting text)
+- Headline: MAX ${COMPLIANCE_RULES.headlineRules.maxLength} characters (3-5 punchy words)
+- Subhead: MAX ${COMPLIANCE_RULES.subheadRules.maxWords} words (short supporting text)
 - Never use "free" (use "zero sugar", "low fat" instead)
+- Never use any of:
+${buildProhibitedTermsPrompt()}
 
 Return ONLY valid JSON (no markdown):
 {
@@ -300,27 +165,17 @@ Return ONLY valid JSON (no markdown):
 }`;
 
         try {
-            const result = await this.callOpenRouter(prompt, {
-                temperature: 0.9,
-                model: MODELS.TEXT
-            });
-
-            // Parse JSON from response
-            const jsonMatch = result.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                return parsed.variants || [];
-            }
-
-            return [];
+            const { data } = await aiOrchestrator.generateJson('creative', prompt, { temperature: 0.9 });
+            return data.variants || [];
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('Creative variant generation failed:', error);
             return [];
         }
     }
     /**
      * AI-Powered Auto-Fix for compliance issues
-     * Uses Nemotron VL for visual context and Mimo for text/logic
+     * Uses the complianceFix route (a vision model sees the canvas)
      */
     async autoFixCompliance(canvasDataUrl, issues, objects, format) {
         const prompt = `You are a creative compliance expert for Tesco UK. 
@@ -371,17 +226,14 @@ Return ONLY valid JSON (no markdown):
 }`;
 
         try {
-            const result = await this.callVision(prompt, canvasDataUrl, {
+            const { data } = await aiOrchestrator.generateJson('complianceFix', prompt, {
+                image: canvasDataUrl,
                 temperature: 0.2,
-                enableReasoning: true
+                reasoning: true
             });
-
-            const jsonMatch = result.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            return { fixes: [], summary: "Could not parse AI response" };
+            return data;
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('Auto-fix compliance failed:', error);
             return { fixes: [], summary: "AI service error" };
         }
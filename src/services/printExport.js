@@ -0,0 +1,427 @@
+/**
+ * Print Export
+ *
+ * Print-ready PDF for in-store POS formats: the creative at a real A-series
+ * size with bleed, crop marks and registration marks.
+ *
+ * - Text, rectangles and circles are drawn as vectors in CMYK (text is set
+ *   in the nearest PDF base font, stretched line by line to the width the
+ *   canvas laid it out at, so line breaks and alignment match the editor)
+ * - Everything else (photos, packshots, paths, rotated or styled elements)
+ *   is rasterised at the target DPI and embedded as RGB
+ * - Background colour and background elements are extended into the bleed;
+ *   TrimBox and BleedBox are set so RIP software finds the cut
+ *
+ * The RGB to CMYK conversion is device-naive (no ICC profile); send the PDF
+ * to the printer's preflight for colour-critical jobs.
+ */
+
+import tinycolor from 'tinycolor2';
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+
+const MM_PER_INCH = 25.4;
+const PT_PER_MM = 72 / MM_PER_INCH;
+
+// Portrait sizes in mm; landscape formats get them rotated
+export const PAPER_SIZES = {
+    A2: { width: 420, height: 594 },
+    A3: { width: 297, height: 420 },
+    A4: { width: 210, height: 297 },
+};
+
+export const PRINT_DEFAULTS = {
+    paper: 'A3',
+    bleedMm: 3,
+    cropMarks: true,
+    registrationMarks: true,
+    dpi: 300,
+};
+
+// Space outside the bleed for the marks
+const SLUG_MM = 12;
+const MARK_LENGTH_MM = 6;
+const MARK_OFFSET_MM = 1;
+const MARK_LINE_MM = 0.25 / PT_PER_MM;
+const REGISTRATION_RADIUS_MM = 2.5;
+
+// Largest raster a single element is drawn at, to keep memory in check
+const MAX_RASTER_PIXELS = 50e6;
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+// Characters the PDF base fonts can set (WinAnsi)
+const WIN_ANSI = /^[\x20-\x7E\u00A0-\u00FF\u20AC\u2018\u2019\u201C\u201D\u2013\u2014\u2022\u2026]*$/;
+
+/**
+ * Whether a format is printed (in-store POS and custom in-store formats)
+ */
+export const isPrintFormat = (format) => format?.category === 'instore';
+
+/**
+ * Device-naive RGB to CMYK, channels 0-1
+ */
+export const rgbToCmyk = (color) => {
+    const { r, g, b } = tinycolor(color).toRgb();
+    const [rr, gg, bb] = [r / 255, g / 255, b / 255];
+    const k = 1 - Math.max(rr, gg, bb);
+    if (k >= 1) return { c: 0, m: 0, y: 0, k: 1 };
+    return {
+        c: (1 - rr - k) / (1 - k),
+        m: (1 - gg - k) / (1 - k),
+        y: (1 - bb - k) / (1 - k),
+        k,
+    };
+};
+
+/**
+ * Page geometry in mm: trim, bleed and media boxes, and where the design
+ * (format.width x format.height px) lands inside the trim
+ * @param {object} format - FORMAT_PRESETS entry
+ * @param {object} options - PRINT_DEFAULTS overrides
+ */
+export const getPrintLayout = (format, options = {}) => {
+    const { paper, bleedMm, cropMarks, registrationMarks, dpi } = { ...PRINT_DEFAULTS, ...options };
+    const size = PAPER_SIZES[paper];
+    if (!size) {
+        throw new Error(`Unknown paper size "${paper}" (expected ${Object.keys(PAPER_SIZES).join(', ')})`);
+    }
+
+    const landscape = format.width > format.height;
+    const trimWidth = landscape ? size.height : size.width;
+    const trimHeight = landscape ? size.width : size.height;
+    const slug = cropMarks || registrationMarks ? SLUG_MM : 0;
+    const bleed = Math.max(0, bleedMm);
+
+    // Cover the trim; POS presets are A-series proportion, so nothing is lost
+    const scale = Math.max(trimWidth / format.width, trimHeight / format.height);
+    const trim = { x: slug + bleed, y: slug + bleed, width: trimWidth, height: trimHeight };
+
+    return {
+        paper,
+        landscape,
+        dpi,
+        cropMarks,
+        registrationMarks,
+        bleed,
+        scale,
+        page: { width: trimWidth + 2 * (bleed + slug), height: trimHeight + 2 * (bleed + slug) },
+        trim,
+        bleedBox: { x: slug, y: slug, width: trimWidth + 2 * bleed, height: trimHeight + 2 * bleed },
+        origin: {
+            x: trim.x + (trimWidth - format.width * scale) / 2,
+            y: trim.y + (trimHeight - format.height * scale) / 2,
+        },
+    };
+};
+
+// ============================================
+// DRAWING
+// ============================================
+
+const setFill = (pdf, color) => {
+    const { c, m, y, k } = rgbToCmyk(color);
+    pdf.setFillColor(c, m, y, k);
+};
+
+const setStroke = (pdf, color) => {
+    const { c, m, y, k } = rgbToCmyk(color);
+    pdf.setDrawColor(c, m, y, k);
+};
+
+// Opacity of the element times the alpha of its fill
+const withOpacity = (pdf, opacity, draw) => {
+    if (opacity >= 1) {
+        draw();
+        return;
+    }
+    pdf.saveGraphicsState();
+    pdf.setGState(new pdf.GState({ opacity, 'stroke-opacity': opacity }));
+    draw();
+    pdf.restoreGraphicsState();
+};
+
+const pdfFont = (obj) => {
+    const family = String(obj.fontFamily || '').toLowerCase();
+    const name = /courier|mono/.test(family) ? 'courier'
+        : /times|georgia|garamond|(^|[^-])serif/.test(family) ? 'times'
+            : 'helvetica';
+    const bold = obj.fontWeight === 'bold' || Number(obj.fontWeight) >= 600;
+    const italic = obj.fontStyle === 'italic' || obj.fontStyle === 'oblique';
+    return [name, bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal'];
+};
+
+// Only unrotated, unskewed, unflipped elements can be mapped with a scale and an offset
+const isAxisAligned = (obj) => {
+    const [a, b, c, d] = obj.calcTransformMatrix();
+    return Math.abs(b) < 1e-6 && Math.abs(c) < 1e-6 && a > 0 && d > 0;
+};
+
+const hasPlainFill = (obj) => typeof obj.fill === 'string' || !obj.fill;
+
+const canDrawVector = (obj) => {
+    if (obj.shadow || obj.clipPath || !isAxisAligned(obj)) return false;
+
+    if (obj.type === 'group') {
+        return (obj.opacity ?? 1) >= 1 && obj.getObjects().every(canDrawVector);
+    }
+    if (TEXT_TYPES.includes(obj.type)) {
+        return typeof obj.fill === 'string' &&
+            !obj.stroke && !obj.textBackgroundColor && !obj.path &&
+            !obj.underline && !obj.linethrough && !obj.overline &&
+            obj.isEmptyStyles() &&
+            obj.textLines.every(line => WIN_ANSI.test(line));
+    }
+    if (['rect', 'circle', 'ellipse'].includes(obj.type)) {
+        return hasPlainFill(obj) && (!obj.stroke || typeof obj.stroke === 'string');
+    }
+    return false;
+};
+
+/**
+ * Maps object-local points to page mm
+ */
+const toPage = (obj, layout) => {
+    const [a, , , d, e, f] = obj.calcTransformMatrix();
+    return {
+        point: (x, y) => ({
+            x: layout.origin.x + (a * x + e) * layout.scale,
+            y: layout.origin.y + (d * y + f) * layout.scale,
+        }),
+        sx: a * layout.scale,
+        sy: d * layout.scale,
+    };
+};
+
+const drawText = (pdf, obj, layout) => {
+    const map = toPage(obj, layout);
+    const [font, style] = pdfFont(obj);
+    pdf.setFont(font, style);
+    pdf.setFontSize(obj.fontSize * map.sy * PT_PER_MM);
+    setFill(pdf, obj.fill);
+
+    let lineTop = -obj.height / 2;
+    obj.textLines.forEach((line, i) => {
+        const lineHeight = obj.getHeightOfLine(i);
+        if (line.trim()) {
+            // Same baseline as Fabric's _renderTextCommon/_renderChars
+            const impl = lineHeight / obj.lineHeight;
+            const baseline = lineTop + impl - impl * obj._fontSizeFraction;
+            const { x, y } = map.point(-obj.width / 2 + obj._getLineLeftOffset(i), baseline);
+            const canvasWidth = obj.getLineWidth(i) * map.sx;
+            const pdfWidth = pdf.getTextWidth(line);
+            pdf.text(line, x, y, {
+                baseline: 'alphabetic',
+                horizontalScale: pdfWidth > 0 ? canvasWidth / pdfWidth : 1,
+            });
+        }
+        lineTop += lineHeight;
+    });
+};
+
+const drawShape = (pdf, obj, layout) => {
+    const map = toPage(obj, layout);
+    const fill = obj.fill && tinycolor(obj.fill).getAlpha() > 0 ? obj.fill : null;
+    const stroke = obj.stroke && obj.strokeWidth > 0 ? obj.stroke : null;
+    if (!fill && !stroke) return;
+
+    if (fill) setFill(pdf, fill);
+    if (stroke) {
+        setStroke(pdf, stroke);
+        pdf.setLineWidth(obj.strokeWidth * Math.min(map.sx, map.sy));
+    }
+    const mode = fill && stroke ? 'FD' : fill ? 'F' : 'S';
+
+    if (obj.type === 'rect') {
+        const { x, y } = map.point(-obj.width / 2, -obj.height / 2);
+        const w = obj.width * map.sx;
+        const h = obj.height * map.sy;
+        if (obj.rx || obj.ry) {
+            pdf.roundedRect(x, y, w, h, (obj.rx || obj.ry) * map.sx, (obj.ry || obj.rx) * map.sy, mode);
+        } else {
+            pdf.rect(x, y, w, h, mode);
+        }
+    } else {
+        const { x, y } = map.point(0, 0);
+        const rx = obj.type === 'circle' ? obj.radius : obj.rx;
+        const ry = obj.type === 'circle' ? obj.radius : obj.ry;
+        pdf.ellipse(x, y, rx * map.sx, ry * map.sy, mode);
+    }
+};
+
+const rasterMultiplier = (obj, layout) => {
+    const { width, height } = obj.getBoundingRect();
+    const multiplier = layout.scale * layout.dpi / MM_PER_INCH;
+    const pixels = width * height * multiplier * multiplier;
+    return pixels > MAX_RASTER_PIXELS ? Math.sqrt(MAX_RASTER_PIXELS / (width * height)) : multiplier;
+};
+
+// Rasterise at the print DPI; `rect` overrides where it goes (in mm)
+const drawRaster = (pdf, obj, layout, rect = null) => {
+    const bounds = obj.getBoundingRect();
+    if (bounds.width <= 0 || bounds.height <= 0) return;
+
+    const dataUrl = obj.toDataURL({
+        format: 'png',
+        multiplier: rasterMultiplier(obj, layout),
+        enableRetinaScaling: false,
+    });
+    const target = rect || {
+        x: layout.origin.x + bounds.left * layout.scale,
+        y: layout.origin.y + bounds.top * layout.scale,
+        width: bounds.width * layout.scale,
+        height: bounds.height * layout.scale,
+    };
+    pdf.addImage(dataUrl, 'PNG', target.x, target.y, target.width, target.height, undefined, 'FAST');
+};
+
+const drawObject = (pdf, obj, layout) => {
+    if (obj.isSafeZone || obj.isGridLine || obj.visible === false) return;
+
+    if (!canDrawVector(obj)) {
+        drawRaster(pdf, obj, layout);
+        return;
+    }
+    if (obj.type === 'group') {
+        obj.getObjects().forEach(child => drawObject(pdf, child, layout));
+        return;
+    }
+
+    const fillAlpha = typeof obj.fill === 'string' ? tinycolor(obj.fill).getAlpha() : 1;
+    withOpacity(pdf, (obj.opacity ?? 1) * fillAlpha, () => {
+        if (TEXT_TYPES.includes(obj.type)) {
+            drawText(pdf, obj, layout);
+        } else {
+            drawShape(pdf, obj, layout);
+        }
+    });
+};
+
+/**
+ * Crop marks at the trim corners and registration targets on each side,
+ * in registration colour (all four inks)
+ */
+export const drawPrintMarks = (pdf, layout) => {
+    const { trim, bleed } = layout;
+    const right = trim.x + trim.width;
+    const bottom = trim.y + trim.height;
+    const gap = bleed + MARK_OFFSET_MM;
+
+    pdf.setDrawColor(1, 1, 1, 1);
+    pdf.setLineWidth(MARK_LINE_MM);
+
+    if (layout.cropMarks) {
+        for (const x of [trim.x, right]) {
+            pdf.line(x, trim.y - gap, x, trim.y - gap - MARK_LENGTH_MM);
+            pdf.line(x, bottom + gap, x, bottom + gap + MARK_LENGTH_MM);
+        }
+        for (const y of [trim.y, bottom]) {
+            pdf.line(trim.x - gap, y, trim.x - gap - MARK_LENGTH_MM, y);
+            pdf.line(right + gap, y, right + gap + MARK_LENGTH_MM, y);
+        }
+    }
+
+    if (layout.registrationMarks) {
+        const offset = gap + MARK_LENGTH_MM / 2;
+        const centerX = trim.x + trim.width / 2;
+        const centerY = trim.y + trim.height / 2;
+        const targets = [
+            [centerX, trim.y - offset],
+            [centerX, bottom + offset],
+            [trim.x - offset, centerY],
+            [right + offset, centerY],
+        ];
+        for (const [x, y] of targets) {
+            const r = REGISTRATION_RADIUS_MM;
+            pdf.circle(x, y, r, 'S');
+            pdf.circle(x, y, r / 2, 'S');
+            pdf.line(x - r * 1.5, y, x + r * 1.5, y);
+            pdf.line(x, y - r * 1.5, x, y + r * 1.5);
+        }
+    }
+};
+
+const toPt = (box, pageHeight) => ({
+    bottomLeftX: box.x * PT_PER_MM,
+    bottomLeftY: (pageHeight - box.y - box.height) * PT_PER_MM,
+    topRightX: (box.x + box.width) * PT_PER_MM,
+    topRightY: (pageHeight - box.y) * PT_PER_MM,
+});
+
+/**
+ * Build the print PDF for a creative
+ * @param {object} canvasJSON - canvas.toJSON() of the creative at format size
+ * @param {object} format - FORMAT_PRESETS entry
+ * @param {object} options - PRINT_DEFAULTS overrides, plus `title`
+ * @returns {Promise<Blob>} application/pdf
+ */
+export async function renderPrintPdf(canvasJSON, format, options = {}) {
+    const layout = getPrintLayout(format, options);
+    const [{ jsPDF }, { StaticCanvas }] = await Promise.all([import('jspdf'), import('fabric')]);
+
+    const staticCanvas = new StaticCanvas(undefined, { width: format.width, height: format.height });
+    await staticCanvas.loadFromJSON(canvasJSON);
+
+    const pdf = new jsPDF({
+        unit: 'mm',
+        format: [layout.page.width, layout.page.height],
+        orientation: layout.landscape ? 'landscape' : 'portrait',
+        compress: true,
+    });
+    pdf.setDocumentProperties({
+        title: options.title || `${format.name} - ${layout.paper}`,
+        creator: 'AstraCreate',
+    });
+
+    const { pageContext } = pdf.getCurrentPageInfo();
+    pageContext.trimBox = toPt(layout.trim, layout.page.height);
+    pageContext.bleedBox = toPt(layout.bleedBox, layout.page.height);
+
+    // Background colour and background elements run into the bleed
+    const { bleedBox } = layout;
+    if (staticCanvas.backgroundColor && typeof staticCanvas.backgroundColor === 'string') {
+        setFill(pdf, staticCanvas.backgroundColor);
+        pdf.rect(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height, 'F');
+    }
+    if (staticCanvas.backgroundImage) {
+        drawRaster(pdf, staticCanvas.backgroundImage, layout, bleedBox);
+    }
+
+    // Nothing past the bleed
+    pdf.saveGraphicsState();
+    pdf.rect(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height, null);
+    pdf.clip();
+    pdf.discardPath();
+    for (const obj of staticCanvas.getObjects()) {
+        if (obj.isBackground) {
+            drawRaster(pdf, obj, layout, bleedBox);
+        } else {
+            drawObject(pdf, obj, layout);
+        }
+    }
+    pdf.restoreGraphicsState();
+
+    drawPrintMarks(pdf, layout);
+    staticCanvas.dispose();
+
+    return pdf.output('blob');
+}
+
+/**
+ * Print PDF of the live editor canvas (overlays left out)
+ */
+export async function exportCanvasToPrintPdf(canvas, format, options = {}) {
+    const canvasJSON = canvas.toJSON(SERIALIZED_PROPS);
+    canvasJSON.objects = canvasJSON.objects.filter(o => !o.isSafeZone);
+    return renderPrintPdf(canvasJSON, format, options);
+}
+
+export default {
+    PAPER_SIZES,
+    PRINT_DEFAULTS,
+    isPrintFormat,
+    rgbToCmyk,
+    getPrintLayout,
+    drawPrintMarks,
+    renderPrintPdf,
+    exportCanvasToPrintPdf,
+};
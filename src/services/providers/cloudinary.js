@@ -4,8 +4,14 @@
  * - Smart resize with AI cropping (g_auto)
  * - Format optimization
  * - Size optimization (under 500KB)
+ *
+ * Cloudinary results are recorded/replayed with the AI fixtures and reported
+ * to the gateway's AI usage meter; the canvas fallbacks run locally either way.
  */
 
+import { withFixture, isFixtureMissing } from '../aiFixtures';
+import { meterClientCall } from '../aiUsage';
+
 class CloudinaryProvider {
     constructor() {
         this.cloudName = import.meta.env.VITE_CLOUDINARY_CLOUD_NAME || '';
@@ -108,39 +114,51 @@ class CloudinaryProvider {
         }
 
         try {
-            // Upload to Cloudinary
-            const uploadResult = await this.upload(imageDataUrl);
-            if (!uploadResult.success) {
-                throw new Error(uploadResult.error);
-            }
-
-            // Build transform URL with AI gravity
-            const transformUrl = this.buildTransformUrl(uploadResult.publicId, {
-                width: targetSize.width,
-                height: targetSize.height,
-                crop: 'fill',
-                gravity: 'auto',  // AI detects focal point
-                format: 'webp',
-                quality: 'auto:best',
-            });
-
-            // Fetch transformed image
-            const response = await fetch(transformUrl);
-            const blob = await response.blob();
-            const resultDataUrl = await this.blobToDataUrl(blob);
-
-            return {
-                success: true,
-                imageDataUrl: resultDataUrl,
-                cloudinaryUrl: transformUrl,
-            };
+            return await withFixture('cloudinary:smartResize', { imageDataUrl, targetSize }, () => meterClientCall(
+                { capability: 'smartResize', provider: 'cloudinary' },
+                () => this.cloudinaryResize(imageDataUrl, targetSize),
+                () => ({ megapixels: (targetSize.width * targetSize.height) / 1e6 })
+            ));
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('Cloudinary smart resize failed:', error);
             // Fallback to canvas-based resize
             return this.canvasResize(imageDataUrl, targetSize);
         }
     }
 
+    /**
+     * Upload, then fetch the g_auto crop
+     */
+    async cloudinaryResize(imageDataUrl, targetSize) {
+        // Upload to Cloudinary
+        const uploadResult = await this.upload(imageDataUrl);
+        if (!uploadResult.success) {
+            throw new Error(uploadResult.error);
+        }
+
+        // Build transform URL with AI gravity
+        const transformUrl = this.buildTransformUrl(uploadResult.publicId, {
+            width: targetSize.width,
+            height: targetSize.height,
+            crop: 'fill',
+            gravity: 'auto',  // AI detects focal point
+            format: 'webp',
+            quality: 'auto:best',
+        });
+
+        // Fetch transformed image
+        const response = await fetch(transformUrl);
+        const blob = await response.blob();
+        const resultDataUrl = await this.blobToDataUrl(blob);
+
+        return {
+            success: true,
+            imageDataUrl: resultDataUrl,
+            cloudinaryUrl: transformUrl,
+        };
+    }
+
     /**
      * Optimize image to be under target size (e.g., 500KB)
      * @param {string} imageDataUrl - Base64 image data URL
@@ -153,45 +171,56 @@ class CloudinaryProvider {
         }
 
         try {
-            const uploadResult = await this.upload(imageDataUrl);
-            if (!uploadResult.success) {
-                throw new Error(uploadResult.error);
-            }
+            return await withFixture('cloudinary:optimizeSize', { imageDataUrl, maxBytes }, () => meterClientCall(
+                { capability: 'sizeOptimization', provider: 'cloudinary' },
+                () => this.cloudinaryOptimize(imageDataUrl, maxBytes)
+            ));
+        } catch (error) {
+            if (isFixtureMissing(error)) throw error;
+            console.error('Cloudinary optimization failed:', error);
+            return this.canvasOptimize(imageDataUrl, maxBytes);
+        }
+    }
 
-            // Try progressive quality reduction
-            const qualities = ['auto:best', 'auto:good', 'auto:eco', 'auto:low'];
+    /**
+     * Upload, then step quality down until the WebP fits
+     */
+    async cloudinaryOptimize(imageDataUrl, maxBytes) {
+        const uploadResult = await this.upload(imageDataUrl);
+        if (!uploadResult.success) {
+            throw new Error(uploadResult.error);
+        }
 
-            for (const quality of qualities) {
-                const transformUrl = this.buildTransformUrl(uploadResult.publicId, {
-                    format: 'webp',
-                    quality,
-                });
+        // Try progressive quality reduction
+        const qualities = ['auto:best', 'auto:good', 'auto:eco', 'auto:low'];
 
-                const response = await fetch(transformUrl);
-                const blob = await response.blob();
-
-                if (blob.size <= maxBytes) {
-                    const resultDataUrl = await this.blobToDataUrl(blob);
-                    return {
-                        success: true,
-                        imageDataUrl: resultDataUrl,
-                        bytes: blob.size,
-                        quality,
-                    };
-                }
-            }
+        for (const quality of qualities) {
+            const transformUrl = this.buildTransformUrl(uploadResult.publicId, {
+                format: 'webp',
+                quality,
+            });
 
-            // If still too large, resize down
-            const uploadData = uploadResult;
-            const scale = Math.sqrt(maxBytes / uploadData.bytes);
-            const newWidth = Math.floor(uploadData.width * scale);
-            const newHeight = Math.floor(uploadData.height * scale);
+            const response = await fetch(transformUrl);
+            const blob = await response.blob();
 
-            return this.smartResize(imageDataUrl, { width: newWidth, height: newHeight });
-        } catch (error) {
-            console.error('Cloudinary optimization failed:', error);
-            return this.canvasOptimize(imageDataUrl, maxBytes);
+            if (blob.size <= maxBytes) {
+                const resultDataUrl = await this.blobToDataUrl(blob);
+                return {
+                    success: true,
+                    imageDataUrl: resultDataUrl,
+                    bytes: blob.size,
+                    quality,
+                };
+            }
         }
+
+        // If still too large, resize down
+        const uploadData = uploadResult;
+        const scale = Math.sqrt(maxBytes / uploadData.bytes);
+        const newWidth = Math.floor(uploadData.width * scale);
+        const newHeight = Math.floor(uploadData.height * scale);
+
+        return this.smartResize(imageDataUrl, { width: newWidth, height: newHeight });
     }
 
     // ============================================
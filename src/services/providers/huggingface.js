@@ -6,49 +6,29 @@
  * - FLUX: Background image generation
  */
 
-import { HfInference } from '@huggingface/inference';
+import { gatewayRequest, isProviderAvailable } from '../aiGatewayClient';
+import { isFixtureMissing } from '../aiFixtures';
 
+// Requests go through the AI gateway (server/aiGateway.js), which holds the
+// HuggingFace key; models are named by the gateway's allowlist keys
 class HuggingFaceProvider {
     constructor() {
-        this.apiKey = import.meta.env.VITE_HUGGINGFACE_API_KEY || '';
-        this.client = null;
         this.models = {
             // Object Detection
-            detr: 'facebook/detr-resnet-50',
-            detrLarge: 'facebook/detr-resnet-101',
-
-            // Natural Language Inference
-            bartNli: 'facebook/bart-large-mnli',
+            detr: 'detr',
+            detrLarge: 'detrLarge',
 
             // Image Generation
-            flux: 'black-forest-labs/FLUX.1-schnell',
-            sdxl: 'stabilityai/stable-diffusion-xl-base-1.0',
+            flux: 'flux',
+            sdxl: 'sdxl',
         };
     }
 
     /**
-     * Initialize or get HuggingFace client
-     */
-    getClient() {
-        if (!this.client) {
-            this.client = new HfInference(this.apiKey || undefined);
-        }
-        return this.client;
-    }
-
-    /**
-     * Check if API key is configured
+     * Check if the gateway has a HuggingFace key
      */
     hasApiKey() {
-        return this.apiKey && this.apiKey.length > 5;
-    }
-
-    /**
-     * Set API key at runtime
-     */
-    setApiKey(key) {
-        this.apiKey = key;
-        this.client = new HfInference(key);
+        return isProviderAvailable('huggingface');
     }
 
     // ============================================
@@ -58,23 +38,17 @@ class HuggingFaceProvider {
     /**
      * Detect objects in an image using DETR
      * @param {string} imageDataUrl - Base64 image data URL
-     * @param {object} options - { threshold, labels }
+     * @param {object} options - { threshold, labels, capability (for usage metering) }
      * @returns {Promise<Array<{ label: string, score: number, box: object }>>}
      */
     async detectObjects(imageDataUrl, options = {}) {
-        const { threshold = 0.7, labels = null } = options;
+        const { threshold = 0.7, labels = null, capability = 'objectDetection' } = options;
 
         try {
-            const hf = this.getClient();
-
-            // Convert data URL to Blob
-            const response = await fetch(imageDataUrl);
-            const blob = await response.blob();
-
-            const result = await hf.objectDetection({
+            const { detections: result } = await gatewayRequest('detect', {
                 model: this.models.detr,
-                data: blob,
-            });
+                image: imageDataUrl,
+            }, { capability });
 
             // Filter by threshold and optionally by labels
             let detections = result.filter(d => d.score >= threshold);
@@ -94,6 +68,7 @@ class HuggingFaceProvider {
                 })),
             };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('DETR detection failed:', error);
             return { success: false, error: error.message, detections: [] };
         }
@@ -108,6 +83,7 @@ class HuggingFaceProvider {
         const result = await this.detectObjects(imageDataUrl, {
             threshold: 0.7,
             labels: ['person'],
+            capability: 'peopleDetection',
         });
 
         if (!result.success) {
@@ -140,6 +116,7 @@ class HuggingFaceProvider {
         const result = await this.detectObjects(imageDataUrl, {
             threshold: 0.5,
             labels: productLabels,
+            capability: 'packshotDetection',
         });
 
         if (!result.success) {
@@ -167,16 +144,10 @@ class HuggingFaceProvider {
      */
     async checkEntailment(text, hypothesis, threshold = 0.7) {
         try {
-            const hf = this.getClient();
-
-            const result = await hf.zeroShotClassification({
-                model: this.models.bartNli,
-                inputs: text,
-                parameters: {
-                    candidate_labels: [hypothesis],
-                    multi_label: false,
-                },
-            });
+            const result = await gatewayRequest('nli', {
+                text,
+                labels: [hypothesis],
+            }, { capability: 'textValidation' });
 
             const confidence = result.scores[0] || 0;
 
@@ -186,6 +157,7 @@ class HuggingFaceProvider {
                 label: result.labels[0],
             };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('NLI check failed:', error);
             return { entails: false, confidence: 0, error: error.message };
         }
@@ -211,7 +183,6 @@ class HuggingFaceProvider {
         } = options;
 
         try {
-            const hf = this.getClient();
             const model = useFlux ? this.models.flux : this.models.sdxl;
 
             console.log(`🎨 Generating background with ${useFlux ? 'FLUX' : 'SDXL'}...`);
@@ -220,25 +191,19 @@ class HuggingFaceProvider {
             // Safety prompt to avoid text/logos
             const safePrompt = `${prompt}. Abstract, no text, no logos, no product images, pure background pattern.`;
 
-            const result = await hf.textToImage({
+            const { image: imageDataUrl } = await gatewayRequest('image', {
                 model,
-                inputs: safePrompt,
-                parameters: {
-                    width,
-                    height,
-                    num_inference_steps: numSteps,
-                    guidance_scale: guidanceScale,
-                },
-            });
-
-            if (result instanceof Blob) {
-                const imageDataUrl = await this.blobToDataUrl(result);
-                console.log(`✅ Background generated in ${Date.now() - startTime}ms`);
-                return { success: true, imageDataUrl };
-            }
-
-            return { success: false, error: 'Unexpected response format' };
+                prompt: safePrompt,
+                width,
+                height,
+                steps: numSteps,
+                guidanceScale,
+            }, { capability: 'backgroundGeneration' });
+
+            console.log(`✅ Background generated in ${Date.now() - startTime}ms`);
+            return { success: true, imageDataUrl };
         } catch (error) {
+            if (isFixtureMissing(error)) throw error;
             console.error('Background generation failed:', error);
 
             // Fallback to SDXL if FLUX failed
@@ -255,18 +220,6 @@ class HuggingFaceProvider {
     // UTILITIES
     // ============================================
 
-    /**
-     * Convert Blob to data URL
-     */
-    async blobToDataUrl(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
-    }
-
     /**
      * Extract base64 from data URL
      */
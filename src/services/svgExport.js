@@ -0,0 +1,270 @@
+/**
+ * SVG Export
+ *
+ * Editable vector masters of a creative, built on Fabric's toSVG():
+ * - Editor overlays (safe zones, grid lines) are left out
+ * - Images are inlined as data URIs, or written as linked files next to the
+ *   SVG (`images/<name>.png`) for agencies that swap assets
+ * - Web fonts used by text are embedded as @font-face data URIs, either
+ *   subset to the characters in the creative (default) or in full. Fonts
+ *   are fetched from the Google Fonts CSS API, the same place index.html
+ *   loads them from; fonts it doesn't serve are listed in `warnings` and
+ *   left as plain font-family references
+ */
+
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+
+export const SVG_IMAGE_MODES = ['inline', 'linked'];
+export const SVG_FONT_MODES = ['subset', 'full', 'none'];
+
+export const SVG_DEFAULTS = {
+    images: 'inline',
+    fonts: 'subset',
+};
+
+const GOOGLE_FONTS_CSS = 'https://fonts.googleapis.com/css2';
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const escapeAttribute = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+
+// Every object, including the children of groups
+const flattenObjects = (objects) => objects.flatMap(obj => (
+    obj.type === 'group' ? [obj, ...flattenObjects(obj.getObjects())] : [obj]
+));
+
+// ============================================
+// FONTS
+// ============================================
+
+const primaryFamily = (fontFamily) => {
+    const family = String(fontFamily || '').split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+    return family && !GENERIC_FAMILIES.includes(family.toLowerCase()) ? family : null;
+};
+
+const numericWeight = (weight) => {
+    if (weight === 'bold') return 700;
+    if (weight === 'normal' || weight === undefined || weight === '') return 400;
+    return Number(weight) || 400;
+};
+
+/**
+ * Font faces used by text objects, with the characters set in each
+ * @returns {Array<{ family, weight, italic, chars: Set<string> }>}
+ */
+export const collectFontFaces = (objects) => {
+    const faces = new Map();
+    const addChars = (style, text) => {
+        const family = primaryFamily(style.fontFamily);
+        if (!family) return;
+        const weight = numericWeight(style.fontWeight);
+        const italic = style.fontStyle === 'italic' || style.fontStyle === 'oblique';
+        const key = `${family}|${weight}|${italic}`;
+        if (!faces.has(key)) faces.set(key, { family, weight, italic, chars: new Set() });
+        for (const char of text) faces.get(key).chars.add(char);
+    };
+
+    for (const obj of flattenObjects(objects)) {
+        if (!TEXT_TYPES.includes(obj.type) || !obj.text) continue;
+
+        // Per-character style overrides (IText styles) can change the face
+        const lines = obj.text.split('\n');
+        lines.forEach((line, lineIndex) => {
+            [...line].forEach((char, charIndex) => {
+                const override = obj.styles?.[lineIndex]?.[charIndex] || {};
+                addChars({ ...obj, ...override }, char);
+            });
+        });
+    }
+    return [...faces.values()];
+};
+
+const googleFontsUrl = (face, text) => {
+    const family = encodeURIComponent(face.family).replace(/%20/g, '+');
+    const params = [`family=${family}:ital,wght@${face.italic ? 1 : 0},${face.weight}`];
+    if (text) params.push(`text=${encodeURIComponent(text)}`);
+    return `${GOOGLE_FONTS_CSS}?${params.join('&')}`;
+};
+
+// Inline every url(...) in an @font-face stylesheet as a data URI
+const inlineFontUrls = async (css) => {
+    const urls = [...new Set([...css.matchAll(/url\(([^)]+)\)/g)].map(m => m[1].replace(/^['"]|['"]$/g, '')))];
+    const dataUrls = await Promise.all(urls.map(async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        return blobToDataUrl(await response.blob());
+    }));
+    return urls.reduce((result, url, i) => result.split(url).join(dataUrls[i]), css);
+};
+
+/**
+ * @font-face rules with embedded font data for the given faces
+ * @param {Array} faces - From collectFontFaces
+ * @param {string} mode - 'subset' | 'full'
+ * @returns {Promise<{ css: string, warnings: string[] }>}
+ */
+export async function buildFontFaceCss(faces, mode = 'subset') {
+    const warnings = [];
+    const blocks = await Promise.all(faces.map(async (face) => {
+        const text = mode === 'subset' ? [...face.chars].join('') : null;
+        try {
+            const response = await fetch(googleFontsUrl(face, text));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await inlineFontUrls(await response.text());
+        } catch (err) {
+            warnings.push(`Font "${face.family}" ${face.weight}${face.italic ? ' italic' : ''} not embedded: ${err.message}`);
+            return '';
+        }
+    }));
+    return { css: blocks.filter(Boolean).join('\n'), warnings };
+}
+
+// ============================================
+// IMAGES
+// ============================================
+
+const imageExtension = (type) => ({
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+}[type] || 'png');
+
+// The image's bytes; pixels from the element if the source can't be fetched
+const loadImageBlob = async (obj, src) => {
+    try {
+        const response = await fetch(src);
+        if (response.ok) return await response.blob();
+    } catch {
+        // Fall through to the element (cross-origin sources without CORS)
+    }
+    const element = obj.getElement();
+    const canvas = document.createElement('canvas');
+    canvas.width = element.naturalWidth || element.width;
+    canvas.height = element.naturalHeight || element.height;
+    canvas.getContext('2d').drawImage(element, 0, 0);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+};
+
+/**
+ * Replacement href per image source: data URIs, or relative paths plus the
+ * files to write next to the SVG
+ */
+const resolveImages = async (images, mode) => {
+    const hrefs = new Map();
+    const files = [];
+    const names = new Set();
+
+    for (const [i, obj] of images.entries()) {
+        const src = obj.getSrc(true);
+        if (!src || hrefs.has(src)) continue;
+
+        if (mode === 'inline') {
+            hrefs.set(src, src.startsWith('data:') ? src : await blobToDataUrl(await loadImageBlob(obj, src)));
+            continue;
+        }
+
+        const blob = await loadImageBlob(obj, src);
+        const base = slugify(obj.id || obj.customName || '') || `image-${i + 1}`;
+        let name = `${base}.${imageExtension(blob.type)}`;
+        for (let n = 2; names.has(name); n++) name = `${base}-${n}.${imageExtension(blob.type)}`;
+        names.add(name);
+
+        hrefs.set(src, `images/${name}`);
+        files.push({ path: `images/${name}`, blob });
+    }
+    return { hrefs, files };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Build the SVG master for a creative
+ * @param {object} canvasJSON - canvas.toJSON() of the creative at format size
+ * @param {object} format - FORMAT_PRESETS entry
+ * @param {object} options - SVG_DEFAULTS overrides
+ * @returns {Promise<{ svg: string, files: Array<{ path, blob }>, warnings: string[] }>}
+ *   files are the linked images (empty when images are inlined)
+ */
+export async function renderSvg(canvasJSON, format, options = {}) {
+    const { images: imageMode, fonts: fontMode } = { ...SVG_DEFAULTS, ...options };
+    if (!SVG_IMAGE_MODES.includes(imageMode)) {
+        throw new Error(`Unknown image mode "${imageMode}" (expected ${SVG_IMAGE_MODES.join(', ')})`);
+    }
+    if (!SVG_FONT_MODES.includes(fontMode)) {
+        throw new Error(`Unknown font mode "${fontMode}" (expected ${SVG_FONT_MODES.join(', ')})`);
+    }
+
+    const { StaticCanvas } = await import('fabric');
+    const staticCanvas = new StaticCanvas(undefined, { width: format.width, height: format.height });
+    await staticCanvas.loadFromJSON({
+        ...canvasJSON,
+        objects: (canvasJSON.objects || []).filter(o => !o.isSafeZone && !o.isGridLine),
+    });
+
+    const objects = staticCanvas.getObjects();
+    const images = flattenObjects(objects).filter(o => o.type === 'image');
+    if (staticCanvas.backgroundImage?.type === 'image') images.push(staticCanvas.backgroundImage);
+
+    const [{ hrefs, files }, fonts] = await Promise.all([
+        resolveImages(images, imageMode),
+        fontMode === 'none'
+            ? { css: '', warnings: [] }
+            : buildFontFaceCss(collectFontFaces(objects), fontMode),
+    ]);
+
+    const replaceHrefs = (markup) => {
+        let result = markup;
+        for (const [src, href] of hrefs) {
+            result = result.split(`xlink:href="${src}"`).join(`xlink:href="${escapeAttribute(href)}"`);
+        }
+        return result;
+    };
+
+    let svg = staticCanvas.toSVG({
+        width: format.width,
+        height: format.height,
+        viewBox: { x: 0, y: 0, width: format.width, height: format.height },
+    }, replaceHrefs);
+    staticCanvas.dispose();
+
+    if (fonts.css) {
+        svg = svg.replace('<defs>\n', `<defs>\n<style type="text/css"><![CDATA[\n${fonts.css}\n]]></style>\n`);
+    }
+
+    return { svg, files, warnings: fonts.warnings };
+}
+
+/**
+ * SVG master of the live editor canvas (overlays left out)
+ */
+export async function exportCanvasToSvg(canvas, format, options = {}) {
+    return renderSvg(canvas.toJSON(SERIALIZED_PROPS), format, options);
+}
+
+export default {
+    SVG_IMAGE_MODES,
+    SVG_FONT_MODES,
+    SVG_DEFAULTS,
+    collectFontFaces,
+    buildFontFaceCss,
+    renderSvg,
+    exportCanvasToSvg,
+};
@@ -0,0 +1,411 @@
+/**
+ * Format Presets
+ * The built-in creative sizes plus formats users define at runtime
+ * (TikTok, Pinterest, DOOH screens, retailer-specific sizes, ...).
+ *
+ * Custom formats are registered into FORMAT_PRESETS itself, so everything
+ * that looks formats up by key - the canvas, campaign export, the compliance
+ * engine and layout rule evaluator - picks them up without changes. They are
+ * persisted in localStorage and can be exported / imported as JSON:
+ * {
+ *   schema: "astra-formats",
+ *   version: 1,
+ *   formats: [{
+ *     key: "tiktok-feed", name: "TikTok Feed", width: 1080, height: 1920,
+ *     category: "social",
+ *     safeZones: { top: 160, bottom: 420 },   // optional, px
+ *     zones: [{ kind: "keep_out", x: 900, y: 700, width: 180, height: 600, label: "Like / share rail" }], // optional
+ *     complianceAs: "instagram-story",       // optional, see ruleAppliesToFormat
+ *     budget: { maxBytes: 512000, encodings: ["jpeg", "png8"] }, // optional, see services/budgetedExport
+ *     config: { valueTileScale: 1.8, headlineFontSize: 96, subFontSize: 56, packshotScale: 0.6, layout: "vertical" }
+ *   }]
+ * }
+ * Zones are keep-out / bleed rectangles, see compliance/safeZones.
+ * A budget caps the delivery file's size; encodings are tried in order.
+ */
+
+import { validateZones, resolveFormatZones } from '../compliance/safeZones';
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+// Social Media Format Presets (8 built-in formats for multi-channel creative)
+const BUILT_IN_FORMATS = {
+    // Social Media
+    'instagram-feed': {
+        width: 1080, height: 1080, name: 'Instagram Feed', ratio: '1:1', category: 'social',
+        budget: { maxBytes: 30 * MB, encodings: ['jpeg', 'png'] },
+        config: { valueTileScale: 1.5, headlineFontSize: 72, subFontSize: 48, packshotScale: 0.5, layout: 'vertical' }
+    },
+    'instagram-story': {
+        width: 1080, height: 1920, name: 'Instagram Story', ratio: '9:16', category: 'social',
+        budget: { maxBytes: 30 * MB, encodings: ['jpeg', 'png'] },
+        config: { valueTileScale: 1.8, headlineFontSize: 96, subFontSize: 56, packshotScale: 0.6, layout: 'vertical' }
+    },
+    'facebook-feed': {
+        width: 1200, height: 628, name: 'Facebook Feed', ratio: '1.91:1', category: 'social',
+        budget: { maxBytes: 30 * MB, encodings: ['jpeg', 'png'] },
+        config: { valueTileScale: 1.2, headlineFontSize: 60, subFontSize: 36, packshotScale: 0.45, layout: 'vertical' }
+    },
+    'facebook-story': {
+        width: 1080, height: 1920, name: 'Facebook Story', ratio: '9:16', category: 'social',
+        budget: { maxBytes: 30 * MB, encodings: ['jpeg', 'png'] },
+        config: { valueTileScale: 1.8, headlineFontSize: 96, subFontSize: 56, packshotScale: 0.6, layout: 'vertical' }
+    },
+    // Display Advertising
+    'display-banner': {
+        width: 728, height: 90, name: 'Display Banner', ratio: '8.09:1', category: 'display',
+        budget: { maxBytes: 150 * KB, encodings: ['jpeg', 'png8'] },
+        config: { valueTileScale: 0.6, headlineFontSize: 24, subFontSize: 14, packshotScale: 0.8, layout: 'horizontal' }
+    },
+    'display-mpu': {
+        width: 300, height: 250, name: 'Display MPU', ratio: '1.2:1', category: 'display',
+        budget: { maxBytes: 150 * KB, encodings: ['jpeg', 'png8'] },
+        config: { valueTileScale: 0.7, headlineFontSize: 28, subFontSize: 18, packshotScale: 0.5, layout: 'vertical' }
+    },
+    // In-Store Point of Sale
+    'pos-portrait': {
+        width: 420, height: 594, name: 'In-Store POS Portrait', ratio: '0.71:1', category: 'instore',
+        budget: { maxBytes: 20 * MB, encodings: ['png', 'jpeg'] },
+        config: { valueTileScale: 1.0, headlineFontSize: 48, subFontSize: 32, packshotScale: 0.6, layout: 'vertical' }
+    },
+    'pos-landscape': {
+        width: 594, height: 420, name: 'In-Store POS Landscape', ratio: '1.41:1', category: 'instore',
+        budget: { maxBytes: 20 * MB, encodings: ['png', 'jpeg'] },
+        config: { valueTileScale: 1.0, headlineFontSize: 48, subFontSize: 32, packshotScale: 0.5, layout: 'horizontal' }
+    },
+};
+
+export const FORMAT_PRESETS = Object.fromEntries(
+    Object.entries(BUILT_IN_FORMATS).map(([key, format]) => [key, { key, ...format }])
+);
+
+export const FORMAT_CATEGORIES = ['social', 'display', 'instore', 'dooh', 'retailer', 'other'];
+export const FORMAT_LAYOUTS = ['vertical', 'horizontal'];
+
+// Delivery file encodings a size budget can search; png8 is a palette PNG
+export const EXPORT_ENCODINGS = ['jpeg', 'webp', 'png', 'png8'];
+
+const FORMATS_SCHEMA = 'astra-formats';
+const FORMATS_SCHEMA_VERSION = 1;
+const STORAGE_KEY_FORMATS = 'astra-custom-formats';
+
+const MIN_SIZE_PX = 16;
+const MAX_SIZE_PX = 10000;
+
+// Value tile base sizes are the Instagram Feed sizes; custom formats scale them by valueTileScale relative to this
+const REFERENCE_TILE_SCALE = BUILT_IN_FORMATS['instagram-feed'].config.valueTileScale;
+
+const DEFAULT_CONFIG = { valueTileScale: 1.0, headlineFontSize: 48, subFontSize: 32, packshotScale: 0.5 };
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+export const isBuiltInFormat = (key) => Object.prototype.hasOwnProperty.call(BUILT_IN_FORMATS, key);
+
+/**
+ * Aspect ratio label in the presets' style: "9:16" for simple ratios, "1.91:1" otherwise
+ */
+export const formatRatio = (width, height) => {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(Math.round(width), Math.round(height));
+    const w = Math.round(width) / divisor;
+    const h = Math.round(height) / divisor;
+    if (w <= 32 && h <= 32) return `${w}:${h}`;
+    return `${Math.round((width / height) * 100) / 100}:1`;
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate a custom format definition
+ * @param {object} format
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateFormat = (format) => {
+    if (!isPlainObject(format)) {
+        return { valid: false, errors: ['Format must be an object'] };
+    }
+
+    const where = format.key ? `Format "${format.key}"` : 'Format';
+    const errors = [];
+
+    if (typeof format.key !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(format.key)) {
+        errors.push(`${where}: key must be lowercase letters, numbers and "-"`);
+    } else if (isBuiltInFormat(format.key)) {
+        errors.push(`${where}: key is a built-in format`);
+    }
+    if (typeof format.name !== 'string' || !format.name.trim()) {
+        errors.push(`${where}: name must be a non-empty string`);
+    }
+    for (const dimension of ['width', 'height']) {
+        const value = format[dimension];
+        if (!Number.isInteger(value) || value < MIN_SIZE_PX || value > MAX_SIZE_PX) {
+            errors.push(`${where}: ${dimension} must be a whole number of pixels between ${MIN_SIZE_PX} and ${MAX_SIZE_PX}`);
+        }
+    }
+    if (format.category !== undefined && !FORMAT_CATEGORIES.includes(format.category)) {
+        errors.push(`${where}: category must be one of ${FORMAT_CATEGORIES.join(', ')}`);
+    }
+    if (format.complianceAs !== undefined && format.complianceAs !== null && !isBuiltInFormat(format.complianceAs)) {
+        errors.push(`${where}: complianceAs must be a built-in format key`);
+    }
+
+    if (format.safeZones !== undefined && format.safeZones !== null) {
+        const { top = 0, bottom = 0 } = isPlainObject(format.safeZones) ? format.safeZones : {};
+        if (!isPlainObject(format.safeZones) || typeof top !== 'number' || typeof bottom !== 'number' || top < 0 || bottom < 0) {
+            errors.push(`${where}: safeZones must be { top, bottom } in non-negative pixels`);
+        } else if (Number.isInteger(format.height) && top + bottom >= format.height) {
+            errors.push(`${where}: safeZones leave no safe area`);
+        }
+    }
+
+    if (format.zones !== undefined) {
+        errors.push(...validateZones(format.zones, `${where}: zones`));
+    }
+
+    if (format.budget !== undefined && format.budget !== null) {
+        const { maxBytes, encodings } = isPlainObject(format.budget) ? format.budget : {};
+        if (!isPlainObject(format.budget) || !Number.isInteger(maxBytes) || maxBytes <= 0) {
+            errors.push(`${where}: budget.maxBytes must be a whole number of bytes > 0`);
+        }
+        if (encodings !== undefined && (!Array.isArray(encodings) || encodings.length === 0 || encodings.some(e => !EXPORT_ENCODINGS.includes(e)))) {
+            errors.push(`${where}: budget.encodings must be a list of ${EXPORT_ENCODINGS.join(', ')}`);
+        }
+    }
+
+    if (format.config !== undefined) {
+        if (!isPlainObject(format.config)) {
+            errors.push(`${where}: config must be an object`);
+        } else {
+            for (const prop of ['valueTileScale', 'headlineFontSize', 'subFontSize', 'packshotScale']) {
+                if (format.config[prop] !== undefined && !isPositiveNumber(format.config[prop])) {
+                    errors.push(`${where}: config.${prop} must be a positive number`);
+                }
+            }
+            if (format.config.layout !== undefined && !FORMAT_LAYOUTS.includes(format.config.layout)) {
+                errors.push(`${where}: config.layout must be one of ${FORMAT_LAYOUTS.join(', ')}`);
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Fill in defaults: ratio, category, layout from orientation, and the
+ * built-in format with the same ratio for complianceAs
+ */
+const normalizeFormat = (format) => {
+    const ratio = formatRatio(format.width, format.height);
+    const sameRatio = Object.keys(BUILT_IN_FORMATS).find(key => BUILT_IN_FORMATS[key].ratio === ratio);
+
+    return {
+        key: format.key,
+        name: format.name.trim(),
+        width: format.width,
+        height: format.height,
+        ratio,
+        category: format.category || 'other',
+        ...(format.safeZones && { safeZones: { top: format.safeZones.top || 0, bottom: format.safeZones.bottom || 0 } }),
+        ...(format.zones?.length > 0 && { zones: format.zones }),
+        complianceAs: format.complianceAs === undefined ? (sameRatio || null) : format.complianceAs,
+        ...(format.budget && { budget: { maxBytes: format.budget.maxBytes, encodings: format.budget.encodings || ['jpeg', 'png8'] } }),
+        config: {
+            ...DEFAULT_CONFIG,
+            layout: format.width > format.height * 2 ? 'horizontal' : 'vertical',
+            ...format.config
+        },
+        custom: true
+    };
+};
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+const persistFormats = () => {
+    if (!hasStorage()) return;
+    try {
+        localStorage.setItem(STORAGE_KEY_FORMATS, JSON.stringify(listCustomFormats()));
+    } catch (e) {
+        console.error('Failed to save custom formats:', e);
+    }
+};
+
+const restoreFromStorage = () => {
+    if (!hasStorage()) return;
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_FORMATS) || '[]');
+        for (const format of stored) {
+            if (validateFormat(format).valid) FORMAT_PRESETS[format.key] = normalizeFormat(format);
+        }
+    } catch (e) {
+        console.error('Failed to load custom formats:', e);
+    }
+};
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+/**
+ * Custom formats, without the runtime `custom` flag (as persisted / exported)
+ * @returns {Array<object>}
+ */
+export const listCustomFormats = () => {
+    return Object.values(FORMAT_PRESETS)
+        .filter(format => format.custom)
+        .map(format => {
+            const stored = { ...format };
+            delete stored.custom;
+            return stored;
+        });
+};
+
+/**
+ * Add or replace a custom format
+ * @param {object} format
+ * @returns {object} The registered format
+ */
+export const registerCustomFormat = (format) => {
+    const { valid, errors } = validateFormat(format);
+    if (!valid) {
+        throw new Error(errors.join('; '));
+    }
+
+    const normalized = normalizeFormat(format);
+    FORMAT_PRESETS[normalized.key] = normalized;
+    persistFormats();
+    return normalized;
+};
+
+/**
+ * Remove a custom format. Built-in formats cannot be removed.
+ */
+export const unregisterCustomFormat = (key) => {
+    if (!FORMAT_PRESETS[key]?.custom) return false;
+    delete FORMAT_PRESETS[key];
+    persistFormats();
+    return true;
+};
+
+/**
+ * Export every custom format as a JSON document
+ * @returns {string}
+ */
+export const exportCustomFormats = () => {
+    return JSON.stringify({
+        schema: FORMATS_SCHEMA,
+        version: FORMATS_SCHEMA_VERSION,
+        formats: listCustomFormats()
+    }, null, 2);
+};
+
+/**
+ * Import custom formats from exported JSON (text or parsed), or a bare
+ * array of formats. Nothing is registered unless every format is valid.
+ * @param {string|object|Array} source
+ * @returns {Array<object>} The registered formats
+ */
+export const importCustomFormats = (source) => {
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+    const formats = Array.isArray(data) ? data : data?.formats;
+
+    if (!Array.isArray(formats)) {
+        throw new Error('Expected an exported formats file or an array of formats');
+    }
+    if (!Array.isArray(data) && data.schema !== FORMATS_SCHEMA) {
+        throw new Error(`Unknown formats schema "${data.schema}"`);
+    }
+
+    const errors = formats.flatMap(format => validateFormat(format).errors);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    const registered = formats.map(format => {
+        const normalized = normalizeFormat(format);
+        FORMAT_PRESETS[normalized.key] = normalized;
+        return normalized;
+    });
+    persistFormats();
+    return registered;
+};
+
+restoreFromStorage();
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+/**
+ * Keep-out and bleed zones for a format under a safe zone rule (FORMAT_001)
+ * @param {object} format - FORMAT_PRESETS entry
+ * @param {object} rule
+ * @returns {Array} Zones, see compliance/safeZones
+ */
+export const getFormatZones = (format, rule) => resolveFormatZones(format, rule, FORMAT_PRESETS);
+
+/**
+ * Whether a rule's applies_to_formats covers a format. Rule packs only name
+ * built-in formats, so a custom format is covered through complianceAs, and
+ * by the safe zone rules whenever it defines its own safe zones.
+ * @param {object} rule
+ * @param {string} formatKey
+ */
+export const ruleAppliesToFormat = (rule, formatKey) => {
+    if (!rule.applies_to_formats) return true;
+    if (rule.applies_to_formats.includes(formatKey)) return true;
+
+    const format = FORMAT_PRESETS[formatKey];
+    if (!format?.custom) return false;
+    const declaresZones = Boolean(format.safeZones || format.zones);
+    if (declaresZones && (rule.params?.format_zones || rule.params?.safe_zone_top_px !== undefined)) return true;
+    return Boolean(format.complianceAs && rule.applies_to_formats.includes(format.complianceAs));
+};
+
+/**
+ * Value tile dimensions for a format: the tile's own per-format override,
+ * else (custom formats) the base size scaled by the format's valueTileScale
+ * @param {object} tile - Value tile definition with optional formatOverrides
+ * @param {string} formatKey
+ */
+export const getTileForFormat = (tile, formatKey) => {
+    const overrides = tile.formatOverrides?.[formatKey];
+    if (overrides) {
+        return { ...tile, ...overrides };
+    }
+
+    const format = FORMAT_PRESETS[formatKey];
+    if (!format?.custom) return tile;
+
+    const scale = (format.config?.valueTileScale ?? REFERENCE_TILE_SCALE) / REFERENCE_TILE_SCALE;
+    const scaled = {};
+    for (const prop of ['w', 'h', 'fontSize', 'labelFontSize']) {
+        if (typeof tile[prop] === 'number') scaled[prop] = Math.round(tile[prop] * scale);
+    }
+    return { ...tile, ...scaled };
+};
+
+export default {
+    FORMAT_PRESETS,
+    FORMAT_CATEGORIES,
+    FORMAT_LAYOUTS,
+    isBuiltInFormat,
+    formatRatio,
+    validateFormat,
+    listCustomFormats,
+    registerCustomFormat,
+    unregisterCustomFormat,
+    exportCustomFormats,
+    importCustomFormats,
+    getFormatZones,
+    ruleAppliesToFormat,
+    getTileForFormat
+};
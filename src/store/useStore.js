@@ -1,43 +1,18 @@
 import { create } from 'zustand';
-
-// Social Media Format Presets (8 formats for multi-channel creative)
-export const FORMAT_PRESETS = {
-    // Social Media
-    'instagram-feed': {
-        width: 1080, height: 1080, name: 'Instagram Feed', ratio: '1:1', category: 'social',
-        config: { valueTileScale: 1.5, headlineFontSize: 72, subFontSize: 48, packshotScale: 0.5, layout: 'vertical' }
-    },
-    'instagram-story': {
-        width: 1080, height: 1920, name: 'Instagram Story', ratio: '9:16', category: 'social',
-        config: { valueTileScale: 1.8, headlineFontSize: 96, subFontSize: 56, packshotScale: 0.6, layout: 'vertical' }
-    },
-    'facebook-feed': {
-        width: 1200, height: 628, name: 'Facebook Feed', ratio: '1.91:1', category: 'social',
-        config: { valueTileScale: 1.2, headlineFontSize: 60, subFontSize: 36, packshotScale: 0.45, layout: 'vertical' }
-    },
-    'facebook-story': {
-        width: 1080, height: 1920, name: 'Facebook Story', ratio: '9:16', category: 'social',
-        config: { valueTileScale: 1.8, headlineFontSize: 96, subFontSize: 56, packshotScale: 0.6, layout: 'vertical' }
-    },
-    // Display Advertising
-    'display-banner': {
-        width: 728, height: 90, name: 'Display Banner', ratio: '8.09:1', category: 'display',
-        config: { valueTileScale: 0.6, headlineFontSize: 24, subFontSize: 14, packshotScale: 0.8, layout: 'horizontal' }
-    },
-    'display-mpu': {
-        width: 300, height: 250, name: 'Display MPU', ratio: '1.2:1', category: 'display',
-        config: { valueTileScale: 0.7, headlineFontSize: 28, subFontSize: 18, packshotScale: 0.5, layout: 'vertical' }
-    },
-    // In-Store Point of Sale
-    'pos-portrait': {
-        width: 420, height: 594, name: 'In-Store POS Portrait', ratio: '0.71:1', category: 'instore',
-        config: { valueTileScale: 1.0, headlineFontSize: 48, subFontSize: 32, packshotScale: 0.6, layout: 'vertical' }
-    },
-    'pos-landscape': {
-        width: 594, height: 420, name: 'In-Store POS Landscape', ratio: '1.41:1', category: 'instore',
-        config: { valueTileScale: 1.0, headlineFontSize: 48, subFontSize: 32, packshotScale: 0.5, layout: 'horizontal' }
-    },
-};
+import { DEFAULT_PROJECT_ID, setActiveProjectId } from '../compliance/rulePacks';
+import { createWaiver } from '../compliance/waivers';
+import { SERIALIZED_PROPS } from '../compliance/serializedCanvas';
+import {
+    FORMAT_PRESETS,
+    listCustomFormats,
+    registerCustomFormat,
+    unregisterCustomFormat,
+    importCustomFormats as importFormats
+} from './formatPresets';
+import { loadNamingSettings, saveNamingSettings } from '../utils/namingConvention';
+
+// Format presets (built-in + user-defined) live in ./formatPresets
+export { FORMAT_PRESETS };
 
 // Creative Profiles - Mode-based constraint system
 export const CREATIVE_PROFILES = {
@@ -183,238 +158,8 @@ export const TEMPLATE_LIBRARY = [
     },
 ];
 
-// Compliance Rules from Appendix A & B (Complete Implementation)
-export const COMPLIANCE_RULES = {
-    // ============================================
-    // COPY RULES (Appendix B - Hard Fail)
-    // ============================================
-    prohibitedTerms: [
-        // Money-back guarantees (Hard Fail)
-        'money back', 'money-back', 'guarantee', 'guaranteed', 'refund',
-        // Competition/prize (Hard Fail)
-        'competition', 'prize', 'winner', 'winning', 'win', 'lottery', 'raffle', 'giveaway',
-        // Sustainability/green claims (Hard Fail)
-        'sustainable', 'sustainability', 'eco-friendly', 'eco friendly', 'green',
-        'carbon neutral', 'carbon-neutral', 'carbon footprint', 'environmentally friendly',
-        'organic', 'recyclable', 'recycled', 'biodegradable', 'zero waste', 'planet friendly',
-        // Claims (Hard Fail)
-        'best ever', '#1', 'number one', 'number 1', 'award winning', 'award-winning',
-        'clinically proven', 'scientifically proven', 'doctor recommended', 'expert recommended',
-        // T&Cs indicators (Hard Fail)
-        'terms and conditions', 't&c', 't&cs', 'terms apply', 'conditions apply',
-        // Free (Hard Fail - price callout)
-        'free', 'gratis', 'complimentary',
-        // Survey/research (Hard Fail)
-        'survey', 'research shows', 'studies show', 'proven by', 'tested by',
-        // Charity partnerships (Hard Fail)
-        'charity', 'charitable', 'donate', 'donation', 'fundraising', 'supporting',
-        // Price callouts outside value tiles (Hard Fail)
-        'save £', 'save up to', 'discount', 'deal', 'bargain', 'cheapest', 'lowest price',
-        'half price', 'price cut', 'reduced', 'clearance', 'sale price',
-    ],
-
-    // ============================================
-    // TAG RULES (Appendix A & B)
-    // ============================================
-    validTags: {
-        exclusive: 'Only at Tesco',
-        notExclusive: 'Available at Tesco',
-        stockWarning: 'Selected stores. While stocks last.',
-    },
-
-    // Clubcard tag must include end date in DD/MM format
-    clubcardTagPattern: /clubcard.*ends\s*\d{1,2}\/\d{1,2}/i,
-    clubcardTagFormat: 'Available in selected stores. Clubcard/app required. Ends DD/MM',
-
-    // Tag positioning for 9:16 stories
-    tagSafeZone: {
-        topMargin: 200,      // Keep 200px from top
-        bottomMargin: 250,   // Keep 250px from bottom
-    },
-
-    // ============================================
-    // VALUE TILE RULES (Appendix A & B)
-    // ============================================
-    valueTileRules: {
-        types: ['new', 'white', 'clubcard'],
-        pricesOnlyInTiles: true,     // Prices can only appear in value tiles
-        noManualPriceTyping: true,   // Users cannot type prices in headlines
-        positionFixed: true,          // Position is predefined, cannot be moved
-        noOverlapping: true,          // Nothing can overlap value tile
-
-        // Type-specific rules
-        typeRules: {
-            new: {
-                editable: false,       // Cannot be edited
-                text: 'NEW',
-            },
-            white: {
-                editableFields: ['price'], // Only price can be edited
-                background: '#ffffff',
-                textColor: '#003d7a',
-                border: '#003d7a',
-            },
-            clubcard: {
-                editableFields: ['offerPrice', 'regularPrice'], // Both prices editable
-                background: '#003d7a',
-                textColor: '#ffffff',
-                design: 'flat',        // Clubcard tile design is flat
-            },
-        },
-
-        // Size constraints
-        sizes: {
-            new: { width: 120, height: 50 },
-            white: { width: 160, height: 60 },
-            clubcard: { width: 200, height: 80 },
-        },
-    },
-
-    // ============================================
-    // LOW EVERYDAY PRICE (LEP) RULES (Appendix A)
-    // ============================================
-    lepRules: {
-        background: '#ffffff',        // White background required
-        textColor: '#003d7a',         // Tesco blue
-        textAlignment: 'left',        // Copy is left-aligned
-        valueTileType: 'white',       // White value tile only
-        logoPositioning: 'right',     // LEP logo to right of packshot
-        tagRequired: true,
-        tagText: 'Selected stores. While stocks last',
-        noBrandedContent: true,       // No branded content other than logo
-    },
-
-    // ============================================
-    // DRINKAWARE RULES (Appendix B - Hard Fail)
-    // ============================================
-    drinkawareRules: {
-        required: true,                // Mandatory for alcohol
-        minHeight: 20,                 // Minimum 20px height
-        minHeightSays: 12,             // SAYS override: 12px minimum
-        allowedColors: ['#000000', '#ffffff'], // Only all-black or all-white
-        mustHaveContrast: true,        // Sufficient contrast from background
-        text: 'drinkaware.co.uk',
-    },
-
-    // ============================================
-    // PACKSHOT RULES (Appendix A & B)
-    // ============================================
-    packshotRules: {
-        maxCount: 3,                   // Maximum 3 packshots
-        leadRequired: true,            // Lead product is required
-        positioning: {
-            onsiteBrand: 'closestToCTA',    // Closest element to CTA on-site
-            checkout: 'closestToCTA',
-        },
-        safeZone: {
-            doubleDensity: 24,         // Minimum 24px gap from CTA
-            singleDensity: 12,         // Minimum 12px gap
-        },
-    },
-
-    // ============================================
-    // MINIMUM FONT SIZES (Appendix B - Hard Fail)
-    // ============================================
-    minFontSize: {
-        brandSocialCheckoutDouble: 20, // Brand, Social, Checkout double density
-        checkoutSingle: 10,            // Checkout single density
-        says: 12,                      // SAYS format
-        standard: 20,                  // Default for social banners
-    },
-
-    // ============================================
-    // SAFE ZONES (Appendix B - Hard Fail)
-    // ============================================
-    safeZones: {
-        story: {
-            top: 200,                  // 200px from top free of text/logos/tiles
-            bottom: 250,               // 250px from bottom free
-            appliesTo: ['facebook-story', 'instagram-story'], // 9:16 formats only
-        },
-    },
-
-    // ============================================
-    // CONTRAST REQUIREMENTS (Appendix B - Hard Fail)
-    // ============================================
-    contrastRequirements: {
-        normalText: 4.5,               // WCAG AA for normal text
-        largeText: 3.0,                // WCAG AA for large text
-        largeTextThreshold: 24,        // px - text above this is "large"
-    },
-
-    // ============================================
-    // HEADLINE/SUBHEAD RULES (Appendix A)
-    // ============================================
-    headlineRules: {
-        maxLength: 35,                 // Max 35 characters
-        required: true,                // Appears on all banners
-    },
-    subheadRules: {
-        maxWords: 20,                  // Max 20 words
-        required: true,                // Appears on all banners
-    },
-
-    // ============================================
-    // CTA RULES (Appendix B)
-    // ============================================
-    ctaRules: {
-        allowed: false,                // No CTA allowed
-        noOverlapping: true,           // Nothing can overlap CTA position
-    },
-
-    // ============================================
-    // LOGO RULES (Appendix A)
-    // ============================================
-    logoRules: {
-        showOnAllBanners: true,
-        canUploadNew: true,
-        canUseFromBrandSpace: true,
-    },
-
-    // ============================================
-    // PHOTOGRAPHY RULES (Appendix B - Warning)
-    // ============================================
-    photographyRules: {
-        peopleDetection: true,         // Detect inclusion of people
-        requireConfirmation: true,     // User must confirm people are integral
-    },
-
-    // ============================================
-    // PRICE PATTERN DETECTION (Appendix B)
-    // ============================================
-    pricePatterns: [
-        /£\d+(\.\d{2})?/,              // £2.50
-        /\d+p\b/i,                     // 50p
-        /\d+%\s*(off|discount)/i,      // 50% off
-        /save\s*£?\d+/i,               // save £5
-        /was\s*£?\d+/i,                // was £10
-        /now\s*£?\d+/i,                // now £5
-        /only\s*£?\d+/i,               // only £5
-        /from\s*£?\d+/i,               // from £5
-        /\d+\s*for\s*£?\d+/i,          // 3 for £5
-        /buy\s*\d+\s*get/i,            // buy 2 get 1
-    ],
-
-    // ============================================
-    // CLAIMS DETECTION PATTERNS (Appendix B)
-    // ============================================
-    claimsPatterns: [
-        /\*/,                          // Asterisk (indicates T&C)
-        /\d+%\s*of\s*(people|customers|users)/i, // Survey claims
-        /voted\s*(best|#1)/i,
-        /recommended\s*by/i,
-        /\d+\s*out\s*of\s*\d+/i,       // "9 out of 10"
-    ],
-
-    // ============================================
-    // DD/MM DATE FORMAT (Appendix A)
-    // ============================================
-    dateFormat: {
-        pattern: /\d{1,2}\/\d{1,2}/,   // DD/MM format
-        example: '23/06',
-        requiredFor: 'clubcardTile',
-    },
-};
+// Compliance Rules from Appendix A & B - derived from the active rule packs
+export { COMPLIANCE_RULES } from '../compliance/ruleRegistry';
 
 export const useStore = create((set, get) => ({
     // ============================================
@@ -467,6 +212,15 @@ export const useStore = create((set, get) => ({
     canvas: null,
     setCanvas: (canvas) => set({ canvas }),
 
+    // Current project (scopes which compliance rule packs are active); opening
+    // a template or history item switches to the project it was saved under
+    projectId: DEFAULT_PROJECT_ID,
+    setProjectId: (projectId) => {
+        const id = projectId || DEFAULT_PROJECT_ID;
+        setActiveProjectId(id);
+        set({ projectId: id });
+    },
+
     // Current format preset
     currentFormat: 'instagram-feed',
     setCurrentFormat: (formatKey) => {
@@ -480,6 +234,41 @@ export const useStore = create((set, get) => ({
         }
     },
 
+    // User-defined formats (registered into FORMAT_PRESETS; this list drives re-renders)
+    customFormats: listCustomFormats(),
+    saveCustomFormat: (format) => {
+        // Throws with the validation errors
+        const saved = registerCustomFormat(format);
+        set({ customFormats: listCustomFormats() });
+        return saved;
+    },
+    deleteCustomFormat: (key) => {
+        if (!unregisterCustomFormat(key)) return false;
+        set(state => ({
+            customFormats: listCustomFormats(),
+            currentFormat: state.currentFormat === key ? 'instagram-feed' : state.currentFormat
+        }));
+        return true;
+    },
+    importCustomFormats: (source) => {
+        const imported = importFormats(source);
+        set({ customFormats: listCustomFormats() });
+        return imported;
+    },
+
+    // Export file naming templates (see utils/namingConvention)
+    namingSettings: loadNamingSettings(),
+    saveNamingSettings: (settings) => {
+        // Throws with the validation errors
+        const saved = saveNamingSettings(settings);
+        set({ namingSettings: saved });
+        return saved;
+    },
+
+    // The product and variant on the canvas, for {brand}, {product} and {variant} in export names
+    creativeIdentity: { brand: '', product: '', variant: '' },
+    setCreativeIdentity: (identity) => set({ creativeIdentity: { brand: '', product: '', variant: '', ...identity } }),
+
     // Selected object
     selectedObject: null,
     setSelectedObject: (obj) => set({ selectedObject: obj }),
@@ -572,9 +361,31 @@ export const useStore = create((set, get) => ({
         complianceErrors: state.complianceErrors.filter(e => e.id !== id),
         complianceWarnings: state.complianceWarnings.filter(w => w.id !== id),
     })),
-    clearCompliance: () => set({ complianceErrors: [], complianceWarnings: [], complianceScore: 100 }),
+    clearCompliance: () => set({ complianceErrors: [], complianceWarnings: [], complianceWaived: [], complianceScore: 100 }),
     isCompliant: () => get().complianceErrors.length === 0,
 
+    // Compliance waivers - stored with the creative (history, templates)
+    complianceWaivers: [],
+    complianceWaived: [], // Warnings from the last evaluation covered by a waiver
+    addComplianceWaiver: (input) => {
+        // Throws for hard_fail rules and missing reason/reviewer/expiry
+        const waiver = createWaiver(input, { projectId: get().projectId });
+        set(state => ({
+            complianceWaivers: [
+                ...state.complianceWaivers.filter(w => !(w.ruleId === waiver.ruleId && w.objectId === waiver.objectId)),
+                waiver
+            ]
+        }));
+        get().saveToHistory();
+        return waiver;
+    },
+    removeComplianceWaiver: (id) => {
+        set(state => ({ complianceWaivers: state.complianceWaivers.filter(w => w.id !== id) }));
+        get().saveToHistory();
+    },
+    setComplianceWaivers: (waivers) => set({ complianceWaivers: waivers || [] }),
+    setComplianceWaived: (waived) => set({ complianceWaived: waived || [] }),
+
     // Compliance Score (0-100 gamification)
     complianceScore: 100,
     hasHardFailErrors: false, // True when any hard fail compliance errors exist
@@ -598,8 +409,9 @@ export const useStore = create((set, get) => ({
         const canvas = get().canvas;
         if (!canvas) return;
         const state = {
-            canvas: canvas.toJSON(['id', 'customName', 'isValueTile', 'valueTileType', 'isDrinkaware', 'isSafeZone', 'isBackground', 'isLogo', 'isPackshot', 'isLeadPackshot', 'isTag']),
-            backgroundColor: canvas.backgroundColor || get().backgroundColor
+            canvas: canvas.toJSON(SERIALIZED_PROPS),
+            backgroundColor: canvas.backgroundColor || get().backgroundColor,
+            waivers: get().complianceWaivers
         };
         const json = JSON.stringify(state);
         set(state => {
@@ -626,7 +438,7 @@ export const useStore = create((set, get) => ({
 
             // Set background color after loading
             canvas.backgroundColor = bgColor;
-            set({ backgroundColor: bgColor });
+            set({ backgroundColor: bgColor, complianceWaivers: state.waivers || [] });
 
             // Request animation frame to ensure proper render
             canvas.requestRenderAll();
@@ -653,7 +465,7 @@ export const useStore = create((set, get) => ({
 
             // Set background color after loading
             canvas.backgroundColor = bgColor;
-            set({ backgroundColor: bgColor });
+            set({ backgroundColor: bgColor, complianceWaivers: state.waivers || [] });
 
             // Request animation frame to ensure proper render
             canvas.requestRenderAll();
@@ -0,0 +1,162 @@
+/**
+ * Animation Timeline
+ *
+ * A lightweight keyframe timeline for animated story exports. Each canvas
+ * object can carry an entrance animation:
+ *
+ *   obj.animation = { effect: 'slide-up', start: 0.2, duration: 0.6 }
+ *
+ * Before `start` the object is hidden; over `duration` seconds it eases from
+ * the effect's start state to where it sits on the canvas, and stays there.
+ * Objects without an animation are shown for the whole clip.
+ *
+ * Works on live Fabric objects and on serialized canvas.toJSON() objects
+ * alike - both the renderer (services/animatedExport) and the per-frame
+ * compliance checks (compliance/animationCompliance) read frames from here.
+ */
+
+import { normalizeObjectType } from '../compliance/serializedCanvas';
+
+export const ANIMATION_EFFECTS = ['fade', 'slide-up', 'slide-down', 'slide-left', 'slide-right', 'scale'];
+
+export const ANIMATION_DEFAULTS = {
+    duration: 5,
+    fps: 30,
+};
+
+// How far slides travel, as a fraction of the canvas size
+const SLIDE_DISTANCE = 0.08;
+
+// Scale entrances start this small
+const SCALE_FROM = 0.6;
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+const easeOutCubic = (p) => 1 - Math.pow(1 - p, 3);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Validate an object's animation
+ * @returns {string[]} Errors
+ */
+export const validateAnimation = (animation) => {
+    if (!animation) return [];
+    const errors = [];
+    if (!ANIMATION_EFFECTS.includes(animation.effect)) {
+        errors.push(`effect must be one of ${ANIMATION_EFFECTS.join(', ')}`);
+    }
+    if (!(animation.start >= 0)) errors.push('start must be a number of seconds >= 0');
+    if (!(animation.duration > 0)) errors.push('duration must be a number of seconds > 0');
+    return errors;
+};
+
+/**
+ * Entrance timeline for a creative's key elements: the headline slides up,
+ * other copy fades in, packshots then the value tile scale in
+ * @param {Array} objects - Live or serialized canvas objects
+ * @returns {Array<object|null>} Animation per object, by index
+ */
+export const buildDefaultTimeline = (objects) => {
+    const texts = objects.filter(o => TEXT_TYPES.includes(normalizeObjectType(o.type)) && !o.isTag && !o.isDrinkaware);
+    const headline = [...texts].sort((a, b) => (b.fontSize * (b.scaleY || 1)) - (a.fontSize * (a.scaleY || 1)))[0];
+
+    return objects.map(obj => {
+        if (obj.isBackground || obj.isSafeZone) return null;
+        if (obj === headline) return { effect: 'slide-up', start: 0.2, duration: 0.6 };
+        if (obj.isPackshot || obj.isLeadPackshot) return { effect: 'scale', start: 0.6, duration: 0.6 };
+        if (obj.isValueTile) return { effect: 'scale', start: 1.1, duration: 0.5 };
+        if (texts.includes(obj)) return { effect: 'fade', start: 0.7, duration: 0.5 };
+        return null;
+    });
+};
+
+/**
+ * Latest point any animation finishes, in seconds
+ */
+export const timelineEnd = (objects) => Math.max(0, ...objects
+    .filter(o => o.animation)
+    .map(o => o.animation.start + o.animation.duration));
+
+/**
+ * Properties of an object at time t
+ * @param {object} base - { left, top, scaleX, scaleY, opacity, width, height, originX, originY }
+ * @param {object|null} animation
+ * @param {number} t - Seconds
+ * @param {object} format - { width, height }
+ * @returns {{ left, top, scaleX, scaleY, opacity }}
+ */
+export const stateAt = (base, animation, t, format) => {
+    const scaleX = base.scaleX ?? 1;
+    const scaleY = base.scaleY ?? 1;
+    const opacity = base.opacity ?? 1;
+    const state = { left: base.left || 0, top: base.top || 0, scaleX, scaleY, opacity };
+    if (!animation) return state;
+
+    const p = easeOutCubic(clamp01((t - animation.start) / animation.duration));
+    if (p >= 1) return state;
+
+    state.opacity = opacity * p;
+    const remaining = 1 - p;
+
+    switch (animation.effect) {
+        case 'slide-up':
+            state.top += format.height * SLIDE_DISTANCE * remaining;
+            break;
+        case 'slide-down':
+            state.top -= format.height * SLIDE_DISTANCE * remaining;
+            break;
+        case 'slide-left':
+            state.left += format.width * SLIDE_DISTANCE * remaining;
+            break;
+        case 'slide-right':
+            state.left -= format.width * SLIDE_DISTANCE * remaining;
+            break;
+        case 'scale': {
+            const factor = SCALE_FROM + (1 - SCALE_FROM) * p;
+            state.scaleX = scaleX * factor;
+            state.scaleY = scaleY * factor;
+            // Grow from the centre whatever the object's origin
+            const width = (base.width || 0) * scaleX;
+            const height = (base.height || 0) * scaleY;
+            if (base.originX !== 'center') state.left += width * (1 - factor) / 2;
+            if (base.originY !== 'center') state.top += height * (1 - factor) / 2;
+            break;
+        }
+        default:
+            break;
+    }
+    return state;
+};
+
+/**
+ * Serialized canvas at time t (objects that aren't visible yet are dropped)
+ * @param {object} canvasJSON - canvas.toJSON(['animation', ...]) output
+ * @param {number} t - Seconds
+ * @param {object} format - { width, height }
+ */
+export const frameAt = (canvasJSON, t, format) => ({
+    ...canvasJSON,
+    objects: (canvasJSON.objects || [])
+        .map(obj => ({ ...obj, ...stateAt(obj, obj.animation, t, format) }))
+        .filter(obj => obj.opacity > 0.01),
+});
+
+/**
+ * Frame times (seconds) for a clip
+ */
+export const frameTimes = (duration, fps) => {
+    const count = Math.max(1, Math.round(duration * fps));
+    return Array.from({ length: count }, (_, i) => i / fps);
+};
+
+export default {
+    ANIMATION_EFFECTS,
+    ANIMATION_DEFAULTS,
+    validateAnimation,
+    buildDefaultTimeline,
+    timelineEnd,
+    stateAt,
+    frameAt,
+    frameTimes,
+};
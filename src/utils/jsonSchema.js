@@ -0,0 +1,87 @@
+/**
+ * JSON Schema (subset)
+ *
+ * Enough of JSON Schema to check structured LLM output without a
+ * dependency: type, enum, required, properties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum and maximum. Errors name the exact
+ * field ("variants[2].headline must be at most 35 characters (got 41)") so
+ * they can go straight back to the model in a repair prompt.
+ */
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path - Where value sits, for error messages
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateJsonSchema = (value, schema, path = '') => {
+    const errors = [];
+    const where = path || 'value';
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return { valid: false, errors: [`${where} must be ${types.join(' or ')} (got ${typeOf(value)})`] };
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${where} must not be empty` : `${where} must be at least ${schema.minLength} characters (got ${value.length})`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${where} must be at most ${schema.maxLength} characters (got ${value.length})`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where} must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum} (got ${value})`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum} (got ${value})`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${where} must have at least ${schema.minItems} items (got ${value.length})`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${where} must have at most ${schema.maxItems} items (got ${value.length})`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, join(path, i)).errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined || value[key] === null) errors.push(`${join(path, key)} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateJsonSchema(value[key], propertySchema, join(path, key)).errors);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+};
+
+export default validateJsonSchema;
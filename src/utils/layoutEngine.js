@@ -0,0 +1,545 @@
+/**
+ * Layout Engine
+ *
+ * Constraint-based layout for any width and height. Canvas objects are grouped
+ * into role blocks - headline, subheadline, packshots, value tile, tag and
+ * Drinkaware - and each role declares its constraints in LAYOUT_CONSTRAINTS:
+ *
+ * - scaleBy: the format config value its natural size follows
+ *   (headlineFontSize, valueTileScale, ...), so a block keeps the target
+ *   format's type scale rather than the raw width/height ratio
+ * - maxShare: largest share of the content area it may take
+ * - minimum: the floor it may not shrink below - ACC_001's minimum font size
+ *   for copy, the smallest size any rule allows ('legible') for its largest
+ *   text, ALC_001's Drinkaware height, or a share of the content area
+ * - priority: higher priorities are shrunk further before lower ones give way;
+ *   0 is shrunk last
+ * - keepApart: roles it must not touch
+ *
+ * Anchors are declared by LAYOUT_FLOWS: a column for portrait, square and
+ * vertical formats, a row for horizontal ones and extreme ratios like 728x90.
+ * The solver sizes every block at its natural size, shrinks the lowest
+ * priority blocks until each stack fits the content area (the format minus a
+ * margin and its edge keep-out/bleed bands), places the blocks at their
+ * anchors, and moves blocks clear of any inner zones that apply to them.
+ *
+ * Objects are read as plain serialized objects or live Fabric objects
+ * (left, top, width, height, scaleX, scaleY, originX, originY, fontSize);
+ * rotation is ignored. Constraints that cannot be met are returned as
+ * `unresolved`, and callers re-check the result with evaluateLayoutRules.
+ */
+
+import { getFormatZones } from '../store/formatPresets';
+import { getRuleById } from '../compliance/ruleSchema';
+import { findZoneHits, zoneEscape } from '../compliance/safeZones';
+import { normalizeObjectType } from '../compliance/serializedCanvas';
+
+const TEXT_TYPES = ['text', 'i-text', 'textbox'];
+
+// Smallest step a block is shrunk by while a stack overflows
+const SHRINK_STEP = 0.9;
+const MAX_SHRINK_ITERATIONS = 400;
+
+// Aspect ratio from which every format is laid out as a row
+const ROW_ASPECT = 3;
+
+export const LAYOUT_CONSTRAINTS = {
+    headline: {
+        scaleBy: 'headlineFontSize',
+        maxShare: { width: 0.9, height: 0.35 },
+        minimum: 'font',
+        priority: 1,
+        keepApart: ['subheadline', 'packshot', 'valueTile', 'tag', 'drinkaware'],
+    },
+    subheadline: {
+        scaleBy: 'subFontSize',
+        maxShare: { width: 0.9, height: 0.2 },
+        minimum: 'font',
+        priority: 3,
+        keepApart: ['headline', 'packshot', 'valueTile', 'tag', 'drinkaware'],
+    },
+    packshot: {
+        scaleBy: 'packshotScale',
+        maxShare: { width: 0.8, height: 0.9 },
+        minimum: { share: 0.15 },
+        priority: 4,
+        keepApart: ['headline', 'subheadline', 'valueTile', 'tag', 'drinkaware'],
+    },
+    valueTile: {
+        scaleBy: 'valueTileScale',
+        maxShare: { width: 0.6, height: 0.35 },
+        minimum: 'legible',
+        priority: 2,
+        keepApart: ['headline', 'subheadline', 'packshot', 'tag', 'drinkaware'],
+    },
+    tag: {
+        scaleBy: 'subFontSize',
+        maxShare: { width: 0.9, height: 0.15 },
+        minimum: 'legible',
+        priority: 5,
+        keepApart: ['headline', 'subheadline', 'packshot', 'drinkaware'],
+    },
+    drinkaware: {
+        scaleBy: 'subFontSize',
+        maxShare: { width: 0.4, height: 0.2 },
+        minimum: 'height',
+        priority: 0,
+        keepApart: ['headline', 'subheadline', 'packshot', 'valueTile', 'tag'],
+    },
+};
+
+// Nested stacks along x or y. In a stack, `start` children pack from its
+// start, `end` children from its end, and `middle` children sit centred in
+// the space between; children are centred across the stack. A `wrap` stack
+// turns to the other axis when its children don't fit at their minimum sizes.
+export const LAYOUT_FLOWS = {
+    column: {
+        axis: 'y',
+        children: [
+            { role: 'headline', anchor: 'start' },
+            { role: 'subheadline', anchor: 'start' },
+            { role: 'packshot', anchor: 'middle' },
+            { role: 'valueTile', anchor: 'end' },
+            {
+                axis: 'x', anchor: 'end', wrap: true, children: [
+                    { role: 'tag', anchor: 'middle' },
+                    { role: 'drinkaware', anchor: 'end' },
+                ],
+            },
+        ],
+    },
+    row: {
+        axis: 'x',
+        children: [
+            { role: 'packshot', anchor: 'start' },
+            {
+                axis: 'y', anchor: 'middle', children: [
+                    { role: 'headline', anchor: 'middle' },
+                    { role: 'subheadline', anchor: 'middle' },
+                    { role: 'tag', anchor: 'middle' },
+                ],
+            },
+            {
+                axis: 'y', anchor: 'end', children: [
+                    { role: 'valueTile', anchor: 'middle' },
+                    { role: 'drinkaware', anchor: 'middle' },
+                ],
+            },
+        ],
+    },
+};
+
+// Safe zone role of each block, see compliance/safeZones ELEMENT_ROLES
+const ZONE_ROLES = {
+    headline: 'text',
+    subheadline: 'text',
+    packshot: 'packshot',
+    valueTile: 'value_tile',
+    tag: 'tag',
+    drinkaware: 'drinkaware',
+};
+
+const SIZE_KEYS = { x: 'width', y: 'height' };
+
+const ORIGINS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+
+const origin = (value) => (typeof value === 'number' ? value : ORIGINS[value] ?? 0);
+
+// Serialized objects carry Fabric 6 class names ("IText", "Textbox")
+const isText = (obj) => TEXT_TYPES.includes(normalizeObjectType(obj.type));
+
+// Scene-space box of an unrotated object
+const objectBox = (obj) => {
+    const width = (obj.width || 0) * Math.abs(obj.scaleX ?? 1);
+    const height = (obj.height || 0) * Math.abs(obj.scaleY ?? 1);
+    return {
+        left: (obj.left || 0) - origin(obj.originX) * width,
+        top: (obj.top || 0) - origin(obj.originY) * height,
+        width,
+        height,
+    };
+};
+
+const unionBox = (boxes) => {
+    const left = Math.min(...boxes.map(b => b.left));
+    const top = Math.min(...boxes.map(b => b.top));
+    return {
+        left,
+        top,
+        width: Math.max(...boxes.map(b => b.left + b.width)) - left,
+        height: Math.max(...boxes.map(b => b.top + b.height)) - top,
+    };
+};
+
+const boxesTouch = (a, b) => a.left < b.left + b.width && a.left + a.width > b.left
+    && a.top < b.top + b.height && a.top + a.height > b.top;
+
+const effectiveFontSize = (obj) => (obj.fontSize || 16) * (obj.scaleY ?? 1);
+
+/**
+ * Role of each object: a LAYOUT_CONSTRAINTS role, 'background', or null for
+ * objects that are only scaled into place (logos, decoration, extra copy).
+ * The largest free text is the headline, the next largest the subheadline.
+ * @param {Array<object>} objects - Serialized or live objects, safe zones excluded
+ * @returns {Array<string|null>}
+ */
+export const assignLayoutRoles = (objects) => {
+    const roles = objects.map((obj) => {
+        if (obj.isBackground) return 'background';
+        if (obj.isValueTile) return 'valueTile';
+        if (obj.isDrinkaware) return 'drinkaware';
+        if (obj.isTag) return 'tag';
+        if (obj.isPackshot || obj.isLeadPackshot) return 'packshot';
+        return null;
+    });
+
+    const copy = objects
+        .map((obj, index) => ({ obj, index }))
+        .filter(({ obj, index }) => roles[index] === null && !obj.isLogo && isText(obj) && String(obj.text || '').trim())
+        .sort((a, b) => effectiveFontSize(b.obj) - effectiveFontSize(a.obj));
+    if (copy[0]) roles[copy[0].index] = 'headline';
+    if (copy[1]) roles[copy[1].index] = 'subheadline';
+    return roles;
+};
+
+// Rule floors for the target format, read from the active rule pack
+const ruleMinimums = (format, projectId) => {
+    const fontRule = getRuleById('ACC_001', projectId);
+    const isSmallFormat = format.height < (fontRule?.params?.small_format_threshold_height || 200);
+    const drinkaware = getRuleById('ALC_001', projectId)?.params?.min_height_px;
+    const legible = fontRule?.params?.checkout_single_density_px || 10;
+    return {
+        font: isSmallFormat ? legible : (fontRule?.params?.brand_social_min_px || 20),
+        legible,
+        height: (typeof drinkaware === 'number' ? drinkaware : drinkaware?.default) || 20,
+    };
+};
+
+/**
+ * Content area: the format minus a margin and the keep-out/bleed zones that
+ * run along an edge. Zones that don't are returned as inner zones.
+ */
+const contentArea = (format, zones) => {
+    const margin = Math.max(4, Math.round(Math.min(format.width, format.height) * 0.03));
+    const inset = { top: margin, right: margin, bottom: margin, left: margin };
+    const inner = [];
+
+    for (const zone of zones) {
+        const wide = zone.width >= format.width / 2;
+        const tall = zone.height >= format.height / 2;
+        if (wide && zone.y <= 0) inset.top = Math.max(inset.top, zone.y + zone.height + margin);
+        else if (wide && zone.y + zone.height >= format.height) inset.bottom = Math.max(inset.bottom, format.height - zone.y + margin);
+        else if (tall && zone.x <= 0) inset.left = Math.max(inset.left, zone.x + zone.width + margin);
+        else if (tall && zone.x + zone.width >= format.width) inset.right = Math.max(inset.right, format.width - zone.x + margin);
+        else inner.push(zone);
+    }
+
+    return {
+        area: {
+            left: inset.left,
+            top: inset.top,
+            width: Math.max(1, format.width - inset.left - inset.right),
+            height: Math.max(1, format.height - inset.top - inset.bottom),
+        },
+        innerZones: inner,
+    };
+};
+
+// Stack tree for the blocks present; empty stacks are dropped
+const buildTree = (node, blocks) => {
+    if (node.role) {
+        const block = blocks[node.role];
+        return block ? { ...node, block } : null;
+    }
+    const children = node.children.map(child => buildTree(child, blocks)).filter(Boolean);
+    return children.length > 0 ? { ...node, children } : null;
+};
+
+const leaves = (node) => (node.block ? [node.block] : node.children.flatMap(leaves));
+
+const blockSize = (block) => ({ width: block.source.width * block.scale, height: block.source.height * block.scale });
+
+// Extent of a node along an axis, gaps included
+const measure = (node, axis, gap) => {
+    if (node.block) return blockSize(node.block)[SIZE_KEYS[axis]];
+    const sizes = node.children.map(child => measure(child, axis, gap));
+    return node.axis === axis
+        ? sizes.reduce((sum, size) => sum + size, 0) + gap * (sizes.length - 1)
+        : Math.max(...sizes);
+};
+
+// Blocks whose size sets a node's extent along an axis
+const contributors = (node, axis, gap) => {
+    if (node.block) return [node.block];
+    if (node.axis === axis) return node.children.flatMap(child => contributors(child, axis, gap));
+    const extent = measure(node, axis, gap);
+    return node.children
+        .filter(child => measure(child, axis, gap) >= extent - 0.5)
+        .flatMap(child => contributors(child, axis, gap));
+};
+
+// First stack (deepest first) that overflows the content area along its axis
+const findOverflow = (node, area, gap) => {
+    if (node.block) return null;
+    for (const child of node.children) {
+        const overflow = findOverflow(child, area, gap);
+        if (overflow) return overflow;
+    }
+    const excess = measure(node, node.axis, gap) - area[SIZE_KEYS[node.axis]];
+    return excess > 0.5 ? { node, excess } : null;
+};
+
+const shrinkWeight = (block) => (1 + block.constraint.priority) * (block.scale / block.max);
+
+const place = (node, box, gap) => {
+    if (node.block) {
+        const size = blockSize(node.block);
+        node.block.box = {
+            left: box.left + (box.width - size.width) / 2,
+            top: box.top + (box.height - size.height) / 2,
+            ...size,
+        };
+        return;
+    }
+
+    const axis = node.axis;
+    const [pos, len] = axis === 'x' ? ['left', 'width'] : ['top', 'height'];
+    const [crossPos, crossLen] = axis === 'x' ? ['top', 'height'] : ['left', 'width'];
+    const slot = (child, at) => ({
+        [pos]: at,
+        [len]: measure(child, axis, gap),
+        [crossPos]: box[crossPos],
+        [crossLen]: box[crossLen],
+    });
+
+    const start = node.children.filter(c => c.anchor === 'start');
+    const end = node.children.filter(c => c.anchor === 'end');
+    const middle = node.children.filter(c => c.anchor !== 'start' && c.anchor !== 'end');
+
+    let at = box[pos];
+    for (const child of start) {
+        place(child, slot(child, at), gap);
+        at += measure(child, axis, gap) + gap;
+    }
+    const middleStart = at;
+
+    at = box[pos] + box[len];
+    for (const child of [...end].reverse()) {
+        at -= measure(child, axis, gap);
+        place(child, slot(child, at), gap);
+        at -= gap;
+    }
+    const middleEnd = at;
+
+    const middleSize = middle.reduce((sum, child) => sum + measure(child, axis, gap), 0) + gap * Math.max(0, middle.length - 1);
+    at = middleStart + Math.max(0, (middleEnd - middleStart - middleSize) / 2);
+    for (const child of middle) {
+        place(child, slot(child, at), gap);
+        at += measure(child, axis, gap) + gap;
+    }
+};
+
+/**
+ * Solve a layout for a target format
+ * @param {Array<object>} objects - Serialized or live objects, safe zones excluded
+ * @param {object} sourceFormat - FORMAT_PRESETS entry the objects were laid out for
+ * @param {object} targetFormat - FORMAT_PRESETS entry to lay them out for
+ * @param {object} context - { projectId } for the rule pack's minimums and zones
+ * @returns {{ orientation: string, area: object, blocks: Array<{ role, box, scale, members }>,
+ *   changes: Array<{ index: number, changes: object }>, unresolved: string[] }}
+ */
+export function solveLayout(objects, sourceFormat, targetFormat, context = {}) {
+    const scaleX = targetFormat.width / sourceFormat.width;
+    const scaleY = targetFormat.height / sourceFormat.height;
+    const uniform = Math.min(scaleX, scaleY);
+
+    const zones = getFormatZones(targetFormat, getRuleById('FORMAT_001', context.projectId));
+    const { area, innerZones } = contentArea(targetFormat, zones);
+    const minimums = ruleMinimums(targetFormat, context.projectId);
+    const gap = Math.max(4, Math.round(Math.min(area.width, area.height) * 0.025));
+    const unresolved = [];
+
+    // Blocks with their scale range
+    const roles = assignLayoutRoles(objects);
+    const blocks = {};
+    for (const [role, constraint] of Object.entries(LAYOUT_CONSTRAINTS)) {
+        const members = roles.flatMap((r, index) => (r === role ? [index] : []));
+        if (members.length === 0) continue;
+
+        const source = unionBox(members.map(index => objectBox(objects[index])));
+        if (source.width <= 0 || source.height <= 0) continue;
+
+        const from = sourceFormat.config?.[constraint.scaleBy];
+        const to = targetFormat.config?.[constraint.scaleBy];
+        const natural = from > 0 && to > 0 ? to / from : uniform;
+        const max = Math.min(
+            natural,
+            (area.width * constraint.maxShare.width) / source.width,
+            (area.height * constraint.maxShare.height) / source.height
+        );
+
+        let min = 0;
+        const texts = members.map(index => objects[index]).filter(isText);
+        if (constraint.minimum === 'font' && texts.length > 0) {
+            min = minimums.font / Math.min(...texts.map(effectiveFontSize));
+        } else if (constraint.minimum === 'legible' && texts.length > 0) {
+            min = minimums.legible / Math.max(...texts.map(effectiveFontSize));
+        } else if (constraint.minimum === 'height') {
+            min = minimums.height / Math.min(...members.map(index => objectBox(objects[index]).height).filter(h => h > 0));
+        } else if (constraint.minimum?.share) {
+            min = Math.min(max, (constraint.minimum.share * Math.min(area.width, area.height)) / Math.max(source.width, source.height));
+        }
+
+        blocks[role] = { role, constraint, members, source, min, max, scale: Math.max(min, max) };
+    }
+
+    // Shrink blocks until every stack fits; a block's turn comes by its
+    // priority weighted by how much of its size it still has
+    const orientation = targetFormat.config?.layout === 'horizontal' || targetFormat.width / targetFormat.height >= ROW_ASPECT
+        ? 'row'
+        : 'column';
+    const tree = buildTree(LAYOUT_FLOWS[orientation], blocks);
+
+    if (tree) {
+        for (let i = 0; i < MAX_SHRINK_ITERATIONS; i++) {
+            const overflow = findOverflow(tree, area, gap);
+            if (!overflow) break;
+
+            const candidate = contributors(overflow.node, overflow.node.axis, gap)
+                .filter(block => block.scale > block.min + 1e-6)
+                .sort((a, b) => shrinkWeight(b) - shrinkWeight(a))[0];
+            if (!candidate && overflow.node.wrap) {
+                overflow.node.axis = overflow.node.axis === 'x' ? 'y' : 'x';
+                overflow.node.wrap = false;
+                leaves(overflow.node).forEach(block => { block.scale = Math.max(block.min, block.max); });
+                continue;
+            }
+            if (!candidate) {
+                const dimension = SIZE_KEYS[overflow.node.axis];
+                unresolved.push(`Not enough ${dimension}: ${leaves(overflow.node).map(b => b.role).join(', ')} need ${Math.ceil(overflow.excess)}px more at their minimum sizes`);
+                break;
+            }
+            candidate.scale = Math.max(candidate.min, candidate.scale * SHRINK_STEP);
+        }
+
+        place(tree, area, gap);
+    }
+
+    for (const block of Object.values(blocks)) {
+        const size = blockSize(block);
+        if (size.width > area.width + 0.5 || size.height > area.height + 0.5) {
+            unresolved.push(`${block.role} is larger than the content area at its minimum size`);
+        }
+    }
+
+    // Move blocks out of inner zones that apply to them
+    const placed = Object.values(blocks).filter(block => block.box);
+    for (const block of placed) {
+        const role = ZONE_ROLES[block.role];
+        for (const zone of findZoneHits(block.box, role, innerZones)) {
+            const delta = zoneEscape(block.box, zone, role, innerZones, targetFormat.width, targetFormat.height);
+            if (!delta) {
+                unresolved.push(`${block.role} cannot be moved out of "${zone.label}"`);
+                continue;
+            }
+            block.box = { ...block.box, left: block.box.left + (delta.left || 0), top: block.box.top + (delta.top || 0) };
+        }
+    }
+
+    for (const [i, a] of placed.entries()) {
+        for (const b of placed.slice(i + 1)) {
+            const related = a.constraint.keepApart.includes(b.role) || b.constraint.keepApart.includes(a.role);
+            if (related && boxesTouch(a.box, b.box)) unresolved.push(`${a.role} overlaps ${b.role}`);
+        }
+    }
+
+    // Per-object changes: blocks move as a unit, the rest scale into place
+    const changes = [];
+    const scaled = (obj, factor) => (isText(obj)
+        ? { fontSize: Math.round((obj.fontSize || 16) * factor * 10) / 10 }
+        : { scaleX: (obj.scaleX ?? 1) * factor, scaleY: (obj.scaleY ?? 1) * factor });
+
+    for (const block of placed) {
+        for (const index of block.members) {
+            const obj = objects[index];
+            changes.push({
+                index,
+                changes: {
+                    left: block.box.left + ((obj.left || 0) - block.source.left) * block.scale,
+                    top: block.box.top + ((obj.top || 0) - block.source.top) * block.scale,
+                    ...scaled(obj, block.scale),
+                },
+            });
+        }
+    }
+
+    roles.forEach((role, index) => {
+        if (role && role !== 'background') return;
+        const obj = objects[index];
+        changes.push({
+            index,
+            changes: role === 'background'
+                ? { left: (obj.left || 0) * scaleX, top: (obj.top || 0) * scaleY, scaleX: (obj.scaleX ?? 1) * scaleX, scaleY: (obj.scaleY ?? 1) * scaleY }
+                : { left: (obj.left || 0) * scaleX, top: (obj.top || 0) * scaleY, ...scaled(obj, uniform) },
+        });
+    });
+
+    return {
+        orientation,
+        area,
+        blocks: placed.map(({ role, box, scale, members }) => ({ role, box, scale, members })),
+        changes: changes.sort((a, b) => a.index - b.index),
+        unresolved,
+    };
+}
+
+/**
+ * Serialized canvas laid out for another format
+ * @param {object} canvasJSON - canvas.toJSON([...]) output laid out for sourceFormat
+ * @returns {{ canvasJSON: object, layout: object }} layout is the solveLayout result
+ */
+export function adaptCanvasJSON(canvasJSON, sourceFormat, targetFormat, context = {}) {
+    const objects = (canvasJSON.objects || []).filter(o => !o.isSafeZone);
+    const layout = solveLayout(objects, sourceFormat, targetFormat, context);
+    const adapted = objects.map(obj => ({ ...obj }));
+    layout.changes.forEach(({ index, changes }) => Object.assign(adapted[index], changes));
+    return { canvasJSON: { ...canvasJSON, objects: adapted }, layout };
+}
+
+/**
+ * Lay out a live canvas for its own format (safe zone overlays untouched)
+ * @param {fabric.Canvas} canvas
+ * @param {object} format - FORMAT_PRESETS entry the canvas is sized for
+ * @returns {object} solveLayout result
+ */
+export function arrangeCanvas(canvas, format, context = {}) {
+    const objects = canvas.getObjects().filter(o => !o.isSafeZone);
+    const layout = solveLayout(objects, format, format, context);
+    layout.changes.forEach(({ index, changes }) => {
+        objects[index].set(changes);
+        objects[index].setCoords();
+    });
+    canvas.requestRenderAll();
+    return layout;
+}
+
+/**
+ * One line per block, for specs files and logs
+ */
+export const describeLayout = (layout) => [
+    `Layout: ${layout.orientation}`,
+    ...layout.blocks.map(({ role, box, scale }) => (
+        `${role}: ${Math.round(box.left)},${Math.round(box.top)} ${Math.round(box.width)}×${Math.round(box.height)} (×${scale.toFixed(2)})`
+    )),
+    ...layout.unresolved.map(message => `Unresolved: ${message}`),
+].join('\n');
+
+export default {
+    LAYOUT_CONSTRAINTS,
+    LAYOUT_FLOWS,
+    assignLayoutRoles,
+    solveLayout,
+    adaptCanvasJSON,
+    arrangeCanvas,
+    describeLayout,
+};
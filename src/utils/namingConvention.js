@@ -0,0 +1,218 @@
+/**
+ * Naming Convention
+ *
+ * Token templates for exported file names, e.g. for a DAM that wants
+ *
+ *   {category}/{brand}_{campaign}_{format}_{variant}_{yyyymmdd}
+ *
+ * "/" in the file template makes folders inside ZIPs (campaign and batch
+ * exports); single-file downloads use the last segment. The archive template
+ * names the ZIPs themselves. Token values are made filename-safe, and
+ * separators left dangling by empty tokens are dropped, so
+ * "{brand}_{campaign}_{format}" with no brand gives "summer_instagram-feed".
+ *
+ * Settings are persisted in localStorage:
+ *   { file, archive, brand, campaign }
+ */
+
+const STORAGE_KEY_NAMING = 'astra-naming-convention';
+
+export const NAMING_TOKENS = {
+    brand: 'Brand (from the applied product, else the default brand)',
+    campaign: 'Campaign name',
+    product: 'Product name',
+    format: 'Format key, e.g. instagram-feed',
+    category: 'Format category, e.g. social',
+    width: 'Width in px',
+    height: 'Height in px',
+    ratio: 'Aspect ratio, e.g. 9x16',
+    variant: 'Variant, e.g. v2-playful',
+    yyyymmdd: 'Export date',
+    hhmmss: 'Export time',
+    timestamp: 'Milliseconds since 1970',
+};
+
+export const DEFAULT_NAMING = {
+    file: '{format}/{brand}_{campaign}_{format}_{variant}_{yyyymmdd}-{hhmmss}',
+    archive: '{brand}_{campaign}_{yyyymmdd}-{hhmmss}',
+    brand: '',
+    campaign: 'creative',
+};
+
+const SEPARATORS = '_.-';
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Filename-safe token value: no path separators, no spaces
+const cleanValue = (value) => String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^A-Za-z0-9._-]+/g, '')
+    .replace(/^[._-]+|[._-]+$/g, '');
+
+// Drop separators left around empty tokens: "a__b" -> "a_b", "_a_" -> "a"
+const tidySegment = (segment) => {
+    let out = '';
+    for (const char of segment) {
+        if (SEPARATORS.includes(char) && (out === '' || SEPARATORS.includes(out[out.length - 1]))) continue;
+        out += char;
+    }
+    while (out && SEPARATORS.includes(out[out.length - 1])) out = out.slice(0, -1);
+    return out;
+};
+
+/**
+ * Token values for an export
+ * @param {object} settings - Naming settings
+ * @param {object} context - { format (FORMAT_PRESETS entry), brand, product, variant, date }
+ * @returns {object} Token -> value
+ */
+export const namingValues = (settings, context = {}) => {
+    const date = context.date || new Date();
+    const format = context.format || {};
+    return {
+        brand: context.brand || settings.brand,
+        campaign: settings.campaign,
+        product: context.product,
+        format: format.key,
+        category: format.category,
+        width: format.width,
+        height: format.height,
+        ratio: format.ratio?.replace(':', 'x'),
+        variant: context.variant,
+        yyyymmdd: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+        hhmmss: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+        timestamp: date.getTime(),
+    };
+};
+
+/**
+ * Validate a template
+ * @param {string} template
+ * @returns {string[]} Errors
+ */
+export const validateNamingTemplate = (template) => {
+    if (typeof template !== 'string' || !template.trim()) return ['Template must not be empty'];
+    const errors = [];
+    const unknown = [...template.matchAll(/\{([^{}]*)\}/g)]
+        .map(match => match[1])
+        .filter(token => !Object.prototype.hasOwnProperty.call(NAMING_TOKENS, token));
+    if (unknown.length > 0) errors.push(`Unknown token${unknown.length === 1 ? '' : 's'}: ${unknown.map(t => `{${t}}`).join(', ')}`);
+    if (/[{}]/.test(template.replace(/\{[^{}]*\}/g, ''))) errors.push('Unbalanced { or }');
+    if (template.startsWith('/') || template.endsWith('/')) errors.push('Template must not start or end with "/"');
+    if (template.split('/').some(segment => segment.trim() === '..' || segment.trim() === '.')) errors.push('Folders must not be "." or ".."');
+    if (/[\\:*?"<>|]/.test(template.replace(/\{[^{}]*\}/g, ''))) errors.push('Template contains characters not allowed in file names');
+    return errors;
+};
+
+/**
+ * Render a template to a path without extension ("social/instagram-feed/..."),
+ * falling back to "export" for segments that come out empty
+ * @param {string} template
+ * @param {object} values - namingValues() output
+ */
+export const renderNamingTemplate = (template, values) => template
+    .split('/')
+    .map(segment => tidySegment(segment.replace(/\{([^{}]*)\}/g, (_, token) => cleanValue(values[token]))))
+    .map(segment => segment || 'export')
+    .join('/');
+
+/**
+ * Names for one export run. Paths within a run are unique: repeats get "-2", "-3", ...
+ * @param {object} settings - Naming settings
+ * @param {object} base - Context shared by the run, e.g. { brand, product, date }
+ * @returns {{ path: function(object, string): string, baseName: function(object): string, archiveName: function(object=): string }}
+ *   path(context, ext) - "folder/name.ext" for ZIP entries; context adds format, variant and suffix ("-html5")
+ *   baseName(context) - "name", no folders or extension, for single downloads
+ *   archiveName(context) - "name.zip"
+ */
+export const createNamer = (settings, base = {}) => {
+    const date = base.date || new Date();
+    const used = new Set();
+
+    const render = (template, context = {}) => {
+        const values = namingValues(settings, { ...base, date, ...context });
+        return renderNamingTemplate(template, values) + (context.suffix || '');
+    };
+
+    const unique = (path) => {
+        let candidate = path;
+        const dot = path.lastIndexOf('.');
+        const [stem, ext] = dot > path.lastIndexOf('/') ? [path.slice(0, dot), path.slice(dot)] : [path, ''];
+        for (let n = 2; used.has(candidate); n++) candidate = `${stem}-${n}${ext}`;
+        used.add(candidate);
+        return candidate;
+    };
+
+    return {
+        path: (context, ext) => unique(`${render(settings.file, context)}.${ext}`),
+        baseName: (context) => render(settings.file, context).split('/').pop(),
+        archiveName: (context) => `${render(settings.archive, context).split('/').pop()}.zip`,
+    };
+};
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+/**
+ * Validate naming settings
+ * @returns {string[]} Errors
+ */
+export const validateNamingSettings = (settings) => [
+    ...validateNamingTemplate(settings.file).map(error => `File name: ${error}`),
+    ...validateNamingTemplate(settings.archive).map(error => `ZIP name: ${error}`),
+];
+
+/**
+ * Saved settings, or the defaults
+ */
+export const loadNamingSettings = () => {
+    if (!hasStorage()) return { ...DEFAULT_NAMING };
+    try {
+        const stored = { ...DEFAULT_NAMING, ...JSON.parse(localStorage.getItem(STORAGE_KEY_NAMING) || '{}') };
+        return validateNamingSettings(stored).length === 0 ? stored : { ...DEFAULT_NAMING };
+    } catch (e) {
+        console.error('Failed to load naming convention:', e);
+        return { ...DEFAULT_NAMING };
+    }
+};
+
+/**
+ * Validate and save settings
+ * @throws {Error} With the validation errors
+ */
+export const saveNamingSettings = (settings) => {
+    const errors = validateNamingSettings(settings);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    const saved = {
+        file: settings.file.trim(),
+        archive: settings.archive.trim(),
+        brand: settings.brand || '',
+        campaign: settings.campaign || '',
+    };
+    if (hasStorage()) {
+        try {
+            localStorage.setItem(STORAGE_KEY_NAMING, JSON.stringify(saved));
+        } catch (e) {
+            console.error('Failed to save naming convention:', e);
+        }
+    }
+    return saved;
+};
+
+export default {
+    NAMING_TOKENS,
+    DEFAULT_NAMING,
+    namingValues,
+    validateNamingTemplate,
+    renderNamingTemplate,
+    createNamer,
+    validateNamingSettings,
+    loadNamingSettings,
+    saveNamingSettings,
+};
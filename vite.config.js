@@ -1,20 +1,20 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createAiGateway } from './server/aiGateway.js'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      // WithoutBG API proxy - bypass CORS
-      '/api/withoutbg': {
-        target: 'https://api.withoutbg.com',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/withoutbg/, ''),
-        headers: {
-          'Origin': 'https://api.withoutbg.com',
-        },
-      },
-    },
+// AI gateway on the dev and preview servers - provider keys stay server-side
+// (plain GEMINI_API_KEY etc. in .env, never VITE_*)
+const aiGateway = (env) => ({
+  name: 'astra-ai-gateway',
+  configureServer(server) {
+    server.middlewares.use(createAiGateway({ env }).middleware)
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(createAiGateway({ env }).middleware)
   },
 })
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), aiGateway(loadEnv(mode, process.cwd(), ''))],
+}))